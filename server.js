@@ -8,10 +8,16 @@ const app = express(); // cria aplicação Express
 const multer = require('multer'); // middleware para upload de ficheiros
 const path = require('path'); // módulo para manipulação de caminhos de ficheiros
 const fs = require('fs'); // módulo para manipulação do sistema de ficheiros
+const crypto = require('crypto'); // módulo para geração de códigos e hashes seguros
+const nodemailer = require('nodemailer'); // cliente SMTP para envio de emails
+const archiver = require('archiver'); // criação de arquivos ZIP (exportação de dados)
+const sharp = require('sharp'); // redimensionamento de imagens (miniaturas da galeria)
+const PDFDocument = require('pdfkit'); // geração de PDF (passaporte do animal)
 
 // middleware
 app.use(cors()); // permite requisições de diferentes origens (CORS)
 app.use(express.json()); // converte JSON do corpo das requisições para objetos JavaScript
+app.set('trust proxy', 1); // a app corre atrás do proxy do Render -> req.ip passa a ser o IP real do cliente
 
 // CONFIGURAÇÃO MULTER PARA UPLOADS==============================================
 
@@ -62,12 +68,70 @@ const upload = multer({
 // serve ficheiros estáticos 
 app.use('/uploads', express.static('./uploads'));
 
+// obtem o caminho local de um ficheiro a partir do URL público (ex: fotoUrl)
+// devolve null se o URL não apontar para /uploads
+function caminhoUpload(url) {
+    if (!url || !url.includes('/uploads/')) return null;
+
+    const filename = path.basename(url.split('/uploads/')[1]); // basename impede sair da pasta
+    return path.join('./uploads', filename);
+}
+
+// apaga os ficheiros de uma lista de URLs de uploads (ignora nulos e ficheiros que já não existem)
+function apagarUploads(urls) {
+    urls.map(caminhoUpload).filter(Boolean).forEach(caminho => {
+        try {
+            if (fs.existsSync(caminho)) {
+                fs.unlinkSync(caminho);
+            }
+        } catch (fileError) {
+            console.error('Erro ao apagar ficheiro:', fileError);
+        }
+    });
+}
+
+// tamanhos gerados para cada foto da galeria (lado maior em píxeis)
+// as listas da app usam a miniatura e os ecrãs de detalhe a versão média
+const TAMANHOS_FOTO = {
+    media: { lado: 800, ajuste: 'inside', qualidade: 80 },
+    miniatura: { lado: 200, ajuste: 'cover', qualidade: 75 } // quadrada, recortada ao centro
+};
+
+// gera as versões redimensionadas de uma imagem enviada
+// devolve os nomes dos ficheiros criados (na pasta uploads) e as dimensões do original
+async function gerarVersoesFoto(ficheiro) {
+    const { name } = path.parse(ficheiro);
+    const metadata = await sharp(ficheiro).metadata();
+    const versoes = {};
+
+    for (const [versao, { lado, ajuste, qualidade }] of Object.entries(TAMANHOS_FOTO)) {
+        const nome = `${name}-${versao}.jpg`;
+        await sharp(ficheiro)
+            .rotate() // aplica a orientação EXIF das fotos tiradas com o telemóvel
+            .resize({ width: lado, height: lado, fit: ajuste, withoutEnlargement: ajuste === 'inside' })
+            .jpeg({ quality: qualidade })
+            .toFile(path.join(path.dirname(ficheiro), nome));
+        versoes[versao] = nome;
+    }
+
+    // orientações 5 a 8 rodam a imagem 90º -> largura e altura trocam
+    const rodada = metadata.orientation >= 5;
+    return {
+        ...versoes,
+        largura: rodada ? metadata.height : metadata.width,
+        altura: rodada ? metadata.width : metadata.height
+    };
+}
+
 
 // CONFIGURAÇÃO POSTGRESQL PARA RENDER==============================================
 
 // verifica se está a correr no Render
 const isRender = process.env.RENDER === 'true';
 
+// modo de desenvolvimento (ex: devolve códigos de verificação nas respostas)
+const isDevMode = process.env.NODE_ENV === 'development';
+
 // cria pool de conexões com PostgreSQL
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL, // URL da BD das variáveis de ambiente do Render
@@ -117,20 +181,6 @@ async function initDatabase() {
                 clinicaId INTEGER REFERENCES clinicas(id) ON DELETE CASCADE -- se a clinica for apagada os veterinários tambem são
             )
         `);
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS consultas (
-                id SERIAL PRIMARY KEY,
-                userId INTEGER REFERENCES users(id) ON DELETE CASCADE, -- se o user for apagado as consultas também são
-                animalId INTEGER REFERENCES animais(id) ON DELETE CASCADE, 
-                clinicaId INTEGER REFERENCES clinicas(id),
-                veterinarioId INTEGER REFERENCES veterinarios(id),
-                data DATE NOT NULL,
-                hora TIME NOT NULL,
-                motivo TEXT,
-                estado TEXT DEFAULT 'marcada',  -- marcada (default), realizada, cancelada
-                dataMarcacao TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
         await pool.query(`
             CREATE TABLE IF NOT EXISTS animais (
                 id SERIAL PRIMARY KEY,
@@ -145,6 +195,20 @@ async function initDatabase() {
                 dataRegisto TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 )
             `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS consultas (
+                id SERIAL PRIMARY KEY,
+                userId INTEGER REFERENCES users(id) ON DELETE CASCADE, -- se o user for apagado as consultas também são
+                animalId INTEGER REFERENCES animais(id) ON DELETE CASCADE, 
+                clinicaId INTEGER REFERENCES clinicas(id),
+                veterinarioId INTEGER REFERENCES veterinarios(id),
+                data DATE NOT NULL,
+                hora TIME NOT NULL,
+                motivo TEXT,
+                estado TEXT DEFAULT 'marcada',  -- marcada (default), realizada, cancelada
+                dataMarcacao TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
         await pool.query(`
             CREATE TABLE IF NOT EXISTS tipos_exame(
                 id SERIAL PRIMARY KEY,
@@ -174,6 +238,55 @@ async function initDatabase() {
                 user_id INTEGER REFERENCES users(id) ON DELETE CASCADE
             )
         `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS especies (
+                id SERIAL PRIMARY KEY,
+                nome TEXT NOT NULL UNIQUE,
+                sinonimos TEXT[] NOT NULL DEFAULT '{}' -- outras formas de escrever (ex: 'cao', 'dog')
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS racas (
+                id SERIAL PRIMARY KEY,
+                especie_id INTEGER NOT NULL REFERENCES especies(id),
+                nome TEXT NOT NULL,
+                sinonimos TEXT[] NOT NULL DEFAULT '{}',
+                UNIQUE(especie_id, nome)
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tipos_consulta (
+                id SERIAL PRIMARY KEY,
+                nome TEXT NOT NULL UNIQUE,
+                descricao TEXT,
+                duracao_minutos INTEGER NOT NULL CHECK (duracao_minutos > 0)
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS horarios_veterinario (
+                id SERIAL PRIMARY KEY,
+                veterinario_id INTEGER NOT NULL REFERENCES veterinarios(id) ON DELETE CASCADE,
+                dia_semana INTEGER NOT NULL CHECK (dia_semana BETWEEN 0 AND 6), -- 0 = domingo (como Date.getDay)
+                hora_inicio TIME NOT NULL,
+                hora_fim TIME NOT NULL,
+                duracao_slot_minutos INTEGER NOT NULL DEFAULT 30 CHECK (duracao_slot_minutos > 0),
+                CHECK (hora_fim > hora_inicio)
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS excecoes_horario (
+                id SERIAL PRIMARY KEY,
+                veterinario_id INTEGER NOT NULL REFERENCES veterinarios(id) ON DELETE CASCADE,
+                data DATE NOT NULL,
+                tipo TEXT NOT NULL CHECK (tipo IN ('indisponivel', 'disponivel')), -- folga/ausência ou horário extra
+                hora_inicio TIME, -- NULL -> o dia inteiro (só para indisponivel)
+                hora_fim TIME,
+                duracao_slot_minutos INTEGER, -- só para disponivel (NULL -> 30)
+                motivo TEXT,
+                criado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
         await pool.query(`
             CREATE TABLE IF NOT EXISTS tipos_vacina (
                 id SERIAL PRIMARY KEY,
@@ -198,10 +311,342 @@ async function initDatabase() {
                 dataRegisto TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS codigos_verificacao (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                finalidade TEXT NOT NULL, -- 'registo', ...
+                canal TEXT NOT NULL, -- 'sms' ou 'email'
+                destino TEXT NOT NULL, -- telemóvel ou email para onde foi enviado
+                codigo_hash TEXT NOT NULL, -- o código nunca é guardado em texto simples
+                tentativas INTEGER DEFAULT 0,
+                expires_at TIMESTAMP NOT NULL,
+                usado_em TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tentativas_falhadas (
+                chave TEXT PRIMARY KEY, -- 'conta:<email>' ou 'ip:<endereço>'
+                falhas INTEGER DEFAULT 0,
+                ultima_falha TIMESTAMP,
+                bloqueado_ate TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS limites_pedidos (
+                chave TEXT PRIMARY KEY, -- '<rota>:<ip>'
+                pedidos INTEGER NOT NULL DEFAULT 0,
+                janela_inicio TIMESTAMP NOT NULL
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS sessoes (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                dispositivo TEXT, -- nome enviado pela app (ex: 'Pixel 7')
+                user_agent TEXT,
+                ip TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                ultimo_acesso TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                revogada_em TIMESTAMP,
+                motivo_revogacao TEXT
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS auditoria (
+                id SERIAL PRIMARY KEY,
+                actor_id INTEGER, -- sem FK para o registo sobreviver ao utilizador
+                acao TEXT NOT NULL, -- ex: 'pin_recuperado'
+                entidade TEXT, -- ex: 'utilizador', 'animal', 'consulta'
+                entidade_id INTEGER,
+                detalhes JSONB,
+                ip TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS impersonacoes (
+                id SERIAL PRIMARY KEY,
+                admin_id INTEGER NOT NULL REFERENCES users(id),
+                user_id INTEGER REFERENCES users(id), -- utilizador real (NULL quando só assume um tipo)
+                tipo TEXT, -- tipo assumido (NULL -> o tipo do utilizador alvo)
+                escopo TEXT NOT NULL DEFAULT 'leitura', -- 'leitura' (só GET) ou 'total'
+                motivo TEXT NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                revogada_em TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id SERIAL PRIMARY KEY,
+                sessao_id INTEGER NOT NULL REFERENCES sessoes(id) ON DELETE CASCADE,
+                token_hash TEXT UNIQUE NOT NULL,
+                usado_em TIMESTAMP, -- preenchido quando é trocado por um novo (rotação)
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS animal_tutores (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                papel TEXT NOT NULL CHECK (papel IN ('dono', 'cotutor', 'leitura')),
+                adicionado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (animal_id, user_id)
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS convites_animal (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                convidado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                email TEXT NOT NULL, -- email de quem é convidado (pode ainda não ter conta)
+                papel TEXT NOT NULL CHECK (papel IN ('dono', 'cotutor', 'leitura')),
+                estado TEXT NOT NULL DEFAULT 'pendente', -- 'pendente', 'aceite', 'recusado', 'revogado'
+                expires_at TIMESTAMP NOT NULL,
+                respondido_em TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS alertas_perdido (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                criado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                latitude DOUBLE PRECISION NOT NULL, -- último local onde foi visto
+                longitude DOUBLE PRECISION NOT NULL,
+                local_descricao TEXT, -- ex.: 'Jardim da Estrela, Lisboa'
+                visto_em TIMESTAMP NOT NULL,
+                descricao TEXT, -- sinais particulares, coleira, temperamento...
+                estado TEXT NOT NULL DEFAULT 'ativo', -- 'ativo', 'encontrado', 'cancelado'
+                encerrado_em TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS avistamentos (
+                id SERIAL PRIMARY KEY,
+                alerta_id INTEGER NOT NULL REFERENCES alertas_perdido(id) ON DELETE CASCADE,
+                latitude DOUBLE PRECISION,
+                longitude DOUBLE PRECISION,
+                descricao TEXT NOT NULL,
+                visto_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                contacto TEXT, -- email ou telemóvel de quem viu (avisado quando o animal é encontrado)
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS medicoes (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                tipo TEXT NOT NULL CHECK (tipo IN ('peso', 'temperatura', 'frequencia_cardiaca', 'condicao_corporal')),
+                valor NUMERIC NOT NULL,
+                medido_em TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                registado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                origem TEXT NOT NULL DEFAULT 'tutor', -- 'tutor' ou 'veterinario'
+                observacoes TEXT,
+                alertas JSONB, -- variações bruscas ou valores fora do normal detetados ao registar
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS prescricoes (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                consulta_id INTEGER REFERENCES consultas(id) ON DELETE SET NULL, -- consulta em que foi receitado (opcional)
+                medicamento TEXT NOT NULL,
+                dose TEXT NOT NULL, -- ex.: '1 comprimido de 50 mg'
+                via TEXT, -- oral, tópica, injetável...
+                frequencia_horas INTEGER NOT NULL, -- intervalo entre doses
+                duracao_dias INTEGER, -- NULL -> tratamento contínuo
+                inicio TIMESTAMP NOT NULL, -- hora da primeira dose
+                instrucoes TEXT,
+                veterinario_id INTEGER REFERENCES veterinarios(id),
+                registado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                suspensa_em TIMESTAMP, -- tratamento interrompido antes do fim
+                ultimo_lembrete_para TIMESTAMP, -- última dose para a qual já foi enviado lembrete
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS administracoes_dose (
+                id SERIAL PRIMARY KEY,
+                prescricao_id INTEGER NOT NULL REFERENCES prescricoes(id) ON DELETE CASCADE,
+                prevista_para TIMESTAMP NOT NULL, -- dose do plano a que corresponde
+                administrada_em TIMESTAMP NOT NULL,
+                omitida BOOLEAN DEFAULT false, -- dose saltada de propósito (ex.: indicação do veterinário)
+                administrada_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                observacoes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (prescricao_id, prevista_para)
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS perfil_medico (
+                animal_id INTEGER PRIMARY KEY REFERENCES animais(id) ON DELETE CASCADE,
+                grupo_sanguineo TEXT, -- ex.: 'DEA 1.1+' (cães), 'A' / 'B' / 'AB' (gatos)
+                esterilizado BOOLEAN,
+                data_esterilizacao DATE,
+                notas TEXT,
+                atualizado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS alergias (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                substancia TEXT NOT NULL, -- medicamento, vacina ou alimento (ex.: 'amoxicilina')
+                tipo TEXT NOT NULL DEFAULT 'medicamento' CHECK (tipo IN ('medicamento', 'vacina', 'alimento', 'ambiental', 'outro')),
+                gravidade TEXT NOT NULL DEFAULT 'moderada' CHECK (gravidade IN ('ligeira', 'moderada', 'grave')),
+                reacao TEXT,
+                diagnosticada_em DATE,
+                registado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS condicoes_cronicas (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                nome TEXT NOT NULL, -- ex.: 'diabetes', 'insuficiência renal'
+                estado TEXT NOT NULL DEFAULT 'ativa' CHECK (estado IN ('ativa', 'controlada', 'resolvida')),
+                diagnosticada_em DATE,
+                notas TEXT,
+                registado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS fotos_animal (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                url TEXT NOT NULL, -- original enviado
+                url_media TEXT, -- NULL nas fotos antigas (antes da galeria)
+                url_miniatura TEXT,
+                largura INTEGER,
+                altura INTEGER,
+                legenda TEXT,
+                tirada_em DATE,
+                capa BOOLEAN NOT NULL DEFAULT false, -- foto principal (copiada para animais.fotoUrl)
+                enviada_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS transferencias_animal (
+                id SERIAL PRIMARY KEY,
+                animal_id INTEGER NOT NULL REFERENCES animais(id) ON DELETE CASCADE,
+                de_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                para_email TEXT, -- NULL -> aceita quem indicar o código da transferência
+                para_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- preenchido quando é aceite
+                estado TEXT NOT NULL DEFAULT 'pendente', -- 'pendente', 'aceite', 'recusada', 'cancelada'
+                expires_at TIMESTAMP NOT NULL,
+                respondido_em TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
 
 
+        // colunas adicionadas depois da criação inicial das tabelas
+        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS canalVerificado TEXT'); // 'sms' ou 'email'
+        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS tokensValidosDesde TIMESTAMPTZ'); // tokens emitidos antes disto são rejeitados
+        // com fuso horário -> a comparação com o iat do JWT não depende do fuso da BD nem do Node
+        await pool.query('ALTER TABLE users ALTER COLUMN tokensValidosDesde TYPE TIMESTAMPTZ');
+
+        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS veterinarioId INTEGER REFERENCES veterinarios(id)'); // ficha do veterinário (tipo veterinario)
+        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS clinicaId INTEGER REFERENCES clinicas(id)'); // clínica gerida/onde trabalha
+        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS tipoAtribuidoPor INTEGER'); // admin que atribuiu o tipo
+        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS eliminacaoAgendadaPara TIMESTAMP'); // fim do período para cancelar o fecho da conta
+        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS anonimizadoEm TIMESTAMP');
+        await pool.query('ALTER TABLE exames ADD COLUMN IF NOT EXISTS fotoUrl TEXT'); // usada pela foto do exame e pela anonimização
+        await pool.query('ALTER TABLE transferencias_animal ADD COLUMN IF NOT EXISTS codigo_hash TEXT'); // código secreto das transferências sem destinatário
+        await pool.query(`ALTER TABLE animais ADD COLUMN IF NOT EXISTS estado TEXT NOT NULL DEFAULT 'ativo'
+            CHECK (estado IN ('ativo', 'falecido', 'realojado', 'arquivado'))`); // animais inativos mantêm o histórico
+        await pool.query('ALTER TABLE animais ADD COLUMN IF NOT EXISTS dataFalecimento DATE');
+        await pool.query('ALTER TABLE animais ADD COLUMN IF NOT EXISTS causaFalecimento TEXT');
+        await pool.query('ALTER TABLE animais ADD COLUMN IF NOT EXISTS estadoAlteradoEm TIMESTAMP');
+        await pool.query('ALTER TABLE animais ADD COLUMN IF NOT EXISTS fotoMiniaturaUrl TEXT'); // miniatura da foto de capa
+        // especie e raca continuam com o nome (texto) para a app, os ids ligam ao catálogo
+        await pool.query('ALTER TABLE animais ADD COLUMN IF NOT EXISTS especieId INTEGER REFERENCES especies(id)');
+        await pool.query('ALTER TABLE animais ADD COLUMN IF NOT EXISTS racaId INTEGER REFERENCES racas(id)');
+        await pool.query('ALTER TABLE vacinas ADD COLUMN IF NOT EXISTS lote TEXT');
+        await pool.query('ALTER TABLE consultas ADD COLUMN IF NOT EXISTS tipo_consulta_id INTEGER REFERENCES tipos_consulta(id)');
+        await pool.query('ALTER TABLE consultas ADD COLUMN IF NOT EXISTS duracao_minutos INTEGER NOT NULL DEFAULT 30'); // as antigas ficam com 30 minutos
+        await pool.query('ALTER TABLE consultas ADD COLUMN IF NOT EXISTS observacoes TEXT'); // o PUT /consultas/:id já a atualizava
+        await pool.query('ALTER TABLE vacinas ADD COLUMN IF NOT EXISTS duracao_minutos INTEGER NOT NULL DEFAULT 15'); // tempo reservado ao veterinário
+        await pool.query('ALTER TABLE auditoria ADD COLUMN IF NOT EXISTS impersonacao_id INTEGER'); // ação feita com token de impersonação
+        await pool.query('ALTER TABLE auditoria ADD COLUMN IF NOT EXISTS actor_tipo TEXT');
+        await pool.query('ALTER TABLE auditoria ADD COLUMN IF NOT EXISTS antes JSONB'); // valores antes da alteração
+        await pool.query('ALTER TABLE auditoria ADD COLUMN IF NOT EXISTS depois JSONB'); // valores depois da alteração
+        await pool.query('ALTER TABLE auditoria ADD COLUMN IF NOT EXISTS user_agent TEXT');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_auditoria_created_at ON auditoria(created_at)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_auditoria_entidade ON auditoria(entidade, entidade_id)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_auditoria_actor ON auditoria(actor_id)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_medicoes_animal_tipo ON medicoes(animal_id, tipo, medido_em)');
+        await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_fotos_animal_capa ON fotos_animal(animal_id) WHERE capa'); // uma capa por animal
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_excecoes_horario_vet_data ON excecoes_horario(veterinario_id, data)');
+
+        // a foto única de antes da galeria passa a ser a capa na galeria
+        await pool.query(`
+            INSERT INTO fotos_animal (animal_id, url, capa, enviada_por, created_at)
+            SELECT a.id, a.fotoUrl, true, a.tutorId, CURRENT_TIMESTAMP
+            FROM animais a
+            WHERE a.fotoUrl IS NOT NULL
+            AND NOT EXISTS (SELECT 1 FROM fotos_animal f WHERE f.animal_id = a.id)
+        `);
+
+        // o lote das vacinas era guardado no início das observações ('lote: X') -> passa para a coluna lote
+        await pool.query(`
+            UPDATE vacinas
+            SET lote = substring(observacoes from '^lote: ([^\n]*)'),
+                observacoes = NULLIF(regexp_replace(observacoes, '^lote: [^\n]*\n?', ''), '')
+            WHERE lote IS NULL AND observacoes LIKE 'lote: %'
+        `);
+
+        // preenche o canal verificado dos utilizadores que já usaram o código de registo
+        await pool.query(`
+            UPDATE users u SET canalVerificado = c.canal
+            FROM codigos_verificacao c
+            WHERE c.user_id = u.id AND c.finalidade = 'registo' AND c.usado_em IS NOT NULL
+            AND u.canalVerificado IS NULL
+        `);
+
         // insere dados exemplo
         await seedDatabase();
+
+        // tipos de consulta (definem a duração por defeito)
+        const tiposConsultaExistentes = await pool.query('SELECT COUNT(*) FROM tipos_consulta');
+        if (parseInt(tiposConsultaExistentes.rows[0].count) === 0) {
+            await pool.query(`
+                INSERT INTO tipos_consulta (nome, descricao, duracao_minutos) VALUES
+                ('Consulta geral', 'Consulta de rotina ou por doença', 30),
+                ('Revisão', 'Controlo após tratamento ou cirurgia', 15),
+                ('Vacinação', 'Consulta para administração de vacinas', 15),
+                ('Urgência', 'Situação urgente', 45),
+                ('Exame', 'Realização de exames de diagnóstico', 30),
+                ('Cirurgia', 'Intervenção cirúrgica', 120)
+            `);
+        }
+
+        // veterinários sem horário ficam com o horário padrão (dias úteis, 9h-13h e 14h-18h)
+        // o horário semanal nunca fica vazio (PUT /veterinarios/:id/horario exige intervalos)
+        await pool.query(`
+            INSERT INTO horarios_veterinario (veterinario_id, dia_semana, hora_inicio, hora_fim)
+            SELECT v.id, d.dia, p.inicio::time, p.fim::time
+            FROM veterinarios v
+            CROSS JOIN generate_series(1, 5) AS d(dia)
+            CROSS JOIN (VALUES ('09:00', '13:00'), ('14:00', '18:00')) AS p(inicio, fim)
+            WHERE NOT EXISTS (SELECT 1 FROM horarios_veterinario h WHERE h.veterinario_id = v.id)
+        `);
+
+        // catálogo de espécies e raças e ligação dos animais que ainda só têm texto livre
+        await carregarCatalogoEspecies();
+        await normalizarEspeciesAnimais();
         console.log('Todas as tabelas criadas/verificadas');
 
     } catch (err) {
@@ -209,6 +654,216 @@ async function initDatabase() {
     }
 }
 
+// o tipo era escolhido livremente no registo -> passa a ser atribuído apenas por administradores
+// (corre uma única vez, quando a restrição ainda não existe)
+// só mantém o papel quem já está ligado a uma ficha de veterinário ou clínica, os restantes passam a tutor
+// e os administradores ligam depois os veterinários (PUT /utilizadores/:id/tipo)
+async function migrarTiposUtilizador() {
+    const client = await pool.connect();
+    let migrados = null;
+
+    try {
+        await client.query('BEGIN');
+        // dois arranques em simultâneo não migram duas vezes
+        await client.query('LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE');
+
+        const restricaoTipo = await client.query(
+            "SELECT 1 FROM pg_constraint WHERE conname = 'users_tipo_valido'"
+        );
+        if (restricaoTipo.rows.length === 0) {
+            migrados = await client.query(`
+                UPDATE users u SET tipo = CASE
+                    WHEN u.veterinarioId IS NOT NULL THEN 'veterinario'
+                    WHEN antigo.tipo = 'admin_clinica' AND u.clinicaId IS NOT NULL THEN 'admin_clinica'
+                    ELSE 'tutor'
+                END
+                FROM users antigo
+                WHERE antigo.id = u.id
+                AND antigo.tipo IS DISTINCT FROM (CASE
+                    WHEN u.veterinarioId IS NOT NULL THEN 'veterinario'
+                    WHEN antigo.tipo = 'admin_clinica' AND u.clinicaId IS NOT NULL THEN 'admin_clinica'
+                    ELSE 'tutor'
+                END)
+                RETURNING u.id, antigo.tipo AS tipo_anterior, u.tipo, u.veterinarioId
+            `);
+            await client.query(`
+                ALTER TABLE users ADD CONSTRAINT users_tipo_valido
+                CHECK (tipo IN ('tutor', 'veterinario', 'admin_clinica', 'admin'))
+            `);
+            await client.query("ALTER TABLE users ALTER COLUMN tipo SET DEFAULT 'tutor'");
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    if (migrados) {
+        // cada alteração fica na auditoria para os administradores reverem (PUT /utilizadores/:id/tipo)
+        for (const migrado of migrados.rows) {
+            await registarAuditoria(null, {
+                acao: 'tipo_migrado',
+                entidade: 'utilizador',
+                entidadeId: migrado.id,
+                antes: { tipo: migrado.tipo_anterior },
+                depois: { tipo: migrado.tipo, veterinarioId: migrado.veterinarioid },
+                detalhes: { motivo: 'tipos_atribuidos_por_administradores' }
+            });
+        }
+
+        const tutores = migrados.rows.filter(m => m.tipo === 'tutor').length;
+        console.log(`Tipos de utilizador migrados: ${migrados.rowCount} utilizadores alterados (${tutores} passaram a tutor)`);
+    }
+
+    // administrador inicial definido nas variáveis de ambiente
+    // -> só enquanto não existe nenhum administrador e só para uma conta com o email verificado
+    //    (um registo verificado por SMS com o mesmo email não passa a administrador)
+    if (process.env.ADMIN_EMAIL) {
+        const promovido = await pool.query(`
+            UPDATE users SET tipo = 'admin'
+            WHERE LOWER(email) = LOWER($1) AND verificado = true AND canalVerificado = 'email'
+            AND NOT EXISTS (SELECT 1 FROM users WHERE tipo = 'admin')
+            RETURNING id, tipo
+        `, [process.env.ADMIN_EMAIL]);
+
+        if (promovido.rows.length > 0) {
+            await registarAuditoria(null, {
+                acao: 'tipo_atribuido',
+                entidade: 'utilizador',
+                entidadeId: promovido.rows[0].id,
+                depois: promovido.rows[0],
+                detalhes: { motivo: 'admin_email' }
+            });
+            console.log(`Administrador inicial: utilizador ${promovido.rows[0].id}`);
+        }
+    }
+}
+
+// agenda dos veterinários: um período por consulta ou vacina agendada, sem sobreposições
+// a restrição EXCLUDE garante na BD que dois pedidos em simultâneo não ficam com o mesmo horário
+// (as verificações nas rotas servem só para dar uma resposta mais clara)
+async function criarAgendaVeterinarios() {
+    await pool.query('CREATE EXTENSION IF NOT EXISTS btree_gist'); // '=' em inteiros dentro de um índice GiST
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS agenda_veterinario (
+            id SERIAL PRIMARY KEY,
+            veterinario_id INTEGER NOT NULL REFERENCES veterinarios(id) ON DELETE CASCADE,
+            periodo TSRANGE NOT NULL,
+            consulta_id INTEGER UNIQUE REFERENCES consultas(id) ON DELETE CASCADE,
+            vacina_id INTEGER UNIQUE REFERENCES vacinas(id) ON DELETE CASCADE,
+            CHECK ((consulta_id IS NULL) != (vacina_id IS NULL)),
+            CONSTRAINT agenda_sem_sobreposicao EXCLUDE USING gist (veterinario_id WITH =, periodo WITH &&)
+        )
+    `);
+
+    // triggers que mantêm a agenda igual às consultas/vacinas
+    // (consultas canceladas e vacinas que deixaram de estar agendadas libertam o período)
+    // um UPDATE que não muda o período nem se o ocupa não mexe na agenda (ex: consulta passada a realizada)
+    await pool.query(`
+        CREATE OR REPLACE FUNCTION sincronizar_agenda_consulta() RETURNS trigger AS $$
+        BEGIN
+            IF TG_OP = 'UPDATE'
+               AND NEW.data = OLD.data AND NEW.hora = OLD.hora
+               AND NEW.duracao_minutos IS NOT DISTINCT FROM OLD.duracao_minutos
+               AND NEW.veterinarioId IS NOT DISTINCT FROM OLD.veterinarioId
+               AND (NEW.estado IS DISTINCT FROM 'cancelada') = (OLD.estado IS DISTINCT FROM 'cancelada') THEN
+                RETURN NULL;
+            END IF;
+            DELETE FROM agenda_veterinario WHERE consulta_id = NEW.id;
+            IF NEW.estado IS DISTINCT FROM 'cancelada' AND NEW.veterinarioId IS NOT NULL THEN
+                INSERT INTO agenda_veterinario (veterinario_id, periodo, consulta_id)
+                VALUES (NEW.veterinarioId,
+                        tsrange(NEW.data + NEW.hora, NEW.data + NEW.hora + make_interval(mins => NEW.duracao_minutos)),
+                        NEW.id);
+            END IF;
+            RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql
+    `);
+    await pool.query(`
+        CREATE OR REPLACE FUNCTION sincronizar_agenda_vacina() RETURNS trigger AS $$
+        BEGIN
+            IF TG_OP = 'UPDATE'
+               AND NEW.data_agendada IS NOT DISTINCT FROM OLD.data_agendada
+               AND NEW.duracao_minutos IS NOT DISTINCT FROM OLD.duracao_minutos
+               AND NEW.veterinarioId IS NOT DISTINCT FROM OLD.veterinarioId
+               AND (NEW.estado = 'agendada') IS NOT DISTINCT FROM (OLD.estado = 'agendada') THEN
+                RETURN NULL;
+            END IF;
+            DELETE FROM agenda_veterinario WHERE vacina_id = NEW.id;
+            IF NEW.estado = 'agendada' AND NEW.veterinarioId IS NOT NULL THEN
+                INSERT INTO agenda_veterinario (veterinario_id, periodo, vacina_id)
+                VALUES (NEW.veterinarioId,
+                        tsrange(NEW.data_agendada, NEW.data_agendada + make_interval(mins => NEW.duracao_minutos)),
+                        NEW.id);
+            END IF;
+            RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql
+    `);
+    await pool.query('DROP TRIGGER IF EXISTS trg_agenda_consulta ON consultas');
+    await pool.query(`
+        CREATE TRIGGER trg_agenda_consulta
+        AFTER INSERT OR UPDATE OF data, hora, duracao_minutos, veterinarioId, estado ON consultas
+        FOR EACH ROW EXECUTE FUNCTION sincronizar_agenda_consulta()
+    `);
+    await pool.query('DROP TRIGGER IF EXISTS trg_agenda_vacina ON vacinas');
+    await pool.query(`
+        CREATE TRIGGER trg_agenda_vacina
+        AFTER INSERT OR UPDATE OF data_agendada, duracao_minutos, veterinarioId, estado ON vacinas
+        FOR EACH ROW EXECUTE FUNCTION sincronizar_agenda_vacina()
+    `);
+
+    // marcações futuras de antes da agenda; as que já se sobrepunham ficam de fora (ON CONFLICT DO NOTHING)
+    // as passadas já não se podem remarcar e ficam fora da agenda
+    const consultasAgenda = await pool.query(`
+        INSERT INTO agenda_veterinario (veterinario_id, periodo, consulta_id)
+        SELECT c.veterinarioId, tsrange(c.data + c.hora, c.data + c.hora + make_interval(mins => c.duracao_minutos)), c.id
+        FROM consultas c
+        WHERE c.estado IS DISTINCT FROM 'cancelada' AND c.veterinarioId IS NOT NULL
+        AND c.data >= CURRENT_DATE
+        AND NOT EXISTS (SELECT 1 FROM agenda_veterinario ag WHERE ag.consulta_id = c.id)
+        ORDER BY c.dataMarcacao
+        ON CONFLICT DO NOTHING
+    `);
+    const vacinasAgenda = await pool.query(`
+        INSERT INTO agenda_veterinario (veterinario_id, periodo, vacina_id)
+        SELECT v.veterinarioId, tsrange(v.data_agendada, v.data_agendada + make_interval(mins => v.duracao_minutos)), v.id
+        FROM vacinas v
+        WHERE v.estado = 'agendada' AND v.veterinarioId IS NOT NULL
+        AND v.data_agendada >= CURRENT_DATE
+        AND NOT EXISTS (SELECT 1 FROM agenda_veterinario ag WHERE ag.vacina_id = v.id)
+        ORDER BY v.dataRegisto
+        ON CONFLICT DO NOTHING
+    `);
+    if (consultasAgenda.rowCount + vacinasAgenda.rowCount > 0) {
+        console.log(`Agenda dos veterinários: ${consultasAgenda.rowCount} consultas e ${vacinasAgenda.rowCount} vacinas adicionadas`);
+    }
+
+    // as futuras que ficaram de fora continuam sobrepostas e têm de ser remarcadas à mão
+    const foraDaAgenda = await pool.query(`
+        SELECT 'consulta' as tipo, c.id
+        FROM consultas c
+        WHERE c.estado IS DISTINCT FROM 'cancelada' AND c.veterinarioId IS NOT NULL
+        AND c.data >= CURRENT_DATE
+        AND NOT EXISTS (SELECT 1 FROM agenda_veterinario ag WHERE ag.consulta_id = c.id)
+        UNION ALL
+        SELECT 'vacina', v.id
+        FROM vacinas v
+        WHERE v.estado = 'agendada' AND v.veterinarioId IS NOT NULL
+        AND v.data_agendada >= CURRENT_DATE
+        AND NOT EXISTS (SELECT 1 FROM agenda_veterinario ag WHERE ag.vacina_id = v.id)
+        ORDER BY tipo, id
+    `);
+    if (foraDaAgenda.rows.length > 0) {
+        const ids = (tipo) => foraDaAgenda.rows.filter(r => r.tipo === tipo).map(r => r.id).join(', ') || '-';
+        console.warn(`Agenda dos veterinários: marcações sobrepostas que ficaram fora da agenda - consultas: ${ids('consulta')}; vacinas: ${ids('vacina')}`);
+    }
+}
+
 // função para inserir dados de exemplo
 async function seedDatabase() {
     try {
@@ -302,2322 +957,9441 @@ async function seedDatabase() {
 
 
 
-// MIDDLEWARE==============================================
-//ALTERAÇÃO APÓS ENTREGA (TROCA DAS ROTAS)
+// ENVIO DE MENSAGENS==============================================
 
-// MIDDLEWARE DE DEBUG
-app.use((req, res, next) => {
-    // Verificar se debug está ativo -> ?debug=true na URL, ignora autenticação
-    if (process.env.DEBUG_MODE === 'true' && req.query.debug === 'true') {
-        console.log(`DEBUG ATIVADO: ${req.method} ${req.path}`);
-        
-        // Cria user fake com poderes de veterinário
-        req.user = { 
-            id: 999, 
-            email: 'debug@teste.com',
-            tipo: 'veterinario'  // Veterinário vê tudo
-        };
-        req.token = 'debug-token';
-        
-        // Guardar referência para o método original
-        const originalJson = res.json;
-        
-        // Interceptar a resposta para adicionar aviso
-        res.json = function(data) {
-            if (data && typeof data === 'object') {
-                data.aviso = 'Modo debug ativo';
+// transportes disponíveis para entregar mensagens (SMS, email ou ficheiro local)
+const transportes = {
+    // escreve as mensagens num ficheiro local (desenvolvimento e testes)
+    outbox: {
+        async enviar(mensagem) {
+            const outboxPath = process.env.OUTBOX_PATH || './outbox';
+            await fs.promises.mkdir(outboxPath, { recursive: true }); // cria pasta se não existir
+
+            // uma mensagem por linha (JSON Lines)
+            const linha = JSON.stringify({ ...mensagem, enviadaEm: new Date().toISOString() }) + '\n';
+            await fs.promises.appendFile(path.join(outboxPath, 'mensagens.jsonl'), linha);
+        }
+    },
+
+    // envia SMS através do gateway HTTP configurado nas variáveis de ambiente
+    sms: {
+        async enviar({ destino, texto }) {
+            if (!process.env.SMS_API_URL) {
+                throw new Error('SMS_API_URL não configurado');
             }
-            return originalJson.call(this, data);
-        };
-        
-        return next(); // Continua para as rotas
+
+            const response = await fetch(process.env.SMS_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${process.env.SMS_API_KEY}`
+                },
+                body: JSON.stringify({
+                    from: process.env.SMS_REMETENTE || 'VetConnect',
+                    to: destino,
+                    text: texto
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Gateway SMS respondeu com ${response.status}`);
+            }
+        }
+    },
+
+    // envia emails por SMTP
+    email: {
+        transporter: null, // criado apenas no primeiro envio
+
+        async enviar({ destino, assunto, texto }) {
+            if (!this.transporter) {
+                this.transporter = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER
+                        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                        : undefined
+                });
+            }
+
+            await this.transporter.sendMail({
+                from: process.env.EMAIL_REMETENTE || 'VetConnect <no-reply@vetconnect.pt>',
+                to: destino,
+                subject: assunto,
+                text: texto
+            });
+        }
     }
-    next();
-});
+};
 
-// MIDDLEWARE DE AUTENTICAÇÃO 
-function authenticateToken(req, res, next) {
-    // SE JÁ TEM USER DO DEBUG (ID 999), PASSA DIRETO SEM VERIFICAR TOKEN
-    if (req.user && req.user.id === 999) {
-        console.log(`DEBUG: a ignorar autenticação para ${req.path}`);
-        return next();
+// transporte usado quando MENSAGENS_TRANSPORTE não está definido
+// no Render (ou em produção) os códigos têm de ser mesmo enviados -> nunca cair na outbox local por omissão
+const MENSAGENS_TRANSPORTE_DEFAULT = isRender || process.env.NODE_ENV === 'production' ? 'real' : 'outbox';
+
+// escolhe o transporte -> MENSAGENS_TRANSPORTE=real usa SMS/email, MENSAGENS_TRANSPORTE=outbox usa a outbox local
+function obterTransporte(canal) {
+    if ((process.env.MENSAGENS_TRANSPORTE || MENSAGENS_TRANSPORTE_DEFAULT) !== 'real') {
+        return transportes.outbox;
     }
-    
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    return transportes[canal];
+}
 
-    if (!token) {
-        return res.status(401).json({ error: 'Token de autenticação necessário' });
+// envia uma mensagem por SMS ou email -> { canal, destino, assunto, texto }
+async function enviarMensagem(mensagem) {
+    const transporte = obterTransporte(mensagem.canal);
+
+    if (!transporte) {
+        throw new Error(`Canal de mensagem desconhecido: ${mensagem.canal}`);
     }
 
-    // Verificar primeiro se está na blacklist
-    pool.query('SELECT * FROM invalidated_tokens WHERE token = $1', [token])
-        .then(result => {
-            if (result.rows.length > 0) {
-                return res.status(403).json({ error: 'Token revogado. Faça login novamente.' });
-            }
+    await transporte.enviar(mensagem);
+    console.log(`Mensagem enviada por ${mensagem.canal}`); // sem o destinatário -> não expor emails/telemóveis nos logs
+}
 
-            // Se não está na blacklist, verificar normalmente
-            jwt.verify(token, process.env.JWT_SECRET || 'dev_secret', (err, user) => {
-                if (err) {
-                    return res.status(403).json({ error: 'Token inválido ou expirado' });
-                }
 
-                // Anexar token ao request para uso posterior
-                req.token = token;
-                req.user = user;
-                next();
-            });
-        })
-        .catch(err => {
-            console.error('Erro ao verificar token na blacklist:', err);
-            return res.status(500).json({ error: 'Erro interno do servidor' });
-        });
+
+// CÓDIGOS DE VERIFICAÇÃO==============================================
+
+const CODIGO_VALIDADE_MINUTOS = 10; // tempo até o código expirar
+const CODIGO_MAX_TENTATIVAS = 5; // tentativas erradas permitidas por código
+const CODIGO_INTERVALO_REENVIO_SEGUNDOS = 60; // tempo mínimo entre dois envios
+
+// gera um código de 6 dígitos criptograficamente seguro
+function gerarCodigo() {
+    return crypto.randomInt(100000, 1000000).toString();
 }
 
+// cria um novo código para o utilizador e envia-o pelo canal indicado
+// invalida os códigos anteriores com a mesma finalidade
+async function emitirCodigo(userId, { finalidade, canal, destino, assunto, texto }) {
+    const codigo = gerarCodigo();
+    const codigoHash = await bcrypt.hash(codigo, 10);
+
+    // expira códigos anteriores ainda por usar
+    await pool.query(
+        `UPDATE codigos_verificacao SET expires_at = NOW()
+         WHERE user_id = $1 AND finalidade = $2 AND usado_em IS NULL AND expires_at > NOW()`,
+        [userId, finalidade]
+    );
+
+    await pool.query(
+        `INSERT INTO codigos_verificacao(user_id, finalidade, canal, destino, codigo_hash, expires_at)
+         VALUES($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))`,
+        [userId, finalidade, canal, destino, codigoHash, CODIGO_VALIDADE_MINUTOS]
+    );
+
+    // texto é uma função que recebe o código e devolve a mensagem
+    await enviarMensagem({ canal, destino, assunto, texto: texto(codigo) });
+
+    return codigo;
+}
 
+// devolve quantos segundos faltam até ser possível reenviar um código (0 se já pode)
+async function segundosAteReenvio(userId, finalidade) {
+    const result = await pool.query(
+        `SELECT EXTRACT(EPOCH FROM (created_at + make_interval(secs => $3) - NOW())) AS restante
+         FROM codigos_verificacao
+         WHERE user_id = $1 AND finalidade = $2
+         ORDER BY created_at DESC LIMIT 1`,
+        [userId, finalidade, CODIGO_INTERVALO_REENVIO_SEGUNDOS]
+    );
+
+    if (result.rows.length === 0) return 0;
+    return Math.max(0, Math.ceil(parseFloat(result.rows[0].restante)));
+}
 
+// valida o código mais recente do utilizador para uma finalidade
+// devolve { valido: true, registo } ou { valido: false, motivo, tentativasRestantes }
+async function validarCodigo(userId, finalidade, codigo) {
+    const result = await pool.query(
+        `SELECT * FROM codigos_verificacao
+         WHERE user_id = $1 AND finalidade = $2 AND usado_em IS NULL
+         ORDER BY created_at DESC LIMIT 1`,
+        [userId, finalidade]
+    );
+
+    if (result.rows.length === 0) {
+        return { valido: false, motivo: 'inexistente' };
+    }
 
-// ROTAS DE UTILIZADOR==============================================
+    const registo = result.rows[0];
 
-// POST /utilizadores -> cria um novo utilizador
-app.post('/utilizadores', async (req, res) => {
-    try {
-        const { nome, email, telemovel, tipo } = req.body;
+    if (new Date(registo.expires_at) <= new Date()) {
+        return { valido: false, motivo: 'expirado' };
+    }
 
-        // Valida campos obrigatórios
-        if (!nome || !email || !telemovel || !tipo) {
-            return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
-        }
+    if (registo.tentativas >= CODIGO_MAX_TENTATIVAS) {
+        return { valido: false, motivo: 'tentativas' };
+    }
 
-        // valida o número de telemóvel 
-        const telemovelRegex = /^\+?[0-9]{9,15}$/; // Exemplo: +351912345678 ou 912345678
-        if (!telemovelRegex.test(telemovel)) {
-            return res.status(400).json({
-                error: 'Número de telemóvel inválido'
-            });
-        }
+    const isCodigoCorreto = await bcrypt.compare(String(codigo), registo.codigo_hash);
 
-        // verificar se o email já existe
-        const existingUser = await pool.query(
-            'SELECT * FROM users WHERE email = $1',
-            [email]
+    if (!isCodigoCorreto) {
+        await pool.query(
+            'UPDATE codigos_verificacao SET tentativas = tentativas + 1 WHERE id = $1',
+            [registo.id]
         );
+        return {
+            valido: false,
+            motivo: 'invalido',
+            tentativasRestantes: CODIGO_MAX_TENTATIVAS - registo.tentativas - 1
+        };
+    }
 
-        // se existir, retornar erro
-        if (existingUser.rows.length > 0) {
-            return res.status(400).json({ error: 'Utilizador com este email já existe' });
-        }
-
-        // verificar se o número de telemóvel já existe
-        const existingPhone = await pool.query(
-            'SELECT * FROM users WHERE telemovel = $1',
-            [telemovel]
-        );
+    // marca o código como usado para não poder ser reutilizado
+    await pool.query(
+        'UPDATE codigos_verificacao SET usado_em = NOW() WHERE id = $1',
+        [registo.id]
+    );
 
-        // se existir, retorna erro
-        if (existingPhone.rows.length > 0) {
-            return res.status(400).json({
-                error: 'Utilizador com este telemóvel já existe'
-            });
-        }
+    return { valido: true, registo };
+}
 
-        // Gerar código de verificação de 6 dígitos random
-        const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
+// responde ao cliente quando a validação de um código falha
+function responderCodigoInvalido(res, resultado) {
+    if (resultado.motivo === 'tentativas') {
+        return res.status(429).json({
+            message: 'Número máximo de tentativas excedido. Peça um novo código.'
+        });
+    }
 
-        // Inserir novo utilizador
-        const result = await pool.query(
-            `INSERT INTO users(nome, email, telemovel, tipo, verificado, codigoVerificacao) 
-        VALUES($1, $2, $3, $4, $5, $6) RETURNING id, dataRegisto`,
-            [nome, email, telemovel, tipo, false, verificationCode] // false - não verificado inicialmente
-        );
+    if (resultado.motivo === 'invalido') {
+        return res.status(400).json({
+            message: 'Código de verificação inválido',
+            tentativasRestantes: resultado.tentativasRestantes
+        });
+    }
 
-        // na consola mostra o código de verificação que funciona como um SMS simulado
-        console.log(`Utilizador ${nome} criado.Código: ${verificationCode}`);
+    // inexistente ou expirado
+    return res.status(400).json({ message: 'Código expirado ou inexistente. Peça um novo código.' });
+}
 
-        // responde com os dados do utilizador
-        const userResponse = {
-            id: result.rows[0].id,
-            nome,
-            email,
-            telemovel,
-            tipo,
-            dataRegisto: result.rows[0].dataregisto || new Date(),
-            verificado: false
-        };
+// envia o código de verificação da conta por SMS (telemóvel) ou email
+async function enviarCodigoRegisto(user, canal) {
+    return emitirCodigo(user.id, {
+        finalidade: 'registo',
+        canal,
+        destino: canal === 'email' ? user.email : user.telemovel,
+        assunto: 'Código de verificação VetConnect',
+        texto: codigo => `O seu código de verificação VetConnect é ${codigo}. Válido durante ${CODIGO_VALIDADE_MINUTOS} minutos.`
+    });
+}
 
-        // retorna resposta
-        res.status(201).json({
-            user: userResponse,
-            message: "Utilizador criado - a aguardar verificação",
-            verificationCode: verificationCode
-        });
+// contactos que só mudam depois de confirmados com um código enviado para o novo destino
+const CONTACTOS_ALTERAVEIS = {
+    email: { finalidade: 'alterar_email', canal: 'email', descricao: 'email' },
+    telemovel: { finalidade: 'alterar_telemovel', canal: 'sms', descricao: 'número de telemóvel' }
+};
+
+// envia o código de confirmação para o novo email ou telemóvel (o destino fica guardado no código)
+async function enviarCodigoAlteracaoContacto(userId, tipo, destino) {
+    const contacto = CONTACTOS_ALTERAVEIS[tipo];
+
+    return emitirCodigo(userId, {
+        finalidade: contacto.finalidade,
+        canal: contacto.canal,
+        destino,
+        assunto: `Confirmação do novo ${contacto.descricao} VetConnect`,
+        texto: codigo => `O seu código para confirmar o novo ${contacto.descricao} na VetConnect é ${codigo}. Válido durante ${CODIGO_VALIDADE_MINUTOS} minutos.`
+    });
+}
 
-    } catch (error) {
-        console.error('Erro ao criar utilizador:', error);
-        res.status(500).json({ error: 'Erro no servidor' });
-    }
-});
 
 
-// POST /utilizadores/verificar -> rota para verificar o código
-app.post('/utilizadores/verificar', async (req, res) => {
-    try {
-        const { email, codigoVerificacao } = req.body;
+// PROTEÇÃO CONTRA FORÇA BRUTA==============================================
 
-        if (!email || !codigoVerificacao) {
-            return res.status(400).json({ message: 'Email e código são obrigatórios' });
-        }
+// limites por conta (email) e por IP
+const LIMITES_FALHAS = {
+    conta: { atrasoApos: 3, maxFalhas: 10, bloqueioMinutos: 30 },
+    ip: { atrasoApos: 10, maxFalhas: 30, bloqueioMinutos: 15 }
+};
+const JANELA_FALHAS_MINUTOS = 60; // falhas mais antigas do que isto deixam de contar
 
-        // procura utilziador pelo email
-        const result = await pool.query(
-            'SELECT * FROM users WHERE email = $1',
-            [email]
-        );
+// hash usado quando o email não existe, para a resposta demorar o mesmo tempo
+const PIN_HASH_FICTICIO = bcrypt.hashSync('000000', 10);
 
-        // se não encontrar, retorna erro
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Utilizador não encontrado' });
-        }
+// chaves de contagem de falhas para um pedido de login
+function chavesFalhas(email, req) {
+    return {
+        conta: `conta:${String(email).trim().toLowerCase()}`,
+        ip: `ip:${req.ip}`
+    };
+}
 
-        // identifica o user
-        const user = result.rows[0];
+// devolve os segundos que faltam até o bloqueio mais longo terminar (0 se não houver)
+async function segundosBloqueado(chaves) {
+    const result = await pool.query(
+        `SELECT MAX(EXTRACT(EPOCH FROM (bloqueado_ate - NOW()))) AS restante
+         FROM tentativas_falhadas
+         WHERE chave = ANY($1) AND bloqueado_ate > NOW()`,
+        [chaves]
+    );
+
+    const restante = result.rows[0].restante;
+    return restante ? Math.ceil(parseFloat(restante)) : 0;
+}
 
-        // compara o código inserido com o armazenado
-        if (user.codigoverificacao !== codigoVerificacao) {
-            return res.status(400).json({ message: 'Código de verificação inválido' });
-        }
+// regista uma falha e aplica atraso exponencial ou bloqueio temporário
+// tipo -> 'conta' ou 'ip' (ver LIMITES_FALHAS)
+async function registarFalha(chave, tipo) {
+    const { atrasoApos, maxFalhas, bloqueioMinutos } = LIMITES_FALHAS[tipo];
+
+    // incrementa o contador (recomeça se a última falha já for antiga)
+    const result = await pool.query(
+        `INSERT INTO tentativas_falhadas(chave, falhas, ultima_falha)
+         VALUES($1, 1, NOW())
+         ON CONFLICT (chave) DO UPDATE SET
+            falhas = CASE
+                WHEN tentativas_falhadas.ultima_falha < NOW() - make_interval(mins => $2) THEN 1
+                ELSE tentativas_falhadas.falhas + 1
+            END,
+            ultima_falha = NOW()
+         RETURNING falhas`,
+        [chave, JANELA_FALHAS_MINUTOS]
+    );
+
+    const falhas = result.rows[0].falhas;
+
+    // calcula o tempo de espera: 1s, 2s, 4s, 8s... até ao bloqueio completo
+    let segundosEspera = 0;
+    if (falhas >= maxFalhas) {
+        segundosEspera = bloqueioMinutos * 60;
+        console.warn(`Bloqueio temporário aplicado a ${chave} após ${falhas} falhas`);
+    } else if (falhas >= atrasoApos) {
+        segundosEspera = Math.min(2 ** (falhas - atrasoApos), bloqueioMinutos * 60);
+    }
 
-        // atualiza o utilizador para verificado e remove o código
+    if (segundosEspera > 0) {
         await pool.query(
-            'UPDATE users SET codigoVerificacao = NULL, verificado = true WHERE email = $1',
-            [email]
+            'UPDATE tentativas_falhadas SET bloqueado_ate = NOW() + make_interval(secs => $2) WHERE chave = $1',
+            [chave, segundosEspera]
         );
+    }
 
-        // resposta de sucesso
-        console.log(`Utilizador ${user.nome} verificado com sucesso.`);
-        res.status(200).json({ message: 'Verificação bem-sucedida', userId: user.id });
+    return falhas;
+}
 
+// limpa o contador de falhas (login correto ou desbloqueio)
+async function limparFalhas(chave) {
+    await pool.query('DELETE FROM tentativas_falhadas WHERE chave = $1', [chave]);
+}
 
-    } catch (error) {
-        console.error('Erro na verificação:', error);
-        res.status(500).json({ message: 'Erro interno do servidor' });
-    }
-});
+// responde com 429 quando a conta ou o IP estão bloqueados
+function responderBloqueado(res, segundos) {
+    res.set('Retry-After', String(segundos));
+    return res.status(429).json({
+        message: 'Demasiadas tentativas falhadas. Tente novamente mais tarde.',
+        retryAfter: segundos
+    });
+}
 
 
-// POST /utilizadores/criar-pin -> rota para criar o PIN
-app.post('/utilizadores/criar-pin', async (req, res) => {
-    try {
-        const { email, pin } = req.body;
+// limite simples de pedidos por IP para rotas públicas
+// contado na BD (janela fixa) -> vale para todas as instâncias e não recomeça quando o servidor reinicia
+function limitarPedidos({ nome, maximo, janelaMinutos }) {
+    return async (req, res, next) => {
+        try {
+            const result = await pool.query(
+                `INSERT INTO limites_pedidos(chave, pedidos, janela_inicio)
+                 VALUES($1, 1, NOW())
+                 ON CONFLICT (chave) DO UPDATE SET
+                    pedidos = CASE
+                        WHEN limites_pedidos.janela_inicio < NOW() - make_interval(mins => $2) THEN 1
+                        ELSE limites_pedidos.pedidos + 1
+                    END,
+                    janela_inicio = CASE
+                        WHEN limites_pedidos.janela_inicio < NOW() - make_interval(mins => $2) THEN NOW()
+                        ELSE limites_pedidos.janela_inicio
+                    END
+                 RETURNING pedidos, EXTRACT(EPOCH FROM (janela_inicio + make_interval(mins => $2) - NOW())) AS restante`,
+                [`${nome}:${req.ip}`, janelaMinutos]
+            );
 
-        if (!email || !pin) {
-            return res.status(400).json({ message: 'Email e PIN são obrigatórios' });
-        }
-        if (String(pin).length !== 6) {
-            return res.status(400).json({ message: 'O PIN deve ter 6 dígitos' });
+            const { pedidos, restante } = result.rows[0];
+            if (pedidos > maximo) {
+                const segundos = Math.max(Math.ceil(parseFloat(restante)), 1);
+                res.set('Retry-After', String(segundos));
+                return res.status(429).json({
+                    error: 'Demasiados pedidos. Tente novamente mais tarde.',
+                    retryAfter: segundos
+                });
+            }
+        } catch (error) {
+            console.error('Erro ao verificar limite de pedidos:', error);
+            return res.status(500).json({ error: 'Erro no servidor' });
         }
 
-        // procura utilizador pelo email
-        const result = await pool.query(
-            'SELECT * FROM users WHERE email = $1',
-            [email]
-        );
+        next();
+    };
+}
 
-        // se não encontrar, retorna erro
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Utilizador não encontrado' });
-        }
 
-        const user = result.rows[0];
 
-        // Hash do PIN antes de armazenar
-        const salt = await bcrypt.genSalt(10); // Gerar salt
-        const hashedPin = await bcrypt.hash(String(pin), salt); // Hash do PIN
+// AUDITORIA==============================================
 
-        // atualiza o PIN do utilizador na BD
-        await pool.query(
-            'UPDATE users SET pin = $1 WHERE email = $2',
-            [hashedPin, email]
-        );
+// campos que nunca são guardados nos valores antes/depois
+const CAMPOS_OCULTOS_AUDITORIA = ['pin', 'codigoverificacao', 'codigo_hash', 'token_hash'];
 
-        console.log(`PIN criado para o utilizador ${user.nome}.`);
-        res.status(200).json({ message: 'PIN criado com sucesso', userId: user.id });
+// remove campos sensíveis de um registo antes de o guardar na auditoria
+function limparParaAuditoria(registo) {
+    if (!registo) return null;
+
+    const limpo = { ...registo };
+    CAMPOS_OCULTOS_AUDITORIA.forEach(campo => delete limpo[campo]);
+    return limpo;
+}
+
+// guarda um evento no registo de auditoria
+// -> quem (ator), o quê (ação), sobre quê (entidade e id), valores antes/depois, IP e data
+// uma falha aqui não deve impedir a operação principal, apenas fica registada na consola
+// durante uma impersonação o ator é sempre o administrador real
+// req pode ser null em tarefas automáticas (sem pedido HTTP)
+async function registarAuditoria(req, { actorId, acao, entidade, entidadeId, antes, depois, detalhes }) {
+    req = req || { get: () => null };
 
+    const atorPorDefeito = req.impersonacao
+        ? req.impersonacao.adminId
+        : (req.user ? req.user.id : null);
+
+    try {
+        await pool.query(
+            `INSERT INTO auditoria(actor_id, actor_tipo, acao, entidade, entidade_id, antes, depois, detalhes, ip, user_agent, impersonacao_id)
+             VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [
+                actorId !== undefined ? actorId : atorPorDefeito,
+                req.impersonacao ? 'admin' : (req.user ? req.user.tipo : null),
+                acao,
+                entidade || null,
+                entidadeId || null,
+                antes ? JSON.stringify(limparParaAuditoria(antes)) : null,
+                depois ? JSON.stringify(limparParaAuditoria(depois)) : null,
+                detalhes ? JSON.stringify(detalhes) : null,
+                req.ip || null,
+                req.get('user-agent') || null,
+                req.impersonacao ? req.impersonacao.id : null
+            ]
+        );
     } catch (error) {
-        console.error('Erro ao criar o PIN:', error);
-        res.status(500).json({ message: 'Erro interno do servidor' });
+        console.error(`Erro ao registar auditoria (${acao}):`, error);
     }
-});
+}
 
-// rota de Login
-app.post('/utilizadores/login', async (req, res) => {
-    try {
-        const { email, pin } = req.body;
 
-        if (!email || !pin) {
-            return res.status(400).json({ message: 'Email e PIN são obrigatórios' });
-        }
 
-        // procura utilizador pelo email
-        const result = await pool.query(
-            'SELECT * FROM users WHERE email = $1',
-            [email]
-        );
+// TIPOS DE UTILIZADOR E PERMISSÕES==============================================
+
+// tipos (papéis) de utilizador -> atribuídos por administradores, nunca no registo
+const TIPOS_UTILIZADOR = ['tutor', 'veterinario', 'admin_clinica', 'admin'];
+
+// permissão -> tipos que a têm
+// o acesso aos próprios dados (ex: o tutor ao seu animal) é verificado nas rotas
+const PERMISSOES = {
+    'utilizadores:listar': ['veterinario', 'admin_clinica', 'admin'],
+    'utilizadores:ver_qualquer': ['veterinario', 'admin_clinica', 'admin'],
+    'utilizadores:atribuir_tipo': ['admin_clinica', 'admin'],
+    'animais:ver_qualquer': ['veterinario', 'admin_clinica', 'admin'],
+    'animais:foto_qualquer': ['veterinario', 'admin'],
+    'consultas:ver_qualquer': ['veterinario', 'admin_clinica', 'admin'],
+    'consultas:cancelar_qualquer': ['veterinario', 'admin_clinica', 'admin'],
+    'vacinas:atualizar_qualquer': ['veterinario', 'admin'],
+    'admin:impersonar': ['admin'],
+    'auditoria:consultar': ['admin'],
+    'animais:pesquisar': ['veterinario', 'admin_clinica', 'admin'],
+    'medicoes:registar_qualquer': ['veterinario', 'admin'],
+    'prescricoes:gerir_qualquer': ['veterinario', 'admin'],
+    'perfil_medico:editar_qualquer': ['veterinario', 'admin'],
+    'animais:estado_qualquer': ['veterinario', 'admin'],
+    'catalogo:gerir': ['admin'],
+    'horarios:gerir_qualquer': ['admin']
+};
+
+// verifica se o utilizador tem uma permissão
+function temPermissao(user, permissao) {
+    return Boolean(user) && (PERMISSOES[permissao] || []).includes(user.tipo);
+}
 
-        // se não encontrar ou não tiver PIN, retorna erro
-        if (result.rows.length === 0 || !result.rows[0].pin) {
-            return res.status(401).json({ message: 'Email ou PIN incorretos' });
+// middleware que só deixa passar utilizadores com a permissão indicada
+function autorizar(permissao) {
+    return (req, res, next) => {
+        if (!temPermissao(req.user, permissao)) {
+            registarAuditoria(req, {
+                acao: 'acesso_negado',
+                detalhes: { permissao, metodo: req.method, rota: req.originalUrl }
+            });
+            return res.status(403).json({ error: 'Acesso negado' });
         }
+        next();
+    };
+}
 
-        const user = result.rows[0];
 
-        // Comparar o PIN inserido com o hash armazenado
-        const isPinCorrect = await bcrypt.compare(String(pin), user.pin);
 
-        if (!isPinCorrect) {
-            return res.status(401).json({ message: 'PIN incorreto' });
-        }
+// PARTILHA DE ANIMAIS==============================================
 
-        // Gerar JWT para autenticação
-        const token = jwt.sign(
-            { id: user.id, email: user.email },
-            process.env.JWT_SECRET, // Chave secreta do JWT nas variáveis de ambiente
-            { expiresIn: '3h' } // Loginválido por 3 horas
-        );
+// papéis de quem partilha um animal, do menor para o maior acesso
+// leitura -> só consulta; cotutor -> gere consultas, vacinas e exames; dono -> também gere a partilha
+const PAPEIS_ANIMAL = ['leitura', 'cotutor', 'dono'];
+const CONVITE_VALIDADE_DIAS = 7;
 
-        // Responder com o token e dados do utilizador
-        const userResponse = {
-            id: user.id,
-            nome: user.nome,
-            email: user.email,
-            telemovel: user.telemovel,
-            nacionalidade: user.nacionalidade,
-            sexo: user.sexo,
-            cc: user.cc,
-            dataNascimento: user.datanascimento,
-            morada: user.morada,
-            tipo: user.tipo,
-            dataRegisto: user.dataregisto,
-            verificado: user.verificado
-        };
+// condição SQL para os animais a que o utilizador $1 tem acesso (usar com o alias a para animais)
+const SQL_ANIMAL_ACESSIVEL = `(a.tutorId = $1 OR EXISTS (
+    SELECT 1 FROM animal_tutores at WHERE at.animal_id = a.id AND at.user_id = $1
+))`;
 
-        res.status(200).json({
-            message: 'Login bem-sucedido',
-            token: token,
-            user: userResponse
-        });
+// devolve o papel do utilizador no animal ('dono' para o tutor principal) ou null se não tiver acesso
+async function papelNoAnimal(userId, animalId) {
+    const result = await pool.query(
+        `SELECT CASE WHEN a.tutorId = $2 THEN 'dono' ELSE at.papel END AS papel
+         FROM animais a
+         LEFT JOIN animal_tutores at ON at.animal_id = a.id AND at.user_id = $2
+         WHERE a.id = $1`,
+        [animalId, userId]
+    );
 
-    } catch (error) {
-        console.error('Erro no login:', error);
-        res.status(500).json({ message: 'Erro interno do servidor' });
-    }
-});
+    return result.rows.length > 0 ? result.rows[0].papel : null;
+}
 
-// CRUD de utilizadores
-// GET /utilizadores -> obter todos os utilizadores 
-app.get('/utilizadores', authenticateToken, async (req, res) => {
-    try {
-        console.log(`Utilizador ${req.user.id} (${req.user.tipo}) acedeu à lista de utilizadores.`);
-        
-        // Vou assumir que qualquer user autenticado pode ver (mas limitamos os campos)
-        const result = await pool.query(
-            'SELECT id, nome, email, tipo, dataRegisto, verificado FROM users ORDER BY nome'
-        );
-        
-        res.status(200).json({
-            success: true,
-            count: result.rows.length,
-            utilizadores: result.rows
-        });
-    } catch (error) {
-        console.error('Erro ao procurar utilizadores:', error);
-        res.status(500).json({ error: 'Erro ao procurar utilizadores' });
-    }
-});
+// verifica se o papel chega para o nível pedido (ex.: 'cotutor' também permite 'leitura')
+function papelPermite(papel, papelMinimo) {
+    return Boolean(papel) && PAPEIS_ANIMAL.indexOf(papel) >= PAPEIS_ANIMAL.indexOf(papelMinimo);
+}
 
-// GET /utilizadores/:id -> obter um utilizador específico
-app.get('/utilizadores/:id', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params; // Obter ID dos parâmetros da rota
-        const userIdFromToken = req.user.id; // ID do utilizador autenticado
+// verifica se o utilizador tem pelo menos o papel indicado no animal
+async function temPapelNoAnimal(userId, animalId, papelMinimo) {
+    return papelPermite(await papelNoAnimal(userId, animalId), papelMinimo);
+}
 
-        // Verificar permissões - o utilizador só pode ver os seus próprios dados
-        // A menos que seja um veterinário ou admin (se existir esse tipo)
-        if (parseInt(id) !== userIdFromToken && req.user.tipo !== 'veterinario') {
-            return res.status(403).json({ 
-                error: 'Acesso negado. Só pode visualizar os seus próprios dados.' 
+// envia uma mensagem ao tutor e a quem gere o animal com ele (donos e cotutores)
+// devolve quantas mensagens foram enviadas; falhas no envio só ficam na consola
+async function avisarTutores(animal, { assunto, texto }) {
+    const destinatarios = await pool.query(
+        `SELECT u.id, u.email, u.telemovel, u.canalVerificado
+         FROM users u
+         WHERE u.anonimizadoEm IS NULL
+         AND (u.id = $1 OR u.id IN (
+             SELECT user_id FROM animal_tutores WHERE animal_id = $2 AND papel IN ('dono', 'cotutor')
+         ))`,
+        [animal.tutorid, animal.id]
+    );
+
+    let enviadas = 0;
+    for (const tutor of destinatarios.rows) {
+        const canal = tutor.canalverificado || 'email';
+        try {
+            await enviarMensagem({
+                canal,
+                destino: canal === 'sms' ? tutor.telemovel : tutor.email,
+                assunto,
+                texto
             });
+            enviadas++;
+        } catch (sendError) {
+            console.error(`Erro ao enviar mensagem ao tutor ${tutor.id}:`, sendError);
         }
+    }
 
-        const result = await pool.query(
-            'SELECT id, nome, email, telemovel, tipo, dataRegisto, verificado, nacionalidade, sexo, cc, dataNascimento, morada FROM users WHERE id = $1',
-            [id]
-        );
+    return enviadas;
+}
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Utilizador não encontrado' });
-        }
+const TRANSFERENCIA_VALIDADE_DIAS = 7;
 
-        console.log(`Utilizador ID ${userIdFromToken} acedeu aos dados do utilizador ID ${id}`);
+// código secreto de uma transferência sem destinatário (ex: 3F9A-0C41-B7DE)
+// o codigoUnico do animal não serve -> é curto e visível para co-tutores, veterinários e no passaporte
+function gerarCodigoTransferencia() {
+    return crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+}
 
-        res.status(200).json(result.rows[0]);
-    } catch (error) {
-        console.error('Erro ao procurar utilizador:', error);
-        res.status(500).json({ error: 'Erro ao procurar utilizador' });
-    }
-});
+// hash do código indicado pelo utilizador (ignora hífenes, espaços e maiúsculas/minúsculas)
+function hashCodigoTransferencia(codigo) {
+    return hashToken(String(codigo).replace(/[^0-9a-z]/gi, '').toUpperCase());
+}
 
-// PUT /utilizadores/:id -> atualizar um utilizador
-app.put('/utilizadores/:id', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params; // ID do utilizador a ser atualizado
-        const userIdFromToken = req.user.id; // ID do utilizador autenticado
-        
-        // Dados que podem ser atualizados (expandidos para incluir mais campos)
-        const { 
-            nome, 
-            email, 
-            telemovel,
-            nacionalidade, 
-            sexo, 
-            cc, 
-            dataNascimento, 
-            morada 
-        } = req.body;
+// passa o animal para o novo tutor (dentro da transação do client)
+// o histórico acompanha o animal e quem o partilhava com o tutor anterior perde o acesso
+async function concluirTransferencia(client, transferencia, novoTutorId) {
+    await client.query('UPDATE animais SET tutorId = $1 WHERE id = $2', [novoTutorId, transferencia.animal_id]);
 
-        // IMPEDIR que o utilizador mude o próprio tipo ou outros campos sensíveis
-        // Estes campos só devem ser alterados por administradores (se existir essa funcionalidade)
+    // as consultas estão associadas a quem as marcou
+    await client.query('UPDATE consultas SET userId = $1 WHERE animalId = $2', [novoTutorId, transferencia.animal_id]);
 
-        // Verificar permissões - apenas o próprio utilizador pode atualizar os seus dados
-        if (parseInt(id) !== userIdFromToken) {
-            return res.status(403).json({ 
-                error: 'Acesso negado. Só pode atualizar os seus próprios dados.' 
-            });
-        }
+    await client.query('DELETE FROM animal_tutores WHERE animal_id = $1', [transferencia.animal_id]);
+    await client.query(
+        "UPDATE convites_animal SET estado = 'revogado', respondido_em = NOW() WHERE animal_id = $1 AND estado = 'pendente'",
+        [transferencia.animal_id]
+    );
 
-        // Validação básica - pelo menos um campo para atualizar
-        if (!nome && !email && !telemovel && !nacionalidade && !sexo && !cc && !dataNascimento && !morada) {
-            return res.status(400).json({ 
-                error: 'Pelo menos um campo deve ser fornecido para atualização' 
-            });
-        }
+    await client.query(
+        "UPDATE transferencias_animal SET estado = 'aceite', para_user_id = $1, respondido_em = NOW() WHERE id = $2",
+        [novoTutorId, transferencia.id]
+    );
+}
 
-        // Verificar se o utilizador existe
-        const userExists = await pool.query(
-            'SELECT id FROM users WHERE id = $1',
-            [id]
-        );
 
-        if (userExists.rows.length === 0) {
-            return res.status(404).json({ error: 'Utilizador não encontrado' });
-        }
 
-        // Se estiver a tentar atualizar o email, verificar se já existe
-        if (email) {
-            const emailCheck = await pool.query(
-                'SELECT id FROM users WHERE email = $1 AND id != $2',
-                [email, id]
-            );
+// SESSÕES E TOKENS==============================================
 
-            if (emailCheck.rows.length > 0) {
-                return res.status(400).json({ 
-                    error: 'Email já está em uso por outro utilizador' 
-                });
-            }
-        }
+const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret'; // Chave secreta do JWT nas variáveis de ambiente
+const ACCESS_TOKEN_VALIDADE_SEGUNDOS = 15 * 60; // access token válido por 15 minutos
+const SESSAO_VALIDADE_DIAS = 60; // sessão expira após 60 dias sem renovar o token
 
-        // Se estiver a tentar atualizar o telemóvel, verificar se já existe
-        if (telemovel) {
-            const phoneCheck = await pool.query(
-                'SELECT id FROM users WHERE telemovel = $1 AND id != $2',
-                [telemovel, id]
-            );
+// hash SHA-256 para guardar refresh tokens (permite procurar pelo hash)
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-            if (phoneCheck.rows.length > 0) {
-                return res.status(400).json({ 
-                    error: 'Telemóvel já está em uso por outro utilizador' 
-                });
-            }
+// gera o access token (JWT) associado a uma sessão
+function gerarAccessToken(user, sessaoId) {
+    return jwt.sign(
+        { id: user.id, email: user.email, tipo: user.tipo, sid: sessaoId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_VALIDADE_SEGUNDOS }
+    );
+}
 
-            // Validar formato do telemóvel
-            const telemovelRegex = /^\+?[0-9]{9,15}$/;
-            if (!telemovelRegex.test(telemovel)) {
-                return res.status(400).json({
-                    error: 'Número de telemóvel inválido'
-                });
-            }
-        }
+// gera um novo refresh token para a sessão e guarda apenas o hash
+async function emitirRefreshToken(sessaoId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
 
-        // Construir query dinâmica baseada nos campos fornecidos
-        const updateFields = [];
-        const queryParams = [];
-        let paramCounter = 1;
+    await pool.query(
+        'INSERT INTO refresh_tokens(sessao_id, token_hash) VALUES($1, $2)',
+        [sessaoId, hashToken(refreshToken)]
+    );
 
-        if (nome) {
-            updateFields.push(`nome = $${paramCounter++}`);
-            queryParams.push(nome);
-        }
-        if (email) {
-            updateFields.push(`email = $${paramCounter++}`);
-            queryParams.push(email);
-        }
-        if (telemovel) {
-            updateFields.push(`telemovel = $${paramCounter++}`);
-            queryParams.push(telemovel);
-        }
-        if (nacionalidade !== undefined) {
-            updateFields.push(`nacionalidade = $${paramCounter++}`);
-            queryParams.push(nacionalidade);
-        }
-        if (sexo !== undefined) {
-            updateFields.push(`sexo = $${paramCounter++}`);
-            queryParams.push(sexo);
-        }
-        if (cc !== undefined) {
-            updateFields.push(`cc = $${paramCounter++}`);
-            queryParams.push(cc);
-        }
-        if (dataNascimento !== undefined) {
-            updateFields.push(`dataNascimento = $${paramCounter++}`);
-            queryParams.push(dataNascimento);
-        }
-        if (morada !== undefined) {
-            updateFields.push(`morada = $${paramCounter++}`);
-            queryParams.push(morada);
-        }
+    return refreshToken;
+}
 
-        // Adicionar ID no final dos parâmetros
-        queryParams.push(id);
+// cria uma sessão para o dispositivo que fez o pedido e devolve os tokens
+async function criarSessao(user, req) {
+    const result = await pool.query(
+        `INSERT INTO sessoes(user_id, dispositivo, user_agent, ip, expires_at)
+         VALUES($1, $2, $3, $4, NOW() + make_interval(days => $5))
+         RETURNING id`,
+        [user.id, req.body.dispositivo || null, req.get('user-agent') || null, req.ip, SESSAO_VALIDADE_DIAS]
+    );
+
+    const sessaoId = result.rows[0].id;
+
+    return {
+        sessaoId,
+        accessToken: gerarAccessToken(user, sessaoId),
+        refreshToken: await emitirRefreshToken(sessaoId)
+    };
+}
 
-        const query = `
-            UPDATE users 
-            SET ${updateFields.join(', ')} 
-            WHERE id = $${paramCounter}
-            RETURNING id, nome, email, telemovel, tipo, nacionalidade, sexo, cc, dataNascimento, morada
-        `;
+// revoga sessões de um utilizador -> sessaoId (só essa) ou excetoSessaoId (todas menos essa)
+async function revogarSessoes(userId, motivo, { sessaoId, excetoSessaoId } = {}) {
+    const result = await pool.query(
+        `UPDATE sessoes SET revogada_em = NOW(), motivo_revogacao = $2
+         WHERE user_id = $1
+         AND revogada_em IS NULL
+         AND ($3::int IS NULL OR id = $3)
+         AND ($4::int IS NULL OR id != $4)
+         RETURNING id`,
+        [userId, motivo, sessaoId || null, excetoSessaoId || null]
+    );
+
+    return result.rows.map(row => row.id);
+}
 
-        const result = await pool.query(query, queryParams);
 
-        // Log para auditoria
-        console.log(`Utilizador ID ${userIdFromToken} atualizou os seus próprios dados (${Object.keys(req.body).join(', ')})`);
 
-        res.status(200).json({ 
-            success: true,
-            message: 'Utilizador atualizado com sucesso',
-            user: result.rows[0]
-        });
+// IMPERSONAÇÃO==============================================
 
-    } catch (error) {
-        console.error('Erro ao atualizar utilizador:', error);
-        res.status(500).json({ 
-            error: 'Erro no servidor',
-            details: error.message 
-        });
-    }
-});
+const IMPERSONACAO_MINUTOS_DEFAULT = 15; // validade do token de impersonação
+const IMPERSONACAO_MINUTOS_MAX = 60;
 
+// obtém uma impersonação ativa (não revogada, não expirada e emitida por quem ainda é admin)
+async function carregarImpersonacao(impersonacaoId) {
+    const result = await pool.query(
+        `SELECT i.*, a.tipo as admin_tipo, u.tipo as user_tipo, u.veterinarioId, u.clinicaId
+         FROM impersonacoes i
+         JOIN users a ON i.admin_id = a.id
+         LEFT JOIN users u ON i.user_id = u.id
+         WHERE i.id = $1 AND i.revogada_em IS NULL AND i.expires_at > NOW()`,
+        [impersonacaoId]
+    );
 
-// POST /utilizadores/alterar-pin -> altera o PIN do utilizador autenticado
-app.post('/utilizadores/alterar-pin', authenticateToken, async (req, res) => {
-    try {
-        const { pinAtual, novoPin } = req.body;
-        const userId = req.user.id; // ID do utilizador autenticado (vem do token)
+    const impersonacao = result.rows[0];
+    if (!impersonacao || impersonacao.admin_tipo !== 'admin') return null;
 
-        // validação dos campos
-        if (!pinAtual || !novoPin) {
-            return res.status(400).json({
-                error: 'PIN atual e novo PIN são obrigatórios'
-            });
-        }
+    return impersonacao;
+}
 
-        // verifica formato dos PINs (6 dígitos)
-        if (String(pinAtual).length !== 6 || String(novoPin).length !== 6) {
-            return res.status(400).json({
-                error: 'Os PINs devem ter 6 dígitos'
-            });
+// assinala as respostas de pedidos impersonados e regista cada pedido na auditoria
+function marcarImpersonacao(req, res) {
+    const { impersonacao } = req;
+
+    res.set('X-Impersonacao', String(impersonacao.id));
+
+    // Guardar referência para o método original
+    const originalJson = res.json;
+
+    // Interceptar a resposta para indicar que é uma impersonação
+    res.json = function (data) {
+        if (data && typeof data === 'object' && !Array.isArray(data)) {
+            data.impersonacao = {
+                id: impersonacao.id,
+                adminId: impersonacao.adminId,
+                atuandoComo: { id: req.user.id, tipo: req.user.tipo },
+                escopo: impersonacao.escopo,
+                expiraEm: impersonacao.expiraEm
+            };
         }
+        return originalJson.call(this, data);
+    };
+
+    // regista o pedido quando a resposta termina (inclui o código de estado)
+    res.on('finish', () => {
+        registarAuditoria(req, {
+            acao: 'pedido_impersonado',
+            entidade: 'utilizador',
+            entidadeId: req.user.id,
+            detalhes: {
+                metodo: req.method,
+                rota: req.originalUrl,
+                status: res.statusCode,
+                tipo: req.user.tipo
+            }
+        });
+    });
+}
 
-        // Verificar se o novo PIN é diferente do atual
-        if (pinAtual === novoPin) {
-            return res.status(400).json({
-                error: 'O novo PIN deve ser diferente do PIN atual'
-            });
-        }
 
-        // procura utilizador e o seu PIN atual (hash)
-        const result = await pool.query(
-            'SELECT id, nome, pin FROM users WHERE id = $1',
-            [userId]
-        );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Utilizador não encontrado' });
-        }
+// ELIMINAÇÃO DE CONTAS==============================================
 
-        const user = result.rows[0];
+const ELIMINACAO_PRAZO_DIAS = 14; // período em que o utilizador pode cancelar o fecho da conta
 
-        // Verificar se o utilizador já tem PIN definido
-        if (!user.pin) {
-            return res.status(400).json({
-                error: 'Utilizador não tem PIN definido'
-            });
-        }
+// chaves com dados pessoais nos valores antes/depois da auditoria (linhas de users, em minúsculas como vêm da BD)
+const CAMPOS_PESSOAIS_AUDITORIA = ['nome', 'email', 'telemovel', 'cc', 'morada', 'nacionalidade', 'sexo', 'datanascimento'];
 
-        // Comparar o PIN atual com o hash armazenado
-        const isPinCorrect = await bcrypt.compare(String(pinAtual), user.pin);
+// anonimiza uma conta: remove os dados pessoais e as fotos, mas mantém os registos clínicos
+// (animais, consultas, vacinas e exames ficam associados a um utilizador sem identificação)
+async function anonimizarUtilizador(userId) {
+    const client = await pool.connect();
+    let ficheiros = [];
 
-        if (!isPinCorrect) {
-            return res.status(401).json({
-                error: 'PIN atual incorreto'
-            });
+    try {
+        await client.query('BEGIN');
+
+        const userResult = await client.query(
+            'SELECT id, email FROM users WHERE id = $1 AND anonimizadoEm IS NULL FOR UPDATE',
+            [userId]
+        );
+
+        if (userResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return false;
         }
 
-        // Hash do novo PIN
-        const salt = await bcrypt.genSalt(10);
-        const hashedNovoPin = await bcrypt.hash(String(novoPin), salt);
+        const email = userResult.rows[0].email;
+
+        // fotos dos animais (galeria em todos os tamanhos) e dos exames (são apagadas depois do COMMIT)
+        const fotosResult = await client.query(`
+            SELECT fotoUrl FROM animais WHERE tutorId = $1 AND fotoUrl IS NOT NULL
+            UNION
+            SELECT UNNEST(ARRAY[f.url, f.url_media, f.url_miniatura]) FROM fotos_animal f
+            JOIN animais a ON f.animal_id = a.id WHERE a.tutorId = $1
+            UNION
+            SELECT e.fotoUrl FROM exames e JOIN animais a ON e.animalId = a.id
+            WHERE a.tutorId = $1 AND e.fotoUrl IS NOT NULL
+        `, [userId]);
+        ficheiros = fotosResult.rows.map(row => row.fotourl).filter(Boolean);
 
-        // Atualizar PIN na base de dados
-        await pool.query(
-            'UPDATE users SET pin = $1 WHERE id = $2',
-            [hashedNovoPin, userId]
+        await client.query('DELETE FROM fotos_animal WHERE animal_id IN (SELECT id FROM animais WHERE tutorId = $1)', [userId]);
+        await client.query('UPDATE animais SET fotoUrl = NULL, fotoMiniaturaUrl = NULL WHERE tutorId = $1', [userId]);
+        await client.query(
+            'UPDATE exames SET fotoUrl = NULL WHERE animalId IN (SELECT id FROM animais WHERE tutorId = $1)',
+            [userId]
         );
 
-        // Log da alteração
-        console.log(`PIN alterado para o utilizador ${user.nome}(ID: ${userId})`);
+        // marcações futuras deixam de fazer sentido
+        await client.query(
+            "UPDATE consultas SET estado = 'cancelada' WHERE userId = $1 AND estado = 'marcada' AND data >= CURRENT_DATE",
+            [userId]
+        );
+        await client.query(
+            `UPDATE vacinas SET estado = 'cancelada'
+             WHERE animalId IN (SELECT id FROM animais WHERE tutorId = $1) AND estado = 'agendada'`,
+            [userId]
+        );
 
-        // Resposta de sucesso
-        res.status(200).json({
-            success: true,
-            message: 'PIN alterado com sucesso'
-        });
+        // remove os dados pessoais (o email tem de continuar único e não nulo)
+        await client.query(`
+            UPDATE users SET
+                nome = 'Utilizador removido',
+                email = $2,
+                telemovel = NULL,
+                cc = NULL,
+                morada = NULL,
+                nacionalidade = NULL,
+                sexo = NULL,
+                dataNascimento = NULL,
+                pin = NULL,
+                codigoVerificacao = NULL,
+                verificado = false,
+                eliminacaoAgendadaPara = NULL,
+                anonimizadoEm = NOW(),
+                tokensValidosDesde = NOW()
+            WHERE id = $1
+        `, [userId, `removido-${userId}@anonimizado.invalid`]);
+
+        // sessões e códigos também contêm dados pessoais (IP, dispositivo, email, telemóvel)
+        await client.query('DELETE FROM sessoes WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM codigos_verificacao WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM tentativas_falhadas WHERE chave = $1', [`conta:${email.toLowerCase()}`]);
+
+        // deixa de ter acesso aos animais partilhados e os convites pendentes deixam de valer
+        await client.query('DELETE FROM animal_tutores WHERE user_id = $1', [userId]);
+        await client.query(
+            "UPDATE convites_animal SET estado = 'revogado', respondido_em = NOW() WHERE email = $1 AND estado = 'pendente'",
+            [email.toLowerCase()]
+        );
+        await client.query(
+            `UPDATE transferencias_animal SET estado = 'cancelada', respondido_em = NOW()
+             WHERE estado = 'pendente' AND (de_user_id = $1 OR para_email = $2)`,
+            [userId, email.toLowerCase()]
+        );
+        await client.query(
+            `UPDATE alertas_perdido SET estado = 'cancelado', encerrado_em = NOW()
+             WHERE estado = 'ativo' AND animal_id IN (SELECT id FROM animais WHERE tutorId = $1)`,
+            [userId]
+        );
 
+        // os eventos de auditoria ficam, mas sem os dados pessoais guardados nos valores antes/depois e nos detalhes
+        await client.query(`
+            UPDATE auditoria SET
+                antes = antes - $2::text[],
+                depois = depois - $2::text[]
+            WHERE entidade = 'utilizador' AND entidade_id = $1
+            AND acao IN ('utilizador_criado', 'utilizador_atualizado', 'contacto_alterado')
+        `, [userId, CAMPOS_PESSOAIS_AUDITORIA]);
+        await client.query(`
+            UPDATE auditoria SET detalhes = detalhes - 'email'
+            WHERE acao = 'login_falhado' AND (entidade_id = $1 OR LOWER(detalhes->>'email') = $2)
+        `, [userId, email.toLowerCase()]);
+
+        await client.query('COMMIT');
     } catch (error) {
-        console.error('Erro ao alterar PIN:', error);
-        res.status(500).json({
-            error: 'Erro no servidor',
-            details: error.message
-        });
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
     }
-});
 
-// POST /utilizadores/logout -> invalida o token do utilizador
-app.post('/utilizadores/logout', authenticateToken, async (req, res) => {
-    try {
-        const { token } = req;
-        const userId = req.user.id;
+    // apaga os ficheiros das fotos
+    apagarUploads(ficheiros);
 
-        // Obter data de expiração do token
-        const decoded = jwt.decode(token);
-        const expiresAt = new Date(decoded.exp * 1000); // converter timestamp UNIX
+    await registarAuditoria(null, {
+        actorId: null,
+        acao: 'utilizador_anonimizado',
+        entidade: 'utilizador',
+        entidadeId: userId,
+        detalhes: { ficheirosApagados: ficheiros.length }
+    });
 
-        // Adicionar token à blacklist
-        await pool.query(
-            `INSERT INTO invalidated_tokens(token, expires_at, user_id) 
-                VALUES($1, $2, $3)`,
-            [token, expiresAt, userId]
+    console.log(`Utilizador ${userId} anonimizado (${ficheiros.length} ficheiros apagados)`);
+    return true;
+}
+
+// anonimiza as contas cujo período para cancelar já terminou
+async function processarEliminacoesPendentes() {
+    try {
+        const result = await pool.query(
+            'SELECT id FROM users WHERE eliminacaoAgendadaPara <= NOW() AND anonimizadoEm IS NULL'
         );
 
-        console.log(`Token invalidado para utilizador ID: ${userId}`);
+        for (const user of result.rows) {
+            try {
+                await anonimizarUtilizador(user.id);
+            } catch (error) {
+                console.error(`Erro ao anonimizar utilizador ${user.id}:`, error);
+            }
+        }
+    } catch (err) {
+        console.error('Erro ao processar eliminações de contas:', err);
+    }
+}
 
-        res.status(200).json({
-            success: true,
-            message: 'Logout efetuado com sucesso'
-        });
 
-    } catch (error) {
-        console.error('Erro no logout:', error);
-        res.status(500).json({
-            error: 'Erro no servidor',
-            details: error.message
-        });
-    }
-});
 
+// MIDDLEWARE==============================================
+//ALTERAÇÃO APÓS ENTREGA (TROCA DAS ROTAS)
 
+// MIDDLEWARE DE AUTENTICAÇÃO 
+async function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
 
-// ROTAS DE ANIMAIS==============================================
+    if (!token) {
+        return res.status(401).json({ error: 'Token de autenticação necessário' });
+    }
 
-// POST /animais -> cria novo animal 
-app.post('/animais', authenticateToken, async (req, res) => {
+    let payload;
     try {
-        const { nome, especie, raca, dataNascimento, numeroChip } = req.body;
-        const tutorId = req.user.id;
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return res.status(403).json({ error: 'Token inválido ou expirado' });
+    }
 
-        if (!nome || !especie) {
-            return res.status(400).json({ error: 'Nome e espécie são obrigatórios' });
+    try {
+        // Verificar se está na blacklist
+        const blacklist = await pool.query('SELECT id FROM invalidated_tokens WHERE token = $1', [token]);
+        if (blacklist.rows.length > 0) {
+            return res.status(403).json({ error: 'Token revogado. Faça login novamente.' });
         }
 
-        // Gerar código único VT-XXXXXX
-        const codigoUnico = 'VT-' + Math.floor(100000 + Math.random() * 900000);
+        // tokens de impersonação emitidos por um administrador
+        if (payload.imp) {
+            const impersonacao = await carregarImpersonacao(payload.imp);
 
-        // Inserir animal
-        const insertResult = await pool.query(
-            `INSERT INTO animais
-             (tutorId, nome, especie, raca, dataNascimento, numeroChip, codigoUnico)
-             VALUES($1, $2, $3, $4, $5, $6, $7)
-             RETURNING id`,
-            [tutorId, nome, especie, raca, dataNascimento, numeroChip, codigoUnico]
-        );
+            if (!impersonacao) {
+                return res.status(403).json({ error: 'Impersonação terminada ou inválida' });
+            }
+            if (impersonacao.escopo === 'leitura' && req.method !== 'GET') {
+                return res.status(403).json({ error: 'Token de impersonação apenas de leitura' });
+            }
 
-        const novoAnimalId = insertResult.rows[0].id;
+            req.token = token;
+            req.impersonacao = {
+                id: impersonacao.id,
+                adminId: impersonacao.admin_id,
+                escopo: impersonacao.escopo,
+                expiraEm: impersonacao.expires_at
+            };
+
+            // sem utilizador alvo o administrador atua com a sua conta mas com o tipo indicado
+            req.user = {
+                id: impersonacao.user_id || impersonacao.admin_id,
+                email: payload.email,
+                tipo: impersonacao.tipo || impersonacao.user_tipo,
+                veterinarioId: impersonacao.user_id ? impersonacao.veterinarioid : null,
+                clinicaId: impersonacao.user_id ? impersonacao.clinicaid : null
+            };
+
+            marcarImpersonacao(req, res);
+            return next();
+        }
 
-        // Buscar animal completo com dados do tutor
-        const animalResult = await pool.query(
-            `SELECT a.*, 
-                    u.nome as tutorNome, 
-                    u.email as tutorEmail,
-                    u.telemovel as tutorTelemovel
-             FROM animais a
-             JOIN users u ON a.tutorId = u.id
-             WHERE a.id = $1`,
-            [novoAnimalId]
+        // a sessão do token tem de continuar ativa (tokens antigos sem sessão são aceites até expirarem)
+        // e o token não pode ser anterior a uma invalidação global (ex: recuperação de PIN)
+        const estado = await pool.query(
+            `SELECT u.tokensValidosDesde, u.tipo, u.veterinarioId, u.clinicaId, s.id as sessao_ativa
+             FROM users u
+             LEFT JOIN sessoes s ON s.id = $2 AND s.user_id = u.id
+                AND s.revogada_em IS NULL AND s.expires_at > NOW()
+             WHERE u.id = $1`,
+            [payload.id, payload.sid || null]
         );
 
-        const novoAnimal = animalResult.rows[0];
+        const conta = estado.rows[0];
+        const validosDesde = conta && conta.tokensvalidosdesde
+            ? Math.floor(new Date(conta.tokensvalidosdesde).getTime() / 1000)
+            : 0;
 
-        console.log(`Animal criado: ${nome} (ID: ${novoAnimalId}) para tutor ${tutorId}`);
+        // iat tem resolução de segundos -> um token emitido no mesmo segundo da invalidação também é rejeitado
+        if (!conta || (payload.sid && !conta.sessao_ativa) || payload.iat <= validosDesde) {
+            return res.status(403).json({ error: 'Sessão terminada. Faça login novamente.' });
+        }
 
-        res.status(201).json({
-            success: true,
-            message: 'Animal criado com sucesso',
-            animal: novoAnimal
-        });
+        // Anexar token ao request para uso posterior
+        // o tipo vem da BD para que uma alteração de permissões tenha efeito imediato
+        req.token = token;
+        req.user = {
+            ...payload,
+            tipo: conta.tipo,
+            veterinarioId: conta.veterinarioid,
+            clinicaId: conta.clinicaid
+        };
 
-    } catch (error) {
-        console.error('Erro ao criar animal:', error);
-        res.status(500).json({ error: 'Erro no servidor' });
+    } catch (err) {
+        console.error('Erro ao verificar token:', err);
+        return res.status(500).json({ error: 'Erro interno do servidor' });
     }
-});
 
-// GET /utilizadores/:userId/animais -> obtem animais de um tutor
-app.get('/utilizadores/:userId/animais', authenticateToken, async (req, res) => {
-    try {
-        const { userId } = req.params;
+    next();
+}
 
-        // Verificar se o utilizador tem permissão
-        if (parseInt(userId) !== req.user.id && req.user.tipo !== 'veterinario') {
-            return res.status(403).json({ error: 'Não autorizado' });
-        }
 
-        // Buscar animais com dados do tutor
-        const result = await pool.query(
-            `SELECT a.*, 
-                    u.nome as tutorNome, 
-                    u.email as tutorEmail,
-                    u.telemovel as tutorTelemovel
-             FROM animais a
-             JOIN users u ON a.tutorId = u.id
-             WHERE a.tutorId = $1 
-             ORDER BY a.nome`,
-            [userId]
-        );
 
-        console.log(`Utilizador ${req.user.id} acedeu aos ${result.rows.length} animais do tutor ${userId}`);
-
-        res.status(200).json({
-            success: true,
-            count: result.rows.length,
-            animais: result.rows
-        });
 
-    } catch (error) {
-        console.error('Erro ao obter animais:', error);
-        res.status(500).json({ error: 'Erro no servidor' });
-    }
-});
+// ROTAS DE UTILIZADOR==============================================
 
-// GET /animais/:animalId -> obtem detalhes de um animal
-app.get('/animais/:animalId', authenticateToken, async (req, res) => {
+// POST /utilizadores -> cria um novo utilizador
+app.post('/utilizadores', async (req, res) => {
     try {
-        const { animalId } = req.params;
+        const { nome, email, telemovel, canal = 'sms' } = req.body;
+
+        // todas as contas novas são de tutor -> outros tipos são atribuídos por um administrador
+        const tipo = 'tutor';
+
+        // Valida campos obrigatórios
+        if (!nome || !email || !telemovel) {
+            return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
+        }
+
+        // canal por onde o código de verificação é enviado
+        if (!['sms', 'email'].includes(canal)) {
+            return res.status(400).json({ error: 'Canal inválido. Use sms ou email' });
+        }
+
+        // valida o número de telemóvel 
+        const telemovelRegex = /^\+?[0-9]{9,15}$/; // Exemplo: +351912345678 ou 912345678
+        if (!telemovelRegex.test(telemovel)) {
+            return res.status(400).json({
+                error: 'Número de telemóvel inválido'
+            });
+        }
+
+        // verificar se o email já existe
+        const existingUser = await pool.query(
+            'SELECT * FROM users WHERE email = $1',
+            [email]
+        );
+
+        // se existir, retornar erro
+        if (existingUser.rows.length > 0) {
+            return res.status(400).json({ error: 'Utilizador com este email já existe' });
+        }
+
+        // verificar se o número de telemóvel já existe
+        const existingPhone = await pool.query(
+            'SELECT * FROM users WHERE telemovel = $1',
+            [telemovel]
+        );
+
+        // se existir, retorna erro
+        if (existingPhone.rows.length > 0) {
+            return res.status(400).json({
+                error: 'Utilizador com este telemóvel já existe'
+            });
+        }
 
+        // Inserir novo utilizador
         const result = await pool.query(
-            `SELECT a.*, u.nome as tutorNome, u.email as tutorEmail
-                FROM animais a
-                JOIN users u ON a.tutorId = u.id
-                WHERE a.id = $1`,
-            [animalId]
+            `INSERT INTO users(nome, email, telemovel, tipo, verificado) 
+        VALUES($1, $2, $3, $4, $5) RETURNING id, dataRegisto`,
+            [nome, email, telemovel, tipo, false] // false - não verificado inicialmente
         );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Animal não encontrado' });
+        // gera e envia o código de verificação
+        // se o envio falhar o utilizador pode pedir outro em /utilizadores/verificar/reenviar
+        let verificationCode = null;
+        try {
+            verificationCode = await enviarCodigoRegisto({ id: result.rows[0].id, email, telemovel }, canal);
+        } catch (sendError) {
+            console.error('Erro ao enviar código de verificação:', sendError);
         }
 
-        // Verificar permissões
-        const animal = result.rows[0];
-        if (animal.tutorid !== req.user.id && req.user.tipo !== 'veterinario') {
-            return res.status(403).json({ error: 'Não autorizado' });
+        await registarAuditoria(req, {
+            actorId: result.rows[0].id,
+            acao: 'utilizador_criado',
+            entidade: 'utilizador',
+            entidadeId: result.rows[0].id,
+            depois: { nome, email, telemovel, tipo },
+            detalhes: { canal, codigoEnviado: verificationCode !== null }
+        });
+
+        console.log(`Utilizador ${nome} criado. Código enviado por ${canal}: ${verificationCode ? 'sim' : 'não'}`);
+
+        // responde com os dados do utilizador
+        const userResponse = {
+            id: result.rows[0].id,
+            nome,
+            email,
+            telemovel,
+            tipo,
+            dataRegisto: result.rows[0].dataregisto || new Date(),
+            verificado: false
+        };
+
+        // retorna resposta
+        const response = {
+            user: userResponse,
+            message: "Utilizador criado - a aguardar verificação",
+            codigoEnviado: verificationCode !== null
+        };
+
+        // o código só é devolvido na resposta em modo de desenvolvimento
+        if (isDevMode) {
+            response.verificationCode = verificationCode;
         }
 
-        res.status(200).json(animal);
+        res.status(201).json(response);
 
     } catch (error) {
-        console.error('Erro ao obter animal:', error);
+        console.error('Erro ao criar utilizador:', error);
         res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// PUT /animais/:id -> atualiza um animal
-app.put('/animais/:id', authenticateToken, async (req, res) => {
+
+// POST /utilizadores/verificar -> rota para verificar o código
+app.post('/utilizadores/verificar', async (req, res) => {
     try {
-        const { id } = req.params;
-        const { nome, especie, raca, dataNascimento, numeroChip } = req.body;
-        const userId = req.user.id;
+        const { email, codigoVerificacao } = req.body;
 
-        // Validação básica
-        if (!nome || !especie) {
-            return res.status(400).json({
-                error: 'Nome e espécie são obrigatórios'
-            });
+        if (!email || !codigoVerificacao) {
+            return res.status(400).json({ message: 'Email e código são obrigatórios' });
         }
 
-        // Verifica se o animal existe e pertence ao utilizador
-        const animalCheck = await pool.query(
-            'SELECT id, tutorId, nome FROM animais WHERE id = $1',
-            [parseInt(id)]
+        // procura utilziador pelo email
+        const result = await pool.query(
+            'SELECT * FROM users WHERE email = $1',
+            [email]
         );
 
-        if (animalCheck.rows.length === 0) {
-            return res.status(404).json({
-                error: 'Animal não encontrado'
-            });
+        // se não encontrar, retorna erro
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Utilizador não encontrado' });
         }
 
-        const animal = animalCheck.rows[0];
+        // identifica o user
+        const user = result.rows[0];
 
-        // Verifica permissões
-        if (animal.tutorid !== userId) {
-            return res.status(403).json({
-                error: 'Não autorizado a editar este animal'
-            });
+        if (user.verificado) {
+            return res.status(400).json({ message: 'Utilizador já verificado' });
         }
 
-        // Atualiza o animal
-        const updateResult = await pool.query(
-            `UPDATE animais 
-             SET nome = $1,
-                 especie = $2,
-                 raca = COALESCE($3, raca),
-                 dataNascimento = COALESCE($4, dataNascimento),
-                 numeroChip = COALESCE($5, numeroChip)
-             WHERE id = $6
-             RETURNING id`,
-            [nome, especie, raca, dataNascimento, numeroChip, parseInt(id)]
-        );
+        // compara o código inserido com o último código enviado (validade e tentativas)
+        const validacao = await validarCodigo(user.id, 'registo', codigoVerificacao);
+        if (!validacao.valido) {
+            return responderCodigoInvalido(res, validacao);
+        }
 
-        // Buscar animal completo com dados do tutor
-        const animalResult = await pool.query(
-            `SELECT a.*, 
-                    u.nome as tutorNome, 
-                    u.email as tutorEmail,
-                    u.telemovel as tutorTelemovel
-             FROM animais a
-             JOIN users u ON a.tutorId = u.id
-             WHERE a.id = $1`,
-            [updateResult.rows[0].id]
+        // atualiza o utilizador para verificado, guarda o canal confirmado e remove o código antigo
+        await pool.query(
+            'UPDATE users SET codigoVerificacao = NULL, verificado = true, canalVerificado = $2 WHERE email = $1',
+            [email, validacao.registo.canal]
         );
 
-        const animalAtualizado = animalResult.rows[0];
+        await registarAuditoria(req, {
+            actorId: user.id,
+            acao: 'utilizador_verificado',
+            entidade: 'utilizador',
+            entidadeId: user.id,
+            detalhes: { canal: validacao.registo.canal }
+        });
 
-        console.log(`Animal ID ${id} atualizado por utilizador ${userId}`);
+        // resposta de sucesso
+        console.log(`Utilizador ${user.nome} verificado com sucesso.`);
+        res.status(200).json({ message: 'Verificação bem-sucedida', userId: user.id });
 
-        res.status(200).json({
-            success: true,
-            message: 'Animal atualizado com sucesso',
-            animal: animalAtualizado
-        });
 
     } catch (error) {
-        console.error('Erro ao atualizar animal:', error);
-        res.status(500).json({
-            error: 'Erro no servidor',
-            details: error.message
-        });
+        console.error('Erro na verificação:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
     }
 });
 
-// POST /animais/:animalId/foto -> upload de foto do animal
-app.post('/animais/:animalId/foto', authenticateToken, upload.single('foto'),  // 'foto' é o nome do campo que o Android vai enviar
-    async (req, res) => {
-        try {
-            const { animalId } = req.params; // obtem o ID do animal dos parâmetros da rota
-
-            // verifica se recebeu um ficheiro
-            if (!req.file) {
-                return res.status(400).json({
-                    error: 'Nenhuma imagem enviada',
-                    details: 'Por favor, envie uma imagem no campo "foto"'
-                });
-            }
-
-            // verifica se o animal existe
-            const animalCheck = await pool.query(
-                'SELECT tutorId, nome FROM animais WHERE id = $1', // obtem tutorId para verificar permissões
-                [animalId]
-            );
 
-            if (animalCheck.rows.length === 0) {
-                // se animal não existe, apaga a imagem que foi enviada
-                fs.unlinkSync(req.file.path);
-                return res.status(404).json({
-                    error: 'Animal não encontrado',
-                    animalId: animalId
-                });
-            }
+// POST /utilizadores/verificar/reenviar -> envia um novo código de verificação
+app.post('/utilizadores/verificar/reenviar', limitarPedidos({ nome: 'reenviar_codigo', maximo: 5, janelaMinutos: 60 }), async (req, res) => {
+    try {
+        const { email, canal = 'sms' } = req.body;
 
-            // obtem dados do animal
-            const animal = animalCheck.rows[0];
+        if (!email) {
+            return res.status(400).json({ message: 'Email é obrigatório' });
+        }
+        if (!['sms', 'email'].includes(canal)) {
+            return res.status(400).json({ message: 'Canal inválido. Use sms ou email' });
+        }
 
-            // verifica permissões (tutor ou veterinário)
-            if (animal.tutorid !== req.user.id && req.user.tipo !== 'veterinario') {
-                // se não tem permissão, apaga a imagem
-                fs.unlinkSync(req.file.path);
-                return res.status(403).json({
-                    error: 'Não autorizado',
-                    details: 'Apenas o tutor pode atualizar esta foto'
-                });
-            }
+        // procura utilizador pelo email
+        const result = await pool.query(
+            'SELECT id, nome, email, telemovel, verificado FROM users WHERE email = $1',
+            [email]
+        );
 
-            // usa sempre a URL do Render quando disponível
-            const baseUrl = process.env.RENDER_EXTERNAL_URL || `https://${req.get('host')}`;
-            const fotoUrl = `${baseUrl}/uploads/${req.file.filename}`;
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Utilizador não encontrado' });
+        }
 
-            // atualiza a foto do animal na BD
-            await pool.query(
-                'UPDATE animais SET fotoUrl = $1 WHERE id = $2', // atualiza fotoUrl
-                [fotoUrl, animalId]
-            );
+        const user = result.rows[0];
 
-            // log da atualização
-            console.log(`Foto atualizada para animal ${animal.nome} (ID: ${animalId}): ${fotoUrl}`);
+        if (user.verificado) {
+            return res.status(400).json({ message: 'Utilizador já verificado' });
+        }
 
-            // responde com sucesso
-            res.status(200).json({
-                success: true,
-                message: 'Foto atualizada com sucesso',
-                fotoUrl: fotoUrl,
-                filename: req.file.filename,
-                animal: {
-                    id: animalId,
-                    nome: animal.nome
-                }
+        // impede envios sucessivos em pouco tempo
+        const restante = await segundosAteReenvio(user.id, 'registo');
+        if (restante > 0) {
+            res.set('Retry-After', String(restante));
+            return res.status(429).json({
+                message: `Aguarde ${restante} segundos antes de pedir um novo código`,
+                retryAfter: restante
             });
+        }
 
-            // em caso de erro
-        } catch (error) {
-            console.error('Erro ao atualizar foto:', error);
-            //tenta apagar o ficheiro
-            if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-                try {
-                    fs.unlinkSync(req.file.path); // apaga ficheiro
-                    // se der erro ao apagar
-                } catch (unlinkError) {
-                    console.error('Erro ao apagar ficheiro:', unlinkError);
-                }
-            }
+        const verificationCode = await enviarCodigoRegisto(user, canal);
 
-            res.status(500).json({
-                error: 'Erro no servidor',
-                details: error.message
-            });
+        console.log(`Código de verificação reenviado por ${canal} para o utilizador ${user.nome}.`);
+
+        const response = { message: 'Novo código enviado', canal };
+        if (isDevMode) {
+            response.verificationCode = verificationCode;
         }
-    }
-);
 
+        res.status(200).json(response);
 
+    } catch (error) {
+        console.error('Erro ao reenviar código:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
+    }
+});
 
-// ROTAS DE CONSULTAS==============================================
 
-// POST /consultas -> marca nova consulta
-app.post('/consultas', authenticateToken, async (req, res) => {
+// POST /utilizadores/criar-pin -> rota para criar o PIN
+app.post('/utilizadores/criar-pin', async (req, res) => {
     try {
-        // o corpo do pedido corresponde ao modelo NovaConsulta do android
-        const { animalId, clinicaId, veterinarioId, data, motivo } = req.body;
-        const userId = req.user.id;
+        const { email, pin } = req.body;
 
-        // validacao dos campos obrigatorios
-        if (!animalId || !clinicaId || !veterinarioId || !data) {
-            return res.status(400).json({
-                error: 'todos os campos sao obrigatorios: animalId, clinicaId, veterinarioId, data'
-            });
+        if (!email || !pin) {
+            return res.status(400).json({ message: 'Email e PIN são obrigatórios' });
         }
-
-        // extrai a data e a hora da string iso (ex: "2024-08-15T10:00:00")
-        const fullDate = new Date(data);
-        
-        // verifica se a data é valida
-        if (isNaN(fullDate.getTime())) {
-            return res.status(400).json({
-                error: 'formato de data invalido. use iso 8601 (ex: 2024-08-15T10:00:00)'
-            });
+        if (String(pin).length !== 6) {
+            return res.status(400).json({ message: 'O PIN deve ter 6 dígitos' });
         }
 
-        const dataSql = fullDate.toISOString().split('T')[0]; // "2024-08-15" 
-        const horaSql = fullDate.toTimeString().split(' ')[0]; // "10:00:00"
+        // procura utilizador pelo email
+        const result = await pool.query(
+            'SELECT * FROM users WHERE email = $1',
+            [email]
+        );
 
-        // verifica se a data da consulta nao e no passado
-        const hoje = new Date();
-        hoje.setHours(0, 0, 0, 0);
-        
-        if (fullDate < hoje) {
-            return res.status(400).json({
-                error: 'a data da consulta nao pode ser no passado'
-            });
+        // se não encontrar, retorna erro
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Utilizador não encontrado' });
         }
 
-        // verifica se o animal pertence ao utilizador
-        const animalCheck = await pool.query(
-            'SELECT id, nome, tutorId FROM animais WHERE id = $1',
-            [animalId]
-        );
+        const user = result.rows[0];
 
-        if (animalCheck.rows.length === 0) {
-            return res.status(404).json({ error: 'animal nao encontrado' });
+        // só contas com email/telemóvel verificado podem definir PIN
+        if (!user.verificado) {
+            return res.status(403).json({ message: 'Conta ainda não verificada' });
         }
 
-        if (animalCheck.rows[0].tutorid !== userId) {
-            console.log(`tentativa nao autorizada: user ${userId} tentou marcar consulta para animal ${animalId} de outro tutor`);
-            return res.status(403).json({ 
-                error: 'nao autorizado. este animal nao lhe pertence' 
-            });
+        // um PIN existente só pode ser substituído com prova de posse (alterar-pin ou recuperar-pin)
+        if (user.pin) {
+            return res.status(409).json({ message: 'PIN já definido. Use a recuperação de PIN.' });
         }
 
-        // verifica se o veterinario pertence a clinica selecionada
-        const veterinarioCheck = await pool.query(
-            'SELECT id, nome, clinicaId FROM veterinarios WHERE id = $1 AND clinicaId = $2',
-            [veterinarioId, clinicaId]
+        // Hash do PIN antes de armazenar
+        const salt = await bcrypt.genSalt(10); // Gerar salt
+        const hashedPin = await bcrypt.hash(String(pin), salt); // Hash do PIN
+
+        // atualiza o PIN do utilizador na BD
+        await pool.query(
+            'UPDATE users SET pin = $1 WHERE email = $2',
+            [hashedPin, email]
         );
 
-        if (veterinarioCheck.rows.length === 0) {
-            return res.status(400).json({
-                error: 'veterinario nao encontrado ou nao pertence a clinica selecionada'
-            });
-        }
+        await registarAuditoria(req, {
+            actorId: user.id,
+            acao: 'pin_criado',
+            entidade: 'utilizador',
+            entidadeId: user.id
+        });
 
-        // verifica se a clinica existe
-        const clinicaCheck = await pool.query(
-            'SELECT id, nome FROM clinicas WHERE id = $1',
-            [clinicaId]
-        );
+        console.log(`PIN criado para o utilizador ${user.nome}.`);
+        res.status(200).json({ message: 'PIN criado com sucesso', userId: user.id });
 
-        if (clinicaCheck.rows.length === 0) {
-            return res.status(404).json({ error: 'clinica nao encontrada' });
-        }
+    } catch (error) {
+        console.error('Erro ao criar o PIN:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
+    }
+});
 
-        // verifica se ja existe uma consulta marcada para o mesmo veterinario na mesma data e hora
-        const consultaConflito = await pool.query(
-            `SELECT * FROM consultas 
-             WHERE veterinarioId = $1 
-             AND data = $2 
-             AND hora = $3 
-             AND estado != 'cancelada'`,
-            [veterinarioId, dataSql, horaSql]
-        );
+// POST /utilizadores/recuperar-pin -> envia um código de recuperação pelo canal verificado
+app.post('/utilizadores/recuperar-pin', limitarPedidos({ nome: 'recuperar_pin', maximo: 5, janelaMinutos: 60 }), async (req, res) => {
+    try {
+        const { email } = req.body;
 
-        if (consultaConflito.rows.length > 0) {
-            return res.status(409).json({
-                error: 'ja existe uma consulta marcada para este veterinario no mesmo horario'
-            });
+        if (!email) {
+            return res.status(400).json({ message: 'Email é obrigatório' });
         }
 
-        // insercao na base de dados
-        const insertResult = await pool.query(
-            `INSERT INTO consultas 
-             (userId, animalId, clinicaId, veterinarioId, data, hora, motivo, estado) 
-             VALUES ($1, $2, $3, $4, $5, $6, $7, 'marcada')
-             RETURNING id`,
-            [userId, animalId, clinicaId, veterinarioId, dataSql, horaSql, motivo]
+        // resposta igual quer a conta exista ou não
+        const resposta = { message: 'Se a conta existir, foi enviado um código de recuperação' };
+
+        const result = await pool.query(
+            'SELECT id, nome, email, telemovel, verificado, canalVerificado FROM users WHERE email = $1',
+            [email]
         );
 
-        const novaConsultaId = insertResult.rows[0].id;
+        // apenas contas verificadas têm um canal de confiança para receber o código
+        if (result.rows.length === 0 || !result.rows[0].verificado) {
+            return res.status(200).json(resposta);
+        }
 
-        // busca a consulta completa para devolver a app
-        const finalResult = await pool.query(`
-            SELECT c.*, 
-                   cli.nome as clinicanome, 
-                   vet.nome as veterinarionome, 
-                   a.nome as animalnome,
-                   a.especie as animalespecie
-            FROM consultas c
-            JOIN clinicas cli ON c.clinicaId = cli.id
-            JOIN veterinarios vet ON c.veterinarioId = vet.id
-            LEFT JOIN animais a ON c.animalId = a.id
-            WHERE c.id = $1
-        `, [novaConsultaId]);
+        const user = result.rows[0];
 
-        const consultaCriada = finalResult.rows[0];
+        if (await segundosAteReenvio(user.id, 'recuperacao_pin') > 0) {
+            return res.status(200).json(resposta);
+        }
 
-        // log da operacao
-        console.log(`consulta marcada - id: ${novaConsultaId}, user: ${userId}, animal: ${consultaCriada.animalnome}, data: ${consultaCriada.data}`);
+        // contas verificadas antes de existir o registo do canal receberam o código por SMS
+        const canal = user.canalverificado || 'sms';
 
-        // responde com o objeto completo
-        res.status(201).json({
-            success: true,
-            message: 'consulta marcada com sucesso',
-            consulta: consultaCriada
+        const codigo = await emitirCodigo(user.id, {
+            finalidade: 'recuperacao_pin',
+            canal,
+            destino: canal === 'email' ? user.email : user.telemovel,
+            assunto: 'Recuperação do PIN VetConnect',
+            texto: codigo => `O seu código para definir um novo PIN VetConnect é ${codigo}. Se não pediu a recuperação, ignore esta mensagem.`
         });
 
-    } catch (error) {
-        console.error('erro ao marcar consulta:', error);
-        res.status(500).json({ 
-            error: 'erro no servidor',
-            message: 'nao foi possivel marcar a consulta. tente novamente.'
+        await registarAuditoria(req, {
+            actorId: null,
+            acao: 'recuperacao_pin_pedida',
+            entidade: 'utilizador',
+            entidadeId: user.id,
+            detalhes: { canal }
         });
-    }
-});
 
+        console.log(`Código de recuperação de PIN enviado por ${canal} ao utilizador ${user.nome}.`);
 
-// GET /clinicas -> obtem todas as clínicas
-app.get('/clinicas', async (req, res) => {
-    try {
-        const result = await pool.query('SELECT * FROM clinicas ORDER BY LOWER(nome)'); // ordena alfabeticamente as clínicas
-        res.status(200).json(result.rows);
-    } catch (error) {
-        console.error('Erro ao obter clínicas:', error);
-        res.status(500).json({ error: 'Erro no servidor' });
-    }
-});
+        if (isDevMode) {
+            resposta.codigo = codigo;
+        }
+
+        res.status(200).json(resposta);
 
-// GET /veterinarios -> obtem todos os veterinários
-app.get('/veterinarios', async (req, res) => {
-    try {
-        const result = await pool.query('SELECT * FROM veterinarios ORDER BY LOWER(nome)'); // ordena alfabeticamente os veterinários
-        res.status(200).json(result.rows);
     } catch (error) {
-        console.error('Erro ao obter veterinários:', error);
-        res.status(500).json({ error: 'Erro no servidor' });
+        console.error('Erro ao pedir recuperação de PIN:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
     }
 });
 
-// GET /clinicas/:clinicaId/veterinarios -> obtem veterinários de uma clínica específica
-app.get('/clinicas/:clinicaId/veterinarios', async (req, res) => {
+// POST /utilizadores/recuperar-pin/confirmar -> define um novo PIN com o código recebido
+app.post('/utilizadores/recuperar-pin/confirmar', async (req, res) => {
     try {
-        const { clinicaId } = req.params; // obtem o ID da clínica dos parâmetros da rota
+        const { email, codigo, novoPin } = req.body;
+
+        if (!email || !codigo || !novoPin) {
+            return res.status(400).json({ message: 'Email, código e novo PIN são obrigatórios' });
+        }
+        if (!/^[0-9]{6}$/.test(String(novoPin))) {
+            return res.status(400).json({ message: 'O PIN deve ter 6 dígitos' });
+        }
+
         const result = await pool.query(
-            'SELECT * FROM veterinarios WHERE clinicaId = $1 ORDER BY LOWER(nome)', // ordena alfabeticamente os veterinários
-            [clinicaId] // parâmetro da consulta
+            'SELECT id, nome, email FROM users WHERE email = $1 AND verificado = true',
+            [email]
         );
-        res.status(200).json(result.rows);
-    } catch (error) {
-        console.error('Erro ao obter veterinários da clínica:', error);
-        res.status(500).json({ error: 'Erro no servidor' });
-    }
-});
 
-// GET /consultas/user/:userId -> consultas de um utilizador 
-app.get('/consultas/user/:userId', authenticateToken, async (req, res) => {
-    try {
-        const { userId } = req.params;
-        const requestingUser = req.user; // Utilizador que faz o pedido (do token)
+        // email inexistente responde como um código inexistente
+        if (result.rows.length === 0) {
+            return responderCodigoInvalido(res, { motivo: 'inexistente' });
+        }
 
-        // VERIFICAÇÃO DE PERMISSÃO CRÍTICA
-        // 1. O utilizador só pode ver as suas próprias consultas
-        // 2. Veterinários podem ver consultas de qualquer utilizador
-        if (parseInt(userId) !== requestingUser.id && requestingUser.tipo !== 'veterinario') {
-            console.warn(`Tentativa de acesso não autorizado: Utilizador ${requestingUser.id} tentou aceder consultas do utilizador ${userId}`);
-            return res.status(403).json({ 
-                error: 'Acesso não autorizado. Só pode ver as suas próprias consultas.' 
-            });
+        const user = result.rows[0];
+
+        const validacao = await validarCodigo(user.id, 'recuperacao_pin', codigo);
+        if (!validacao.valido) {
+            return responderCodigoInvalido(res, validacao);
         }
 
-        const result = await pool.query(`
-            SELECT c.*, 
-                   cli.nome as clinicanome, 
-                   vet.nome as veterinarionome, 
-                   a.nome as animalnome,
-                   a.especie as animalespecie
-            FROM consultas c
-            JOIN clinicas cli ON c.clinicaId = cli.id
-            JOIN veterinarios vet ON c.veterinarioId = vet.id
-            LEFT JOIN animais a ON c.animalId = a.id
-            WHERE c.userId = $1
-            ORDER BY c.data DESC, c.hora DESC
-        `, [userId]);
+        // Hash do novo PIN
+        const salt = await bcrypt.genSalt(10);
+        const hashedPin = await bcrypt.hash(String(novoPin), salt);
 
-        console.log(`Utilizador ${requestingUser.id} (${requestingUser.tipo}) acedeu às consultas do utilizador ${userId} - ${result.rows.length} consultas encontradas`);
+        // atualiza o PIN e invalida todos os tokens emitidos até agora
+        await pool.query(
+            'UPDATE users SET pin = $1, tokensValidosDesde = NOW() WHERE id = $2',
+            [hashedPin, user.id]
+        );
 
-        res.status(200).json({
-            success: true,
-            count: result.rows.length,
-            consultas: result.rows
+        // termina todas as sessões (refresh tokens) e levanta bloqueios da conta
+        const sessoesRevogadas = await revogarSessoes(user.id, 'recuperacao_pin');
+        await limparFalhas(chavesFalhas(user.email, req).conta);
+
+        await registarAuditoria(req, {
+            actorId: user.id,
+            acao: 'pin_recuperado',
+            entidade: 'utilizador',
+            entidadeId: user.id,
+            detalhes: { canal: validacao.registo.canal, sessoesRevogadas: sessoesRevogadas.length }
         });
 
+        console.log(`PIN recuperado para o utilizador ${user.nome} (ID: ${user.id}), ${sessoesRevogadas.length} sessões terminadas`);
+
+        res.status(200).json({ message: 'PIN definido com sucesso. Inicie sessão novamente.' });
+
     } catch (error) {
-        console.error('Erro ao obter consultas:', error);
-        res.status(500).json({ error: 'Erro no servidor' });
+        console.error('Erro ao recuperar PIN:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
     }
 });
 
-// DELETE /consultas/:id -> cancela uma consulta
-app.delete('/consultas/:id', authenticateToken, async (req, res) => {
+// rota de Login
+app.post('/utilizadores/login', async (req, res) => {
     try {
-        const { id } = req.params;
-        const userId = req.user.id;
-        const userTipo = req.user.tipo;
+        const { email, pin } = req.body;
 
-        // Primeiro, verifica se a consulta existe e obtém detalhes para auditoria
-        const consultaCheck = await pool.query(`
-            SELECT c.id, c.userId, c.data, c.hora, 
-                   a.nome as animal_nome,
-                   cli.nome as clinica_nome
-            FROM consultas c
-            LEFT JOIN animais a ON c.animalId = a.id
-            LEFT JOIN clinicas cli ON c.clinicaId = cli.id
-            WHERE c.id = $1
-        `, [id]);
+        if (!email || !pin) {
+            return res.status(400).json({ message: 'Email e PIN são obrigatórios' });
+        }
 
-        if (consultaCheck.rows.length === 0) {
-            console.warn(`Tentativa de cancelar consulta inexistente ID ${id} por utilizador ${userId}`);
-            return res.status(404).json({ error: 'Consulta não encontrada' });
+        // verifica se a conta ou o IP estão bloqueados por excesso de falhas
+        const chaves = chavesFalhas(email, req);
+        const restante = await segundosBloqueado([chaves.conta, chaves.ip]);
+        if (restante > 0) {
+            return responderBloqueado(res, restante);
         }
 
-        const consulta = consultaCheck.rows[0];
+        // procura utilizador pelo email
+        const result = await pool.query(
+            'SELECT * FROM users WHERE email = $1',
+            [email]
+        );
 
-        // VERIFICAÇÃO DE PERMISSÃO CRÍTICA
-        // Apenas o dono da consulta pode cancelar (ou veterinários, se aplicável)
-        if (consulta.userid !== userId && userTipo !== 'veterinario') {
-            console.warn(`Tentativa de acesso não autorizado: Utilizador ${userId} (${userTipo}) tentou cancelar consulta ${id} do utilizador ${consulta.userid}`);
-            
-            // Log mais detalhado para auditoria
-            console.warn(`   Detalhes da tentativa: Consulta ID ${id}, Data: ${consulta.data}, Animal: ${consulta.animal_nome || 'N/A'}`);
-            
-            return res.status(403).json({ 
-                error: 'Não autorizado a cancelar esta consulta',
-                message: 'Apenas o tutor que marcou a consulta pode cancelá-la'
-            });
-        }
+        const user = result.rows[0];
 
-        // Opcional: Verificar se a consulta já passou
-        const dataConsulta = new Date(consulta.data);
-        const hoje = new Date();
-        hoje.setHours(0, 0, 0, 0);
-        
-        if (dataConsulta < hoje) {
-            return res.status(400).json({ 
-                error: 'Não é possível cancelar consultas que já ocorreram',
-                message: 'Consultas passadas não podem ser canceladas'
+        // Comparar o PIN inserido com o hash armazenado
+        // se o utilizador não existir compara com um hash fictício para não revelar a diferença pelo tempo de resposta
+        const isPinCorrect = await bcrypt.compare(String(pin), (user && user.pin) || PIN_HASH_FICTICIO)
+            && Boolean(user && user.pin);
+
+        // a mesma resposta para email inexistente, sem PIN ou PIN errado
+        if (!isPinCorrect) {
+            const falhas = await registarFalha(chaves.conta, 'conta');
+            await registarFalha(chaves.ip, 'ip');
+            await registarAuditoria(req, {
+                actorId: user ? user.id : null,
+                acao: 'login_falhado',
+                entidade: 'utilizador',
+                entidadeId: user ? user.id : null,
+                detalhes: { email, falhas }
             });
+            return res.status(401).json({ message: 'Email ou PIN incorretos' });
         }
 
-        // Opcional: Verificar se a consulta já foi realizada ou cancelada
-        // Se tivesse um campo 'estado' na tabela consultas, verificaríamos aqui
+        await limparFalhas(chaves.conta);
 
-        // Se a permissão estiver correta, apaga a consulta
-        const result = await pool.query(
-            'DELETE FROM consultas WHERE id = $1 RETURNING id',
-            [id]
-        );
+        // cria sessão para este dispositivo -> access token curto + refresh token
+        const sessao = await criarSessao(user, req);
 
-        // LOG DE AUDITORIA DETALHADO
-        console.log(`Consulta cancelada - ID: ${id}`);
-        console.log(`Cancelada por: Utilizador ${userId} (${userTipo})`);
- 
+        await registarAuditoria(req, {
+            actorId: user.id,
+            acao: 'login',
+            entidade: 'utilizador',
+            entidadeId: user.id,
+            detalhes: { sessaoId: sessao.sessaoId, dispositivo: req.body.dispositivo || null }
+        });
 
-        // Resposta de sucesso
-        res.status(200).json({
-            success: true,
-            message: 'Consulta cancelada com sucesso',
-            consultaId: result.rows[0].id,
-            detalhes: {
-                data: consulta.data,
-                hora: consulta.hora,
-                clinica: consulta.clinica_nome,
-                animal: consulta.animal_nome
-            }
+        // Responder com o token e dados do utilizador
+        const userResponse = {
+            id: user.id,
+            nome: user.nome,
+            email: user.email,
+            telemovel: user.telemovel,
+            nacionalidade: user.nacionalidade,
+            sexo: user.sexo,
+            cc: user.cc,
+            dataNascimento: user.datanascimento,
+            morada: user.morada,
+            tipo: user.tipo,
+            veterinarioId: user.veterinarioid,
+            clinicaId: user.clinicaid,
+            dataRegisto: user.dataregisto,
+            verificado: user.verificado,
+            eliminacaoAgendadaPara: user.eliminacaoagendadapara // a app mostra a opção de cancelar
+        };
+
+        res.status(200).json({
+            message: 'Login bem-sucedido',
+            token: sessao.accessToken,
+            refreshToken: sessao.refreshToken,
+            expiresIn: ACCESS_TOKEN_VALIDADE_SEGUNDOS,
+            sessaoId: sessao.sessaoId,
+            user: userResponse
         });
 
     } catch (error) {
-        console.error('Erro ao cancelar consulta:', error);
-        res.status(500).json({ 
-            error: 'Erro no servidor',
-            message: 'Não foi possível cancelar a consulta. Tente novamente mais tarde.'
-        });
+        console.error('Erro no login:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
     }
 });
 
-// PUT /consultas/:id -> atualiza uma consulta 
-app.put('/consultas/:id', authenticateToken, async (req, res) => {
+// POST /utilizadores/token/refresh -> troca o refresh token por um novo par de tokens (rotação)
+app.post('/utilizadores/token/refresh', async (req, res) => {
     try {
-        const { id } = req.params;
-        const userId = req.user.id;
-
-        // 1. verificar se a consulta existe e pertence ao utilizador
-        const originalConsultaQuery = await pool.query(
-            'SELECT * FROM consultas WHERE id = $1',
-            [id]
-        );
-
-        if (originalConsultaQuery.rows.length === 0) {
-            return res.status(404).json({ error: 'consulta nao encontrada' });
-        }
+        const { refreshToken } = req.body;
 
-        const originalConsulta = originalConsultaQuery.rows[0];
-        
-        // verificacao de permissao - apenas o dono pode editar
-        if (originalConsulta.userid !== userId) {
-            console.log(`tentativa nao autorizada: user ${userId} tentou editar consulta ${id} do user ${originalConsulta.userid}`);
-            return res.status(403).json({ error: 'acesso nao autorizado' });
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'Refresh token é obrigatório' });
         }
 
-        // 2. obter dados para atualizar (do modelo da aplicacao)
-        const { motivo, data, clinicaId, veterinarioId, observacoes } = req.body;
-
-        // manter valores originais se nao forem fornecidos novos
-        const novoMotivo = motivo !== undefined ? motivo : originalConsulta.motivo;
-        const novaClinicaId = clinicaId !== undefined ? clinicaId : originalConsulta.clinicaid;
-        const novoVeterinarioId = veterinarioId !== undefined ? veterinarioId : originalConsulta.veterinarioid;
-        const novasObservacoes = observacoes !== undefined ? observacoes : originalConsulta.observacoes;
-
-        let novaDataSql = originalConsulta.data;
-        let novaHoraSql = originalConsulta.hora;
-
-        // se uma nova data for fornecida, processa-la
-        if (data) {
-            const fullDate = new Date(data);
-            
-            // validar formato da data
-            if (isNaN(fullDate.getTime())) {
-                return res.status(400).json({
-                    error: 'formato de data invalido. use iso 8601'
-                });
-            }
-
-            // verificar se a data nao e no passado
-            const hoje = new Date();
-            hoje.setHours(0, 0, 0, 0);
-            
-            if (fullDate < hoje) {
-                return res.status(400).json({
-                    error: 'a data da consulta nao pode ser no passado'
-                });
-            }
+        // procura o refresh token e a respetiva sessão
+        const result = await pool.query(
+            `SELECT rt.id, rt.usado_em, s.id as sessao_id, s.user_id, s.revogada_em, s.expires_at,
+                    u.email, u.tipo
+             FROM refresh_tokens rt
+             JOIN sessoes s ON rt.sessao_id = s.id
+             JOIN users u ON s.user_id = u.id
+             WHERE rt.token_hash = $1`,
+            [hashToken(refreshToken)]
+        );
 
-            novaDataSql = fullDate.toISOString().split('T')[0];
-            novaHoraSql = fullDate.toTimeString().split(' ')[0];
+        if (result.rows.length === 0) {
+            return res.status(401).json({ message: 'Refresh token inválido' });
         }
 
-        // 3. validacoes se algo importante mudou
-        const dataMudou = data && (novaDataSql !== originalConsulta.data || novaHoraSql !== originalConsulta.hora);
-        const veterinarioMudou = veterinarioId && novoVeterinarioId !== originalConsulta.veterinarioid;
-        const clinicaMudou = clinicaId && novaClinicaId !== originalConsulta.clinicaid;
-
-        // se o veterinario mudou, verificar se pertence a nova clinica
-        if (veterinarioMudou || clinicaMudou) {
-            const veterinarioCheck = await pool.query(
-                'SELECT id FROM veterinarios WHERE id = $1 AND clinicaId = $2',
-                [novoVeterinarioId, novaClinicaId]
-            );
+        const registo = result.rows[0];
 
-            if (veterinarioCheck.rows.length === 0) {
-                return res.status(400).json({
-                    error: 'veterinario nao encontrado ou nao pertence a clinica selecionada'
-                });
-            }
+        if (registo.revogada_em || new Date(registo.expires_at) <= new Date()) {
+            return res.status(401).json({ message: 'Sessão terminada. Faça login novamente.' });
         }
 
-        // se o horario ou o veterinario mudaram, verificar conflitos
-        if (dataMudou || veterinarioMudou) {
-            const conflitoQuery = await pool.query(
-                `SELECT id FROM consultas 
-                 WHERE veterinarioId = $1 
-                 AND data = $2 
-                 AND hora = $3 
-                 AND estado != 'cancelada' 
-                 AND id != $4`,
-                [novoVeterinarioId, novaDataSql, novaHoraSql, id]
-            );
+        // marca o token como usado (só um pedido o consegue fazer)
+        const usado = await pool.query(
+            'UPDATE refresh_tokens SET usado_em = NOW() WHERE id = $1 AND usado_em IS NULL RETURNING id',
+            [registo.id]
+        );
 
-            if (conflitoQuery.rows.length > 0) {
-                return res.status(409).json({ 
-                    error: 'horario indisponivel para este veterinario' 
-                });
-            }
+        // token já usado -> foi copiado/roubado, termina a sessão inteira
+        if (registo.usado_em || usado.rows.length === 0) {
+            await revogarSessoes(registo.user_id, 'reutilizacao_refresh_token', { sessaoId: registo.sessao_id });
+            await registarAuditoria(req, {
+                actorId: null,
+                acao: 'refresh_token_reutilizado',
+                entidade: 'sessao',
+                entidadeId: registo.sessao_id,
+                detalhes: { userId: registo.user_id }
+            });
+            console.warn(`Reutilização de refresh token detetada na sessão ${registo.sessao_id} do utilizador ${registo.user_id}`);
+            return res.status(401).json({ message: 'Refresh token reutilizado. Sessão terminada por segurança.' });
         }
 
-        // 4. executar a atualizacao
+        // prolonga a sessão e regista o último acesso
         await pool.query(
-            `UPDATE consultas SET
-                motivo = $1,
-                data = $2,
-                hora = $3,
-                clinicaId = $4,
-                veterinarioId = $5,
-                observacoes = $6
-             WHERE id = $7`,
-            [novoMotivo, novaDataSql, novaHoraSql, novaClinicaId, novoVeterinarioId, novasObservacoes, id]
+            `UPDATE sessoes SET ultimo_acesso = NOW(), ip = $2, expires_at = NOW() + make_interval(days => $3)
+             WHERE id = $1`,
+            [registo.sessao_id, req.ip, SESSAO_VALIDADE_DIAS]
         );
 
-        // 5. devolver a consulta completa e atualizada
-        const finalResult = await pool.query(`
-            SELECT c.*, 
-                   cli.nome as clinicanome, 
-                   vet.nome as veterinarionome, 
-                   a.nome as animalnome,
-                   a.especie as animalespecie
-            FROM consultas c
-            JOIN clinicas cli ON c.clinicaId = cli.id
-            JOIN veterinarios vet ON c.veterinarioId = vet.id
-            LEFT JOIN animais a ON c.animalId = a.id
-            WHERE c.id = $1
-        `, [id]);
-
-        console.log(`consulta ${id} atualizada pelo utilizador ${userId}`);
+        const user = { id: registo.user_id, email: registo.email, tipo: registo.tipo };
 
         res.status(200).json({
-            success: true,
-            message: 'consulta atualizada com sucesso',
-            consulta: finalResult.rows[0]
+            message: 'Token renovado',
+            token: gerarAccessToken(user, registo.sessao_id),
+            refreshToken: await emitirRefreshToken(registo.sessao_id),
+            expiresIn: ACCESS_TOKEN_VALIDADE_SEGUNDOS
         });
 
     } catch (error) {
-        console.error('erro ao atualizar consulta:', error);
-        res.status(500).json({ 
-            error: 'erro no servidor',
-            details: error.message 
-        });
+        console.error('Erro ao renovar token:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
     }
 });
 
+// GET /utilizadores/sessoes -> lista os dispositivos com sessão ativa
+app.get('/utilizadores/sessoes', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, dispositivo, user_agent, ip, created_at, ultimo_acesso, expires_at
+             FROM sessoes
+             WHERE user_id = $1 AND revogada_em IS NULL AND expires_at > NOW()
+             ORDER BY ultimo_acesso DESC`,
+            [req.user.id]
+        );
 
+        // indica qual é a sessão que fez o pedido
+        const sessoes = result.rows.map(sessao => ({
+            ...sessao,
+            atual: sessao.id === req.user.sid
+        }));
 
-// ROTAS DE VACINAS==============================================
+        res.status(200).json({
+            success: true,
+            count: sessoes.length,
+            sessoes
+        });
 
-// GET /vacinas -> obtem todas as vacinas
-app.get('/vacinas', authenticateToken, async (req, res) => {
+    } catch (error) {
+        console.error('Erro ao obter sessões:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /utilizadores/sessoes -> termina todas as sessões exceto a atual
+app.delete('/utilizadores/sessoes', authenticateToken, async (req, res) => {
     try {
-        
-        const userId = req.user.id; 
+        const revogadas = await revogarSessoes(req.user.id, 'revogada_pelo_utilizador', {
+            excetoSessaoId: req.user.sid
+        });
 
-        const result = await pool.query(`
-            SELECT v.*, a.nome as animal_nome, c.nome as clinicaNome, vet.nome as veterinarioNome
-            FROM vacinas v
-            JOIN animais a ON v.animalId = a.id
-            LEFT JOIN clinicas c ON v.clinicaId = c.id
-            LEFT JOIN veterinarios vet ON v.veterinarioId = vet.id
-            WHERE a.tutorId = $1
-            ORDER BY v.data_agendada DESC
-        `, [userId]);
+        await registarAuditoria(req, {
+            acao: 'sessoes_terminadas',
+            entidade: 'utilizador',
+            entidadeId: req.user.id,
+            detalhes: { sessoes: revogadas }
+        });
+
+        console.log(`Utilizador ${req.user.id} terminou ${revogadas.length} outras sessões`);
 
         res.status(200).json({
             success: true,
-            count: result.rows.length,
-            vacinas: result.rows
+            message: 'Outras sessões terminadas',
+            count: revogadas.length
         });
 
     } catch (error) {
-        console.error('Erro ao obter todas as vacinas do utilizador:', error);
+        console.error('Erro ao terminar sessões:', error);
         res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// GET /vacinas/proximas -> obtem vacinas nos próximos 7 dias
-app.get('/vacinas/proximas', authenticateToken, async (req, res) => {
+// DELETE /utilizadores/sessoes/:sessaoId -> termina uma sessão (dispositivo) específica
+app.delete('/utilizadores/sessoes/:sessaoId', authenticateToken, async (req, res) => {
     try {
-        const userId = req.user.id;
+        const sessaoId = Number(req.params.sessaoId);
 
-        // vacinas que precisam ser aplicadas (próximas 7 dias)
-        const result = await pool.query(`
-        SELECT v.*, a.nome as animal_nome, a.especie, tv.descricao, c.nome as clinicaNome, vet.nome as veterinarioNome
-                FROM vacinas v
-                JOIN animais a ON v.animalId = a.id
-                LEFT JOIN tipos_vacina tv ON v.tipo_vacina_id = tv.id
-                LEFT JOIN clinicas c ON v.clinicaId = c.id
-                LEFT JOIN veterinarios vet ON v.veterinarioId = vet.id
-                WHERE a.tutorId = $1 
-                AND v.estado = 'agendada' 
-                AND v.data_agendada BETWEEN CURRENT_TIMESTAMP AND CURRENT_TIMESTAMP + INTERVAL '7 days'
-            ORDER BY v.data_agendada ASC
-        `, [userId]);
+        if (!Number.isInteger(sessaoId) || sessaoId < 1) {
+            return res.status(400).json({ error: 'ID de sessão inválido' });
+        }
 
-        // marca quais vacinas já foram notificadas
-        const vacinasParaNotificar = result.rows.filter(v => !v.notificado);
+        const revogadas = await revogarSessoes(req.user.id, 'revogada_pelo_utilizador', { sessaoId });
 
-        // atualiza status de notificação
-        if (vacinasParaNotificar.length > 0) {
-            const idsParaNotificar = vacinasParaNotificar.map(v => v.id);
-            await pool.query(
-                `UPDATE vacinas SET notificado = true WHERE id = ANY($1)`,
-                [idsParaNotificar]
-            );
+        // só encontra sessões ativas do próprio utilizador
+        if (revogadas.length === 0) {
+            return res.status(404).json({ error: 'Sessão não encontrada' });
         }
 
-        // responde com os resultados
+        await registarAuditoria(req, {
+            acao: 'sessao_terminada',
+            entidade: 'sessao',
+            entidadeId: revogadas[0]
+        });
+
+        console.log(`Utilizador ${req.user.id} terminou a sessão ${sessaoId}`);
+
         res.status(200).json({
             success: true,
-            count: result.rows.length,
-            vacinas: result.rows,
-            mensagem: result.rows.length > 0
-                ? `Encontradas ${result.rows.length} vacinas próximas`
-                : 'Nenhuma vacina próxima encontrada'
+            message: 'Sessão terminada',
+            sessaoId: revogadas[0]
         });
 
     } catch (error) {
-        console.error('Erro ao obter vacinas próximas:', error);
-        res.status(500).json({
-            error: 'Erro no servidor',
-            detalhes: error.message
-        });
+        console.error('Erro ao terminar sessão:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// GET /animais/:animalId/vacinas/agendadas -> obter vacinas agendadas de um animal
-app.get('/animais/:animalId/vacinas/agendadas', authenticateToken, async (req, res) => {
+// POST /utilizadores/desbloquear/pedir -> envia um código para desbloquear a conta (pelo canal verificado)
+app.post('/utilizadores/desbloquear/pedir', limitarPedidos({ nome: 'desbloqueio', maximo: 5, janelaMinutos: 60 }), async (req, res) => {
     try {
-        const { animalId } = req.params;
-        const userId = req.user.id;
+        const { email } = req.body;
 
-        // verifica se o animal pertence ao utilizador
-        const animalCheck = await pool.query(
-            'SELECT id FROM animais WHERE id = $1 AND tutorId = $2',
-            [animalId, userId]
+        if (!email) {
+            return res.status(400).json({ message: 'Email é obrigatório' });
+        }
+
+        // resposta igual quer a conta exista ou não
+        const resposta = { message: 'Se a conta existir, foi enviado um código de desbloqueio' };
+
+        const result = await pool.query(
+            'SELECT id, nome, email, telemovel, verificado, canalVerificado FROM users WHERE email = $1',
+            [email]
         );
 
-        // se não encontrar o animal ou não pertencer ao utilizador
-        if (animalCheck.rows.length === 0) {
-            return res.status(404).json({
-                error: 'Animal não encontrado ou não autorizado'
-            });
+        // como na recuperação do PIN, o código só vai para o canal verificado da conta
+        if (result.rows.length === 0 || !result.rows[0].verificado) {
+            return res.status(200).json(resposta);
         }
 
-        // obtem vacinas agendadas para o animal
-        const result = await pool.query(`
-            SELECT v.*, tv.descricao, c.nome as clinicaNome, vet.nome as veterinarioNome
-                FROM vacinas v
-                LEFT JOIN tipos_vacina tv ON v.tipo_vacina_id = tv.id
-                LEFT JOIN clinicas c ON v.clinicaId = c.id
-                LEFT JOIN veterinarios vet ON v.veterinarioId = vet.id
-                WHERE v.animalId = $1 
-                AND v.estado = 'agendada'
-                ORDER BY v.data_agendada ASC`,
-            [animalId]
-        );
+        const user = result.rows[0];
 
-        res.status(200).json({
-            success: true,
-            count: result.rows.length,
-            vacinas: result.rows
+        // respeita o intervalo entre envios, mas sem o revelar
+        if (await segundosAteReenvio(user.id, 'desbloqueio') > 0) {
+            return res.status(200).json(resposta);
+        }
+
+        // contas verificadas antes de existir o registo do canal receberam o código por SMS
+        const canal = user.canalverificado || 'sms';
+
+        const codigo = await emitirCodigo(user.id, {
+            finalidade: 'desbloqueio',
+            canal,
+            destino: canal === 'email' ? user.email : user.telemovel,
+            assunto: 'Desbloqueio da conta VetConnect',
+            texto: codigo => `O seu código para desbloquear a conta VetConnect é ${codigo}. Se não foi você, ignore esta mensagem.`
         });
 
+        console.log(`Código de desbloqueio enviado ao utilizador ${user.nome}.`);
+
+        if (isDevMode) {
+            resposta.codigo = codigo;
+        }
+
+        res.status(200).json(resposta);
+
     } catch (error) {
-        console.error('Erro ao obter vacinas agendadas:', error);
-        res.status(500).json({ error: 'Erro no servidor' });
+        console.error('Erro ao pedir desbloqueio:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
     }
 });
 
-// POST /vacinas/agendar -> agenda nova vacina (compativel)
-app.post('/vacinas/agendar', authenticateToken, async (req, res) => {
+// POST /utilizadores/desbloquear -> desbloqueia a conta com o código recebido
+app.post('/utilizadores/desbloquear', async (req, res) => {
     try {
-        const { animalId, tipo_vacina_id, data_agendada, clinicaId, veterinarioId, observacoes } = req.body;
-        const userId = req.user.id;
+        const { email, codigo } = req.body;
 
-        // validacao dos campos obrigatorios
-        if (!animalId || !tipo_vacina_id || !data_agendada) {
-            return res.status(400).json({
-                error: 'animalId, tipo_vacina_id e data_agendada sao obrigatorios'
-            });
+        if (!email || !codigo) {
+            return res.status(400).json({ message: 'Email e código são obrigatórios' });
         }
 
-        // verifica se o animal pertence ao utilizador
-        const animalCheck = await pool.query(
-            'SELECT id, nome, especie, dataNascimento FROM animais WHERE id = $1 AND tutorId = $2',
-            [animalId, userId]
-        );
+        const result = await pool.query(
+            'SELECT id, nome FROM users WHERE email = $1',
+            [email]
+        );
+
+        // email inexistente responde como um código inexistente
+        if (result.rows.length === 0) {
+            return responderCodigoInvalido(res, { motivo: 'inexistente' });
+        }
+
+        const user = result.rows[0];
+
+        const validacao = await validarCodigo(user.id, 'desbloqueio', codigo);
+        if (!validacao.valido) {
+            return responderCodigoInvalido(res, validacao);
+        }
+
+        await limparFalhas(chavesFalhas(email, req).conta);
+
+        await registarAuditoria(req, {
+            actorId: user.id,
+            acao: 'conta_desbloqueada',
+            entidade: 'utilizador',
+            entidadeId: user.id
+        });
+
+        console.log(`Conta do utilizador ${user.nome} desbloqueada.`);
+        res.status(200).json({ message: 'Conta desbloqueada. Já pode iniciar sessão.' });
+
+    } catch (error) {
+        console.error('Erro ao desbloquear conta:', error);
+        res.status(500).json({ message: 'Erro interno do servidor' });
+    }
+});
+
+// CRUD de utilizadores
+// GET /utilizadores -> obter todos os utilizadores 
+app.get('/utilizadores', authenticateToken, autorizar('utilizadores:listar'), async (req, res) => {
+    try {
+        console.log(`Utilizador ${req.user.id} (${req.user.tipo}) acedeu à lista de utilizadores.`);
+        
+        // apenas staff pode listar (e limitamos os campos)
+        const result = await pool.query(
+            'SELECT id, nome, email, tipo, veterinarioId, clinicaId, dataRegisto, verificado FROM users ORDER BY nome'
+        );
+        
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            utilizadores: result.rows
+        });
+    } catch (error) {
+        console.error('Erro ao procurar utilizadores:', error);
+        res.status(500).json({ error: 'Erro ao procurar utilizadores' });
+    }
+});
+
+// GET /utilizadores/:id -> obter um utilizador específico
+app.get('/utilizadores/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params; // Obter ID dos parâmetros da rota
+        const userIdFromToken = req.user.id; // ID do utilizador autenticado
+
+        // Verificar permissões - o utilizador só pode ver os seus próprios dados
+        // A menos que tenha permissão para ver qualquer utilizador (veterinários e administradores)
+        if (parseInt(id) !== userIdFromToken && !temPermissao(req.user, 'utilizadores:ver_qualquer')) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'utilizador', entidadeId: parseInt(id) });
+            return res.status(403).json({ 
+                error: 'Acesso negado. Só pode visualizar os seus próprios dados.' 
+            });
+        }
+
+        const result = await pool.query(
+            'SELECT id, nome, email, telemovel, tipo, veterinarioId, clinicaId, dataRegisto, verificado, nacionalidade, sexo, cc, dataNascimento, morada FROM users WHERE id = $1',
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Utilizador não encontrado' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'utilizador',
+            entidadeId: parseInt(id)
+        });
+
+        res.status(200).json(result.rows[0]);
+    } catch (error) {
+        console.error('Erro ao procurar utilizador:', error);
+        res.status(500).json({ error: 'Erro ao procurar utilizador' });
+    }
+});
+
+// GET /utilizadores/:id/exportar -> exporta todos os dados pessoais do utilizador (RGPD) num ZIP
+app.get('/utilizadores/:id/exportar', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        // apenas o próprio titular pode exportar os seus dados
+        if (parseInt(id) !== userId) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'utilizador', entidadeId: parseInt(id), detalhes: { operacao: 'exportar' } });
+            return res.status(403).json({ error: 'Só pode exportar os seus próprios dados' });
+        }
+
+        const perfilResult = await pool.query(
+            `SELECT id, nome, email, telemovel, tipo, dataRegisto, verificado, nacionalidade, sexo, cc, dataNascimento, morada
+             FROM users WHERE id = $1`,
+            [userId]
+        );
+
+        if (perfilResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Utilizador não encontrado' });
+        }
+
+        const animaisResult = await pool.query(
+            'SELECT * FROM animais WHERE tutorId = $1 ORDER BY id',
+            [userId]
+        );
+        const animalIds = animaisResult.rows.map(animal => animal.id);
+
+        const [consultasResult, vacinasResult, examesResult, galeriaResult] = await Promise.all([
+            pool.query(`
+                SELECT c.*, cli.nome as clinicanome, vet.nome as veterinarionome, a.nome as animalnome
+                FROM consultas c
+                LEFT JOIN clinicas cli ON c.clinicaId = cli.id
+                LEFT JOIN veterinarios vet ON c.veterinarioId = vet.id
+                LEFT JOIN animais a ON c.animalId = a.id
+                WHERE c.userId = $1 OR c.animalId = ANY($2)
+                ORDER BY c.data, c.hora
+            `, [userId, animalIds]),
+            pool.query(`
+                SELECT v.*, tv.descricao, c.nome as clinicanome, vet.nome as veterinarionome
+                FROM vacinas v
+                LEFT JOIN tipos_vacina tv ON v.tipo_vacina_id = tv.id
+                LEFT JOIN clinicas c ON v.clinicaId = c.id
+                LEFT JOIN veterinarios vet ON v.veterinarioId = vet.id
+                WHERE v.animalId = ANY($1)
+                ORDER BY v.data_agendada
+            `, [animalIds]),
+            pool.query(`
+                SELECT e.*, te.nome as tipo_nome, c.nome as clinicanome, v.nome as veterinarionome
+                FROM exames e
+                LEFT JOIN tipos_exame te ON e.tipo_exame_id = te.id
+                LEFT JOIN clinicas c ON e.clinicaId = c.id
+                LEFT JOIN veterinarios v ON e.veterinarioId = v.id
+                WHERE e.animalId = ANY($1)
+                ORDER BY e.dataExame
+            `, [animalIds]),
+            pool.query(
+                'SELECT * FROM fotos_animal WHERE animal_id = ANY($1) ORDER BY animal_id, created_at',
+                [animalIds]
+            )
+        ]);
+
+        // dados acrescentados depois -> medições, prescrições, perfil médico, alertas e animais partilhados
+        const [medicoesResult, prescricoesResult, dosesResult, perfisResult, alergiasResult, condicoesResult,
+            alertasResult, partilhasResult] = await Promise.all([
+            pool.query(
+                'SELECT * FROM medicoes WHERE animal_id = ANY($1) ORDER BY animal_id, medido_em',
+                [animalIds]
+            ),
+            pool.query(
+                'SELECT * FROM prescricoes WHERE animal_id = ANY($1) ORDER BY animal_id, inicio',
+                [animalIds]
+            ),
+            pool.query(`
+                SELECT d.*
+                FROM administracoes_dose d
+                JOIN prescricoes p ON d.prescricao_id = p.id
+                WHERE p.animal_id = ANY($1)
+                ORDER BY d.prescricao_id, d.prevista_para
+            `, [animalIds]),
+            pool.query('SELECT * FROM perfil_medico WHERE animal_id = ANY($1) ORDER BY animal_id', [animalIds]),
+            pool.query('SELECT * FROM alergias WHERE animal_id = ANY($1) ORDER BY animal_id, id', [animalIds]),
+            pool.query('SELECT * FROM condicoes_cronicas WHERE animal_id = ANY($1) ORDER BY animal_id, id', [animalIds]),
+            // os avistamentos ficam de fora (contêm contactos de terceiros)
+            pool.query(
+                'SELECT * FROM alertas_perdido WHERE animal_id = ANY($1) OR criado_por = $2 ORDER BY created_at',
+                [animalIds, userId]
+            ),
+            pool.query(`
+                SELECT at.animal_id, a.nome as animalnome, at.papel, at.created_at
+                FROM animal_tutores at
+                JOIN animais a ON at.animal_id = a.id
+                WHERE at.user_id = $1 AND a.tutorId != $1
+                ORDER BY at.created_at
+            `, [userId])
+        ]);
+
+        // doses agrupadas dentro de cada prescrição
+        const prescricoes = prescricoesResult.rows.map(prescricao => ({
+            ...prescricao,
+            doses: dosesResult.rows.filter(dose => dose.prescricao_id === prescricao.id)
+        }));
+
+        // fotos enviadas pelo utilizador -> copiadas para a pasta fotos/ do arquivo
+        const fotos = [];
+        const adicionarFoto = (registo, prefixo, url = registo.fotourl) => {
+            const caminho = caminhoUpload(url);
+            if (caminho && fs.existsSync(caminho)) {
+                registo.ficheiroFoto = `fotos/${prefixo}-${registo.id}-${path.basename(caminho)}`;
+                fotos.push({ caminho, nome: registo.ficheiroFoto });
+            }
+        };
+        // da galeria só vai o original (as outras versões são cópias reduzidas)
+        galeriaResult.rows.forEach(foto => adicionarFoto(foto, `animal-${foto.animal_id}-galeria`, foto.url));
+        examesResult.rows.forEach(exame => adicionarFoto(exame, 'exame'));
+
+        const dados = {
+            exportadoEm: new Date().toISOString(),
+            perfil: perfilResult.rows[0],
+            animais: animaisResult.rows,
+            consultas: consultasResult.rows,
+            vacinas: vacinasResult.rows,
+            exames: examesResult.rows,
+            fotos: galeriaResult.rows,
+            medicoes: medicoesResult.rows,
+            prescricoes,
+            perfisMedicos: perfisResult.rows,
+            alergias: alergiasResult.rows,
+            condicoes: condicoesResult.rows,
+            alertasPerdido: alertasResult.rows,
+            animaisPartilhados: partilhasResult.rows
+        };
+
+        await registarAuditoria(req, {
+            acao: 'dados_exportados',
+            entidade: 'utilizador',
+            entidadeId: userId,
+            detalhes: {
+                animais: animaisResult.rows.length,
+                consultas: consultasResult.rows.length,
+                vacinas: vacinasResult.rows.length,
+                exames: examesResult.rows.length,
+                medicoes: medicoesResult.rows.length,
+                prescricoes: prescricoes.length,
+                alergias: alergiasResult.rows.length,
+                condicoes: condicoesResult.rows.length,
+                alertasPerdido: alertasResult.rows.length,
+                animaisPartilhados: partilhasResult.rows.length,
+                fotos: fotos.length
+            }
+        });
+
+        // envia o ZIP em streaming
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        archive.on('error', (archiveError) => {
+            console.error('Erro ao criar arquivo de exportação:', archiveError);
+            res.destroy(archiveError); // os cabeçalhos já foram enviados, apenas termina a ligação
+        });
+
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="vetconnect-dados-${userId}.zip"`);
+        archive.pipe(res);
+
+        archive.append(JSON.stringify(dados, null, 2), { name: 'dados.json' });
+        fotos.forEach(foto => archive.file(foto.caminho, { name: foto.nome }));
+
+        await archive.finalize();
+
+        console.log(`Utilizador ${userId} exportou os seus dados (${fotos.length} fotos)`);
+
+    } catch (error) {
+        console.error('Erro ao exportar dados:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Erro no servidor' });
+        }
+    }
+});
+
+// PUT /utilizadores/:id -> atualizar um utilizador
+app.put('/utilizadores/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params; // ID do utilizador a ser atualizado
+        const userIdFromToken = req.user.id; // ID do utilizador autenticado
+        
+        // Dados que podem ser atualizados (expandidos para incluir mais campos)
+        const { 
+            nome, 
+            email, 
+            telemovel,
+            nacionalidade, 
+            sexo, 
+            cc, 
+            dataNascimento, 
+            morada 
+        } = req.body;
+
+        // IMPEDIR que o utilizador mude o próprio tipo ou outros campos sensíveis
+        // O tipo só é alterado por administradores em PUT /utilizadores/:id/tipo
+
+        // Verificar permissões - apenas o próprio utilizador pode atualizar os seus dados
+        if (parseInt(id) !== userIdFromToken) {
+            return res.status(403).json({ 
+                error: 'Acesso negado. Só pode atualizar os seus próprios dados.' 
+            });
+        }
+
+        // Validação básica - pelo menos um campo para atualizar
+        if (!nome && !email && !telemovel && !nacionalidade && !sexo && !cc && !dataNascimento && !morada) {
+            return res.status(400).json({ 
+                error: 'Pelo menos um campo deve ser fornecido para atualização' 
+            });
+        }
+
+        // Verificar se o utilizador existe (os dados atuais ficam para a auditoria)
+        const userExists = await pool.query(
+            'SELECT id, nome, email, telemovel, tipo, nacionalidade, sexo, cc, dataNascimento, morada FROM users WHERE id = $1',
+            [id]
+        );
+
+        if (userExists.rows.length === 0) {
+            return res.status(404).json({ error: 'Utilizador não encontrado' });
+        }
+
+        const atual = userExists.rows[0];
+
+        // email e telemóvel não mudam logo -> ficam pendentes até serem confirmados com um código
+        const contactosPendentes = {};
+        if (email && email !== atual.email) contactosPendentes.email = email;
+        if (telemovel && telemovel !== atual.telemovel) contactosPendentes.telemovel = telemovel;
+
+        // Se estiver a tentar atualizar o email, validar o formato e verificar se já existe
+        if (contactosPendentes.email) {
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(email)) {
+                return res.status(400).json({
+                    error: 'Email inválido'
+                });
+            }
+
+            const emailCheck = await pool.query(
+                'SELECT id FROM users WHERE email = $1 AND id != $2',
+                [email, id]
+            );
+
+            if (emailCheck.rows.length > 0) {
+                return res.status(400).json({ 
+                    error: 'Email já está em uso por outro utilizador' 
+                });
+            }
+        }
+
+        // Se estiver a tentar atualizar o telemóvel, verificar se já existe
+        if (contactosPendentes.telemovel) {
+            const phoneCheck = await pool.query(
+                'SELECT id FROM users WHERE telemovel = $1 AND id != $2',
+                [telemovel, id]
+            );
+
+            if (phoneCheck.rows.length > 0) {
+                return res.status(400).json({ 
+                    error: 'Telemóvel já está em uso por outro utilizador' 
+                });
+            }
+
+            // Validar formato do telemóvel
+            const telemovelRegex = /^\+?[0-9]{9,15}$/;
+            if (!telemovelRegex.test(telemovel)) {
+                return res.status(400).json({
+                    error: 'Número de telemóvel inválido'
+                });
+            }
+        }
+
+        // evita o envio repetido de códigos para o mesmo tipo de contacto
+        for (const tipoContacto of Object.keys(contactosPendentes)) {
+            const restante = await segundosAteReenvio(userIdFromToken, CONTACTOS_ALTERAVEIS[tipoContacto].finalidade);
+            if (restante > 0) {
+                return res.status(429).json({
+                    error: `Aguarde ${restante} segundos antes de pedir outro código para o ${CONTACTOS_ALTERAVEIS[tipoContacto].descricao}`,
+                    retryAfter: restante
+                });
+            }
+        }
+
+        // envia os códigos de confirmação para os novos contactos antes de guardar o resto
+        // -> uma falha no envio não deixa a resposta de erro esconder uma atualização já feita
+        const alteracoesPendentes = [];
+        const codigos = {};
+        for (const [tipoContacto, destino] of Object.entries(contactosPendentes)) {
+            try {
+                codigos[tipoContacto] = await enviarCodigoAlteracaoContacto(userIdFromToken, tipoContacto, destino);
+                alteracoesPendentes.push(tipoContacto);
+            } catch (sendError) {
+                console.error(`Erro ao enviar código de confirmação (${tipoContacto}):`, sendError);
+                return res.status(502).json({
+                    error: `Não foi possível enviar o código de confirmação para o novo ${CONTACTOS_ALTERAVEIS[tipoContacto].descricao}. Nenhum dado foi alterado.`,
+                    alteracoesPendentes // códigos já enviados continuam válidos
+                });
+            }
+        }
+
+        // Construir query dinâmica baseada nos campos fornecidos
+        const updateFields = [];
+        const queryParams = [];
+        let paramCounter = 1;
+
+        if (nome) {
+            updateFields.push(`nome = $${paramCounter++}`);
+            queryParams.push(nome);
+        }
+        if (nacionalidade !== undefined) {
+            updateFields.push(`nacionalidade = $${paramCounter++}`);
+            queryParams.push(nacionalidade);
+        }
+        if (sexo !== undefined) {
+            updateFields.push(`sexo = $${paramCounter++}`);
+            queryParams.push(sexo);
+        }
+        if (cc !== undefined) {
+            updateFields.push(`cc = $${paramCounter++}`);
+            queryParams.push(cc);
+        }
+        if (dataNascimento !== undefined) {
+            updateFields.push(`dataNascimento = $${paramCounter++}`);
+            queryParams.push(dataNascimento);
+        }
+        if (morada !== undefined) {
+            updateFields.push(`morada = $${paramCounter++}`);
+            queryParams.push(morada);
+        }
+
+        let utilizadorAtualizado = atual;
+
+        // pode não haver nada para atualizar já se só foi pedida a alteração de contactos
+        if (updateFields.length > 0) {
+            // Adicionar ID no final dos parâmetros
+            queryParams.push(id);
+
+            const query = `
+                UPDATE users 
+                SET ${updateFields.join(', ')} 
+                WHERE id = $${paramCounter}
+                RETURNING id, nome, email, telemovel, tipo, nacionalidade, sexo, cc, dataNascimento, morada
+            `;
+
+            const result = await pool.query(query, queryParams);
+            utilizadorAtualizado = result.rows[0];
+
+            await registarAuditoria(req, {
+                acao: 'utilizador_atualizado',
+                entidade: 'utilizador',
+                entidadeId: parseInt(id),
+                antes: atual,
+                depois: utilizadorAtualizado
+            });
+        }
+
+        if (alteracoesPendentes.length > 0) {
+            await registarAuditoria(req, {
+                acao: 'alteracao_contacto_pedida',
+                entidade: 'utilizador',
+                entidadeId: parseInt(id),
+                detalhes: { contactos: alteracoesPendentes }
+            });
+        }
+
+        const response = {
+            success: true,
+            message: alteracoesPendentes.length > 0
+                ? 'Utilizador atualizado. As alterações de contacto só ficam ativas depois de confirmadas com o código enviado.'
+                : 'Utilizador atualizado com sucesso',
+            user: utilizadorAtualizado,
+            alteracoesPendentes
+        };
+
+        // o código só é devolvido na resposta em modo de desenvolvimento
+        if (isDevMode && alteracoesPendentes.length > 0) {
+            response.verificationCodes = codigos;
+        }
+
+        res.status(200).json(response);
+
+    } catch (error) {
+        console.error('Erro ao atualizar utilizador:', error);
+        res.status(500).json({ 
+            error: 'Erro no servidor',
+            details: error.message 
+        });
+    }
+});
+
+
+// POST /utilizadores/:id/contacto/confirmar -> confirma a alteração pendente do email ou telemóvel
+app.post('/utilizadores/:id/contacto/confirmar', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tipo, codigo } = req.body;
+        const userId = req.user.id;
+
+        if (parseInt(id) !== userId) {
+            return res.status(403).json({ error: 'Acesso negado. Só pode atualizar os seus próprios dados.' });
+        }
+
+        const contacto = CONTACTOS_ALTERAVEIS[tipo];
+        if (!contacto || !codigo) {
+            return res.status(400).json({ error: 'Indique o tipo (email ou telemovel) e o código' });
+        }
+
+        const resultado = await validarCodigo(userId, contacto.finalidade, codigo);
+        if (!resultado.valido) {
+            return responderCodigoInvalido(res, resultado);
+        }
+
+        const novoValor = resultado.registo.destino;
+
+        // o contacto pode ter sido usado por outra conta entretanto
+        const emUso = await pool.query(
+            `SELECT id FROM users WHERE ${tipo} = $1 AND id != $2`,
+            [novoValor, userId]
+        );
+
+        if (emUso.rows.length > 0) {
+            return res.status(409).json({ error: `Este ${contacto.descricao} já está em uso por outro utilizador` });
+        }
+
+        const anterior = await pool.query(
+            'SELECT email, telemovel FROM users WHERE id = $1',
+            [userId]
+        );
+        const valorAnterior = anterior.rows[0][tipo];
+
+        const result = await pool.query(
+            `UPDATE users SET ${tipo} = $1 WHERE id = $2
+             RETURNING id, nome, email, telemovel, tipo, nacionalidade, sexo, cc, dataNascimento, morada`,
+            [novoValor, userId]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'contacto_alterado',
+            entidade: 'utilizador',
+            entidadeId: userId,
+            antes: { [tipo]: valorAnterior },
+            depois: { [tipo]: novoValor }
+        });
+
+        // aviso de segurança para o contacto antigo (uma falha no envio não impede a alteração)
+        if (valorAnterior) {
+            try {
+                await enviarMensagem({
+                    canal: contacto.canal,
+                    destino: valorAnterior,
+                    assunto: 'Alteração de contacto na conta VetConnect',
+                    texto: `O ${contacto.descricao} da sua conta VetConnect foi alterado. Se não foi você, contacte-nos de imediato.`
+                });
+            } catch (sendError) {
+                console.error('Erro ao enviar aviso de alteração de contacto:', sendError);
+            }
+        }
+
+        console.log(`Utilizador ${userId} confirmou a alteração de ${tipo}`);
+
+        res.status(200).json({
+            success: true,
+            message: `${contacto.descricao.charAt(0).toUpperCase()}${contacto.descricao.slice(1)} alterado com sucesso`,
+            user: result.rows[0]
+        });
+
+    } catch (error) {
+        // violação da restrição UNIQUE do email (alteração concorrente)
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Este contacto já está em uso por outro utilizador' });
+        }
+        console.error('Erro ao confirmar alteração de contacto:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+// PUT /utilizadores/:id/tipo -> atribui o tipo (papel) de um utilizador (apenas administradores)
+app.put('/utilizadores/:id/tipo', authenticateToken, autorizar('utilizadores:atribuir_tipo'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tipo, veterinarioId, clinicaId } = req.body;
+        const isAdminClinica = req.user.tipo === 'admin_clinica';
+
+        if (!TIPOS_UTILIZADOR.includes(tipo)) {
+            return res.status(400).json({
+                error: `Tipo inválido. Tipos permitidos: ${TIPOS_UTILIZADOR.join(', ')}`
+            });
+        }
+
+        // evita que um administrador retire as próprias permissões por engano
+        if (parseInt(id) === req.user.id) {
+            return res.status(400).json({ error: 'Não pode alterar o seu próprio tipo' });
+        }
+
+        const userResult = await pool.query(
+            'SELECT id, nome, tipo, veterinarioId, clinicaId FROM users WHERE id = $1',
+            [id]
+        );
+
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Utilizador não encontrado' });
+        }
+
+        const alvo = userResult.rows[0];
+
+        // administradores de clínica só gerem veterinários da própria clínica
+        if (isAdminClinica) {
+            const podeAlterarAlvo = alvo.tipo === 'tutor'
+                || (alvo.tipo === 'veterinario' && alvo.clinicaid === req.user.clinicaId);
+
+            if (!['tutor', 'veterinario'].includes(tipo) || !podeAlterarAlvo) {
+                return res.status(403).json({
+                    error: 'Administradores de clínica só podem gerir veterinários da sua clínica'
+                });
+            }
+        }
+
+        let novoVeterinarioId = null;
+        let novaClinicaId = null;
+
+        // um veterinário fica associado à sua ficha em veterinarios (e à clínica dessa ficha)
+        if (tipo === 'veterinario') {
+            if (!veterinarioId) {
+                return res.status(400).json({ error: 'veterinarioId é obrigatório para o tipo veterinario' });
+            }
+
+            const vetCheck = await pool.query(
+                'SELECT id, clinicaId FROM veterinarios WHERE id = $1',
+                [veterinarioId]
+            );
+
+            if (vetCheck.rows.length === 0) {
+                return res.status(404).json({ error: 'Veterinário não encontrado' });
+            }
+            if (isAdminClinica && vetCheck.rows[0].clinicaid !== req.user.clinicaId) {
+                return res.status(403).json({ error: 'Este veterinário não pertence à sua clínica' });
+            }
+
+            novoVeterinarioId = vetCheck.rows[0].id;
+            novaClinicaId = vetCheck.rows[0].clinicaid;
+        }
+
+        // um administrador de clínica fica associado à clínica que gere
+        if (tipo === 'admin_clinica') {
+            if (!clinicaId) {
+                return res.status(400).json({ error: 'clinicaId é obrigatório para o tipo admin_clinica' });
+            }
+
+            const clinicaCheck = await pool.query('SELECT id FROM clinicas WHERE id = $1', [clinicaId]);
+
+            if (clinicaCheck.rows.length === 0) {
+                return res.status(404).json({ error: 'Clínica não encontrada' });
+            }
+
+            novaClinicaId = clinicaCheck.rows[0].id;
+        }
+
+        const result = await pool.query(
+            `UPDATE users SET tipo = $1, veterinarioId = $2, clinicaId = $3, tipoAtribuidoPor = $4
+             WHERE id = $5
+             RETURNING id, nome, email, tipo, veterinarioId, clinicaId`,
+            [tipo, novoVeterinarioId, novaClinicaId, req.user.id, id]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'tipo_atribuido',
+            entidade: 'utilizador',
+            entidadeId: alvo.id,
+            antes: alvo,
+            depois: result.rows[0]
+        });
+
+        console.log(`Utilizador ${req.user.id} (${req.user.tipo}) atribuiu o tipo ${tipo} ao utilizador ${alvo.id} (antes: ${alvo.tipo})`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Tipo de utilizador atualizado',
+            user: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao atribuir tipo de utilizador:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+// DELETE /utilizadores/:id -> pede o fecho da conta (anonimizada após o período de cancelamento)
+app.delete('/utilizadores/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { pin } = req.body || {};
+        const userId = req.user.id;
+
+        // apenas o próprio utilizador pode fechar a conta
+        if (parseInt(id) !== userId) {
+            return res.status(403).json({ error: 'Só pode fechar a sua própria conta' });
+        }
+
+        if (!pin) {
+            return res.status(400).json({ error: 'O PIN é obrigatório para confirmar o fecho da conta' });
+        }
+
+        const result = await pool.query(
+            'SELECT id, nome, email, telemovel, pin, canalVerificado, eliminacaoAgendadaPara FROM users WHERE id = $1',
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Utilizador não encontrado' });
+        }
+
+        const user = result.rows[0];
+
+        if (user.eliminacaoagendadapara) {
+            return res.status(409).json({
+                error: 'O fecho da conta já está agendado',
+                eliminacaoAgendadaPara: user.eliminacaoagendadapara
+            });
+        }
+
+        // confirma o PIN (as falhas contam para o limite do login)
+        const chaves = chavesFalhas(user.email, req);
+        const restante = await segundosBloqueado([chaves.conta, chaves.ip]);
+        if (restante > 0) {
+            res.set('Retry-After', String(restante));
+            return res.status(429).json({
+                error: 'Demasiadas tentativas falhadas. Tente novamente mais tarde.',
+                retryAfter: restante
+            });
+        }
+
+        const isPinCorrect = user.pin && await bcrypt.compare(String(pin), user.pin);
+        if (!isPinCorrect) {
+            await registarFalha(chaves.conta, 'conta');
+            await registarFalha(chaves.ip, 'ip');
+            return res.status(401).json({ error: 'PIN incorreto' });
+        }
+
+        // agenda a anonimização e termina todas as sessões
+        const updateResult = await pool.query(
+            `UPDATE users SET eliminacaoAgendadaPara = NOW() + make_interval(days => $2), tokensValidosDesde = NOW()
+             WHERE id = $1
+             RETURNING eliminacaoAgendadaPara`,
+            [userId, ELIMINACAO_PRAZO_DIAS]
+        );
+        const eliminacaoAgendadaPara = updateResult.rows[0].eliminacaoagendadapara;
+
+        await revogarSessoes(userId, 'eliminacao_conta');
+
+        await registarAuditoria(req, {
+            acao: 'eliminacao_agendada',
+            entidade: 'utilizador',
+            entidadeId: userId,
+            detalhes: { eliminacaoAgendadaPara }
+        });
+
+        // avisa pelo canal verificado (uma falha no envio não impede o pedido)
+        const canal = user.canalverificado || 'sms';
+        try {
+            await enviarMensagem({
+                canal,
+                destino: canal === 'email' ? user.email : user.telemovel,
+                assunto: 'Fecho da conta VetConnect',
+                texto: `A sua conta VetConnect será eliminada a ${new Date(eliminacaoAgendadaPara).toLocaleDateString('pt-PT')}. Para cancelar, inicie sessão na app e cancele o pedido de eliminação antes dessa data.`
+            });
+        } catch (sendError) {
+            console.error('Erro ao enviar aviso de fecho de conta:', sendError);
+        }
+
+        console.log(`Fecho da conta do utilizador ${userId} agendado para ${eliminacaoAgendadaPara}`);
+
+        res.status(200).json({
+            success: true,
+            message: `Conta agendada para eliminação. Pode cancelar o pedido na app nos próximos ${ELIMINACAO_PRAZO_DIAS} dias, depois de iniciar sessão.`,
+            eliminacaoAgendadaPara
+        });
+
+    } catch (error) {
+        console.error('Erro ao fechar conta:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /utilizadores/:id/eliminacao/cancelar -> cancela o fecho da conta durante o período de cancelamento
+app.post('/utilizadores/:id/eliminacao/cancelar', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        if (parseInt(id) !== userId) {
+            return res.status(403).json({ error: 'Só pode gerir a sua própria conta' });
+        }
+
+        const result = await pool.query(
+            `UPDATE users SET eliminacaoAgendadaPara = NULL
+             WHERE id = $1 AND eliminacaoAgendadaPara > NOW() AND anonimizadoEm IS NULL
+             RETURNING id`,
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'Não existe nenhum fecho de conta agendado' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'eliminacao_cancelada',
+            entidade: 'utilizador',
+            entidadeId: userId
+        });
+
+        console.log(`Utilizador ${userId} cancelou o fecho da conta`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Fecho da conta cancelado'
+        });
+
+    } catch (error) {
+        console.error('Erro ao cancelar fecho de conta:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+// POST /utilizadores/alterar-pin -> altera o PIN do utilizador autenticado
+app.post('/utilizadores/alterar-pin', authenticateToken, async (req, res) => {
+    try {
+        const { pinAtual, novoPin } = req.body;
+        const userId = req.user.id; // ID do utilizador autenticado (vem do token)
+
+        // validação dos campos
+        if (!pinAtual || !novoPin) {
+            return res.status(400).json({
+                error: 'PIN atual e novo PIN são obrigatórios'
+            });
+        }
+
+        // verifica formato dos PINs (6 dígitos)
+        if (String(pinAtual).length !== 6 || String(novoPin).length !== 6) {
+            return res.status(400).json({
+                error: 'Os PINs devem ter 6 dígitos'
+            });
+        }
+
+        // Verificar se o novo PIN é diferente do atual
+        if (pinAtual === novoPin) {
+            return res.status(400).json({
+                error: 'O novo PIN deve ser diferente do PIN atual'
+            });
+        }
+
+        // procura utilizador e o seu PIN atual (hash)
+        const result = await pool.query(
+            'SELECT id, nome, email, pin FROM users WHERE id = $1',
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Utilizador não encontrado' });
+        }
+
+        const user = result.rows[0];
+
+        // Verificar se o utilizador já tem PIN definido
+        if (!user.pin) {
+            return res.status(400).json({
+                error: 'Utilizador não tem PIN definido'
+            });
+        }
+
+        // as falhas aqui contam para o mesmo limite do login
+        const chaves = chavesFalhas(user.email, req);
+        const restante = await segundosBloqueado([chaves.conta, chaves.ip]);
+        if (restante > 0) {
+            res.set('Retry-After', String(restante));
+            return res.status(429).json({
+                error: 'Demasiadas tentativas falhadas. Tente novamente mais tarde.',
+                retryAfter: restante
+            });
+        }
+
+        // Comparar o PIN atual com o hash armazenado
+        const isPinCorrect = await bcrypt.compare(String(pinAtual), user.pin);
+
+        if (!isPinCorrect) {
+            await registarFalha(chaves.conta, 'conta');
+            await registarFalha(chaves.ip, 'ip');
+            return res.status(401).json({
+                error: 'PIN atual incorreto'
+            });
+        }
+
+        await limparFalhas(chaves.conta);
+
+        // Hash do novo PIN
+        const salt = await bcrypt.genSalt(10);
+        const hashedNovoPin = await bcrypt.hash(String(novoPin), salt);
+
+        // Atualizar PIN na base de dados e invalidar os tokens emitidos até agora
+        // (um segundo antes -> o novo token desta sessão, emitido já a seguir, continua válido)
+        await pool.query(
+            'UPDATE users SET pin = $1, tokensValidosDesde = $2 WHERE id = $3',
+            [hashedNovoPin, new Date(Date.now() - 1000), userId]
+        );
+
+        // um PIN alterado pode ser reação a um acesso indevido -> termina as sessões dos outros dispositivos
+        const sessoesRevogadas = await revogarSessoes(userId, 'pin_alterado', { excetoSessaoId: req.user.sid });
+
+        // registo da alteração
+        await registarAuditoria(req, {
+            acao: 'pin_alterado',
+            entidade: 'utilizador',
+            entidadeId: userId,
+            detalhes: { sessoesRevogadas: sessoesRevogadas.length }
+        });
+
+        // Resposta de sucesso (com um novo access token para este dispositivo)
+        res.status(200).json({
+            success: true,
+            message: 'PIN alterado com sucesso. As sessões nos outros dispositivos foram terminadas.',
+            token: req.user.sid ? gerarAccessToken({ id: userId, email: user.email, tipo: req.user.tipo }, req.user.sid) : undefined,
+            expiresIn: req.user.sid ? ACCESS_TOKEN_VALIDADE_SEGUNDOS : undefined
+        });
+
+    } catch (error) {
+        console.error('Erro ao alterar PIN:', error);
+        res.status(500).json({
+            error: 'Erro no servidor',
+            details: error.message
+        });
+    }
+});
+
+// POST /utilizadores/logout -> invalida o token do utilizador
+app.post('/utilizadores/logout', authenticateToken, async (req, res) => {
+    try {
+        const { token } = req;
+        const userId = req.user.id;
+
+        // Obter data de expiração do token
+        const decoded = jwt.decode(token);
+        const expiresAt = new Date(decoded.exp * 1000); // converter timestamp UNIX
+
+        // Adicionar token à blacklist
+        await pool.query(
+            `INSERT INTO invalidated_tokens(token, expires_at, user_id) 
+                VALUES($1, $2, $3)`,
+            [token, expiresAt, userId]
+        );
+
+        // termina a sessão deste dispositivo (o refresh token deixa de funcionar)
+        if (req.user.sid) {
+            await revogarSessoes(userId, 'logout', { sessaoId: req.user.sid });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'logout',
+            entidade: 'utilizador',
+            entidadeId: userId,
+            detalhes: { sessaoId: req.user.sid || null }
+        });
+
+        console.log(`Token invalidado para utilizador ID: ${userId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logout efetuado com sucesso'
+        });
+
+    } catch (error) {
+        console.error('Erro no logout:', error);
+        res.status(500).json({
+            error: 'Erro no servidor',
+            details: error.message
+        });
+    }
+});
+
+
+
+// CATÁLOGO DE ESPÉCIES E RAÇAS==============================================
+
+// catálogo inicial (os administradores podem acrescentar espécies, raças e sinónimos depois)
+// todas as espécies têm 'Sem raça definida' para animais cruzados ou de raça desconhecida
+const CATALOGO_INICIAL = [
+    {
+        nome: 'Cão', sinonimos: ['cao', 'caes', 'cachorro', 'canino', 'canideo', 'dog', 'cadela'],
+        racas: [
+            { nome: 'Labrador Retriever', sinonimos: ['labrador'] },
+            { nome: 'Golden Retriever', sinonimos: ['golden'] },
+            { nome: 'Pastor Alemão', sinonimos: ['german shepherd', 'pastor'] },
+            { nome: 'Bulldog Francês', sinonimos: ['french bulldog', 'bulldog frances'] },
+            { nome: 'Bulldog Inglês', sinonimos: ['english bulldog', 'bulldog'] },
+            { nome: 'Yorkshire Terrier', sinonimos: ['yorkshire', 'yorkie'] },
+            { nome: 'Chihuahua', sinonimos: [] },
+            { nome: 'Beagle', sinonimos: [] },
+            { nome: 'Caniche', sinonimos: ['poodle'] },
+            { nome: 'Border Collie', sinonimos: [] },
+            { nome: 'Boxer', sinonimos: [] },
+            { nome: 'Shih Tzu', sinonimos: ['shitzu', 'shih-tzu'] },
+            { nome: 'Teckel', sinonimos: ['dachshund', 'salsicha'] },
+            { nome: 'Husky Siberiano', sinonimos: ['husky'] },
+            { nome: 'Pit Bull', sinonimos: ['pitbull', 'american pit bull terrier'] },
+            { nome: 'Podengo Português', sinonimos: ['podengo'] },
+            { nome: 'Cão de Água Português', sinonimos: ['cao de agua'] },
+            { nome: 'Serra da Estrela', sinonimos: ['cao da serra da estrela'] },
+            { nome: 'Rafeiro do Alentejo', sinonimos: [] }
+        ]
+    },
+    {
+        nome: 'Gato', sinonimos: ['gata', 'felino', 'cat'],
+        racas: [
+            { nome: 'Europeu Comum', sinonimos: ['europeu', 'comum', 'european shorthair'] },
+            { nome: 'Persa', sinonimos: ['persian'] },
+            { nome: 'Siamês', sinonimos: ['siames', 'siamese'] },
+            { nome: 'Maine Coon', sinonimos: [] },
+            { nome: 'Ragdoll', sinonimos: [] },
+            { nome: 'British Shorthair', sinonimos: ['british'] },
+            { nome: 'Bengal', sinonimos: ['bengali'] },
+            { nome: 'Sphynx', sinonimos: ['esfinge'] },
+            { nome: 'Angorá', sinonimos: ['angora'] }
+        ]
+    },
+    {
+        nome: 'Coelho', sinonimos: ['coelha', 'rabbit'],
+        racas: [
+            { nome: 'Anão Holandês', sinonimos: ['anao', 'mini', 'netherland dwarf'] },
+            { nome: 'Cabeça de Leão', sinonimos: ['lionhead'] },
+            { nome: 'Belier', sinonimos: ['lop', 'mini lop'] }
+        ]
+    },
+    { nome: 'Ave', sinonimos: ['passaro', 'pássaro', 'bird', 'papagaio', 'periquito', 'canario'], racas: [] },
+    { nome: 'Hamster', sinonimos: ['hamster sirio'], racas: [] },
+    { nome: 'Porquinho-da-índia', sinonimos: ['porquinho da india', 'cobaia', 'guinea pig'], racas: [] },
+    { nome: 'Furão', sinonimos: ['furao', 'ferret'], racas: [] },
+    { nome: 'Tartaruga', sinonimos: ['cagado', 'turtle'], racas: [] },
+    { nome: 'Réptil', sinonimos: ['reptil', 'lagarto', 'cobra', 'iguana'], racas: [] },
+    { nome: 'Cavalo', sinonimos: ['egua', 'horse', 'equino'], racas: [] },
+    { nome: 'Outro', sinonimos: ['outra'], racas: [] }
+];
+
+const SEM_RACA = { nome: 'Sem raça definida', sinonimos: ['srd', 'sem raca', 'rafeiro', 'cruzado', 'mestico', 'indefinida'] };
+
+// insere o catálogo inicial se ainda não existir nenhuma espécie
+async function carregarCatalogoEspecies() {
+    const especiesExistentes = await pool.query('SELECT COUNT(*) FROM especies');
+    if (parseInt(especiesExistentes.rows[0].count) > 0) return;
+
+    console.log('A inserir catálogo de espécies e raças...');
+
+    for (const especie of CATALOGO_INICIAL) {
+        const especieResult = await pool.query(
+            'INSERT INTO especies (nome, sinonimos) VALUES ($1, $2) RETURNING id',
+            [especie.nome, especie.sinonimos]
+        );
+
+        for (const raca of [SEM_RACA, ...especie.racas]) {
+            await pool.query(
+                'INSERT INTO racas (especie_id, nome, sinonimos) VALUES ($1, $2, $3)',
+                [especieResult.rows[0].id, raca.nome, raca.sinonimos]
+            );
+        }
+    }
+}
+
+// procura um registo do catálogo pelo nome ou por um sinónimo (sem acentos nem maiúsculas)
+function encontrarNoCatalogo(registos, texto) {
+    const procurado = normalizarTexto(texto);
+    if (!procurado) return null;
+
+    return registos.find(registo =>
+        normalizarTexto(registo.nome) === procurado ||
+        (registo.sinonimos || []).some(sinonimo => normalizarTexto(sinonimo) === procurado)
+    ) || null;
+}
+
+// distância de edição entre dois textos (para sugerir correções de erros de escrita)
+function distanciaEdicao(a, b) {
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const atual = [i];
+        for (let j = 1; j <= b.length; j++) {
+            atual[j] = Math.min(
+                anterior[j] + 1,
+                atual[j - 1] + 1,
+                anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        anterior = atual;
+    }
+    return anterior[b.length];
+}
+
+// pesquisa para autocomplete: primeiro os que começam pelo texto, depois os que o contêm,
+// depois os que diferem em poucas letras; também procura nos sinónimos
+function pesquisarCatalogo(registos, texto, limite = 20) {
+    const procurado = normalizarTexto(texto);
+    if (!procurado) return registos.slice(0, limite);
+
+    const pontuar = registo => {
+        const nomes = [registo.nome, ...(registo.sinonimos || [])].map(normalizarTexto);
+        if (nomes.some(nome => nome.startsWith(procurado))) return 0;
+        if (nomes.some(nome => nome.includes(procurado))) return 1;
+        if (procurado.length >= 4 && nomes.some(nome => distanciaEdicao(nome, procurado) <= 2)) return 2;
+        return null;
+    };
+
+    return registos
+        .map(registo => ({ registo, pontuacao: pontuar(registo) }))
+        .filter(({ pontuacao }) => pontuacao !== null)
+        .sort((a, b) => a.pontuacao - b.pontuacao || a.registo.nome.localeCompare(b.registo.nome, 'pt'))
+        .slice(0, limite)
+        .map(({ registo }) => registo);
+}
+
+// obtém a espécie ou raça indicada por id ou por texto (nome ou sinónimo)
+function resolverNoCatalogo(registos, id, texto) {
+    if (id !== undefined && id !== null && id !== '') {
+        return registos.find(registo => registo.id === parseInt(id)) || null;
+    }
+    return encontrarNoCatalogo(registos, texto);
+}
+
+// valida a espécie e a raça de um animal contra o catálogo
+// devolve os registos do catálogo ({ especie, raca }) ou { erro } com sugestões para a resposta 400
+async function validarEspecieRaca({ especie, especieId, raca, racaId }) {
+    const especies = (await pool.query('SELECT * FROM especies ORDER BY nome')).rows;
+
+    const especieEncontrada = resolverNoCatalogo(especies, especieId, especie);
+    if (!especieEncontrada) {
+        return {
+            erro: {
+                error: 'Espécie não existe no catálogo',
+                valor: especie || especieId,
+                sugestoes: pesquisarCatalogo(especies, especie, 5).map(({ id, nome }) => ({ id, nome }))
+            }
+        };
+    }
+
+    // a raça é opcional
+    if (!raca && !racaId) {
+        return { especie: especieEncontrada, raca: null };
+    }
+
+    const racas = (await pool.query(
+        'SELECT * FROM racas WHERE especie_id = $1 ORDER BY nome',
+        [especieEncontrada.id]
+    )).rows;
+
+    const racaEncontrada = resolverNoCatalogo(racas, racaId, raca);
+    if (!racaEncontrada) {
+        return {
+            erro: {
+                error: `Raça não existe no catálogo para a espécie ${especieEncontrada.nome}`,
+                valor: raca || racaId,
+                sugestoes: pesquisarCatalogo(racas, raca, 5).map(({ id, nome }) => ({ id, nome }))
+            }
+        };
+    }
+
+    return { especie: especieEncontrada, raca: racaEncontrada };
+}
+
+// liga ao catálogo os animais que só têm espécie/raça em texto livre (ex: 'cao', 'Dog')
+// os valores sem correspondência ficam como estão e aparecem em GET /especies/por-mapear
+async function normalizarEspeciesAnimais() {
+    const especies = (await pool.query('SELECT * FROM especies')).rows;
+    const racas = (await pool.query('SELECT * FROM racas')).rows;
+
+    const animais = await pool.query(`
+        SELECT id, especie, especieId, raca, racaId FROM animais
+        WHERE (especieId IS NULL AND especie IS NOT NULL)
+        OR (racaId IS NULL AND COALESCE(raca, '') != '')
+    `);
+
+    let ligados = 0;
+    for (const animal of animais.rows) {
+        const especie = resolverNoCatalogo(especies, animal.especieid, animal.especie);
+        if (!especie) continue;
+
+        const raca = animal.racaid
+            ? racas.find(r => r.id === animal.racaid)
+            : encontrarNoCatalogo(racas.filter(r => r.especie_id === especie.id), animal.raca);
+
+        // já estava ligado e a raça continua sem correspondência -> nada a fazer
+        if (animal.especieid === especie.id && !raca) continue;
+
+        // o texto passa a ser o nome do catálogo; uma raça sem correspondência mantém o texto original
+        await pool.query(
+            'UPDATE animais SET especie = $1, especieId = $2, raca = $3, racaId = $4 WHERE id = $5',
+            [especie.nome, especie.id, raca ? raca.nome : animal.raca, raca ? raca.id : null, animal.id]
+        );
+        ligados++;
+    }
+
+    if (animais.rows.length > 0) {
+        console.log(`Catálogo de espécies: ${ligados} animais ligados, ${animais.rows.length - ligados} com valores sem correspondência`);
+    }
+}
+
+// valida a lista de sinónimos enviada (array de textos, sem repetidos)
+function lerSinonimos(sinonimos) {
+    if (sinonimos === undefined) return [];
+    if (!Array.isArray(sinonimos) || sinonimos.some(s => typeof s !== 'string')) return null;
+    return [...new Set(sinonimos.map(s => s.trim()).filter(Boolean))];
+}
+
+// verifica se o nome ou os sinónimos já são usados por outro registo do mesmo nível do catálogo
+function conflitoCatalogo(registos, idAtual, nome, sinonimos) {
+    const outros = registos.filter(registo => registo.id !== idAtual);
+    return [nome, ...sinonimos].find(texto => encontrarNoCatalogo(outros, texto)) || null;
+}
+
+
+
+// ROTAS DO CATÁLOGO DE ESPÉCIES E RAÇAS==============================================
+
+// GET /especies?q= -> lista/autocomplete de espécies
+app.get('/especies', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM especies ORDER BY nome');
+        const especies = req.query.q ? pesquisarCatalogo(result.rows, req.query.q) : result.rows;
+
+        res.status(200).json({
+            success: true,
+            count: especies.length,
+            especies
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter espécies:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /especies/por-mapear -> textos de espécie/raça dos animais que não correspondem ao catálogo
+// servem para o administrador criar a entrada ou acrescentar o sinónimo em falta
+app.get('/especies/por-mapear', authenticateToken, autorizar('catalogo:gerir'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT 'especie' as tipo, especie as valor, NULL as especie, COUNT(*)::int as animais
+            FROM animais WHERE especieId IS NULL AND especie IS NOT NULL
+            GROUP BY especie
+            UNION ALL
+            SELECT 'raca', raca, especie, COUNT(*)::int
+            FROM animais WHERE especieId IS NOT NULL AND racaId IS NULL AND COALESCE(raca, '') != ''
+            GROUP BY raca, especie
+            ORDER BY animais DESC
+        `);
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            valores: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter valores por mapear:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /especies/:id/racas?q= -> lista/autocomplete de raças de uma espécie
+app.get('/especies/:id/racas', async (req, res) => {
+    try {
+        const especieResult = await pool.query('SELECT id, nome FROM especies WHERE id = $1', [parseInt(req.params.id)]);
+        if (especieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Espécie não encontrada' });
+        }
+
+        const result = await pool.query('SELECT * FROM racas WHERE especie_id = $1 ORDER BY nome', [especieResult.rows[0].id]);
+        const racas = req.query.q ? pesquisarCatalogo(result.rows, req.query.q) : result.rows;
+
+        res.status(200).json({
+            success: true,
+            especie: especieResult.rows[0],
+            count: racas.length,
+            racas
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter raças:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /especies -> acrescenta uma espécie ao catálogo (admin)
+app.post('/especies', authenticateToken, autorizar('catalogo:gerir'), async (req, res) => {
+    try {
+        const nome = req.body.nome ? String(req.body.nome).trim() : '';
+        const sinonimos = lerSinonimos(req.body.sinonimos);
+
+        if (!nome || sinonimos === null) {
+            return res.status(400).json({ error: 'Indique o nome e, opcionalmente, uma lista de sinónimos' });
+        }
+
+        const especies = (await pool.query('SELECT * FROM especies')).rows;
+        const conflito = conflitoCatalogo(especies, null, nome, sinonimos);
+        if (conflito) {
+            return res.status(409).json({ error: `"${conflito}" já corresponde a outra espécie` });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO especies (nome, sinonimos) VALUES ($1, $2) RETURNING *',
+            [nome, sinonimos]
+        );
+        await pool.query(
+            'INSERT INTO racas (especie_id, nome, sinonimos) VALUES ($1, $2, $3)',
+            [result.rows[0].id, SEM_RACA.nome, SEM_RACA.sinonimos]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'especie_criada',
+            entidade: 'especie',
+            entidadeId: result.rows[0].id,
+            depois: result.rows[0]
+        });
+
+        // animais antigos com este nome/sinónimo passam a ficar ligados
+        await normalizarEspeciesAnimais();
+
+        res.status(201).json({
+            success: true,
+            message: 'Espécie criada',
+            especie: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar espécie:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /especies/:id -> altera o nome ou os sinónimos de uma espécie (admin)
+app.put('/especies/:id', authenticateToken, autorizar('catalogo:gerir'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const especies = (await pool.query('SELECT * FROM especies')).rows;
+        const especie = especies.find(e => e.id === id);
+
+        if (!especie) {
+            return res.status(404).json({ error: 'Espécie não encontrada' });
+        }
+
+        const nome = req.body.nome ? String(req.body.nome).trim() : especie.nome;
+        const sinonimos = req.body.sinonimos !== undefined ? lerSinonimos(req.body.sinonimos) : especie.sinonimos;
+
+        if (sinonimos === null) {
+            return res.status(400).json({ error: 'sinonimos deve ser uma lista de textos' });
+        }
+
+        const conflito = conflitoCatalogo(especies, id, nome, sinonimos);
+        if (conflito) {
+            return res.status(409).json({ error: `"${conflito}" já corresponde a outra espécie` });
+        }
+
+        const result = await pool.query(
+            'UPDATE especies SET nome = $1, sinonimos = $2 WHERE id = $3 RETURNING *',
+            [nome, sinonimos, id]
+        );
+
+        // os animais guardam o nome em texto -> acompanham a mudança de nome
+        await pool.query('UPDATE animais SET especie = $1 WHERE especieId = $2', [nome, id]);
+
+        await registarAuditoria(req, {
+            acao: 'especie_atualizada',
+            entidade: 'especie',
+            entidadeId: id,
+            antes: especie,
+            depois: result.rows[0]
+        });
+
+        await normalizarEspeciesAnimais();
+
+        res.status(200).json({
+            success: true,
+            message: 'Espécie atualizada',
+            especie: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar espécie:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /especies/:id/racas -> acrescenta uma raça a uma espécie (admin)
+app.post('/especies/:id/racas', authenticateToken, autorizar('catalogo:gerir'), async (req, res) => {
+    try {
+        const especieId = parseInt(req.params.id);
+        const nome = req.body.nome ? String(req.body.nome).trim() : '';
+        const sinonimos = lerSinonimos(req.body.sinonimos);
+
+        if (!nome || sinonimos === null) {
+            return res.status(400).json({ error: 'Indique o nome e, opcionalmente, uma lista de sinónimos' });
+        }
+
+        const especieCheck = await pool.query('SELECT id FROM especies WHERE id = $1', [especieId]);
+        if (especieCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Espécie não encontrada' });
+        }
+
+        const racas = (await pool.query('SELECT * FROM racas WHERE especie_id = $1', [especieId])).rows;
+        const conflito = conflitoCatalogo(racas, null, nome, sinonimos);
+        if (conflito) {
+            return res.status(409).json({ error: `"${conflito}" já corresponde a outra raça desta espécie` });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO racas (especie_id, nome, sinonimos) VALUES ($1, $2, $3) RETURNING *',
+            [especieId, nome, sinonimos]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'raca_criada',
+            entidade: 'raca',
+            entidadeId: result.rows[0].id,
+            depois: result.rows[0]
+        });
+
+        await normalizarEspeciesAnimais();
+
+        res.status(201).json({
+            success: true,
+            message: 'Raça criada',
+            raca: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar raça:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /racas/:id -> altera o nome ou os sinónimos de uma raça (admin)
+app.put('/racas/:id', authenticateToken, autorizar('catalogo:gerir'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const racaResult = await pool.query('SELECT * FROM racas WHERE id = $1', [id]);
+
+        if (racaResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Raça não encontrada' });
+        }
+
+        const raca = racaResult.rows[0];
+        const nome = req.body.nome ? String(req.body.nome).trim() : raca.nome;
+        const sinonimos = req.body.sinonimos !== undefined ? lerSinonimos(req.body.sinonimos) : raca.sinonimos;
+
+        if (sinonimos === null) {
+            return res.status(400).json({ error: 'sinonimos deve ser uma lista de textos' });
+        }
+
+        const racas = (await pool.query('SELECT * FROM racas WHERE especie_id = $1', [raca.especie_id])).rows;
+        const conflito = conflitoCatalogo(racas, id, nome, sinonimos);
+        if (conflito) {
+            return res.status(409).json({ error: `"${conflito}" já corresponde a outra raça desta espécie` });
+        }
+
+        const result = await pool.query(
+            'UPDATE racas SET nome = $1, sinonimos = $2 WHERE id = $3 RETURNING *',
+            [nome, sinonimos, id]
+        );
+
+        await pool.query('UPDATE animais SET raca = $1 WHERE racaId = $2', [nome, id]);
+
+        await registarAuditoria(req, {
+            acao: 'raca_atualizada',
+            entidade: 'raca',
+            entidadeId: id,
+            antes: raca,
+            depois: result.rows[0]
+        });
+
+        await normalizarEspeciesAnimais();
+
+        res.status(200).json({
+            success: true,
+            message: 'Raça atualizada',
+            raca: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar raça:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+
+// ROTAS DE ANIMAIS==============================================
+
+// ciclo de vida de um animal -> só os ativos aparecem nas listas por defeito e podem ter novas marcações
+const ESTADOS_ANIMAL = ['ativo', 'falecido', 'realojado', 'arquivado'];
+
+// resposta quando se tenta marcar algo para um animal que já não está ativo
+function responderAnimalInativo(res, estado) {
+    return res.status(409).json({
+        error: `Este animal está ${estado}. Não é possível fazer novas marcações.`,
+        estado
+    });
+}
+
+// POST /animais -> cria novo animal 
+app.post('/animais', authenticateToken, async (req, res) => {
+    try {
+        const { nome, especie, especieId, raca, racaId, dataNascimento, numeroChip } = req.body;
+        const tutorId = req.user.id;
+
+        if (!nome || (!especie && !especieId)) {
+            return res.status(400).json({ error: 'Nome e espécie são obrigatórios' });
+        }
+
+        // a espécie e a raça têm de existir no catálogo
+        const catalogo = await validarEspecieRaca({ especie, especieId, raca, racaId });
+        if (catalogo.erro) {
+            return res.status(400).json(catalogo.erro);
+        }
+
+        // Gerar código único VT-XXXXXX
+        const codigoUnico = 'VT-' + Math.floor(100000 + Math.random() * 900000);
+
+        // Inserir animal
+        const insertResult = await pool.query(
+            `INSERT INTO animais
+             (tutorId, nome, especie, especieId, raca, racaId, dataNascimento, numeroChip, codigoUnico)
+             VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING id`,
+            [tutorId, nome, catalogo.especie.nome, catalogo.especie.id,
+                catalogo.raca ? catalogo.raca.nome : null, catalogo.raca ? catalogo.raca.id : null,
+                dataNascimento, numeroChip, codigoUnico]
+        );
+
+        const novoAnimalId = insertResult.rows[0].id;
+
+        // Buscar animal completo com dados do tutor
+        const animalResult = await pool.query(
+            `SELECT a.*, 
+                    u.nome as tutorNome, 
+                    u.email as tutorEmail,
+                    u.telemovel as tutorTelemovel
+             FROM animais a
+             JOIN users u ON a.tutorId = u.id
+             WHERE a.id = $1`,
+            [novoAnimalId]
+        );
+
+        const novoAnimal = animalResult.rows[0];
+
+        await registarAuditoria(req, {
+            acao: 'animal_criado',
+            entidade: 'animal',
+            entidadeId: novoAnimalId,
+            depois: novoAnimal
+        });
+
+        console.log(`Animal criado: ${nome} (ID: ${novoAnimalId}) para tutor ${tutorId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Animal criado com sucesso',
+            animal: novoAnimal
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar animal:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /animais/pesquisa?chip=&codigo= -> procura um animal pelo microchip ou pelo código VT-XXXXXX (veterinários)
+// tem de ficar antes de /animais/:animalId
+app.get('/animais/pesquisa', authenticateToken, autorizar('animais:pesquisar'), async (req, res) => {
+    try {
+        const chip = req.query.chip ? String(req.query.chip).replace(/\s/g, '') : null;
+        const codigo = req.query.codigo ? String(req.query.codigo).trim().toUpperCase() : null;
+
+        if (!chip && !codigo) {
+            return res.status(400).json({ error: 'Indique o número do chip ou o código do animal' });
+        }
+
+        const result = await pool.query(
+            `SELECT a.*, 
+                    u.nome as tutorNome, 
+                    u.email as tutorEmail,
+                    u.telemovel as tutorTelemovel
+             FROM animais a
+             JOIN users u ON a.tutorId = u.id
+             WHERE ($1::text IS NOT NULL AND REPLACE(a.numeroChip, ' ', '') = $1)
+             OR ($2::text IS NOT NULL AND UPPER(a.codigoUnico) = $2)
+             ORDER BY a.nome`,
+            [chip, codigo]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: result.rows.length === 1 ? result.rows[0].id : null,
+            detalhes: { recurso: 'pesquisa_animal', chip, codigo, count: result.rows.length }
+        });
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Nenhum animal encontrado' });
+        }
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            animais: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao pesquisar animal:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /animais/encontrado -> rota pública para quem encontra um animal avisar o tutor
+// não devolve dados pessoais: a mensagem é reencaminhada pelo servidor
+// a resposta é sempre a mesma -> não serve para confirmar se um chip ou código existe
+app.post('/animais/encontrado', limitarPedidos({ nome: 'encontrado', maximo: 5, janelaMinutos: 60 }), async (req, res) => {
+    try {
+        const { chip, codigo, mensagem, contacto } = req.body;
+        const chipNormalizado = chip ? String(chip).replace(/\s/g, '') : null;
+        const codigoNormalizado = codigo ? String(codigo).trim().toUpperCase() : null;
+
+        if (!chipNormalizado && !codigoNormalizado) {
+            return res.status(400).json({ error: 'Indique o número do chip ou o código do animal' });
+        }
+
+        if (!mensagem || String(mensagem).trim().length === 0) {
+            return res.status(400).json({ error: 'A mensagem é obrigatória' });
+        }
+
+        if (String(mensagem).length > 500 || (contacto && String(contacto).length > 100)) {
+            return res.status(400).json({ error: 'Mensagem ou contacto demasiado longos' });
+        }
+
+        const animalResult = await pool.query(
+            `SELECT id, nome, especie, tutorId FROM animais
+             WHERE ($1::text IS NOT NULL AND REPLACE(numeroChip, ' ', '') = $1)
+             OR ($2::text IS NOT NULL AND UPPER(codigoUnico) = $2)
+             LIMIT 1`,
+            [chipNormalizado, codigoNormalizado]
+        );
+
+        // o aviso é enviado depois da resposta -> o tempo de resposta também não denuncia o animal
+        if (animalResult.rows.length > 0) {
+            const animal = animalResult.rows[0];
+
+            const texto = `Alguém encontrou ${animal.nome} e enviou esta mensagem através da VetConnect: "${String(mensagem).trim()}"`
+                + (contacto ? ` Contacto indicado: ${String(contacto).trim()}` : '');
+
+            avisarTutores(animal, { assunto: `${animal.nome} foi encontrado`, texto })
+                .then(enviadas => registarAuditoria(req, {
+                    acao: 'animal_encontrado_reportado',
+                    entidade: 'animal',
+                    entidadeId: animal.id,
+                    detalhes: { mensagensEnviadas: enviadas }
+                }))
+                .catch(error => console.error('Erro ao avisar tutores de animal encontrado:', error));
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Obrigado! Se existir um animal registado com esse chip ou código, o tutor foi avisado com a sua mensagem.'
+        });
+
+    } catch (error) {
+        console.error('Erro ao reportar animal encontrado:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /utilizadores/:userId/animais -> obtem animais de um tutor
+app.get('/utilizadores/:userId/animais', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const incluirArquivados = req.query.incluirArquivados === 'true'; // falecidos, realojados e arquivados
+
+        // Verificar se o utilizador tem permissão
+        if (parseInt(userId) !== req.user.id && !temPermissao(req.user, 'animais:ver_qualquer')) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        // Buscar animais com dados do tutor (inclui os partilhados com o utilizador)
+        const result = await pool.query(
+            `SELECT a.*, 
+                    u.nome as tutorNome, 
+                    u.email as tutorEmail,
+                    u.telemovel as tutorTelemovel,
+                    CASE WHEN a.tutorId = $1 THEN 'dono'
+                         ELSE (SELECT at.papel FROM animal_tutores at WHERE at.animal_id = a.id AND at.user_id = $1)
+                    END as papel
+             FROM animais a
+             JOIN users u ON a.tutorId = u.id
+             WHERE ${SQL_ANIMAL_ACESSIVEL}
+             AND ($2 OR a.estado = 'ativo')
+             ORDER BY a.nome`,
+            [userId, incluirArquivados]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'utilizador',
+            entidadeId: parseInt(userId),
+            detalhes: { recurso: 'animais', count: result.rows.length }
+        });
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            animais: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter animais:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /animais/:animalId -> obtem detalhes de um animal
+app.get('/animais/:animalId', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+
+        const result = await pool.query(
+            `SELECT a.*, u.nome as tutorNome, u.email as tutorEmail
+                FROM animais a
+                JOIN users u ON a.tutorId = u.id
+                WHERE a.id = $1`,
+            [animalId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        // Verificar permissões
+        const animal = result.rows[0];
+        const papel = await papelNoAnimal(req.user.id, animal.id);
+        if (!papel && !temPermissao(req.user, 'animais:ver_qualquer')) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: animal.id });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: animal.id
+        });
+
+        const perfilMedico = await obterPerfilMedico(animal.id);
+
+        res.status(200).json({ ...animal, papel, perfilMedico });
+
+    } catch (error) {
+        console.error('Erro ao obter animal:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /animais/:id -> atualiza um animal
+app.put('/animais/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nome, especie, especieId, raca, racaId, dataNascimento, numeroChip } = req.body;
+        const userId = req.user.id;
+
+        // Validação básica
+        if (!nome || (!especie && !especieId)) {
+            return res.status(400).json({
+                error: 'Nome e espécie são obrigatórios'
+            });
+        }
+
+        // Verifica se o animal existe e pertence ao utilizador
+        const animalCheck = await pool.query(
+            'SELECT * FROM animais WHERE id = $1',
+            [parseInt(id)]
+        );
+
+        if (animalCheck.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Animal não encontrado'
+            });
+        }
+
+        const animal = animalCheck.rows[0];
+
+        // Verifica permissões (dono ou cotutor)
+        if (!(await temPapelNoAnimal(userId, animal.id, 'cotutor'))) {
+            return res.status(403).json({
+                error: 'Não autorizado a editar este animal'
+            });
+        }
+
+        // raça antiga que a migração não conseguiu ligar ao catálogo e que a app reenvia sem alterações
+        // -> fica como está (caso contrário estes animais deixavam de poder ser editados)
+        const racaAntigaPorMapear = !racaId && animal.racaid === null && animal.raca && raca === animal.raca;
+
+        const catalogo = await validarEspecieRaca({ especie, especieId, raca: racaAntigaPorMapear ? undefined : raca, racaId });
+        if (catalogo.erro) {
+            return res.status(400).json(catalogo.erro);
+        }
+
+        // sem raça no pedido mantém a atual, a não ser que a espécie tenha mudado
+        let novaRaca = catalogo.raca;
+        if (racaAntigaPorMapear) {
+            novaRaca = { id: null, nome: animal.raca };
+        } else if (!novaRaca && raca === undefined && racaId === undefined && catalogo.especie.id === animal.especieid) {
+            novaRaca = { id: animal.racaid, nome: animal.raca };
+        }
+
+        // Atualiza o animal
+        const updateResult = await pool.query(
+            `UPDATE animais 
+             SET nome = $1,
+                 especie = $2,
+                 especieId = $3,
+                 raca = $4,
+                 racaId = $5,
+                 dataNascimento = COALESCE($6, dataNascimento),
+                 numeroChip = COALESCE($7, numeroChip)
+             WHERE id = $8
+             RETURNING id`,
+            [nome, catalogo.especie.nome, catalogo.especie.id, novaRaca ? novaRaca.nome : null,
+                novaRaca ? novaRaca.id : null, dataNascimento, numeroChip, parseInt(id)]
+        );
+
+        // Buscar animal completo com dados do tutor
+        const animalResult = await pool.query(
+            `SELECT a.*, 
+                    u.nome as tutorNome, 
+                    u.email as tutorEmail,
+                    u.telemovel as tutorTelemovel
+             FROM animais a
+             JOIN users u ON a.tutorId = u.id
+             WHERE a.id = $1`,
+            [updateResult.rows[0].id]
+        );
+
+        const animalAtualizado = animalResult.rows[0];
+
+        await registarAuditoria(req, {
+            acao: 'animal_atualizado',
+            entidade: 'animal',
+            entidadeId: parseInt(id),
+            antes: animal,
+            depois: animalAtualizado
+        });
+
+        console.log(`Animal ID ${id} atualizado por utilizador ${userId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Animal atualizado com sucesso',
+            animal: animalAtualizado
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar animal:', error);
+        res.status(500).json({
+            error: 'Erro no servidor',
+            details: error.message
+        });
+    }
+});
+
+// altera o estado do animal (partilhado por PUT /animais/:id/estado e DELETE /animais/:id)
+// o histórico clínico é sempre mantido; as marcações futuras são canceladas quando deixa de estar ativo
+async function alterarEstadoAnimal(req, res, { estado, dataFalecimento, causaFalecimento }) {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    if (!ESTADOS_ANIMAL.includes(estado)) {
+        return res.status(400).json({
+            error: `Estado inválido. Estados permitidos: ${ESTADOS_ANIMAL.join(', ')}`
+        });
+    }
+
+    let dataFalecimentoSql = null;
+    if (estado === 'falecido') {
+        const data = dataFalecimento ? new Date(dataFalecimento) : new Date();
+        if (isNaN(data.getTime()) || data > new Date()) {
+            return res.status(400).json({ error: 'Data de falecimento inválida' });
+        }
+        dataFalecimentoSql = data.toISOString().split('T')[0];
+    }
+
+    const animalResult = await pool.query('SELECT * FROM animais WHERE id = $1', [id]);
+
+    if (animalResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Animal não encontrado' });
+    }
+
+    const animal = animalResult.rows[0];
+
+    // só os donos (ou veterinários, ex.: falecimento na clínica) mudam o estado
+    const podeAlterar = await temPapelNoAnimal(userId, animal.id, 'dono');
+    if (!podeAlterar && !temPermissao(req.user, 'animais:estado_qualquer')) {
+        await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: animal.id, detalhes: { operacao: 'alterar_estado' } });
+        return res.status(403).json({ error: 'Apenas os donos do animal podem alterar o estado' });
+    }
+
+    if (animal.estado === estado && estado !== 'falecido') {
+        return res.status(400).json({ error: `O animal já está ${estado}` });
+    }
+
+    const client = await pool.connect();
+    let animalAtualizado;
+    const canceladas = { consultas: 0, vacinas: 0, prescricoes: 0 };
+
+    try {
+        await client.query('BEGIN');
+
+        const updateResult = await client.query(
+            `UPDATE animais
+             SET estado = $1,
+                 dataFalecimento = $2,
+                 causaFalecimento = $3,
+                 estadoAlteradoEm = NOW()
+             WHERE id = $4
+             RETURNING *`,
+            [estado, dataFalecimentoSql, estado === 'falecido' ? (causaFalecimento || null) : null, id]
+        );
+        animalAtualizado = updateResult.rows[0];
+
+        // deixa de estar ativo -> cancela o que estava planeado
+        if (estado !== 'ativo') {
+            const consultas = await client.query(
+                "UPDATE consultas SET estado = 'cancelada' WHERE animalId = $1 AND estado = 'marcada' AND data >= CURRENT_DATE",
+                [id]
+            );
+            const vacinas = await client.query(
+                "UPDATE vacinas SET estado = 'cancelada' WHERE animalId = $1 AND estado = 'agendada'",
+                [id]
+            );
+            const prescricoes = await client.query(
+                `UPDATE prescricoes SET suspensa_em = NOW()
+                 WHERE animal_id = $1 AND suspensa_em IS NULL
+                 AND (duracao_dias IS NULL OR inicio + make_interval(days => duracao_dias) > NOW())`,
+                [id]
+            );
+            await client.query(
+                "UPDATE alertas_perdido SET estado = 'cancelado', encerrado_em = NOW() WHERE animal_id = $1 AND estado = 'ativo'",
+                [id]
+            );
+            canceladas.consultas = consultas.rowCount;
+            canceladas.vacinas = vacinas.rowCount;
+            canceladas.prescricoes = prescricoes.rowCount;
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await registarAuditoria(req, {
+        acao: 'estado_animal_alterado',
+        entidade: 'animal',
+        entidadeId: animal.id,
+        antes: { estado: animal.estado, dataFalecimento: animal.datafalecimento, causaFalecimento: animal.causafalecimento },
+        depois: { estado, dataFalecimento: dataFalecimentoSql, causaFalecimento: animalAtualizado.causafalecimento },
+        detalhes: { canceladas }
+    });
+
+    console.log(`Animal ${id} passou de ${animal.estado} para ${estado} (utilizador ${userId})`);
+
+    res.status(200).json({
+        success: true,
+        message: estado === 'arquivado' ? 'Animal arquivado. O histórico continua disponível.' : 'Estado do animal atualizado',
+        animal: animalAtualizado,
+        canceladas
+    });
+}
+
+// PUT /animais/:id/estado -> altera o estado do animal (ativo, falecido, realojado, arquivado)
+app.put('/animais/:id/estado', authenticateToken, async (req, res) => {
+    try {
+        const { estado, dataFalecimento, causaFalecimento } = req.body;
+        await alterarEstadoAnimal(req, res, { estado, dataFalecimento, causaFalecimento });
+    } catch (error) {
+        console.error('Erro ao alterar estado do animal:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /animais/:id -> arquiva o animal (nunca apaga o registo nem o histórico clínico)
+app.delete('/animais/:id', authenticateToken, async (req, res) => {
+    try {
+        await alterarEstadoAnimal(req, res, { estado: 'arquivado' });
+    } catch (error) {
+        console.error('Erro ao arquivar animal:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /animais/:animalId/foto -> upload de foto do animal
+app.post('/animais/:animalId/foto', authenticateToken, upload.single('foto'),  // 'foto' é o nome do campo que o Android vai enviar
+    async (req, res) => {
+        try {
+            const { animalId } = req.params; // obtem o ID do animal dos parâmetros da rota
+
+            // verifica se recebeu um ficheiro
+            if (!req.file) {
+                return res.status(400).json({
+                    error: 'Nenhuma imagem enviada',
+                    details: 'Por favor, envie uma imagem no campo "foto"'
+                });
+            }
+
+            // verifica se o animal existe
+            const animalCheck = await pool.query(
+                'SELECT tutorId, nome, fotoUrl FROM animais WHERE id = $1', // obtem tutorId para verificar permissões
+                [animalId]
+            );
+
+            if (animalCheck.rows.length === 0) {
+                // se animal não existe, apaga a imagem que foi enviada
+                fs.unlinkSync(req.file.path);
+                return res.status(404).json({
+                    error: 'Animal não encontrado',
+                    animalId: animalId
+                });
+            }
+
+            // obtem dados do animal
+            const animal = animalCheck.rows[0];
+
+            // verifica permissões (dono, cotutor ou veterinário)
+            const podeAtualizarFoto = await temPapelNoAnimal(req.user.id, animalId, 'cotutor');
+            if (!podeAtualizarFoto && !temPermissao(req.user, 'animais:foto_qualquer')) {
+                // se não tem permissão, apaga a imagem
+                fs.unlinkSync(req.file.path);
+                return res.status(403).json({
+                    error: 'Não autorizado',
+                    details: 'Apenas o tutor pode atualizar esta foto'
+                });
+            }
+
+            // a foto é guardada na galeria e passa a ser a capa (a anterior continua na galeria)
+            const foto = await adicionarFotoGaleria(req, animalId, { capa: true });
+
+            await registarAuditoria(req, {
+                acao: 'foto_animal_atualizada',
+                entidade: 'animal',
+                entidadeId: parseInt(animalId),
+                antes: { fotoUrl: animal.fotourl },
+                depois: { fotoUrl: foto.url_media, fotoId: foto.id }
+            });
+
+            // log da atualização
+            console.log(`Foto atualizada para animal ${animal.nome} (ID: ${animalId}): ${foto.url}`);
+
+            // responde com sucesso
+            res.status(200).json({
+                success: true,
+                message: 'Foto atualizada com sucesso',
+                fotoUrl: foto.url_media,
+                fotoMiniaturaUrl: foto.url_miniatura,
+                fotoOriginalUrl: foto.url,
+                filename: req.file.filename,
+                foto,
+                animal: {
+                    id: animalId,
+                    nome: animal.nome
+                }
+            });
+
+            // em caso de erro
+        } catch (error) {
+            if (error.imagemInvalida) {
+                return res.status(400).json({ error: 'Não foi possível processar a imagem enviada' });
+            }
+            console.error('Erro ao atualizar foto:', error);
+            //tenta apagar o ficheiro
+            if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+                try {
+                    fs.unlinkSync(req.file.path); // apaga ficheiro
+                    // se der erro ao apagar
+                } catch (unlinkError) {
+                    console.error('Erro ao apagar ficheiro:', unlinkError);
+                }
+            }
+
+            res.status(500).json({
+                error: 'Erro no servidor',
+                details: error.message
+            });
+        }
+    }
+);
+
+
+
+// ROTAS DA GALERIA DE FOTOS==============================================
+
+// define a foto de capa do animal e copia-a para animais.fotoUrl (fotoId null -> sem capa)
+// fotoUrl fica com a versão média para a app não descarregar o original nos ecrãs de detalhe
+// corre dentro da transação do client e bloqueia o animal -> trocas de capa em simultâneo
+// esperam umas pelas outras em vez de colidirem no índice único da capa
+async function definirCapa(client, animalId, fotoId) {
+    await client.query('SELECT id FROM animais WHERE id = $1 FOR NO KEY UPDATE', [animalId]);
+
+    await client.query(
+        'UPDATE fotos_animal SET capa = false WHERE animal_id = $1 AND capa AND id IS DISTINCT FROM $2',
+        [animalId, fotoId]
+    );
+
+    if (!fotoId) {
+        await client.query('UPDATE animais SET fotoUrl = NULL, fotoMiniaturaUrl = NULL WHERE id = $1', [animalId]);
+        return;
+    }
+
+    await client.query('UPDATE fotos_animal SET capa = true WHERE id = $1', [fotoId]);
+    await client.query(
+        `UPDATE animais a
+         SET fotoUrl = COALESCE(f.url_media, f.url),
+             fotoMiniaturaUrl = COALESCE(f.url_miniatura, f.url_media, f.url)
+         FROM fotos_animal f
+         WHERE f.id = $2 AND a.id = $1`,
+        [animalId, fotoId]
+    );
+}
+
+// guarda a imagem enviada (req.file) na galeria do animal com as versões reduzidas
+// a primeira foto de um animal passa sempre a ser a capa
+async function adicionarFotoGaleria(req, animalId, { legenda, tiradaEm, capa }) {
+    let versoes;
+    try {
+        versoes = await gerarVersoesFoto(req.file.path);
+    } catch (sharpError) {
+        console.error('Erro ao processar imagem:', sharpError);
+        apagarUploads([`/uploads/${req.file.filename}`]);
+        const erro = new Error('Imagem inválida');
+        erro.imagemInvalida = true;
+        throw erro;
+    }
+
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `https://${req.get('host')}`;
+    const ficheiros = [req.file.filename, versoes.media, versoes.miniatura].map(nome => `${baseUrl}/uploads/${nome}`);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `INSERT INTO fotos_animal (animal_id, url, url_media, url_miniatura, largura, altura, legenda, tirada_em, enviada_por)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [animalId, ...ficheiros, versoes.largura, versoes.altura,
+                legenda || null, tiradaEm || null, req.user.id]
+        );
+
+        const foto = result.rows[0];
+
+        const temCapa = await client.query(
+            'SELECT 1 FROM fotos_animal WHERE animal_id = $1 AND capa AND id != $2',
+            [animalId, foto.id]
+        );
+
+        if (capa || temCapa.rows.length === 0) {
+            await definirCapa(client, animalId, foto.id);
+            foto.capa = true;
+        }
+
+        await client.query('COMMIT');
+        return foto;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        apagarUploads(ficheiros); // o original e as versões reduzidas já gerados
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// verifica o acesso à galeria: tutores pelo papel no animal, veterinários pela permissão
+async function acessoGaleria(req, animalId, papelMinimo) {
+    const permissao = papelMinimo === 'leitura' ? 'animais:ver_qualquer' : 'animais:foto_qualquer';
+    return temPermissao(req.user, permissao) || await temPapelNoAnimal(req.user.id, animalId, papelMinimo);
+}
+
+// GET /animais/:animalId/fotos -> fotos do animal (capa primeiro, depois as mais recentes)
+app.get('/animais/:animalId/fotos', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+
+        if (!(await acessoGaleria(req, animalId, 'leitura'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            `SELECT * FROM fotos_animal
+             WHERE animal_id = $1
+             ORDER BY capa DESC, COALESCE(tirada_em, created_at::date) DESC, id DESC`,
+            [animalId]
+        );
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            fotos: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter fotos:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /animais/:animalId/fotos -> adiciona uma foto à galeria (campo 'foto', opcional: legenda, tiradaEm, capa)
+app.post('/animais/:animalId/fotos', authenticateToken, upload.single('foto'), async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { legenda, tiradaEm, capa } = req.body;
+
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'Nenhuma imagem enviada',
+                details: 'Por favor, envie uma imagem no campo "foto"'
+            });
+        }
+
+        const animalCheck = await pool.query('SELECT id, nome FROM animais WHERE id = $1', [animalId]);
+        if (animalCheck.rows.length === 0) {
+            apagarUploads([`/uploads/${req.file.filename}`]);
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        if (!(await acessoGaleria(req, animalId, 'cotutor'))) {
+            apagarUploads([`/uploads/${req.file.filename}`]);
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        if (tiradaEm && isNaN(new Date(tiradaEm).getTime())) {
+            apagarUploads([`/uploads/${req.file.filename}`]);
+            return res.status(400).json({ error: 'Data da foto inválida' });
+        }
+
+        // os campos de texto chegam como strings no multipart
+        const foto = await adicionarFotoGaleria(req, animalId, {
+            legenda,
+            tiradaEm,
+            capa: capa === true || capa === 'true'
+        });
+
+        await registarAuditoria(req, {
+            acao: 'foto_galeria_adicionada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            depois: foto
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Foto adicionada à galeria',
+            foto
+        });
+
+    } catch (error) {
+        if (error.imagemInvalida) {
+            return res.status(400).json({ error: 'Não foi possível processar a imagem enviada' });
+        }
+        console.error('Erro ao adicionar foto:', error);
+        if (req.file) {
+            apagarUploads([`/uploads/${req.file.filename}`]);
+        }
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /animais/:animalId/fotos/:fotoId -> altera a legenda ou a data da foto
+app.put('/animais/:animalId/fotos/:fotoId', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, fotoId } = req.params;
+        const { legenda, tiradaEm } = req.body;
+
+        if (!(await acessoGaleria(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        if (tiradaEm && isNaN(new Date(tiradaEm).getTime())) {
+            return res.status(400).json({ error: 'Data da foto inválida' });
+        }
+
+        const result = await pool.query(
+            `UPDATE fotos_animal
+             SET legenda = CASE WHEN $1 THEN $2 ELSE legenda END,
+                 tirada_em = CASE WHEN $3 THEN $4::date ELSE tirada_em END
+             WHERE id = $5 AND animal_id = $6
+             RETURNING *`,
+            [legenda !== undefined, legenda || null, tiradaEm !== undefined, tiradaEm || null, fotoId, animalId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Foto não encontrada' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Foto atualizada',
+            foto: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar foto da galeria:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /animais/:animalId/fotos/:fotoId/capa -> escolhe a foto de capa
+app.put('/animais/:animalId/fotos/:fotoId/capa', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, fotoId } = req.params;
+
+        if (!(await acessoGaleria(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const fotoCheck = await pool.query(
+            'SELECT id FROM fotos_animal WHERE id = $1 AND animal_id = $2',
+            [fotoId, animalId]
+        );
+
+        if (fotoCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Foto não encontrada' });
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await definirCapa(client, animalId, parseInt(fotoId));
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await registarAuditoria(req, {
+            acao: 'foto_capa_alterada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { fotoId: parseInt(fotoId) }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Foto de capa atualizada'
+        });
+
+    } catch (error) {
+        console.error('Erro ao definir foto de capa:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /animais/:animalId/fotos/:fotoId -> apaga a foto e os ficheiros de todos os tamanhos
+app.delete('/animais/:animalId/fotos/:fotoId', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, fotoId } = req.params;
+
+        if (!(await acessoGaleria(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const client = await pool.connect();
+        let foto;
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(
+                'DELETE FROM fotos_animal WHERE id = $1 AND animal_id = $2 RETURNING *',
+                [fotoId, animalId]
+            );
+
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Foto não encontrada' });
+            }
+
+            foto = result.rows[0];
+
+            // se era a capa, passa a ser a foto mais recente
+            if (foto.capa) {
+                const seguinte = await client.query(
+                    'SELECT id FROM fotos_animal WHERE animal_id = $1 ORDER BY created_at DESC LIMIT 1',
+                    [animalId]
+                );
+                await definirCapa(client, animalId, seguinte.rows.length > 0 ? seguinte.rows[0].id : null);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        apagarUploads([foto.url, foto.url_media, foto.url_miniatura]);
+
+        await registarAuditoria(req, {
+            acao: 'foto_galeria_apagada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: foto
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Foto apagada'
+        });
+
+    } catch (error) {
+        console.error('Erro ao apagar foto:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+
+// ROTAS DE PARTILHA DE ANIMAIS==============================================
+
+// GET /animais/:animalId/tutores -> lista quem tem acesso ao animal (e os convites pendentes, para o dono)
+app.get('/animais/:animalId/tutores', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const userId = req.user.id;
+
+        const animalResult = await pool.query(
+            `SELECT a.id, a.nome, a.tutorId, u.nome as tutorNome, u.email as tutorEmail
+             FROM animais a
+             JOIN users u ON a.tutorId = u.id
+             WHERE a.id = $1`,
+            [animalId]
+        );
+
+        if (animalResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        const animal = animalResult.rows[0];
+        const papel = await papelNoAnimal(userId, animalId);
+
+        if (!papel && !temPermissao(req.user, 'animais:ver_qualquer')) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: animal.id, detalhes: { recurso: 'tutores' } });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const partilhasResult = await pool.query(
+            `SELECT at.user_id as userId, u.nome, u.email, at.papel, at.created_at as desde
+             FROM animal_tutores at
+             JOIN users u ON at.user_id = u.id
+             WHERE at.animal_id = $1
+             ORDER BY at.created_at`,
+            [animalId]
+        );
+
+        const tutores = [
+            { userId: animal.tutorid, nome: animal.tutornome, email: animal.tutoremail, papel: 'dono', principal: true },
+            ...partilhasResult.rows.map(t => ({ userId: t.userid, nome: t.nome, email: t.email, papel: t.papel, principal: false, desde: t.desde }))
+        ];
+
+        const response = {
+            success: true,
+            animal: { id: animal.id, nome: animal.nome },
+            papel,
+            tutores
+        };
+
+        // só quem gere a partilha vê os convites pendentes
+        if (papelPermite(papel, 'dono')) {
+            const convitesResult = await pool.query(
+                `SELECT id, email, papel, expires_at, created_at
+                 FROM convites_animal
+                 WHERE animal_id = $1 AND estado = 'pendente' AND expires_at > NOW()
+                 ORDER BY created_at DESC`,
+                [animalId]
+            );
+            response.convitesPendentes = convitesResult.rows;
+        }
+
+        res.status(200).json(response);
+
+    } catch (error) {
+        console.error('Erro ao obter tutores do animal:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /animais/:animalId/convites -> convida outro utilizador (pelo email) a partilhar o animal
+app.post('/animais/:animalId/convites', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { email, papel = 'cotutor' } = req.body;
+        const userId = req.user.id;
+
+        if (!email) {
+            return res.status(400).json({ error: 'O email do convidado é obrigatório' });
+        }
+
+        if (!PAPEIS_ANIMAL.includes(papel)) {
+            return res.status(400).json({
+                error: `Papel inválido. Papéis permitidos: ${PAPEIS_ANIMAL.join(', ')}`
+            });
+        }
+
+        const animalResult = await pool.query(
+            'SELECT id, nome, tutorId FROM animais WHERE id = $1',
+            [animalId]
+        );
+
+        if (animalResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        const animal = animalResult.rows[0];
+
+        // apenas os donos podem partilhar o animal
+        if (!(await temPapelNoAnimal(userId, animalId, 'dono'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: animal.id, detalhes: { operacao: 'convidar' } });
+            return res.status(403).json({ error: 'Apenas os donos do animal podem enviar convites' });
+        }
+
+        const emailConvidado = String(email).trim().toLowerCase();
+
+        // não faz sentido convidar quem já tem acesso
+        const jaTemAcesso = await pool.query(
+            `SELECT u.id FROM users u
+             WHERE LOWER(u.email) = $1
+             AND (u.id = $2 OR EXISTS (SELECT 1 FROM animal_tutores at WHERE at.animal_id = $3 AND at.user_id = u.id))`,
+            [emailConvidado, animal.tutorid, animalId]
+        );
+
+        if (jaTemAcesso.rows.length > 0) {
+            return res.status(409).json({ error: 'Este utilizador já tem acesso ao animal' });
+        }
+
+        // um novo convite substitui o anterior para o mesmo email
+        await pool.query(
+            `UPDATE convites_animal SET estado = 'revogado', respondido_em = NOW()
+             WHERE animal_id = $1 AND email = $2 AND estado = 'pendente'`,
+            [animalId, emailConvidado]
+        );
+
+        const conviteResult = await pool.query(
+            `INSERT INTO convites_animal (animal_id, convidado_por, email, papel, expires_at)
+             VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+             RETURNING id, email, papel, estado, expires_at, created_at`,
+            [animalId, userId, emailConvidado, papel, CONVITE_VALIDADE_DIAS]
+        );
+
+        const convite = conviteResult.rows[0];
+
+        await registarAuditoria(req, {
+            acao: 'convite_animal_criado',
+            entidade: 'animal',
+            entidadeId: animal.id,
+            depois: convite
+        });
+
+        // avisa o convidado (uma falha no envio não anula o convite)
+        try {
+            await enviarMensagem({
+                canal: 'email',
+                destino: emailConvidado,
+                assunto: 'Convite para partilhar um animal na VetConnect',
+                texto: `Foi convidado para acompanhar o animal ${animal.nome} na VetConnect. Inicie sessão (ou crie conta) com este email para aceitar o convite nos próximos ${CONVITE_VALIDADE_DIAS} dias.`
+            });
+        } catch (sendError) {
+            console.error('Erro ao enviar convite:', sendError);
+        }
+
+        console.log(`Convite ${convite.id} para o animal ${animal.id} enviado por utilizador ${userId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Convite enviado com sucesso',
+            convite
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar convite:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /animais/:animalId/convites/:conviteId -> revoga um convite pendente
+app.delete('/animais/:animalId/convites/:conviteId', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, conviteId } = req.params;
+        const userId = req.user.id;
+
+        if (!(await temPapelNoAnimal(userId, animalId, 'dono'))) {
+            return res.status(403).json({ error: 'Apenas os donos do animal podem revogar convites' });
+        }
+
+        const result = await pool.query(
+            `UPDATE convites_animal SET estado = 'revogado', respondido_em = NOW()
+             WHERE id = $1 AND animal_id = $2 AND estado = 'pendente'
+             RETURNING id, email, papel`,
+            [conviteId, animalId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Convite não encontrado ou já respondido' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'convite_animal_revogado',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: result.rows[0]
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Convite revogado'
+        });
+
+    } catch (error) {
+        console.error('Erro ao revogar convite:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /animais/:animalId/tutores/:userId -> altera o papel de quem partilha o animal
+app.put('/animais/:animalId/tutores/:userId', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, userId: alvoId } = req.params;
+        const { papel } = req.body;
+        const userId = req.user.id;
+
+        if (!PAPEIS_ANIMAL.includes(papel)) {
+            return res.status(400).json({
+                error: `Papel inválido. Papéis permitidos: ${PAPEIS_ANIMAL.join(', ')}`
+            });
+        }
+
+        if (!(await temPapelNoAnimal(userId, animalId, 'dono'))) {
+            return res.status(403).json({ error: 'Apenas os donos do animal podem alterar papéis' });
+        }
+
+        const anterior = await pool.query(
+            'SELECT papel FROM animal_tutores WHERE animal_id = $1 AND user_id = $2',
+            [animalId, alvoId]
+        );
+
+        // o tutor principal não está em animal_tutores e é sempre dono
+        if (anterior.rows.length === 0) {
+            return res.status(404).json({ error: 'Este utilizador não partilha o animal' });
+        }
+
+        await pool.query(
+            'UPDATE animal_tutores SET papel = $1 WHERE animal_id = $2 AND user_id = $3',
+            [papel, animalId, alvoId]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'papel_animal_alterado',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: { userId: parseInt(alvoId), papel: anterior.rows[0].papel },
+            depois: { userId: parseInt(alvoId), papel }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Papel atualizado com sucesso',
+            papel
+        });
+
+    } catch (error) {
+        console.error('Erro ao alterar papel:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /animais/:animalId/tutores/:userId -> remove o acesso de alguém ao animal (ou deixa de o acompanhar)
+app.delete('/animais/:animalId/tutores/:userId', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, userId: alvoId } = req.params;
+        const userId = req.user.id;
+        const proprio = parseInt(alvoId) === userId;
+
+        // cada um pode sair da partilha; remover outros só os donos
+        if (!proprio && !(await temPapelNoAnimal(userId, animalId, 'dono'))) {
+            return res.status(403).json({ error: 'Apenas os donos do animal podem remover tutores' });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM animal_tutores WHERE animal_id = $1 AND user_id = $2 RETURNING papel',
+            [animalId, alvoId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Este utilizador não partilha o animal',
+                details: 'O tutor principal não pode ser removido'
+            });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'tutor_animal_removido',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: { userId: parseInt(alvoId), papel: result.rows[0].papel }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: proprio ? 'Deixou de acompanhar este animal' : 'Acesso removido com sucesso'
+        });
+
+    } catch (error) {
+        console.error('Erro ao remover tutor:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /convites -> convites pendentes para o email do utilizador autenticado
+app.get('/convites', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT c.id, c.papel, c.expires_at, c.created_at,
+                    a.id as animalId, a.nome as animalNome, a.especie as animalEspecie,
+                    u.nome as convidadoPorNome
+             FROM convites_animal c
+             JOIN animais a ON c.animal_id = a.id
+             LEFT JOIN users u ON c.convidado_por = u.id
+             WHERE c.email = (SELECT LOWER(email) FROM users WHERE id = $1)
+             AND c.estado = 'pendente' AND c.expires_at > NOW()
+             ORDER BY c.created_at DESC`,
+            [req.user.id]
+        );
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            convites: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter convites:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /convites/:id/aceitar -> aceita um convite e passa a ter acesso ao animal
+app.post('/convites/:id/aceitar', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        await client.query('BEGIN');
+
+        // bloqueia o convite para não ser aceite duas vezes em simultâneo
+        const conviteResult = await client.query(
+            `SELECT c.*, a.tutorId, a.nome as animal_nome
+             FROM convites_animal c
+             JOIN animais a ON c.animal_id = a.id
+             WHERE c.id = $1
+             AND c.email = (SELECT LOWER(email) FROM users WHERE id = $2)
+             FOR UPDATE OF c`,
+            [id, userId]
+        );
+
+        if (conviteResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Convite não encontrado' });
+        }
+
+        const convite = conviteResult.rows[0];
+
+        if (convite.estado !== 'pendente' || new Date(convite.expires_at) <= new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(410).json({ error: 'Este convite já não é válido' });
+        }
+
+        if (convite.tutorid === userId) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Já é o tutor principal deste animal' });
+        }
+
+        await client.query(
+            `INSERT INTO animal_tutores (animal_id, user_id, papel, adicionado_por)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (animal_id, user_id) DO UPDATE SET papel = EXCLUDED.papel`,
+            [convite.animal_id, userId, convite.papel, convite.convidado_por]
+        );
+
+        await client.query(
+            "UPDATE convites_animal SET estado = 'aceite', respondido_em = NOW() WHERE id = $1",
+            [id]
+        );
+
+        await client.query('COMMIT');
+
+        await registarAuditoria(req, {
+            acao: 'convite_animal_aceite',
+            entidade: 'animal',
+            entidadeId: convite.animal_id,
+            depois: { userId, papel: convite.papel }
+        });
+
+        console.log(`Utilizador ${userId} aceitou o convite ${id} (animal ${convite.animal_id})`);
+
+        res.status(200).json({
+            success: true,
+            message: `Passou a acompanhar ${convite.animal_nome}`,
+            animalId: convite.animal_id,
+            papel: convite.papel
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Erro ao aceitar convite:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    } finally {
+        client.release();
+    }
+});
+
+// POST /convites/:id/recusar -> recusa um convite
+app.post('/convites/:id/recusar', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await pool.query(
+            `UPDATE convites_animal SET estado = 'recusado', respondido_em = NOW()
+             WHERE id = $1 AND estado = 'pendente'
+             AND email = (SELECT LOWER(email) FROM users WHERE id = $2)
+             RETURNING animal_id`,
+            [id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Convite não encontrado ou já respondido' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'convite_animal_recusado',
+            entidade: 'animal',
+            entidadeId: result.rows[0].animal_id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Convite recusado'
+        });
+
+    } catch (error) {
+        console.error('Erro ao recusar convite:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+
+// ROTAS DE TRANSFERÊNCIA DE ANIMAIS==============================================
+
+// POST /animais/:animalId/transferencias -> o tutor inicia a transferência do animal para outra conta
+// com email -> só esse utilizador pode aceitar; sem email -> aceita quem indicar o código secreto devolvido aqui
+app.post('/animais/:animalId/transferencias', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { email } = req.body || {};
+        const userId = req.user.id;
+
+        const animalResult = await pool.query(
+            'SELECT a.id, a.nome, a.tutorId, a.codigoUnico, u.email as tutorEmail FROM animais a JOIN users u ON a.tutorId = u.id WHERE a.id = $1',
+            [animalId]
+        );
+
+        if (animalResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        const animal = animalResult.rows[0];
+
+        // só o tutor principal pode transferir o animal
+        if (animal.tutorid !== userId) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: animal.id, detalhes: { operacao: 'transferir' } });
+            return res.status(403).json({ error: 'Apenas o tutor do animal o pode transferir' });
+        }
+
+        const paraEmail = email ? String(email).trim().toLowerCase() : null;
+
+        if (paraEmail && paraEmail === animal.tutoremail.toLowerCase()) {
+            return res.status(400).json({ error: 'Não pode transferir o animal para si próprio' });
+        }
+
+        // só existe uma transferência pendente por animal
+        await pool.query(
+            `UPDATE transferencias_animal SET estado = 'cancelada', respondido_em = NOW()
+             WHERE animal_id = $1 AND estado = 'pendente'`,
+            [animalId]
+        );
+
+        // sem destinatário -> código secreto mostrado apenas nesta resposta (só o hash fica guardado)
+        const codigoTransferencia = paraEmail ? null : gerarCodigoTransferencia();
+
+        const result = await pool.query(
+            `INSERT INTO transferencias_animal (animal_id, de_user_id, para_email, codigo_hash, expires_at)
+             VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+             RETURNING id, para_email, estado, expires_at, created_at`,
+            [animalId, userId, paraEmail, codigoTransferencia && hashCodigoTransferencia(codigoTransferencia), TRANSFERENCIA_VALIDADE_DIAS]
+        );
+
+        const transferencia = result.rows[0];
+
+        await registarAuditoria(req, {
+            acao: 'transferencia_iniciada',
+            entidade: 'animal',
+            entidadeId: animal.id,
+            depois: transferencia
+        });
+
+        if (paraEmail) {
+            try {
+                await enviarMensagem({
+                    canal: 'email',
+                    destino: paraEmail,
+                    assunto: 'Transferência de animal na VetConnect',
+                    texto: `O animal ${animal.nome} está a ser transferido para a sua conta VetConnect. Inicie sessão (ou crie conta) com este email para aceitar nos próximos ${TRANSFERENCIA_VALIDADE_DIAS} dias.`
+                });
+            } catch (sendError) {
+                console.error('Erro ao enviar aviso de transferência:', sendError);
+            }
+        }
+
+        console.log(`Transferência ${transferencia.id} do animal ${animal.id} iniciada por utilizador ${userId}`);
+
+        res.status(201).json({
+            success: true,
+            message: paraEmail
+                ? 'Transferência iniciada. O destinatário tem de a aceitar.'
+                : `Transferência iniciada. Partilhe o código do animal (${animal.codigounico}) e o código da transferência (${codigoTransferencia}) com o novo tutor para que a aceite. Este código não volta a ser mostrado.`,
+            transferencia,
+            codigoUnico: paraEmail ? undefined : animal.codigounico,
+            codigoTransferencia: codigoTransferencia || undefined
+        });
+
+    } catch (error) {
+        console.error('Erro ao iniciar transferência:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /animais/:animalId/transferencias -> cancela a transferência pendente
+app.delete('/animais/:animalId/transferencias', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+
+        const result = await pool.query(
+            `UPDATE transferencias_animal t SET estado = 'cancelada', respondido_em = NOW()
+             FROM animais a
+             WHERE t.animal_id = a.id AND t.animal_id = $1 AND a.tutorId = $2 AND t.estado = 'pendente'
+             RETURNING t.id`,
+            [animalId, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Não existe nenhuma transferência pendente para este animal' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'transferencia_cancelada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { transferenciaId: result.rows[0].id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Transferência cancelada'
+        });
+
+    } catch (error) {
+        console.error('Erro ao cancelar transferência:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /transferencias -> transferências pendentes dirigidas ao email do utilizador autenticado
+app.get('/transferencias', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT t.id, t.expires_at, t.created_at,
+                    a.id as animalId, a.nome as animalNome, a.especie as animalEspecie, a.raca as animalRaca,
+                    u.nome as deNome
+             FROM transferencias_animal t
+             JOIN animais a ON t.animal_id = a.id
+             LEFT JOIN users u ON t.de_user_id = u.id
+             WHERE t.para_email = (SELECT LOWER(email) FROM users WHERE id = $1)
+             AND t.estado = 'pendente' AND t.expires_at > NOW()
+             ORDER BY t.created_at DESC`,
+            [req.user.id]
+        );
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            transferencias: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter transferências:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// aceita a transferência encontrada pela query (partilhado pelas duas rotas de aceitação)
+// devolve null se não existir nenhuma pendente, senão { transferencia, valida }
+// valida = false quando o tutor mudou entretanto (a transferência fica cancelada)
+async function aceitarTransferencia(req, { where, params }) {
+    const client = await pool.connect();
+    const userId = req.user.id;
+    let transferencia;
+
+    try {
+        await client.query('BEGIN');
+
+        // bloqueia a transferência e o animal até ao fim da transação
+        const result = await client.query(
+            `SELECT t.*, a.nome as animal_nome, a.tutorId
+             FROM transferencias_animal t
+             JOIN animais a ON t.animal_id = a.id
+             WHERE ${where} AND t.estado = 'pendente' AND t.expires_at > NOW()
+             FOR UPDATE`,
+            params
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        transferencia = result.rows[0];
+
+        // o tutor pode ter mudado entretanto (ex.: outra transferência)
+        if (transferencia.tutorid !== transferencia.de_user_id || transferencia.tutorid === userId) {
+            await client.query(
+                "UPDATE transferencias_animal SET estado = 'cancelada', respondido_em = NOW() WHERE id = $1",
+                [transferencia.id]
+            );
+            await client.query('COMMIT');
+            return { transferencia, valida: false };
+        }
+
+        await concluirTransferencia(client, transferencia, userId);
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // a partir daqui a transferência já está feita -> uma falha no aviso não a pode dar como falhada
+    await registarAuditoria(req, {
+        acao: 'transferencia_aceite',
+        entidade: 'animal',
+        entidadeId: transferencia.animal_id,
+        antes: { tutorId: transferencia.de_user_id },
+        depois: { tutorId: userId }
+    });
+
+    // avisa o tutor anterior
+    try {
+        const anterior = await pool.query(
+            'SELECT email, telemovel, canalVerificado FROM users WHERE id = $1',
+            [transferencia.de_user_id]
+        );
+        if (anterior.rows.length > 0) {
+            const canal = anterior.rows[0].canalverificado || 'email';
+            await enviarMensagem({
+                canal,
+                destino: canal === 'sms' ? anterior.rows[0].telemovel : anterior.rows[0].email,
+                assunto: 'Transferência de animal concluída',
+                texto: `A transferência do animal ${transferencia.animal_nome} foi aceite. O animal deixou de estar associado à sua conta VetConnect.`
+            });
+        }
+    } catch (avisoError) {
+        console.error('Erro ao enviar aviso de transferência concluída:', avisoError);
+    }
+
+    console.log(`Animal ${transferencia.animal_id} transferido de ${transferencia.de_user_id} para ${userId}`);
+
+    return { transferencia, valida: true };
+}
+
+// resposta das rotas de aceitação -> { transferencia, valida } de aceitarTransferencia
+function responderTransferenciaAceite(res, { transferencia, valida }) {
+    if (!valida) {
+        return res.status(409).json({ error: 'Esta transferência já não é válida' });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: `${transferencia.animal_nome} foi transferido para a sua conta`,
+        animalId: transferencia.animal_id
+    });
+}
+
+// POST /transferencias/:id/aceitar -> aceita uma transferência dirigida ao email do utilizador
+app.post('/transferencias/:id/aceitar', authenticateToken, async (req, res) => {
+    try {
+        const aceitacao = await aceitarTransferencia(req, {
+            where: 't.id = $1 AND t.para_email = (SELECT LOWER(email) FROM users WHERE id = $2)',
+            params: [req.params.id, req.user.id]
+        });
+
+        if (!aceitacao) {
+            return res.status(404).json({ error: 'Transferência não encontrada ou expirada' });
+        }
+
+        responderTransferenciaAceite(res, aceitacao);
+
+    } catch (error) {
+        console.error('Erro ao aceitar transferência:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /transferencias/codigo -> aceita uma transferência sem destinatário
+// indicando o codigoUnico do animal (VT-XXXXXX) e o código secreto da transferência
+app.post('/transferencias/codigo', authenticateToken, async (req, res) => {
+    try {
+        const { codigoUnico, codigo } = req.body;
+
+        if (!codigoUnico || !codigo) {
+            return res.status(400).json({ error: 'O código do animal e o código da transferência são obrigatórios' });
+        }
+
+        // as tentativas erradas contam para o bloqueio da conta e do IP (várias contas não contornam o limite)
+        const chaves = { conta: `transferencia:${req.user.id}`, ip: `transferencia:ip:${req.ip}` };
+        const restante = await segundosBloqueado(Object.values(chaves));
+        if (restante > 0) {
+            return responderBloqueado(res, restante);
+        }
+
+        const aceitacao = await aceitarTransferencia(req, {
+            where: 'a.codigoUnico = $1 AND t.para_email IS NULL AND t.codigo_hash = $2',
+            params: [String(codigoUnico).trim().toUpperCase(), hashCodigoTransferencia(codigo)]
+        });
+
+        if (!aceitacao) {
+            await registarFalha(chaves.conta, 'conta');
+            await registarFalha(chaves.ip, 'ip');
+            return res.status(404).json({ error: 'Não existe nenhuma transferência pendente para estes códigos' });
+        }
+
+        // só a conta é limpa -> um acerto não apaga as falhas acumuladas pelo IP
+        await limparFalhas(chaves.conta);
+
+        responderTransferenciaAceite(res, aceitacao);
+
+    } catch (error) {
+        console.error('Erro ao aceitar transferência por código:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /transferencias/:id/recusar -> recusa uma transferência dirigida ao utilizador
+app.post('/transferencias/:id/recusar', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `UPDATE transferencias_animal SET estado = 'recusada', respondido_em = NOW()
+             WHERE id = $1 AND estado = 'pendente'
+             AND para_email = (SELECT LOWER(email) FROM users WHERE id = $2)
+             RETURNING animal_id`,
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Transferência não encontrada ou já respondida' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'transferencia_recusada',
+            entidade: 'animal',
+            entidadeId: result.rows[0].animal_id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Transferência recusada'
+        });
+
+    } catch (error) {
+        console.error('Erro ao recusar transferência:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+
+// ROTAS DE ALERTAS DE ANIMAIS PERDIDOS==============================================
+
+const ALERTA_RAIO_KM_DEFAULT = 10;
+const ALERTA_RAIO_KM_MAX = 100;
+
+// escapa texto para incluir no HTML do cartaz
+function escaparHtml(texto) {
+    return String(texto == null ? '' : texto)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// valida um par de coordenadas (devolve null se forem inválidas)
+function lerCoordenadas(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return null;
+    }
+    return { lat, lng };
+}
+
+// dados públicos de um alerta (sem dados pessoais do tutor)
+// alertas cancelados deixam de ser públicos (null) e os de animais encontrados já não mostram o local nem a foto
+async function obterAlertaPublico(alertaId, req) {
+    const result = await pool.query(
+        `SELECT al.id, al.latitude, al.longitude, al.local_descricao, al.visto_em, al.descricao,
+                al.estado, al.created_at, al.animal_id,
+                a.nome as animalNome, a.especie, a.raca, a.fotoUrl
+         FROM alertas_perdido al
+         JOIN animais a ON al.animal_id = a.id
+         WHERE al.id = $1 AND al.estado != 'cancelado'`,
+        [alertaId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const alerta = result.rows[0];
+    if (alerta.estado !== 'ativo') {
+        alerta.latitude = null;
+        alerta.longitude = null;
+        alerta.local_descricao = null;
+        alerta.fotourl = null;
+    }
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `https://${req.get('host')}`;
+    alerta.cartazUrl = `${baseUrl}/alertas/${alerta.id}/cartaz`;
+    return alerta;
+}
+
+// POST /animais/:animalId/perdido -> marca o animal como perdido e cria um alerta público
+app.post('/animais/:animalId/perdido', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { latitude, longitude, local, vistoEm, descricao } = req.body;
+        const userId = req.user.id;
+
+        const coordenadas = lerCoordenadas(latitude, longitude);
+        if (!coordenadas) {
+            return res.status(400).json({ error: 'Indique a latitude e a longitude do último local onde foi visto' });
+        }
+
+        const dataVisto = vistoEm ? new Date(vistoEm) : new Date();
+        if (isNaN(dataVisto.getTime()) || dataVisto > new Date()) {
+            return res.status(400).json({ error: 'Data em que foi visto inválida' });
+        }
+
+        const animalResult = await pool.query(
+            'SELECT id, nome, tutorId, estado FROM animais WHERE id = $1',
+            [animalId]
+        );
+
+        if (animalResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        if (!(await temPapelNoAnimal(userId, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        if (animalResult.rows[0].estado !== 'ativo') {
+            return responderAnimalInativo(res, animalResult.rows[0].estado);
+        }
+
+        const ativo = await pool.query(
+            "SELECT id FROM alertas_perdido WHERE animal_id = $1 AND estado = 'ativo'",
+            [animalId]
+        );
+
+        if (ativo.rows.length > 0) {
+            return res.status(409).json({
+                error: 'Já existe um alerta ativo para este animal',
+                alertaId: ativo.rows[0].id
+            });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO alertas_perdido (animal_id, criado_por, latitude, longitude, local_descricao, visto_em, descricao)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id`,
+            [animalId, userId, coordenadas.lat, coordenadas.lng, local || null, dataVisto, descricao || null]
+        );
+
+        const alerta = await obterAlertaPublico(result.rows[0].id, req);
+
+        await registarAuditoria(req, {
+            acao: 'alerta_perdido_criado',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            depois: alerta
+        });
+
+        console.log(`Alerta de animal perdido ${alerta.id} criado para o animal ${animalId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Alerta criado. Partilhe o cartaz para ajudar a encontrar o animal.',
+            alerta
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar alerta de animal perdido:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /alertas?lat=&lng=&raio= -> alertas ativos perto de um local (público)
+app.get('/alertas', async (req, res) => {
+    try {
+        const coordenadas = lerCoordenadas(req.query.lat, req.query.lng);
+        if (!coordenadas) {
+            return res.status(400).json({ error: 'Indique lat e lng válidos' });
+        }
+
+        const raio = Math.min(parseFloat(req.query.raio) || ALERTA_RAIO_KM_DEFAULT, ALERTA_RAIO_KM_MAX);
+
+        // distância em km pela fórmula de haversine (raio da Terra 6371 km)
+        const result = await pool.query(`
+            SELECT * FROM (
+                SELECT al.id, al.local_descricao, al.visto_em, al.descricao, al.latitude, al.longitude,
+                       a.nome as animalNome, a.especie, a.raca, a.fotoUrl,
+                       6371 * ACOS(LEAST(1,
+                           COS(RADIANS($1)) * COS(RADIANS(al.latitude)) * COS(RADIANS(al.longitude) - RADIANS($2))
+                           + SIN(RADIANS($1)) * SIN(RADIANS(al.latitude))
+                       )) AS distancia_km
+                FROM alertas_perdido al
+                JOIN animais a ON al.animal_id = a.id
+                WHERE al.estado = 'ativo'
+            ) alertas
+            WHERE distancia_km <= $3
+            ORDER BY distancia_km ASC
+        `, [coordenadas.lat, coordenadas.lng, raio]);
+
+        const baseUrl = process.env.RENDER_EXTERNAL_URL || `https://${req.get('host')}`;
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            raioKm: raio,
+            alertas: result.rows.map(alerta => ({
+                ...alerta,
+                distancia_km: Math.round(alerta.distancia_km * 10) / 10,
+                cartazUrl: `${baseUrl}/alertas/${alerta.id}/cartaz`
+            }))
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter alertas:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /alertas/:id -> dados públicos de um alerta
+app.get('/alertas/:id', async (req, res) => {
+    try {
+        const alerta = await obterAlertaPublico(req.params.id, req);
+
+        if (!alerta) {
+            return res.status(404).json({ error: 'Alerta não encontrado' });
+        }
+
+        res.status(200).json(alerta);
+
+    } catch (error) {
+        console.error('Erro ao obter alerta:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /alertas/:id/cartaz -> página HTML do cartaz para partilhar/imprimir
+app.get('/alertas/:id/cartaz', async (req, res) => {
+    try {
+        const alerta = await obterAlertaPublico(req.params.id, req);
+
+        if (!alerta) {
+            return res.status(404).send('Alerta não encontrado');
+        }
+
+        const titulo = alerta.estado === 'ativo' ? 'PROCURA-SE' : 'ENCONTRADO';
+        const vistoEm = new Date(alerta.visto_em).toLocaleString('pt-PT');
+        const foto = alerta.fotourl
+            ? `<img src="${escaparHtml(alerta.fotourl)}" alt="${escaparHtml(alerta.animalnome)}">`
+            : '';
+
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="pt">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${titulo}: ${escaparHtml(alerta.animalnome)}</title>
+    <meta property="og:title" content="${titulo}: ${escaparHtml(alerta.animalnome)}">
+    ${alerta.fotourl ? `<meta property="og:image" content="${escaparHtml(alerta.fotourl)}">` : ''}
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; text-align: center; }
+        h1 { font-size: 48px; margin: 10px 0; color: ${alerta.estado === 'ativo' ? '#c62828' : '#2e7d32'}; }
+        img { max-width: 100%; max-height: 400px; border-radius: 8px; }
+        .detalhes { text-align: left; font-size: 18px; }
+    </style>
+</head>
+<body>
+    <h1>${titulo}</h1>
+    <h2>${escaparHtml(alerta.animalnome)}</h2>
+    ${foto}
+    <div class="detalhes">
+        <p><strong>Espécie:</strong> ${escaparHtml(alerta.especie)}${alerta.raca ? ` (${escaparHtml(alerta.raca)})` : ''}</p>
+        ${alerta.estado === 'ativo' ? `<p><strong>Visto pela última vez:</strong> ${escaparHtml(alerta.local_descricao || `${alerta.latitude}, ${alerta.longitude}`)} em ${escaparHtml(vistoEm)}</p>` : ''}
+        ${alerta.descricao ? `<p><strong>Descrição:</strong> ${escaparHtml(alerta.descricao)}</p>` : ''}
+    </div>
+    ${alerta.estado === 'ativo' ? '<p>Viu este animal? Reporte o avistamento na app VetConnect.</p>' : ''}
+</body>
+</html>`);
+
+    } catch (error) {
+        console.error('Erro ao gerar cartaz:', error);
+        res.status(500).send('Erro no servidor');
+    }
+});
+
+// POST /alertas/:id/avistamentos -> qualquer pessoa pode reportar que viu o animal (público)
+app.post('/alertas/:id/avistamentos', limitarPedidos({ nome: 'avistamentos', maximo: 10, janelaMinutos: 60 }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { latitude, longitude, descricao, vistoEm, contacto } = req.body;
+
+        if (!descricao || String(descricao).trim().length === 0) {
+            return res.status(400).json({ error: 'A descrição do avistamento é obrigatória' });
+        }
+
+        if (String(descricao).length > 500 || (contacto && String(contacto).length > 100)) {
+            return res.status(400).json({ error: 'Descrição ou contacto demasiado longos' });
+        }
+
+        // as coordenadas são opcionais, mas se vierem têm de ser válidas
+        let coordenadas = null;
+        if (latitude !== undefined || longitude !== undefined) {
+            coordenadas = lerCoordenadas(latitude, longitude);
+            if (!coordenadas) {
+                return res.status(400).json({ error: 'Coordenadas inválidas' });
+            }
+        }
+
+        const dataVisto = vistoEm ? new Date(vistoEm) : new Date();
+        if (isNaN(dataVisto.getTime())) {
+            return res.status(400).json({ error: 'Data do avistamento inválida' });
+        }
+
+        const alertaResult = await pool.query(
+            `SELECT al.id, al.estado, a.id as animal_id, a.nome, a.tutorId
+             FROM alertas_perdido al
+             JOIN animais a ON al.animal_id = a.id
+             WHERE al.id = $1`,
+            [id]
+        );
+
+        if (alertaResult.rows.length === 0 || alertaResult.rows[0].estado !== 'ativo') {
+            return res.status(404).json({ error: 'Alerta não encontrado ou já encerrado' });
+        }
+
+        const alerta = alertaResult.rows[0];
+
+        const result = await pool.query(
+            `INSERT INTO avistamentos (alerta_id, latitude, longitude, descricao, visto_em, contacto)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id, created_at`,
+            [id, coordenadas ? coordenadas.lat : null, coordenadas ? coordenadas.lng : null,
+                String(descricao).trim(), dataVisto, contacto ? String(contacto).trim() : null]
+        );
+
+        await avisarTutores({ id: alerta.animal_id, tutorid: alerta.tutorid }, {
+            assunto: `Novo avistamento de ${alerta.nome}`,
+            texto: `Alguém viu ${alerta.nome}: "${String(descricao).trim()}"`
+                + (coordenadas ? ` Local: https://maps.google.com/?q=${coordenadas.lat},${coordenadas.lng}` : '')
+                + (contacto ? ` Contacto indicado: ${String(contacto).trim()}` : '')
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Obrigado! O avistamento foi enviado ao tutor.',
+            avistamentoId: result.rows[0].id
+        });
+
+    } catch (error) {
+        console.error('Erro ao reportar avistamento:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /alertas/:id/avistamentos -> avistamentos reportados (tutores do animal)
+app.get('/alertas/:id/avistamentos', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const alertaResult = await pool.query(
+            'SELECT animal_id FROM alertas_perdido WHERE id = $1',
+            [id]
+        );
+
+        if (alertaResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Alerta não encontrado' });
+        }
+
+        if (!(await temPapelNoAnimal(req.user.id, alertaResult.rows[0].animal_id, 'leitura'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            'SELECT * FROM avistamentos WHERE alerta_id = $1 ORDER BY visto_em DESC',
+            [id]
+        );
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            avistamentos: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter avistamentos:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// encerra um alerta ativo (encontrado ou cancelado) -> devolve o alerta ou null
+async function encerrarAlerta(req, res, estado) {
+    const { id } = req.params;
+
+    const alertaResult = await pool.query(
+        `SELECT al.*, a.nome as animal_nome
+         FROM alertas_perdido al
+         JOIN animais a ON al.animal_id = a.id
+         WHERE al.id = $1`,
+        [id]
+    );
+
+    if (alertaResult.rows.length === 0) {
+        res.status(404).json({ error: 'Alerta não encontrado' });
+        return null;
+    }
+
+    const alerta = alertaResult.rows[0];
+
+    if (!(await temPapelNoAnimal(req.user.id, alerta.animal_id, 'cotutor'))) {
+        res.status(403).json({ error: 'Não autorizado' });
+        return null;
+    }
+
+    const result = await pool.query(
+        `UPDATE alertas_perdido SET estado = $1, encerrado_em = NOW()
+         WHERE id = $2 AND estado = 'ativo'
+         RETURNING id`,
+        [estado, id]
+    );
+
+    if (result.rows.length === 0) {
+        res.status(400).json({ error: 'Este alerta já foi encerrado' });
+        return null;
+    }
+
+    await registarAuditoria(req, {
+        acao: estado === 'encontrado' ? 'animal_encontrado' : 'alerta_perdido_cancelado',
+        entidade: 'animal',
+        entidadeId: alerta.animal_id,
+        detalhes: { alertaId: alerta.id }
+    });
+
+    return alerta;
+}
+
+// POST /alertas/:id/encontrado -> o animal foi encontrado: fecha o alerta e avisa quem reportou avistamentos
+app.post('/alertas/:id/encontrado', authenticateToken, async (req, res) => {
+    try {
+        const alerta = await encerrarAlerta(req, res, 'encontrado');
+        if (!alerta) return;
+
+        const contactos = await pool.query(
+            'SELECT DISTINCT contacto FROM avistamentos WHERE alerta_id = $1 AND contacto IS NOT NULL',
+            [alerta.id]
+        );
+
+        // o contacto é livre -> só avisa emails e números de telemóvel válidos
+        const telemovelRegex = /^\+?[0-9]{9,15}$/;
+        let avisados = 0;
+        for (const { contacto } of contactos.rows) {
+            const canal = contacto.includes('@') ? 'email' : (telemovelRegex.test(contacto.replace(/\s/g, '')) ? 'sms' : null);
+            if (!canal) continue;
+
+            try {
+                await enviarMensagem({
+                    canal,
+                    destino: canal === 'sms' ? contacto.replace(/\s/g, '') : contacto,
+                    assunto: `${alerta.animal_nome} foi encontrado`,
+                    texto: `Boas notícias: ${alerta.animal_nome} foi encontrado. Obrigado por ter ajudado através da VetConnect!`
+                });
+                avisados++;
+            } catch (sendError) {
+                console.error('Erro ao avisar autor de avistamento:', sendError);
+            }
+        }
+
+        console.log(`Alerta ${alerta.id} encerrado (encontrado). ${avisados} pessoas avisadas`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Alerta encerrado. Ainda bem que foi encontrado!',
+            avisados
+        });
+
+    } catch (error) {
+        console.error('Erro ao marcar animal como encontrado:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /alertas/:id -> cancela um alerta sem o marcar como encontrado
+app.delete('/alertas/:id', authenticateToken, async (req, res) => {
+    try {
+        const alerta = await encerrarAlerta(req, res, 'cancelado');
+        if (!alerta) return;
+
+        res.status(200).json({
+            success: true,
+            message: 'Alerta cancelado'
+        });
+
+    } catch (error) {
+        console.error('Erro ao cancelar alerta:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+
+// ROTAS DE MEDIÇÕES (PESO E SINAIS VITAIS)==============================================
+
+// limites aceites para cada tipo de medição e regras para assinalar alterações bruscas
+// normal -> intervalo de referência (cães e gatos); variacaoRelativa/variacaoAbsoluta -> face à medição anterior
+const TIPOS_MEDICAO = {
+    peso: { unidade: 'kg', min: 0.01, max: 150, variacaoRelativa: 0.10, janelaDias: 30 },
+    temperatura: { unidade: '°C', min: 30, max: 45, normal: [37.5, 39.5] },
+    frequencia_cardiaca: { unidade: 'bpm', min: 20, max: 300, normal: [60, 220], variacaoRelativa: 0.30, janelaDias: 7 },
+    condicao_corporal: { unidade: '1-9', min: 1, max: 9, variacaoAbsoluta: 2, janelaDias: 90 }
+};
+
+const AGRUPAMENTOS_MEDICAO = ['dia', 'semana', 'mes'];
+
+// lê os filtros de/ate das listagens de medições -> { de, ate, ateOperador } com de/ate em ISO (null se não indicados)
+// um ate só com a data inclui o dia todo (como no /historico) -> compara com o dia seguinte usando '<'
+// devolve null se alguma das datas for inválida
+function lerIntervaloMedicoes({ de, ate }) {
+    const intervalo = { ateOperador: '<=' };
+    for (const [nome, valor] of Object.entries({ de, ate })) {
+        if (!valor) {
+            intervalo[nome] = null;
+            continue;
+        }
+        const data = new Date(valor);
+        if (isNaN(data.getTime())) return null;
+        intervalo[nome] = data.toISOString();
+    }
+    if (ate && /^\d{4}-\d{2}-\d{2}$/.test(ate)) {
+        intervalo.ate = somarDias(ate, 1);
+        intervalo.ateOperador = '<';
+    }
+    return intervalo;
+}
+
+// compara a nova medição com o intervalo normal e com a medição anterior
+// devolve a lista de alertas (vazia se estiver tudo normal)
+function detetarAlertasMedicao(tipo, valor, anterior, medidoEm) {
+    const regras = TIPOS_MEDICAO[tipo];
+    const alertas = [];
+
+    if (regras.normal && (valor < regras.normal[0] || valor > regras.normal[1])) {
+        alertas.push({
+            tipo: 'fora_do_intervalo',
+            mensagem: `Valor fora do intervalo normal (${regras.normal[0]}-${regras.normal[1]} ${regras.unidade})`
+        });
+    }
+
+    // só compara com medições recentes (uma variação ao longo de meses é normal)
+    if (anterior && regras.janelaDias) {
+        const dias = (medidoEm - new Date(anterior.medido_em)) / (24 * 60 * 60 * 1000);
+        const valorAnterior = parseFloat(anterior.valor);
+        const diferenca = valor - valorAnterior;
+
+        if (dias <= regras.janelaDias) {
+            const variacaoBrusca = regras.variacaoRelativa
+                ? Math.abs(diferenca) / valorAnterior >= regras.variacaoRelativa
+                : Math.abs(diferenca) >= regras.variacaoAbsoluta;
+
+            if (variacaoBrusca) {
+                alertas.push({
+                    tipo: 'variacao_brusca',
+                    mensagem: `${diferenca > 0 ? 'Subida' : 'Descida'} de ${Math.abs(Math.round(diferenca * 100) / 100)} ${regras.unidade} em ${Math.max(1, Math.round(dias))} dias`,
+                    valorAnterior,
+                    variacaoPercentual: Math.round((diferenca / valorAnterior) * 1000) / 10
+                });
+            }
+        }
+    }
+
+    return alertas;
+}
+
+// verifica o acesso às medições: tutores pelo papel no animal, veterinários pela permissão
+async function acessoMedicoes(req, animalId, papelMinimo) {
+    const permissao = papelMinimo === 'leitura' ? 'animais:ver_qualquer' : 'medicoes:registar_qualquer';
+    return temPermissao(req.user, permissao) || await temPapelNoAnimal(req.user.id, animalId, papelMinimo);
+}
+
+// POST /animais/:animalId/medicoes -> regista uma medição (tutor ou veterinário)
+app.post('/animais/:animalId/medicoes', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { tipo, valor, medidoEm, observacoes } = req.body;
+
+        const regras = TIPOS_MEDICAO[tipo];
+        if (!regras) {
+            return res.status(400).json({
+                error: `Tipo inválido. Tipos permitidos: ${Object.keys(TIPOS_MEDICAO).join(', ')}`
+            });
+        }
+
+        const valorNumerico = parseFloat(valor);
+        if (isNaN(valorNumerico) || valorNumerico < regras.min || valorNumerico > regras.max) {
+            return res.status(400).json({
+                error: `Valor inválido para ${tipo}. Deve estar entre ${regras.min} e ${regras.max} ${regras.unidade}`
+            });
+        }
+
+        const dataMedicao = medidoEm ? new Date(medidoEm) : new Date();
+        if (isNaN(dataMedicao.getTime()) || dataMedicao > new Date()) {
+            return res.status(400).json({ error: 'Data da medição inválida' });
+        }
+
+        const animalCheck = await pool.query('SELECT id FROM animais WHERE id = $1', [animalId]);
+        if (animalCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        if (!(await acessoMedicoes(req, animalId, 'cotutor'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: parseInt(animalId), detalhes: { operacao: 'registar_medicao' } });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        // medição anterior do mesmo tipo (pode ser registada fora de ordem)
+        const anteriorResult = await pool.query(
+            `SELECT valor, medido_em FROM medicoes
+             WHERE animal_id = $1 AND tipo = $2 AND medido_em <= $3
+             ORDER BY medido_em DESC LIMIT 1`,
+            [animalId, tipo, dataMedicao]
+        );
+
+        const alertas = detetarAlertasMedicao(tipo, valorNumerico, anteriorResult.rows[0], dataMedicao);
+        const origem = temPermissao(req.user, 'medicoes:registar_qualquer') ? 'veterinario' : 'tutor';
+
+        const result = await pool.query(
+            `INSERT INTO medicoes (animal_id, tipo, valor, medido_em, registado_por, origem, observacoes, alertas)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [animalId, tipo, valorNumerico, dataMedicao, req.user.id, origem, observacoes || null,
+                alertas.length > 0 ? JSON.stringify(alertas) : null]
+        );
+
+        const medicao = result.rows[0];
+
+        await registarAuditoria(req, {
+            acao: 'medicao_registada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            depois: medicao
+        });
+
+        res.status(201).json({
+            success: true,
+            message: alertas.length > 0
+                ? 'Medição registada. Atenção: foram detetadas alterações.'
+                : 'Medição registada com sucesso',
+            medicao: { ...medicao, unidade: regras.unidade },
+            alertas
+        });
+
+    } catch (error) {
+        console.error('Erro ao registar medição:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /animais/:animalId/medicoes?tipo=&de=&ate= -> lista as medições do animal
+app.get('/animais/:animalId/medicoes', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { tipo } = req.query;
+
+        if (tipo && !TIPOS_MEDICAO[tipo]) {
+            return res.status(400).json({
+                error: `Tipo inválido. Tipos permitidos: ${Object.keys(TIPOS_MEDICAO).join(', ')}`
+            });
+        }
+
+        const intervalo = lerIntervaloMedicoes(req.query);
+        if (!intervalo) {
+            return res.status(400).json({ error: 'Datas inválidas (use AAAA-MM-DD)' });
+        }
+
+        if (!(await acessoMedicoes(req, animalId, 'leitura'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: parseInt(animalId), detalhes: { recurso: 'medicoes' } });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            `SELECT m.*, u.nome as registadoPorNome
+             FROM medicoes m
+             LEFT JOIN users u ON m.registado_por = u.id
+             WHERE m.animal_id = $1
+             AND ($2::text IS NULL OR m.tipo = $2)
+             AND ($3::timestamp IS NULL OR m.medido_em >= $3)
+             AND ($4::timestamp IS NULL OR m.medido_em ${intervalo.ateOperador} $4)
+             ORDER BY m.medido_em DESC`,
+            [animalId, tipo || null, intervalo.de, intervalo.ate]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { recurso: 'medicoes', count: result.rows.length }
+        });
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            medicoes: result.rows.map(m => ({ ...m, unidade: TIPOS_MEDICAO[m.tipo].unidade }))
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter medições:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /animais/:animalId/medicoes/series?tipo=peso&agrupamento=semana -> série agregada para gráficos
+app.get('/animais/:animalId/medicoes/series', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { tipo = 'peso', agrupamento = 'semana' } = req.query;
+
+        if (!TIPOS_MEDICAO[tipo]) {
+            return res.status(400).json({
+                error: `Tipo inválido. Tipos permitidos: ${Object.keys(TIPOS_MEDICAO).join(', ')}`
+            });
+        }
+
+        if (!AGRUPAMENTOS_MEDICAO.includes(agrupamento)) {
+            return res.status(400).json({
+                error: `Agrupamento inválido. Use: ${AGRUPAMENTOS_MEDICAO.join(', ')}`
+            });
+        }
+
+        const intervalo = lerIntervaloMedicoes(req.query);
+        if (!intervalo) {
+            return res.status(400).json({ error: 'Datas inválidas (use AAAA-MM-DD)' });
+        }
+
+        if (!(await acessoMedicoes(req, animalId, 'leitura'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: parseInt(animalId), detalhes: { recurso: 'medicoes_series' } });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        // date_trunc usa os nomes em inglês
+        const unidadeTempo = { dia: 'day', semana: 'week', mes: 'month' }[agrupamento];
+
+        const result = await pool.query(
+            `SELECT DATE_TRUNC($2, medido_em) AS periodo,
+                    ROUND(AVG(valor), 2) AS media,
+                    MIN(valor) AS minimo,
+                    MAX(valor) AS maximo,
+                    COUNT(*) AS medicoes,
+                    BOOL_OR(alertas IS NOT NULL) AS com_alertas
+             FROM medicoes
+             WHERE animal_id = $1 AND tipo = $3
+             AND ($4::timestamp IS NULL OR medido_em >= $4)
+             AND ($5::timestamp IS NULL OR medido_em ${intervalo.ateOperador} $5)
+             GROUP BY periodo
+             ORDER BY periodo ASC`,
+            [animalId, unidadeTempo, tipo, intervalo.de, intervalo.ate]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { recurso: 'medicoes_series', tipo, count: result.rows.length }
+        });
+
+        const pontos = result.rows.map(row => ({
+            periodo: row.periodo,
+            media: parseFloat(row.media),
+            minimo: parseFloat(row.minimo),
+            maximo: parseFloat(row.maximo),
+            medicoes: parseInt(row.medicoes),
+            comAlertas: row.com_alertas
+        }));
+
+        // tendência entre o primeiro e o último período
+        let tendencia = null;
+        if (pontos.length >= 2) {
+            const inicio = pontos[0].media;
+            const fim = pontos[pontos.length - 1].media;
+            tendencia = {
+                variacao: Math.round((fim - inicio) * 100) / 100,
+                variacaoPercentual: Math.round(((fim - inicio) / inicio) * 1000) / 10,
+                sentido: fim > inicio ? 'subida' : (fim < inicio ? 'descida' : 'estavel')
+            };
+        }
+
+        res.status(200).json({
+            success: true,
+            tipo,
+            unidade: TIPOS_MEDICAO[tipo].unidade,
+            agrupamento,
+            pontos,
+            tendencia
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter série de medições:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /animais/:animalId/medicoes/:id -> apaga uma medição registada por engano
+app.delete('/animais/:animalId/medicoes/:id', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, id } = req.params;
+
+        const medicaoResult = await pool.query(
+            'SELECT * FROM medicoes WHERE id = $1 AND animal_id = $2',
+            [id, animalId]
+        );
+
+        if (medicaoResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Medição não encontrada' });
+        }
+
+        const medicao = medicaoResult.rows[0];
+
+        // quem registou pode apagar; os restantes precisam de ser donos/cotutores ou veterinários
+        if (medicao.registado_por !== req.user.id && !(await acessoMedicoes(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        await pool.query('DELETE FROM medicoes WHERE id = $1', [id]);
+
+        await registarAuditoria(req, {
+            acao: 'medicao_apagada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: medicao
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Medição apagada'
+        });
+
+    } catch (error) {
+        console.error('Erro ao apagar medição:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+
+// ROTAS DE PERFIL MÉDICO (ALERGIAS E CONDIÇÕES CRÓNICAS)==============================================
+
+const TIPOS_ALERGIA = ['medicamento', 'vacina', 'alimento', 'ambiental', 'outro'];
+const GRAVIDADES_ALERGIA = ['ligeira', 'moderada', 'grave'];
+const ESTADOS_CONDICAO = ['ativa', 'controlada', 'resolvida'];
+
+// contraindicações conhecidas entre condições crónicas e grupos de medicamentos
+// (lista curta e indicativa -> não substitui a avaliação do veterinário)
+const CONTRAINDICACOES = [
+    { condicao: ['diabetes'], medicamentos: ['prednisolona', 'dexametasona', 'corticoide', 'cortisona', 'metilprednisolona'], motivo: 'os corticoides aumentam a glicemia' },
+    { condicao: ['insuficiencia renal', 'doenca renal'], medicamentos: ['meloxicam', 'carprofeno', 'robenacoxib', 'firocoxib', 'ibuprofeno', 'aine'], motivo: 'os anti-inflamatórios não esteroides podem agravar a função renal' },
+    { condicao: ['epilepsia'], medicamentos: ['acepromazina', 'tramadol'], motivo: 'pode baixar o limiar convulsivo' },
+    { condicao: ['insuficiencia hepatica', 'doenca hepatica'], medicamentos: ['paracetamol', 'cetoconazol', 'fenobarbital'], motivo: 'metabolização hepática' }
+];
+
+// normaliza texto para comparação (minúsculas e sem acentos)
+function normalizarTexto(texto) {
+    return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// palavras de um texto normalizado, separadas por um espaço (ex.: 'amoxicilina + ácido' -> 'amoxicilina acido')
+function palavrasTexto(texto) {
+    return normalizarTexto(texto).split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+}
+
+// verifica se um dos textos contém o outro em palavras inteiras (ex.: 'amoxicilina' em 'amoxicilina + ácido clavulânico')
+// nomes curtos como 'pó' não correspondem a partes de outras palavras ('pomada')
+function textosCorrespondem(a, b) {
+    const x = palavrasTexto(a);
+    const y = palavrasTexto(b);
+    return x.length > 0 && y.length > 0 && (` ${x} `.includes(` ${y} `) || ` ${y} `.includes(` ${x} `));
+}
+
+// perfil médico completo de um animal (com alergias e condições crónicas)
+async function obterPerfilMedico(animalId) {
+    const [perfilResult, alergiasResult, condicoesResult] = await Promise.all([
+        pool.query('SELECT * FROM perfil_medico WHERE animal_id = $1', [animalId]),
+        pool.query("SELECT * FROM alergias WHERE animal_id = $1 ORDER BY CASE gravidade WHEN 'grave' THEN 0 WHEN 'moderada' THEN 1 ELSE 2 END, substancia", [animalId]),
+        pool.query("SELECT * FROM condicoes_cronicas WHERE animal_id = $1 ORDER BY estado = 'resolvida', nome", [animalId])
+    ]);
+
+    const perfil = perfilResult.rows[0] || {};
+
+    return {
+        grupoSanguineo: perfil.grupo_sanguineo || null,
+        esterilizado: perfil.esterilizado !== undefined ? perfil.esterilizado : null,
+        dataEsterilizacao: perfil.data_esterilizacao || null,
+        notas: perfil.notas || null,
+        atualizadoEm: perfil.atualizado_em || null,
+        alergias: alergiasResult.rows,
+        condicoesCronicas: condicoesResult.rows
+    };
+}
+
+// procura conflitos entre um medicamento ou vacina e o perfil médico do animal
+// devolve avisos (lista vazia se não houver conflitos)
+async function verificarConflitosMedicos(animalId, { medicamento, vacina }) {
+    const { alergias, condicoesCronicas } = await obterPerfilMedico(animalId);
+    const avisos = [];
+    const produto = medicamento || vacina;
+
+    alergias
+        .filter(alergia => (medicamento ? alergia.tipo !== 'vacina' : alergia.tipo !== 'medicamento'))
+        .filter(alergia => ['medicamento', 'vacina', 'outro'].includes(alergia.tipo))
+        .filter(alergia => textosCorrespondem(produto, alergia.substancia))
+        .forEach(alergia => avisos.push({
+            tipo: 'alergia',
+            gravidade: alergia.gravidade,
+            mensagem: `Alergia registada a ${alergia.substancia}${alergia.reacao ? ` (${alergia.reacao})` : ''}`,
+            alergiaId: alergia.id
+        }));
+
+    // qualquer reação anterior a vacinas merece atenção ao vacinar
+    if (vacina) {
+        alergias
+            .filter(alergia => alergia.tipo === 'vacina' && !textosCorrespondem(produto, alergia.substancia))
+            .forEach(alergia => avisos.push({
+                tipo: 'reacao_vacinal_anterior',
+                gravidade: alergia.gravidade,
+                mensagem: `Reação anterior a vacina (${alergia.substancia}) -> vigiar após a administração`,
+                alergiaId: alergia.id
+            }));
+    }
+
+    if (medicamento) {
+        condicoesCronicas
+            .filter(condicao => condicao.estado !== 'resolvida')
+            .forEach(condicao => {
+                CONTRAINDICACOES
+                    .filter(regra => regra.condicao.some(c => textosCorrespondem(condicao.nome, c)))
+                    .filter(regra => regra.medicamentos.some(m => textosCorrespondem(medicamento, m)))
+                    .forEach(regra => avisos.push({
+                        tipo: 'condicao_cronica',
+                        gravidade: 'moderada',
+                        mensagem: `${condicao.nome}: ${regra.motivo}`,
+                        condicaoId: condicao.id
+                    }));
+            });
+    }
+
+    return avisos;
+}
+
+// acesso ao perfil médico: tutores pelo papel no animal, veterinários pela permissão
+async function acessoPerfilMedico(req, animalId, papelMinimo) {
+    const permissao = papelMinimo === 'leitura' ? 'animais:ver_qualquer' : 'perfil_medico:editar_qualquer';
+    return temPermissao(req.user, permissao) || await temPapelNoAnimal(req.user.id, animalId, papelMinimo);
+}
+
+// GET /animais/:animalId/perfil-medico -> perfil médico do animal
+app.get('/animais/:animalId/perfil-medico', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+
+        const animalCheck = await pool.query('SELECT id FROM animais WHERE id = $1', [animalId]);
+        if (animalCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        if (!(await acessoPerfilMedico(req, animalId, 'leitura'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: parseInt(animalId), detalhes: { recurso: 'perfil_medico' } });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const perfilMedico = await obterPerfilMedico(animalId);
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { recurso: 'perfil_medico' }
+        });
+
+        res.status(200).json({
+            success: true,
+            perfilMedico
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter perfil médico:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /animais/:animalId/perfil-medico -> atualiza grupo sanguíneo, esterilização e notas
+app.put('/animais/:animalId/perfil-medico', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { grupoSanguineo, esterilizado, dataEsterilizacao, notas } = req.body;
+
+        const animalCheck = await pool.query('SELECT id FROM animais WHERE id = $1', [animalId]);
+        if (animalCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        if (!(await acessoPerfilMedico(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        if (esterilizado !== undefined && esterilizado !== null && typeof esterilizado !== 'boolean') {
+            return res.status(400).json({ error: 'esterilizado deve ser true ou false' });
+        }
+
+        const antes = await obterPerfilMedico(animalId);
+
+        // só altera os campos enviados
+        await pool.query(
+            `INSERT INTO perfil_medico (animal_id, grupo_sanguineo, esterilizado, data_esterilizacao, notas, atualizado_por, atualizado_em)
+             VALUES ($1, $2, $3, $4, $5, $6, NOW())
+             ON CONFLICT (animal_id) DO UPDATE SET
+                grupo_sanguineo = CASE WHEN $7 THEN EXCLUDED.grupo_sanguineo ELSE perfil_medico.grupo_sanguineo END,
+                esterilizado = CASE WHEN $8 THEN EXCLUDED.esterilizado ELSE perfil_medico.esterilizado END,
+                data_esterilizacao = CASE WHEN $9 THEN EXCLUDED.data_esterilizacao ELSE perfil_medico.data_esterilizacao END,
+                notas = CASE WHEN $10 THEN EXCLUDED.notas ELSE perfil_medico.notas END,
+                atualizado_por = EXCLUDED.atualizado_por,
+                atualizado_em = NOW()`,
+            [animalId, grupoSanguineo || null, esterilizado !== undefined ? esterilizado : null,
+                dataEsterilizacao || null, notas || null, req.user.id,
+                grupoSanguineo !== undefined, esterilizado !== undefined,
+                dataEsterilizacao !== undefined, notas !== undefined]
+        );
+
+        const perfilMedico = await obterPerfilMedico(animalId);
+
+        await registarAuditoria(req, {
+            acao: 'perfil_medico_atualizado',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: { grupoSanguineo: antes.grupoSanguineo, esterilizado: antes.esterilizado, dataEsterilizacao: antes.dataEsterilizacao, notas: antes.notas },
+            depois: { grupoSanguineo: perfilMedico.grupoSanguineo, esterilizado: perfilMedico.esterilizado, dataEsterilizacao: perfilMedico.dataEsterilizacao, notas: perfilMedico.notas }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Perfil médico atualizado com sucesso',
+            perfilMedico
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar perfil médico:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /animais/:animalId/alergias -> regista uma alergia
+app.post('/animais/:animalId/alergias', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { substancia, tipo = 'medicamento', gravidade = 'moderada', reacao, diagnosticadaEm } = req.body;
+
+        if (!substancia) {
+            return res.status(400).json({ error: 'A substância é obrigatória' });
+        }
+
+        if (!TIPOS_ALERGIA.includes(tipo) || !GRAVIDADES_ALERGIA.includes(gravidade)) {
+            return res.status(400).json({
+                error: `Tipo (${TIPOS_ALERGIA.join(', ')}) ou gravidade (${GRAVIDADES_ALERGIA.join(', ')}) inválidos`
+            });
+        }
+
+        const animalCheck = await pool.query('SELECT id FROM animais WHERE id = $1', [animalId]);
+        if (animalCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        if (!(await acessoPerfilMedico(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO alergias (animal_id, substancia, tipo, gravidade, reacao, diagnosticada_em, registado_por)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [animalId, String(substancia).trim(), tipo, gravidade, reacao || null, diagnosticadaEm || null, req.user.id]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'alergia_registada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            depois: result.rows[0]
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Alergia registada com sucesso',
+            alergia: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao registar alergia:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /animais/:animalId/alergias/:id -> remove uma alergia registada por engano
+app.delete('/animais/:animalId/alergias/:id', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, id } = req.params;
+
+        if (!(await acessoPerfilMedico(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM alergias WHERE id = $1 AND animal_id = $2 RETURNING *',
+            [id, animalId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Alergia não encontrada' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'alergia_removida',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: result.rows[0]
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Alergia removida'
+        });
+
+    } catch (error) {
+        console.error('Erro ao remover alergia:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /animais/:animalId/condicoes -> regista uma condição crónica
+app.post('/animais/:animalId/condicoes', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { nome, estado = 'ativa', diagnosticadaEm, notas } = req.body;
+
+        if (!nome) {
+            return res.status(400).json({ error: 'O nome da condição é obrigatório' });
+        }
+
+        if (!ESTADOS_CONDICAO.includes(estado)) {
+            return res.status(400).json({ error: `Estado inválido. Use: ${ESTADOS_CONDICAO.join(', ')}` });
+        }
+
+        const animalCheck = await pool.query('SELECT id FROM animais WHERE id = $1', [animalId]);
+        if (animalCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
+        }
+
+        if (!(await acessoPerfilMedico(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO condicoes_cronicas (animal_id, nome, estado, diagnosticada_em, notas, registado_por)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [animalId, String(nome).trim(), estado, diagnosticadaEm || null, notas || null, req.user.id]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'condicao_registada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            depois: result.rows[0]
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Condição registada com sucesso',
+            condicao: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao registar condição:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /animais/:animalId/condicoes/:id -> atualiza o estado ou as notas de uma condição
+app.put('/animais/:animalId/condicoes/:id', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, id } = req.params;
+        const { estado, notas } = req.body;
+
+        if (estado !== undefined && !ESTADOS_CONDICAO.includes(estado)) {
+            return res.status(400).json({ error: `Estado inválido. Use: ${ESTADOS_CONDICAO.join(', ')}` });
+        }
+
+        if (!(await acessoPerfilMedico(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const anterior = await pool.query(
+            'SELECT * FROM condicoes_cronicas WHERE id = $1 AND animal_id = $2',
+            [id, animalId]
+        );
+
+        if (anterior.rows.length === 0) {
+            return res.status(404).json({ error: 'Condição não encontrada' });
+        }
+
+        const result = await pool.query(
+            `UPDATE condicoes_cronicas
+             SET estado = COALESCE($1, estado), notas = COALESCE($2, notas)
+             WHERE id = $3
+             RETURNING *`,
+            [estado || null, notas !== undefined ? notas : null, id]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'condicao_atualizada',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: anterior.rows[0],
+            depois: result.rows[0]
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Condição atualizada com sucesso',
+            condicao: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar condição:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /animais/:animalId/condicoes/:id -> remove uma condição registada por engano
+app.delete('/animais/:animalId/condicoes/:id', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, id } = req.params;
+
+        if (!(await acessoPerfilMedico(req, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM condicoes_cronicas WHERE id = $1 AND animal_id = $2 RETURNING *',
+            [id, animalId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Condição não encontrada' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'condicao_removida',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            antes: result.rows[0]
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Condição removida'
+        });
+
+    } catch (error) {
+        console.error('Erro ao remover condição:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+
+// HORÁRIOS DOS VETERINÁRIOS==============================================
+
+const DURACAO_SLOT_PADRAO = 30; // minutos
+const DURACAO_CONSULTA_PADRAO = 30; // consultas sem tipo nem duração indicada
+const DURACAO_CONSULTA_MAXIMA = 8 * 60;
+const DISPONIBILIDADE_MAX_DIAS = 31; // intervalo máximo pedido de uma vez
+const DIAS_SEMANA = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+// 'HH:MM' ou 'HH:MM:SS' -> minutos desde a meia-noite (null se inválido)
+function minutosDoDia(hora) {
+    const match = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(hora || ''));
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// minutos desde a meia-noite -> 'HH:MM'
+function horaDeMinutos(minutos) {
+    return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+// 'AAAA-MM-DD' somando n dias
+function somarDias(dia, n) {
+    return new Date(Date.parse(`${dia}T00:00:00Z`) + n * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+// data da BD (Date à meia-noite local) ou texto -> 'AAAA-MM-DD'
+function diaLocal(data) {
+    return data instanceof Date
+        ? `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}-${String(data.getDate()).padStart(2, '0')}`
+        : data;
+}
+
+// lista de datas 'AAAA-MM-DD' entre de e ate (inclusive)
+function diasEntre(de, ate) {
+    const dias = [];
+    for (let dia = de; dia <= ate; dia = somarDias(dia, 1)) {
+        dias.push(dia);
+    }
+    return dias;
+}
+
+// gera os slots de um veterinário entre duas datas ('AAAA-MM-DD', inclusive)
+// parte do horário semanal, acrescenta os horários extra e retira as ausências das exceções
+// cada slot indica se se sobrepõe a uma consulta ou vacina já marcada (ocupado)
+async function gerarSlots(veterinarioId, de, ate) {
+    const [horarioResult, excecoesResult, compromissosResult] = await Promise.all([
+        pool.query('SELECT * FROM horarios_veterinario WHERE veterinario_id = $1', [veterinarioId]),
+        pool.query(
+            `SELECT *, to_char(data, 'YYYY-MM-DD') as dia FROM excecoes_horario
+             WHERE veterinario_id = $1 AND data BETWEEN $2 AND $3`,
+            [veterinarioId, de, ate]
+        ),
+        pool.query(
+            `SELECT to_char(data, 'YYYY-MM-DD') as dia, to_char(hora, 'HH24:MI') as hora, duracao_minutos FROM consultas
+             WHERE veterinarioId = $1 AND data BETWEEN $2 AND $3 AND estado != 'cancelada'
+             UNION ALL
+             SELECT to_char(data_agendada, 'YYYY-MM-DD'), to_char(data_agendada, 'HH24:MI'), duracao_minutos FROM vacinas
+             WHERE veterinarioId = $1 AND data_agendada::date BETWEEN $2 AND $3 AND estado = 'agendada'`,
+            [veterinarioId, de, ate]
+        )
+    ]);
+
+    // intervalos ocupados em minutos do dia
+    const compromissos = compromissosResult.rows.map(c => ({
+        dia: c.dia,
+        inicio: minutosDoDia(c.hora),
+        fim: minutosDoDia(c.hora) + c.duracao_minutos
+    }));
+    const slots = [];
+
+    for (const dia of diasEntre(de, ate)) {
+        const diaSemana = new Date(`${dia}T00:00:00Z`).getUTCDay();
+        const excecoes = excecoesResult.rows.filter(e => e.dia === dia);
+
+        const intervalos = [
+            ...horarioResult.rows.filter(h => h.dia_semana === diaSemana),
+            ...excecoes.filter(e => e.tipo === 'disponivel')
+        ];
+        const ausencias = excecoes.filter(e => e.tipo === 'indisponivel');
+
+        for (const intervalo of intervalos) {
+            const duracao = intervalo.duracao_slot_minutos || DURACAO_SLOT_PADRAO;
+            const fim = minutosDoDia(intervalo.hora_fim);
+
+            for (let inicio = minutosDoDia(intervalo.hora_inicio); inicio + duracao <= fim; inicio += duracao) {
+                // ausência sem horas -> dia inteiro; com horas -> retira os slots que se sobrepõem
+                const ausente = ausencias.some(a => !a.hora_inicio
+                    || (inicio < minutosDoDia(a.hora_fim) && inicio + duracao > minutosDoDia(a.hora_inicio)));
+                if (ausente) continue;
+
+                const hora = horaDeMinutos(inicio);
+                slots.push({
+                    inicio: `${dia}T${hora}:00`,
+                    data: dia,
+                    hora,
+                    duracaoMinutos: duracao,
+                    ocupado: compromissos.some(c => c.dia === dia && c.inicio < inicio + duracao && c.fim > inicio)
+                });
+            }
+        }
+    }
+
+    // horário extra pode repetir um slot do horário semanal
+    const unicos = [...new Map(slots.map(slot => [slot.inicio, slot])).values()];
+    return unicos.sort((a, b) => a.inicio.localeCompare(b.inicio));
+}
+
+// verifica se uma marcação de duracao minutos a começar em inicio (minutos do dia) cabe em slots seguidos
+// (slots de um só dia, ordenados); apenasLivres -> os slots não podem estar ocupados
+function cabeNosSlots(slots, inicio, duracao, apenasLivres) {
+    let cursor = inicio;
+    while (cursor < inicio + duracao) {
+        const slot = slots.find(s => minutosDoDia(s.hora) === cursor);
+        if (!slot || (apenasLivres && slot.ocupado)) return false;
+        cursor += slot.duracaoMinutos;
+    }
+    return true;
+}
+
+// verifica se a data/hora de uma consulta ('AAAA-MM-DD', 'HH:MM:SS') é o início de um slot do veterinário
+// e se a duração cabe no horário (slots seguidos, sem atravessar pausas ou ausências)
+// não verifica se está ocupado (os conflitos têm resposta própria)
+async function slotNoHorario(veterinarioId, dataSql, horaSql, duracaoMinutos = null) {
+    const minutos = minutosDoDia(horaSql);
+    const segundos = String(horaSql).split(':')[2];
+    if (minutos === null || (segundos && parseInt(segundos) !== 0)) return false;
+
+    // a data pode vir da BD quando só muda o veterinário
+    const dia = diaLocal(dataSql);
+
+    const slots = await gerarSlots(veterinarioId, dia, dia);
+    return cabeNosSlots(slots, minutos, duracaoMinutos || 1, false);
+}
+
+// compromissos do veterinário (consultas e vacinas agendadas) que se sobrepõem a [inicio, inicio + duracao)
+// inicio: 'AAAA-MM-DD HH:MM:SS' (hora local, como nas consultas)
+async function conflitosAgenda(veterinarioId, inicio, duracaoMinutos, { ignorarConsultaId = null, ignorarVacinaId = null } = {}) {
+    const result = await pool.query(`
+        SELECT 'consulta' as tipo, id, (data + hora) as inicio, duracao_minutos
+        FROM consultas
+        WHERE veterinarioId = $1 AND estado != 'cancelada' AND id IS DISTINCT FROM $4
+        AND (data + hora) < $2::timestamp + make_interval(mins => $3)
+        AND (data + hora) + make_interval(mins => duracao_minutos) > $2::timestamp
+        UNION ALL
+        SELECT 'vacina', id, data_agendada, duracao_minutos
+        FROM vacinas
+        WHERE veterinarioId = $1 AND estado = 'agendada' AND id IS DISTINCT FROM $5
+        AND data_agendada < $2::timestamp + make_interval(mins => $3)
+        AND data_agendada + make_interval(mins => duracao_minutos) > $2::timestamp
+        ORDER BY inicio
+    `, [veterinarioId, inicio, duracaoMinutos, ignorarConsultaId, ignorarVacinaId]);
+
+    return result.rows;
+}
+
+// erro da restrição agenda_sem_sobreposicao (outro pedido ficou com o horário entretanto)
+function eConflitoAgenda(error) {
+    return error.code === '23P01' && error.constraint === 'agenda_sem_sobreposicao';
+}
+
+// resposta quando a marcação se sobrepõe a outros compromissos do veterinário
+function responderConflitoAgenda(res, conflitos = []) {
+    return res.status(409).json({
+        error: 'o veterinario ja tem compromissos nesse horario',
+        conflitos: conflitos.map(({ tipo, inicio, duracao_minutos }) => ({ tipo, inicio, duracaoMinutos: duracao_minutos }))
+    });
+}
+
+// duração de uma consulta: a indicada, a do tipo de consulta ou a padrão
+// devolve { duracao, tipoConsultaId } ou { erro }
+async function resolverDuracaoConsulta(tipoConsultaId, duracaoMinutos, duracaoAtual = null) {
+    let tipo = null;
+    if (tipoConsultaId) {
+        const tipoResult = await pool.query('SELECT id, duracao_minutos FROM tipos_consulta WHERE id = $1', [tipoConsultaId]);
+        if (tipoResult.rows.length === 0) {
+            return { erro: 'tipo de consulta nao encontrado' };
+        }
+        tipo = tipoResult.rows[0];
+    }
+
+    if (duracaoMinutos !== undefined && duracaoMinutos !== null) {
+        const duracao = Number(duracaoMinutos);
+        if (!Number.isInteger(duracao) || duracao < 5 || duracao > DURACAO_CONSULTA_MAXIMA) {
+            return { erro: `duracaoMinutos deve ser um numero inteiro entre 5 e ${DURACAO_CONSULTA_MAXIMA}` };
+        }
+        return { duracao, tipoConsultaId: tipo ? tipo.id : null };
+    }
+
+    return {
+        duracao: tipo ? tipo.duracao_minutos : (duracaoAtual || DURACAO_CONSULTA_PADRAO),
+        tipoConsultaId: tipo ? tipo.id : null
+    };
+}
+
+// resposta quando a hora pedida não está no horário do veterinário
+function responderForaDoHorario(res, veterinarioId) {
+    return res.status(400).json({
+        error: 'horario fora da disponibilidade do veterinario',
+        disponibilidade: `/veterinarios/${veterinarioId}/disponibilidade`
+    });
+}
+
+// o próprio veterinário, o administrador da sua clínica ou um administrador podem gerir o horário
+function podeGerirHorario(user, veterinario) {
+    return temPermissao(user, 'horarios:gerir_qualquer')
+        || user.veterinarioId === veterinario.id
+        || (user.tipo === 'admin_clinica' && user.clinicaId === veterinario.clinicaid);
+}
+
+// valida um intervalo de horário (horaInicio/horaFim 'HH:MM', duracaoMinutos opcional)
+// devolve a mensagem de erro ou null
+function erroIntervaloHorario({ horaInicio, horaFim, duracaoMinutos }) {
+    const inicio = minutosDoDia(horaInicio);
+    const fim = minutosDoDia(horaFim);
+
+    if (inicio === null || fim === null) return 'horaInicio e horaFim devem estar no formato HH:MM';
+    if (fim <= inicio) return 'horaFim tem de ser depois de horaInicio';
+    if (duracaoMinutos !== undefined && duracaoMinutos !== null
+        && (!Number.isInteger(Number(duracaoMinutos)) || Number(duracaoMinutos) < 5 || Number(duracaoMinutos) > fim - inicio)) {
+        return 'duracaoMinutos deve ser um número inteiro entre 5 e a duração do intervalo';
+    }
+    return null;
+}
+
+
+
+// ROTAS DE HORÁRIOS DOS VETERINÁRIOS==============================================
+
+// GET /veterinarios/:id/horario -> horário semanal e exceções futuras
+app.get('/veterinarios/:id/horario', authenticateToken, async (req, res) => {
+    try {
+        const vetResult = await pool.query('SELECT id, nome, clinicaId FROM veterinarios WHERE id = $1', [req.params.id]);
+        if (vetResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Veterinário não encontrado' });
+        }
+
+        const veterinario = vetResult.rows[0];
+
+        const [horarioResult, excecoesResult] = await Promise.all([
+            pool.query(
+                `SELECT id, dia_semana, to_char(hora_inicio, 'HH24:MI') as hora_inicio, to_char(hora_fim, 'HH24:MI') as hora_fim,
+                        duracao_slot_minutos
+                 FROM horarios_veterinario WHERE veterinario_id = $1 ORDER BY dia_semana, hora_inicio`,
+                [veterinario.id]
+            ),
+            pool.query(
+                `SELECT id, to_char(data, 'YYYY-MM-DD') as data, tipo,
+                        to_char(hora_inicio, 'HH24:MI') as hora_inicio, to_char(hora_fim, 'HH24:MI') as hora_fim,
+                        duracao_slot_minutos, motivo
+                 FROM excecoes_horario WHERE veterinario_id = $1 AND data >= CURRENT_DATE ORDER BY data, hora_inicio`,
+                [veterinario.id]
+            )
+        ]);
+
+        // o motivo das ausências só é visível para quem gere o horário
+        const gere = podeGerirHorario(req.user, veterinario);
+
+        res.status(200).json({
+            success: true,
+            veterinario,
+            horario: horarioResult.rows.map(h => ({ ...h, dia: DIAS_SEMANA[h.dia_semana] })),
+            excecoes: gere ? excecoesResult.rows : excecoesResult.rows.map(({ motivo, ...excecao }) => excecao)
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter horário:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /veterinarios/:id/horario -> substitui o horário semanal
+// body: { intervalos: [{ diaSemana (0-6, 0 = domingo), horaInicio, horaFim, duracaoMinutos }] }
+// as consultas já marcadas mantêm-se mesmo que fiquem fora do novo horário
+app.put('/veterinarios/:id/horario', authenticateToken, async (req, res) => {
+    const { intervalos } = req.body;
+
+    try {
+        const vetResult = await pool.query('SELECT id, nome, clinicaId FROM veterinarios WHERE id = $1', [req.params.id]);
+        if (vetResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Veterinário não encontrado' });
+        }
+
+        const veterinario = vetResult.rows[0];
+
+        if (!podeGerirHorario(req.user, veterinario)) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'veterinario', entidadeId: veterinario.id, detalhes: { operacao: 'definir_horario' } });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        if (!Array.isArray(intervalos) || intervalos.length === 0) {
+            return res.status(400).json({ error: 'Indique pelo menos um intervalo (use exceções para ausências)' });
+        }
+
+        for (const intervalo of intervalos) {
+            const dia = Number(intervalo.diaSemana);
+            if (!Number.isInteger(dia) || dia < 0 || dia > 6) {
+                return res.status(400).json({ error: 'diaSemana deve ser um número de 0 (domingo) a 6 (sábado)' });
+            }
+            const erro = erroIntervaloHorario(intervalo);
+            if (erro) {
+                return res.status(400).json({ error: erro, intervalo });
+            }
+        }
+
+        // intervalos do mesmo dia não se podem sobrepor
+        const sobreposto = intervalos.find((a, i) => intervalos.some((b, j) => i !== j
+            && Number(a.diaSemana) === Number(b.diaSemana)
+            && minutosDoDia(a.horaInicio) < minutosDoDia(b.horaFim)
+            && minutosDoDia(b.horaInicio) < minutosDoDia(a.horaFim)));
+        if (sobreposto) {
+            return res.status(400).json({ error: 'Existem intervalos sobrepostos no mesmo dia', intervalo: sobreposto });
+        }
+
+        const antes = await pool.query('SELECT * FROM horarios_veterinario WHERE veterinario_id = $1', [veterinario.id]);
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM horarios_veterinario WHERE veterinario_id = $1', [veterinario.id]);
+            for (const intervalo of intervalos) {
+                await client.query(
+                    `INSERT INTO horarios_veterinario (veterinario_id, dia_semana, hora_inicio, hora_fim, duracao_slot_minutos)
+                     VALUES ($1, $2, $3, $4, $5)`,
+                    [veterinario.id, Number(intervalo.diaSemana), intervalo.horaInicio, intervalo.horaFim,
+                        intervalo.duracaoMinutos ? Number(intervalo.duracaoMinutos) : DURACAO_SLOT_PADRAO]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (transactionError) {
+            await client.query('ROLLBACK');
+            throw transactionError;
+        } finally {
+            client.release();
+        }
+
+        await registarAuditoria(req, {
+            acao: 'horario_definido',
+            entidade: 'veterinario',
+            entidadeId: veterinario.id,
+            antes: antes.rows,
+            depois: intervalos
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Horário atualizado'
+        });
+
+    } catch (error) {
+        console.error('Erro ao definir horário:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /veterinarios/:id/excecoes -> ausência (indisponivel) ou horário extra (disponivel) num dia
+// body: { data, tipo, horaInicio, horaFim, duracaoMinutos, motivo } (ausência sem horas -> dia inteiro)
+app.post('/veterinarios/:id/excecoes', authenticateToken, async (req, res) => {
+    try {
+        const { data, tipo, horaInicio, horaFim, duracaoMinutos, motivo } = req.body;
+
+        const vetResult = await pool.query('SELECT id, nome, clinicaId FROM veterinarios WHERE id = $1', [req.params.id]);
+        if (vetResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Veterinário não encontrado' });
+        }
+
+        const veterinario = vetResult.rows[0];
+
+        if (!podeGerirHorario(req.user, veterinario)) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'veterinario', entidadeId: veterinario.id, detalhes: { operacao: 'excecao_horario' } });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        if (!['indisponivel', 'disponivel'].includes(tipo)) {
+            return res.status(400).json({ error: 'tipo deve ser indisponivel ou disponivel' });
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data || '')) || isNaN(new Date(data).getTime())) {
+            return res.status(400).json({ error: 'data deve estar no formato AAAA-MM-DD' });
+        }
+
+        // o horário extra precisa sempre de horas; a ausência pode ser o dia inteiro
+        const diaInteiro = tipo === 'indisponivel' && !horaInicio && !horaFim;
+        if (!diaInteiro) {
+            const erro = erroIntervaloHorario({ horaInicio, horaFim, duracaoMinutos });
+            if (erro) {
+                return res.status(400).json({ error: erro });
+            }
+        }
+
+        const result = await pool.query(
+            `INSERT INTO excecoes_horario (veterinario_id, data, tipo, hora_inicio, hora_fim, duracao_slot_minutos, motivo, criado_por)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [veterinario.id, data, tipo, diaInteiro ? null : horaInicio, diaInteiro ? null : horaFim,
+                tipo === 'disponivel' && duracaoMinutos ? Number(duracaoMinutos) : null, motivo || null, req.user.id]
+        );
+
+        // consultas já marcadas que ficam dentro de uma ausência (para a clínica as remarcar)
+        let consultasAfetadas = [];
+        if (tipo === 'indisponivel') {
+            const afetadas = await pool.query(
+                `SELECT id, to_char(hora, 'HH24:MI') as hora, animalId, userId FROM consultas
+                 WHERE veterinarioId = $1 AND data = $2 AND estado != 'cancelada'
+                 AND ($3::time IS NULL OR (hora >= $3::time AND hora < $4::time))
+                 ORDER BY hora`,
+                [veterinario.id, data, diaInteiro ? null : horaInicio, diaInteiro ? null : horaFim]
+            );
+            consultasAfetadas = afetadas.rows;
+        }
+
+        await registarAuditoria(req, {
+            acao: 'excecao_horario_criada',
+            entidade: 'veterinario',
+            entidadeId: veterinario.id,
+            depois: result.rows[0]
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Exceção ao horário registada',
+            excecao: result.rows[0],
+            consultasAfetadas
+        });
+
+    } catch (error) {
+        console.error('Erro ao registar exceção ao horário:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /veterinarios/:id/excecoes/:excecaoId -> remove uma exceção ao horário
+app.delete('/veterinarios/:id/excecoes/:excecaoId', authenticateToken, async (req, res) => {
+    try {
+        const vetResult = await pool.query('SELECT id, nome, clinicaId FROM veterinarios WHERE id = $1', [req.params.id]);
+        if (vetResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Veterinário não encontrado' });
+        }
+
+        const veterinario = vetResult.rows[0];
+
+        if (!podeGerirHorario(req.user, veterinario)) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM excecoes_horario WHERE id = $1 AND veterinario_id = $2 RETURNING *',
+            [req.params.excecaoId, veterinario.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Exceção não encontrada' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'excecao_horario_apagada',
+            entidade: 'veterinario',
+            entidadeId: veterinario.id,
+            antes: result.rows[0]
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Exceção removida'
+        });
+
+    } catch (error) {
+        console.error('Erro ao apagar exceção ao horário:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /veterinarios/:id/disponibilidade?de=&ate=&tipoConsultaId=&duracao= -> slots livres para marcação
+// datas AAAA-MM-DD (por defeito os próximos 7 dias); com tipo ou duração só devolve os inícios onde a consulta cabe
+app.get('/veterinarios/:id/disponibilidade', async (req, res) => {
+    try {
+        const hoje = new Date().toISOString().split('T')[0];
+        const de = req.query.de || hoje;
+        const formato = /^\d{4}-\d{2}-\d{2}$/;
+        if (!formato.test(de) || isNaN(Date.parse(de))) {
+            return res.status(400).json({ error: 'de e ate devem estar no formato AAAA-MM-DD' });
+        }
+
+        const ate = req.query.ate || somarDias(de, 6);
+        if (!formato.test(ate) || isNaN(Date.parse(ate))) {
+            return res.status(400).json({ error: 'de e ate devem estar no formato AAAA-MM-DD' });
+        }
+
+        const dias = (Date.parse(ate) - Date.parse(de)) / (24 * 60 * 60 * 1000) + 1;
+        if (dias < 1 || dias > DISPONIBILIDADE_MAX_DIAS) {
+            return res.status(400).json({ error: `O intervalo deve ter entre 1 e ${DISPONIBILIDADE_MAX_DIAS} dias` });
+        }
+
+        const vetResult = await pool.query(
+            'SELECT v.id, v.nome, v.clinicaId, c.nome as clinicaNome FROM veterinarios v LEFT JOIN clinicas c ON v.clinicaId = c.id WHERE v.id = $1',
+            [req.params.id]
+        );
+        if (vetResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Veterinário não encontrado' });
+        }
+
+        let duracao = null;
+        if (req.query.tipoConsultaId || req.query.duracao) {
+            const resolucao = await resolverDuracaoConsulta(req.query.tipoConsultaId, req.query.duracao);
+            if (resolucao.erro) {
+                return res.status(400).json({ error: resolucao.erro });
+            }
+            duracao = resolucao.duracao;
+        }
+
+        // só os slots livres, ainda não passados e onde a duração pedida cabe
+        const agora = new Date();
+        const todos = await gerarSlots(vetResult.rows[0].id, de, ate);
+        const slots = todos
+            .filter(slot => new Date(slot.inicio) > agora)
+            .filter(slot => cabeNosSlots(todos.filter(s => s.data === slot.data), minutosDoDia(slot.hora), duracao || slot.duracaoMinutos, true))
+            .map(({ ocupado, ...slot }) => slot);
+
+        res.status(200).json({
+            success: true,
+            veterinario: vetResult.rows[0],
+            de,
+            ate,
+            duracaoMinutos: duracao,
+            count: slots.length,
+            slots
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter disponibilidade:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+
+
+// ROTAS DE CONSULTAS==============================================
+
+// POST /consultas -> marca nova consulta
+app.post('/consultas', authenticateToken, async (req, res) => {
+    try {
+        // o corpo do pedido corresponde ao modelo NovaConsulta do android
+        const { animalId, clinicaId, veterinarioId, data, motivo, tipoConsultaId, duracaoMinutos } = req.body;
+        const userId = req.user.id;
+
+        // validacao dos campos obrigatorios
+        if (!animalId || !clinicaId || !veterinarioId || !data) {
+            return res.status(400).json({
+                error: 'todos os campos sao obrigatorios: animalId, clinicaId, veterinarioId, data'
+            });
+        }
+
+        // extrai a data e a hora da string iso (ex: "2024-08-15T10:00:00")
+        const fullDate = new Date(data);
+        
+        // verifica se a data é valida
+        if (isNaN(fullDate.getTime())) {
+            return res.status(400).json({
+                error: 'formato de data invalido. use iso 8601 (ex: 2024-08-15T10:00:00)'
+            });
+        }
+
+        const dataSql = fullDate.toISOString().split('T')[0]; // "2024-08-15" 
+        const horaSql = fullDate.toTimeString().split(' ')[0]; // "10:00:00"
+
+        // verifica se a data da consulta nao e no passado
+        const hoje = new Date();
+        hoje.setHours(0, 0, 0, 0);
+        
+        if (fullDate < hoje) {
+            return res.status(400).json({
+                error: 'a data da consulta nao pode ser no passado'
+            });
+        }
+
+        // verifica se o animal pertence ao utilizador (dono ou cotutor)
+        const animalCheck = await pool.query(
+            'SELECT id, nome, tutorId, estado FROM animais WHERE id = $1',
+            [animalId]
+        );
+
+        if (animalCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'animal nao encontrado' });
+        }
+
+        if (!(await temPapelNoAnimal(userId, animalId, 'cotutor'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: parseInt(animalId), detalhes: { operacao: 'marcar_consulta' } });
+            return res.status(403).json({ 
+                error: 'nao autorizado. este animal nao lhe pertence' 
+            });
+        }
+
+        if (animalCheck.rows[0].estado !== 'ativo') {
+            return responderAnimalInativo(res, animalCheck.rows[0].estado);
+        }
+
+        // verifica se o veterinario pertence a clinica selecionada
+        const veterinarioCheck = await pool.query(
+            'SELECT id, nome, clinicaId FROM veterinarios WHERE id = $1 AND clinicaId = $2',
+            [veterinarioId, clinicaId]
+        );
+
+        if (veterinarioCheck.rows.length === 0) {
+            return res.status(400).json({
+                error: 'veterinario nao encontrado ou nao pertence a clinica selecionada'
+            });
+        }
+
+        // verifica se a clinica existe
+        const clinicaCheck = await pool.query(
+            'SELECT id, nome FROM clinicas WHERE id = $1',
+            [clinicaId]
+        );
+
+        if (clinicaCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'clinica nao encontrada' });
+        }
+
+        // duracao indicada, do tipo de consulta ou a padrao
+        const { duracao, tipoConsultaId: tipoId, erro: erroDuracao } = await resolverDuracaoConsulta(tipoConsultaId, duracaoMinutos);
+        if (erroDuracao) {
+            return res.status(400).json({ error: erroDuracao });
+        }
+
+        // so se marcam consultas no inicio de um slot do horario do veterinario (e que caibam no horario)
+        if (!(await slotNoHorario(veterinarioId, dataSql, horaSql, duracao))) {
+            return responderForaDoHorario(res, veterinarioId);
+        }
+
+        // verifica se a consulta se sobrepoe a outra consulta ou vacina do mesmo veterinario
+        // (pedidos em simultaneo sao travados pela restricao agenda_sem_sobreposicao no INSERT)
+        const conflitos = await conflitosAgenda(veterinarioId, `${dataSql} ${horaSql}`, duracao);
+        if (conflitos.length > 0) {
+            return responderConflitoAgenda(res, conflitos);
+        }
+
+        // insercao na base de dados
+        const insertResult = await pool.query(
+            `INSERT INTO consultas 
+             (userId, animalId, clinicaId, veterinarioId, data, hora, motivo, estado, tipo_consulta_id, duracao_minutos) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'marcada', $8, $9)
+             RETURNING id`,
+            [userId, animalId, clinicaId, veterinarioId, dataSql, horaSql, motivo, tipoId, duracao]
+        );
+
+        const novaConsultaId = insertResult.rows[0].id;
+
+        // busca a consulta completa para devolver a app
+        const finalResult = await pool.query(`
+            SELECT c.*, 
+                   cli.nome as clinicanome, 
+                   vet.nome as veterinarionome, 
+                   a.nome as animalnome,
+                   a.especie as animalespecie
+            FROM consultas c
+            JOIN clinicas cli ON c.clinicaId = cli.id
+            JOIN veterinarios vet ON c.veterinarioId = vet.id
+            LEFT JOIN animais a ON c.animalId = a.id
+            WHERE c.id = $1
+        `, [novaConsultaId]);
+
+        const consultaCriada = finalResult.rows[0];
+
+        await registarAuditoria(req, {
+            acao: 'consulta_marcada',
+            entidade: 'consulta',
+            entidadeId: novaConsultaId,
+            depois: consultaCriada
+        });
+
+        // log da operacao
+        console.log(`consulta marcada - id: ${novaConsultaId}, user: ${userId}, animal: ${consultaCriada.animalnome}, data: ${consultaCriada.data}`);
+
+        // responde com o objeto completo
+        res.status(201).json({
+            success: true,
+            message: 'consulta marcada com sucesso',
+            consulta: consultaCriada
+        });
+
+    } catch (error) {
+        if (eConflitoAgenda(error)) {
+            return responderConflitoAgenda(res);
+        }
+        console.error('erro ao marcar consulta:', error);
+        res.status(500).json({ 
+            error: 'erro no servidor',
+            message: 'nao foi possivel marcar a consulta. tente novamente.'
+        });
+    }
+});
+
+
+// GET /consultas/tipos -> tipos de consulta e a sua duração por defeito
+app.get('/consultas/tipos', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM tipos_consulta ORDER BY nome');
+        res.status(200).json({
+            success: true,
+            tipos: result.rows,
+            count: result.rows.length
+        });
+    } catch (error) {
+        console.error('Erro ao obter tipos de consulta:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /clinicas -> obtem todas as clínicas
+app.get('/clinicas', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM clinicas ORDER BY LOWER(nome)'); // ordena alfabeticamente as clínicas
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Erro ao obter clínicas:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /veterinarios -> obtem todos os veterinários
+app.get('/veterinarios', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM veterinarios ORDER BY LOWER(nome)'); // ordena alfabeticamente os veterinários
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Erro ao obter veterinários:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /clinicas/:clinicaId/veterinarios -> obtem veterinários de uma clínica específica
+app.get('/clinicas/:clinicaId/veterinarios', async (req, res) => {
+    try {
+        const { clinicaId } = req.params; // obtem o ID da clínica dos parâmetros da rota
+        const result = await pool.query(
+            'SELECT * FROM veterinarios WHERE clinicaId = $1 ORDER BY LOWER(nome)', // ordena alfabeticamente os veterinários
+            [clinicaId] // parâmetro da consulta
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Erro ao obter veterinários da clínica:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /consultas/user/:userId -> consultas de um utilizador 
+app.get('/consultas/user/:userId', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const requestingUser = req.user; // Utilizador que faz o pedido (do token)
+
+        // VERIFICAÇÃO DE PERMISSÃO CRÍTICA
+        // 1. O utilizador só pode ver as suas próprias consultas (e as dos animais partilhados com ele)
+        // 2. Veterinários e administradores podem ver consultas de qualquer utilizador
+        if (parseInt(userId) !== requestingUser.id && !temPermissao(requestingUser, 'consultas:ver_qualquer')) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'utilizador', entidadeId: parseInt(userId), detalhes: { recurso: 'consultas' } });
+            return res.status(403).json({ 
+                error: 'Acesso não autorizado. Só pode ver as suas próprias consultas.' 
+            });
+        }
+
+        const result = await pool.query(`
+            SELECT c.*, 
+                   cli.nome as clinicanome, 
+                   vet.nome as veterinarionome, 
+                   a.nome as animalnome,
+                   a.especie as animalespecie
+            FROM consultas c
+            JOIN clinicas cli ON c.clinicaId = cli.id
+            JOIN veterinarios vet ON c.veterinarioId = vet.id
+            LEFT JOIN animais a ON c.animalId = a.id
+            WHERE c.userId = $1 OR ${SQL_ANIMAL_ACESSIVEL}
+            ORDER BY c.data DESC, c.hora DESC
+        `, [userId]);
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'utilizador',
+            entidadeId: parseInt(userId),
+            detalhes: { recurso: 'consultas', count: result.rows.length }
+        });
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            consultas: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter consultas:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// DELETE /consultas/:id -> cancela uma consulta
+app.delete('/consultas/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        // Primeiro, verifica se a consulta existe e obtém detalhes para auditoria
+        const consultaCheck = await pool.query(`
+            SELECT c.*,
+                   a.nome as animal_nome,
+                   cli.nome as clinica_nome
+            FROM consultas c
+            LEFT JOIN animais a ON c.animalId = a.id
+            LEFT JOIN clinicas cli ON c.clinicaId = cli.id
+            WHERE c.id = $1
+        `, [id]);
+
+        if (consultaCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Consulta não encontrada' });
+        }
+
+        const consulta = consultaCheck.rows[0];
+
+        // VERIFICAÇÃO DE PERMISSÃO CRÍTICA
+        // Apenas quem marcou, o dono ou um cotutor do animal podem cancelar (ou veterinários e administradores)
+        const podeCancelar = consulta.userid === userId
+            || (consulta.animalid && await temPapelNoAnimal(userId, consulta.animalid, 'cotutor'));
+        if (!podeCancelar && !temPermissao(req.user, 'consultas:cancelar_qualquer')) {
+            await registarAuditoria(req, {
+                acao: 'acesso_negado',
+                entidade: 'consulta',
+                entidadeId: consulta.id,
+                detalhes: { operacao: 'cancelar', donoId: consulta.userid }
+            });
+
+            return res.status(403).json({ 
+                error: 'Não autorizado a cancelar esta consulta',
+                message: 'Apenas os tutores do animal podem cancelar a consulta'
+            });
+        }
+
+        // Opcional: Verificar se a consulta já passou
+        const dataConsulta = new Date(consulta.data);
+        const hoje = new Date();
+        hoje.setHours(0, 0, 0, 0);
+        
+        if (dataConsulta < hoje) {
+            return res.status(400).json({ 
+                error: 'Não é possível cancelar consultas que já ocorreram',
+                message: 'Consultas passadas não podem ser canceladas'
+            });
+        }
+
+        // Opcional: Verificar se a consulta já foi realizada ou cancelada
+        // Se tivesse um campo 'estado' na tabela consultas, verificaríamos aqui
+
+        // Se a permissão estiver correta, apaga a consulta
+        const result = await pool.query(
+            'DELETE FROM consultas WHERE id = $1 RETURNING id',
+            [id]
+        );
+
+        // registo de auditoria com os dados da consulta apagada
+        await registarAuditoria(req, {
+            acao: 'consulta_cancelada',
+            entidade: 'consulta',
+            entidadeId: consulta.id,
+            antes: consulta
+        });
+
+        // Resposta de sucesso
+        res.status(200).json({
+            success: true,
+            message: 'Consulta cancelada com sucesso',
+            consultaId: result.rows[0].id,
+            detalhes: {
+                data: consulta.data,
+                hora: consulta.hora,
+                clinica: consulta.clinica_nome,
+                animal: consulta.animal_nome
+            }
+        });
+
+    } catch (error) {
+        console.error('Erro ao cancelar consulta:', error);
+        res.status(500).json({ 
+            error: 'Erro no servidor',
+            message: 'Não foi possível cancelar a consulta. Tente novamente mais tarde.'
+        });
+    }
+});
+
+// PUT /consultas/:id -> atualiza uma consulta 
+app.put('/consultas/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        // 1. verificar se a consulta existe e pertence ao utilizador
+        const originalConsultaQuery = await pool.query(
+            'SELECT * FROM consultas WHERE id = $1',
+            [id]
+        );
+
+        if (originalConsultaQuery.rows.length === 0) {
+            return res.status(404).json({ error: 'consulta nao encontrada' });
+        }
+
+        const originalConsulta = originalConsultaQuery.rows[0];
+        
+        // verificacao de permissao - apenas quem marcou, o dono ou um cotutor do animal podem editar
+        const podeEditar = originalConsulta.userid === userId
+            || (originalConsulta.animalid && await temPapelNoAnimal(userId, originalConsulta.animalid, 'cotutor'));
+        if (!podeEditar) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'consulta', entidadeId: originalConsulta.id, detalhes: { operacao: 'editar' } });
+            return res.status(403).json({ error: 'acesso nao autorizado' });
+        }
+
+        // 2. obter dados para atualizar (do modelo da aplicacao)
+        const { motivo, data, clinicaId, veterinarioId, observacoes, tipoConsultaId, duracaoMinutos } = req.body;
+
+        // manter valores originais se nao forem fornecidos novos
+        const novoMotivo = motivo !== undefined ? motivo : originalConsulta.motivo;
+        const novaClinicaId = clinicaId !== undefined ? clinicaId : originalConsulta.clinicaid;
+        const novoVeterinarioId = veterinarioId !== undefined ? veterinarioId : originalConsulta.veterinarioid;
+        const novasObservacoes = observacoes !== undefined ? observacoes : originalConsulta.observacoes;
+
+        let novaDataSql = originalConsulta.data;
+        let novaHoraSql = originalConsulta.hora;
+
+        // se uma nova data for fornecida, processa-la
+        if (data) {
+            const fullDate = new Date(data);
+            
+            // validar formato da data
+            if (isNaN(fullDate.getTime())) {
+                return res.status(400).json({
+                    error: 'formato de data invalido. use iso 8601'
+                });
+            }
+
+            // verificar se a data nao e no passado
+            const hoje = new Date();
+            hoje.setHours(0, 0, 0, 0);
+            
+            if (fullDate < hoje) {
+                return res.status(400).json({
+                    error: 'a data da consulta nao pode ser no passado'
+                });
+            }
+
+            novaDataSql = fullDate.toISOString().split('T')[0];
+            novaHoraSql = fullDate.toTimeString().split(' ')[0];
+        }
+
+        // 3. validacoes se algo importante mudou
+        const dataMudou = data && (novaDataSql !== diaLocal(originalConsulta.data) || novaHoraSql !== originalConsulta.hora);
+
+        // não se remarcam consultas de animais falecidos, realojados ou arquivados
+        if (dataMudou && originalConsulta.animalid) {
+            const estadoResult = await pool.query('SELECT estado FROM animais WHERE id = $1', [originalConsulta.animalid]);
+            if (estadoResult.rows.length > 0 && estadoResult.rows[0].estado !== 'ativo') {
+                return responderAnimalInativo(res, estadoResult.rows[0].estado);
+            }
+        }
+        const veterinarioMudou = veterinarioId && Number(novoVeterinarioId) !== originalConsulta.veterinarioid;
+        const clinicaMudou = clinicaId && novaClinicaId !== originalConsulta.clinicaid;
+
+        // um novo tipo ou uma duracao explicita alteram a duracao da consulta
+        const resolucaoDuracao = await resolverDuracaoConsulta(
+            tipoConsultaId !== undefined ? tipoConsultaId : null,
+            duracaoMinutos,
+            originalConsulta.duracao_minutos
+        );
+        if (resolucaoDuracao.erro) {
+            return res.status(400).json({ error: resolucaoDuracao.erro });
+        }
+        const novaDuracao = resolucaoDuracao.duracao;
+        const novoTipoConsultaId = tipoConsultaId !== undefined ? resolucaoDuracao.tipoConsultaId : originalConsulta.tipo_consulta_id;
+        const duracaoMudou = novaDuracao !== originalConsulta.duracao_minutos;
+
+        // se o veterinario mudou, verificar se pertence a nova clinica
+        if (veterinarioMudou || clinicaMudou) {
+            const veterinarioCheck = await pool.query(
+                'SELECT id FROM veterinarios WHERE id = $1 AND clinicaId = $2',
+                [novoVeterinarioId, novaClinicaId]
+            );
+
+            if (veterinarioCheck.rows.length === 0) {
+                return res.status(400).json({
+                    error: 'veterinario nao encontrado ou nao pertence a clinica selecionada'
+                });
+            }
+        }
+
+        // se o horario, o veterinario ou a duracao mudaram, verificar o horario do veterinario e os conflitos
+        if (dataMudou || veterinarioMudou || duracaoMudou) {
+            if (!(await slotNoHorario(novoVeterinarioId, novaDataSql, novaHoraSql, novaDuracao))) {
+                return responderForaDoHorario(res, novoVeterinarioId);
+            }
+
+            const conflitos = await conflitosAgenda(
+                novoVeterinarioId,
+                `${diaLocal(novaDataSql)} ${novaHoraSql}`,
+                novaDuracao,
+                { ignorarConsultaId: originalConsulta.id }
+            );
+
+            if (conflitos.length > 0) {
+                return responderConflitoAgenda(res, conflitos);
+            }
+        }
+
+        // 4. executar a atualizacao
+        // as colunas da agenda so entram no UPDATE quando mudam -> so uma remarcacao corre o trigger da agenda
+        // (editar o motivo de uma marcacao antiga sobreposta nao falha com conflito)
+        const updateFields = ['motivo = $1', 'clinicaId = $2', 'observacoes = $3', 'tipo_consulta_id = $4'];
+        const queryParams = [novoMotivo, novaClinicaId, novasObservacoes, novoTipoConsultaId];
+        let paramCounter = 5;
+
+        if (dataMudou) {
+            updateFields.push(`data = $${paramCounter++}`, `hora = $${paramCounter++}`);
+            queryParams.push(novaDataSql, novaHoraSql);
+        }
+        if (veterinarioMudou) {
+            updateFields.push(`veterinarioId = $${paramCounter++}`);
+            queryParams.push(novoVeterinarioId);
+        }
+        if (duracaoMudou) {
+            updateFields.push(`duracao_minutos = $${paramCounter++}`);
+            queryParams.push(novaDuracao);
+        }
+
+        queryParams.push(id);
+        await pool.query(
+            `UPDATE consultas SET ${updateFields.join(', ')} WHERE id = $${paramCounter}`,
+            queryParams
+        );
+
+        // 5. devolver a consulta completa e atualizada
+        const finalResult = await pool.query(`
+            SELECT c.*, 
+                   cli.nome as clinicanome, 
+                   vet.nome as veterinarionome, 
+                   a.nome as animalnome,
+                   a.especie as animalespecie
+            FROM consultas c
+            JOIN clinicas cli ON c.clinicaId = cli.id
+            JOIN veterinarios vet ON c.veterinarioId = vet.id
+            LEFT JOIN animais a ON c.animalId = a.id
+            WHERE c.id = $1
+        `, [id]);
+
+        await registarAuditoria(req, {
+            acao: 'consulta_atualizada',
+            entidade: 'consulta',
+            entidadeId: originalConsulta.id,
+            antes: originalConsulta,
+            depois: finalResult.rows[0]
+        });
+
+        console.log(`consulta ${id} atualizada pelo utilizador ${userId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'consulta atualizada com sucesso',
+            consulta: finalResult.rows[0]
+        });
+
+    } catch (error) {
+        if (eConflitoAgenda(error)) {
+            return responderConflitoAgenda(res);
+        }
+        console.error('erro ao atualizar consulta:', error);
+        res.status(500).json({ 
+            error: 'erro no servidor',
+            details: error.message 
+        });
+    }
+});
+
+
+
+// ROTAS DE VACINAS==============================================
+
+const DURACAO_VACINA = 15; // minutos reservados na agenda do veterinário para uma vacina
+
+// GET /vacinas -> obtem todas as vacinas
+app.get('/vacinas', authenticateToken, async (req, res) => {
+    try {
+        
+        const userId = req.user.id; 
+
+        const result = await pool.query(`
+            SELECT v.*, a.nome as animal_nome, c.nome as clinicaNome, vet.nome as veterinarioNome
+            FROM vacinas v
+            JOIN animais a ON v.animalId = a.id
+            LEFT JOIN clinicas c ON v.clinicaId = c.id
+            LEFT JOIN veterinarios vet ON v.veterinarioId = vet.id
+            WHERE ${SQL_ANIMAL_ACESSIVEL}
+            ORDER BY v.data_agendada DESC
+        `, [userId]);
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'utilizador',
+            entidadeId: userId,
+            detalhes: { recurso: 'vacinas', count: result.rows.length }
+        });
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            vacinas: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter todas as vacinas do utilizador:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /vacinas/proximas -> obtem vacinas nos próximos 7 dias
+app.get('/vacinas/proximas', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        // vacinas que precisam ser aplicadas (próximas 7 dias)
+        const result = await pool.query(`
+        SELECT v.*, a.nome as animal_nome, a.especie, tv.descricao, c.nome as clinicaNome, vet.nome as veterinarioNome
+                FROM vacinas v
+                JOIN animais a ON v.animalId = a.id
+                LEFT JOIN tipos_vacina tv ON v.tipo_vacina_id = tv.id
+                LEFT JOIN clinicas c ON v.clinicaId = c.id
+                LEFT JOIN veterinarios vet ON v.veterinarioId = vet.id
+                WHERE ${SQL_ANIMAL_ACESSIVEL}
+                AND v.estado = 'agendada' 
+                AND v.data_agendada BETWEEN CURRENT_TIMESTAMP AND CURRENT_TIMESTAMP + INTERVAL '7 days'
+            ORDER BY v.data_agendada ASC
+        `, [userId]);
+
+        // marca quais vacinas já foram notificadas
+        const vacinasParaNotificar = result.rows.filter(v => !v.notificado);
+
+        // atualiza status de notificação
+        if (vacinasParaNotificar.length > 0) {
+            const idsParaNotificar = vacinasParaNotificar.map(v => v.id);
+            await pool.query(
+                `UPDATE vacinas SET notificado = true WHERE id = ANY($1)`,
+                [idsParaNotificar]
+            );
+        }
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'utilizador',
+            entidadeId: userId,
+            detalhes: { recurso: 'vacinas_proximas', count: result.rows.length }
+        });
+
+        // responde com os resultados
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            vacinas: result.rows,
+            mensagem: result.rows.length > 0
+                ? `Encontradas ${result.rows.length} vacinas próximas`
+                : 'Nenhuma vacina próxima encontrada'
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter vacinas próximas:', error);
+        res.status(500).json({
+            error: 'Erro no servidor',
+            detalhes: error.message
+        });
+    }
+});
+
+// GET /animais/:animalId/vacinas/agendadas -> obter vacinas agendadas de um animal
+app.get('/animais/:animalId/vacinas/agendadas', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const userId = req.user.id;
+
+        // verifica se o animal existe e se o utilizador tem acesso
+        const animalCheck = await pool.query(
+            'SELECT id FROM animais WHERE id = $1',
+            [animalId]
+        );
+
+        // se não encontrar o animal ou não estiver partilhado com o utilizador
+        if (animalCheck.rows.length === 0 || !(await temPapelNoAnimal(userId, animalId, 'leitura'))) {
+            return res.status(404).json({
+                error: 'Animal não encontrado ou não autorizado'
+            });
+        }
+
+        // obtem vacinas agendadas para o animal
+        const result = await pool.query(`
+            SELECT v.*, tv.descricao, c.nome as clinicaNome, vet.nome as veterinarioNome
+                FROM vacinas v
+                LEFT JOIN tipos_vacina tv ON v.tipo_vacina_id = tv.id
+                LEFT JOIN clinicas c ON v.clinicaId = c.id
+                LEFT JOIN veterinarios vet ON v.veterinarioId = vet.id
+                WHERE v.animalId = $1 
+                AND v.estado = 'agendada'
+                ORDER BY v.data_agendada ASC`,
+            [animalId]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { recurso: 'vacinas_agendadas', count: result.rows.length }
+        });
+
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            vacinas: result.rows
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter vacinas agendadas:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /vacinas/agendar -> agenda nova vacina (compativel)
+app.post('/vacinas/agendar', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, tipo_vacina_id, data_agendada, clinicaId, veterinarioId, observacoes } = req.body;
+        const userId = req.user.id;
+
+        // validacao dos campos obrigatorios
+        if (!animalId || !tipo_vacina_id || !data_agendada) {
+            return res.status(400).json({
+                error: 'animalId, tipo_vacina_id e data_agendada sao obrigatorios'
+            });
+        }
+
+        // verifica se o animal pertence ao utilizador (dono ou cotutor)
+        const animalCheck = await pool.query(
+            'SELECT id, nome, especie, dataNascimento, estado FROM animais WHERE id = $1',
+            [animalId]
+        );
+
+        if (animalCheck.rows.length === 0 || !(await temPapelNoAnimal(userId, animalId, 'cotutor'))) {
+            return res.status(404).json({ 
+                error: 'animal nao encontrado ou nao pertence ao utilizador' 
+            });
+        }
+
+        const animal = animalCheck.rows[0];
+
+        if (animal.estado !== 'ativo') {
+            return responderAnimalInativo(res, animal.estado);
+        }
+
+        // verifica se o tipo de vacina existe
+        const tipoVacinaResult = await pool.query(
+            'SELECT id, nome, descricao FROM tipos_vacina WHERE id = $1',
+            [tipo_vacina_id]
+        );
+
+        if (tipoVacinaResult.rows.length === 0) {
+            return res.status(404).json({ 
+                error: 'tipo de vacina nao encontrado' 
+            });
+        }
+
+        const tipoVacina = tipoVacinaResult.rows[0];
+
+        // valida a data agendada
+        const dataAgendadaObj = new Date(data_agendada);
+        const hoje = new Date();
+
+        if (isNaN(dataAgendadaObj.getTime())) {
+            return res.status(400).json({
+                error: 'formato de data invalido'
+            });
+        }
+
+        if (dataAgendadaObj < hoje) {
+            return res.status(400).json({
+                error: 'a data agendada nao pode ser no passado'
+            });
+        }
+
+        // se clinicaId foi fornecido, verifica se existe
+        if (clinicaId) {
+            const clinicaCheck = await pool.query(
+                'SELECT id, nome FROM clinicas WHERE id = $1',
+                [clinicaId]
+            );
+            if (clinicaCheck.rows.length === 0) {
+                return res.status(404).json({ 
+                    error: 'clinica nao encontrada' 
+                });
+            }
+        }
+
+        // se veterinarioId foi fornecido, verifica se existe
+        if (veterinarioId) {
+            const vetCheck = await pool.query(
+                'SELECT id, nome FROM veterinarios WHERE id = $1',
+                [veterinarioId]
+            );
+            if (vetCheck.rows.length === 0) {
+                return res.status(404).json({ 
+                    error: 'veterinario nao encontrado' 
+                });
+            }
+
+            // como nas consultas, so se agenda no inicio de um slot do horario do veterinario
+            if (!(await slotNoHorario(veterinarioId, diaLocal(dataAgendadaObj), dataAgendadaObj.toTimeString().split(' ')[0], DURACAO_VACINA))) {
+                return responderForaDoHorario(res, veterinarioId);
+            }
+
+            // o veterinario nao pode ter outra consulta ou vacina a essa hora
+            const conflitos = await conflitosAgenda(veterinarioId, data_agendada, DURACAO_VACINA);
+            if (conflitos.length > 0) {
+                return responderConflitoAgenda(res, conflitos);
+            }
+        }
+
+        // insere a vacina agendada
+        const result = await pool.query(
+            `INSERT INTO vacinas 
+             (animalId, tipo, tipo_vacina_id, data_agendada, clinicaId, veterinarioId, observacoes, estado, notificado, duracao_minutos)
+             VALUES($1, $2, $3, $4, $5, $6, $7, 'agendada', false, $8)
+             RETURNING *`,
+            [animalId, tipoVacina.nome, tipo_vacina_id, data_agendada, clinicaId, veterinarioId, observacoes, DURACAO_VACINA]
+        );
+
+        const vacinaAgendada = result.rows[0];
+
+        // alergias a vacinas registadas no perfil médico (não impede o agendamento)
+        const avisos = await verificarConflitosMedicos(animalId, { vacina: `${tipoVacina.nome} ${tipoVacina.descricao || ''}` });
+
+        await registarAuditoria(req, {
+            acao: 'vacina_agendada',
+            entidade: 'vacina',
+            entidadeId: vacinaAgendada.id,
+            depois: vacinaAgendada,
+            detalhes: avisos.length > 0 ? { avisos } : undefined
+        });
+
+        // log da operacao
+        console.log(`vacina agendada - id: ${vacinaAgendada.id}, animal: ${animal.nome}, data: ${data_agendada}`);
+
+        // devolve a resposta completa que a app espera
+        res.status(201).json({
+            success: true,
+            message: 'vacina agendada com sucesso',
+            vacina: vacinaAgendada,
+            animal: {
+                id: animal.id,
+                nome: animal.nome,
+                especie: animal.especie
+            },
+            tipo_vacina: {
+                id: tipoVacina.id,
+                nome: tipoVacina.nome,
+                descricao: tipoVacina.descricao
+            },
+            avisos
+        });
+
+    } catch (error) {
+        if (eConflitoAgenda(error)) {
+            return responderConflitoAgenda(res);
+        }
+        console.error('erro ao agendar vacina:', error);
+        res.status(500).json({ 
+            error: 'erro no servidor',
+            detalhes: error.message 
+        });
+    }
+});
+
+// PUT /vacinas/:id -> atualiza data da vacina
+app.put('/vacinas/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tipo_vacina_id, dataAplicacao, clinicaId, veterinarioId, observacoes } = req.body;
+        const userId = req.user.id;
+
+        // verifica se a vacina existe e pertence ao utilizador
+        const vacinaCheck = await pool.query(`
+            SELECT v.*, a.tutorId 
+            FROM vacinas v
+            JOIN animais a ON v.animalId = a.id
+            WHERE v.id = $1
+            `, [parseInt(id)]);
+
+        // se não encontrar a vacina
+        if (vacinaCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Vacina não encontrada' });
+        }
+
+        // obtem a vacina
+        const vacina = vacinaCheck.rows[0];
+
+        // verifica permissões
+        const podeAtualizar = await temPapelNoAnimal(userId, vacina.animalid, 'cotutor');
+        if (!podeAtualizar && !temPermissao(req.user, 'vacinas:atualizar_qualquer')) {
+            return res.status(403).json({
+                error: 'Não autorizado a atualizar esta vacina'
+            });
+        }
+
+        // mudar o veterinário de uma vacina agendada tem de respeitar o horário dele e não pode criar sobreposições na agenda
+        if (veterinarioId && vacina.estado === 'agendada' && parseInt(veterinarioId) !== vacina.veterinarioid) {
+            const dataAgendada = new Date(vacina.data_agendada);
+            if (!(await slotNoHorario(veterinarioId, diaLocal(dataAgendada), dataAgendada.toTimeString().split(' ')[0], vacina.duracao_minutos))) {
+                return responderForaDoHorario(res, veterinarioId);
+            }
+
+            const conflitos = await conflitosAgenda(veterinarioId, vacina.data_agendada, vacina.duracao_minutos, { ignorarVacinaId: vacina.id });
+            if (conflitos.length > 0) {
+                return responderConflitoAgenda(res, conflitos);
+            }
+        }
+
+        // atualiza vacina
+        const result = await pool.query(`
+        UPDATE vacinas SET tipo_vacina_id = COALESCE($1, tipo_vacina_id),
+            dataAplicacao = COALESCE($2, dataAplicacao),
+            clinicaId = COALESCE($3, clinicaId),
+            veterinarioId = COALESCE($4, veterinarioId),
+            observacoes = COALESCE($5, observacoes)
+        WHERE id = $6
+        RETURNING *
+        `, [tipo_vacina_id, dataAplicacao, clinicaId, veterinarioId, observacoes, parseInt(id)]);
+
+        await registarAuditoria(req, {
+            acao: 'vacina_atualizada',
+            entidade: 'vacina',
+            entidadeId: parseInt(id),
+            antes: vacina,
+            depois: result.rows[0]
+        });
+
+        // responde com sucesso
+        res.status(200).json({
+            success: true,
+            mensagem: 'Vacina atualizada com sucesso',
+            vacina: result.rows[0]
+        });
+
+        // em caso de erro
+    } catch (error) {
+        if (eConflitoAgenda(error)) {
+            return responderConflitoAgenda(res);
+        }
+        console.error('Erro ao atualizar vacina:', error);
+        res.status(500).json({
+            error: 'Erro no servidor',
+            detalhes: error.message
+        });
+    }
+});
+
+// DELETE /vacinas/:id -> remove uma vacina agendada
+app.delete('/vacinas/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        // verifica se a vacina existe e pertence ao utilizador
+        const vacinaCheck = await pool.query(`
+            SELECT v.*, a.tutorId, a.nome as animal_nome
+            FROM vacinas v
+            JOIN animais a ON v.animalId = a.id
+            WHERE v.id = $1
+            `, [parseInt(id)]);
+
+        if (vacinaCheck.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Vacina não encontrada',
+                vacina_id: id
+            });
+        }
+
+        // obtem a vacina
+        const vacina = vacinaCheck.rows[0];
+
+        // verifica permissões
+        if (!(await temPapelNoAnimal(userId, vacina.animalid, 'cotutor'))) {
+            return res.status(403).json({
+                error: 'Não autorizado a cancelar esta vacina',
+                detalhes: 'Apenas o dono ou um cotutor do animal podem cancelar vacinas'
+            });
+        }
+
+        // apaga a vacina
+        const deleteResult = await pool.query(
+            'DELETE FROM vacinas WHERE id = $1 RETURNING id, tipo, animalId',
+            [parseInt(id)]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'vacina_cancelada',
+            entidade: 'vacina',
+            entidadeId: parseInt(id),
+            antes: vacina
+        });
+
+        console.log(`Vacina cancelada: ${vacina.tipo} para ${vacina.animal_nome}(ID: ${id}) por utilizador ${userId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Vacina cancelada com sucesso',
+            vacina: {
+                id: deleteResult.rows[0].id,
+                tipo: deleteResult.rows[0].tipo,
+                animalId: deleteResult.rows[0].animalid
+            }
+        });
+
+    } catch (error) {
+        console.error('Erro ao cancelar vacina:', error);
+        res.status(500).json({
+            error: 'Erro no servidor',
+            detalhes: error.message
+        });
+    }
+});
+
+// GET /vacinas/tipos -> obtém todos os tipos de vacinas disponíveis
+app.get('/vacinas/tipos', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM tipos_vacina ORDER BY nome');
+
+        res.status(200).json({
+            success: true,
+            tipos: result.rows,
+            count: result.rows.length
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter tipos de vacinas:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// post /vacinas/:id/realizada -> marca vacina como realizada
+app.post('/vacinas/:id/realizada', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        // obtem os dados do body conforme enviado pela app
+        const { dataAplicacao, lote, veterinarioId, observacoes } = req.body;
+        const userId = req.user.id;
+
+        // verificar se a vacina existe e pertence ao utilizador
+        const vacinaCheck = await pool.query(`
+            SELECT v.*, a.tutorId, a.nome as animal_nome 
+            FROM vacinas v 
+            JOIN animais a ON v.animalId = a.id 
+            WHERE v.id = $1
+        `, [parseInt(id)]);
+
+        if (vacinaCheck.rows.length === 0) {
+            return res.status(404).json({ 
+                error: 'vacina nao encontrada' 
+            });
+        }
+
+        const vacina = vacinaCheck.rows[0];
+
+        // verificacao de permissao - apenas o dono ou um cotutor podem marcar como realizada
+        if (!(await temPapelNoAnimal(userId, vacina.animalid, 'cotutor'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'vacina', entidadeId: vacina.id, detalhes: { operacao: 'marcar_realizada' } });
+            return res.status(403).json({ 
+                error: 'nao autorizado' 
+            });
+        }
+
+        // verificar se a vacina ja foi realizada
+        if (vacina.estado === 'realizada') {
+            return res.status(400).json({
+                error: 'vacina ja foi marcada como realizada anteriormente'
+            });
+        }
+
+        // validar a data de aplicacao se for fornecida
+        let dataAplicacaoSql = dataAplicacao;
+        if (dataAplicacao) {
+            const dataObj = new Date(dataAplicacao);
+            if (isNaN(dataObj.getTime())) {
+                return res.status(400).json({
+                    error: 'formato de data de aplicacao invalido'
+                });
+            }
+        }
+
+        // se veterinarioId foi fornecido, verificar se existe
+        if (veterinarioId) {
+            const vetCheck = await pool.query(
+                'SELECT id, nome FROM veterinarios WHERE id = $1',
+                [veterinarioId]
+            );
+            if (vetCheck.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'veterinario nao encontrado'
+                });
+            }
+        }
+
+        // o lote fica numa coluna própria (aparece no passaporte)
+        const result = await pool.query(`
+            UPDATE vacinas 
+            SET estado = 'realizada',
+                dataAplicacao = COALESCE($1, CURRENT_DATE),
+                veterinarioId = COALESCE($2, veterinarioId),
+                observacoes = COALESCE($3, observacoes),
+                lote = COALESCE($4, lote)
+            WHERE id = $5
+            RETURNING *`,
+            // parametros na ordem correta
+            [
+                dataAplicacaoSql,     // $1 - dataAplicacao
+                veterinarioId,        // $2 - veterinarioId
+                observacoes || null,  // $3 - observacoes
+                lote || null,         // $4 - lote
+                parseInt(id)          // $5 - id
+            ]
+        );
+
+        const vacinaAtualizada = result.rows[0];
+
+        const avisos = await verificarConflitosMedicos(vacina.animalid, { vacina: vacina.tipo });
+
+        await registarAuditoria(req, {
+            acao: 'vacina_realizada',
+            entidade: 'vacina',
+            entidadeId: vacinaAtualizada.id,
+            antes: vacina,
+            depois: vacinaAtualizada,
+            detalhes: avisos.length > 0 ? { avisos } : undefined
+        });
+
+        console.log(`vacina ${id} marcada como realizada - animal: ${vacina.animal_nome}, user: ${userId}`);
+
+        // devolver a vacina atualizada
+        res.status(200).json({
+            success: true,
+            mensagem: 'vacina marcada como realizada com sucesso',
+            vacina: vacinaAtualizada,
+            avisos
+        });
+
+    } catch (error) {
+        console.error('erro ao marcar vacina como realizada:', error);
+        res.status(500).json({ 
+            error: 'erro no servidor', 
+            detalhes: error.message 
+        });
+    }
+});
+
+
+// ROTAS DE EXAMES==============================================
+
+// GET /exames/tipos -> obtém todos os tipos de exame
+app.get('/exames/tipos', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM tipos_exame ORDER BY nome');
+        res.status(200).json({
+            success: true,
+            tipos: result.rows,
+            count: result.rows.length
+        });
+    } catch (error) {
+        console.error('Erro ao obter tipos de exame:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /exames -> cria novo exame
+app.post('/exames', authenticateToken, async (req, res) => {
+    try {
+        const { animalId, tipo_exame_id, dataExame, clinicaId, veterinarioId, resultado, observacoes } = req.body;
+
+        const userId = req.user.id;
+
+        if (!animalId || !tipo_exame_id || !dataExame || !clinicaId || !veterinarioId) {
+            return res.status(400).json({
+                error: 'animalId, tipo_exame_id, dataExame, clinicaId e veterinarioId são obrigatórios'
+            });
+        }
+
+        // verifica se animal pertence ao user (dono ou cotutor)
+        const animalCheck = await pool.query(
+            'SELECT id FROM animais WHERE id = $1',
+            [animalId]
+        );
+        if (animalCheck.rows.length === 0 || !(await temPapelNoAnimal(userId, animalId, 'cotutor'))) {
+            return res.status(403).json({ error: 'Animal não encontrado ou não autorizado' });
+        }
+
+        // verifica tipo de exame
+        const tipoCheck = await pool.query(
+            'SELECT id, nome FROM tipos_exame WHERE id = $1',
+            [tipo_exame_id]
+        );
+        if (tipoCheck.rows.length === 0) {
+            return res.status(400).json({ error: 'Tipo de exame não encontrado' });
+        }
+
+        // verifica se clínica existe
+        const clinicaCheck = await pool.query(
+            'SELECT nome FROM clinicas WHERE id = $1',
+            [clinicaId]
+        );
+        if (clinicaCheck.rows.length === 0) {
+            return res.status(400).json({ error: 'Clínica não encontrada' });
+        }
+
+        // Verifica se veterinário existe
+        const vetCheck = await pool.query(
+            'SELECT nome FROM veterinarios WHERE id = $1 AND clinicaId = $2',
+            [veterinarioId, clinicaId]
+        );
+        if (vetCheck.rows.length === 0) {
+            return res.status(400).json({
+                error: 'Veterinário não encontrado ou não pertence a esta clínica'
+            });
+        }
+
+        // insere exame
+        const result = await pool.query(`
+            INSERT INTO exames
+            (animalId, tipo_exame_id, dataExame, clinicaId, veterinarioId, resultado, observacoes)
+            VALUES($1, $2, $3, $4, $5, $6, $7) 
+            RETURNING *,
+            (SELECT nome FROM tipos_exame WHERE id = $2) as tipo_nome,
+        (SELECT nome FROM clinicas WHERE id = $4) as clinica_nome,
+    (SELECT nome FROM veterinarios WHERE id = $5) as veterinario_nome
+        `, [animalId, tipo_exame_id, dataExame, clinicaId, veterinarioId, resultado, observacoes]);
+
+
+        const exame = result.rows[0];
+        exame.tipo_nome = tipoCheck.rows[0].nome;
+
+        // renomeia campos para corresponder à aplicação
+        const exameResponse = {
+            id: exame.id,
+            animalid: exame.animalid,
+            tipo_exame_id: exame.tipo_exame_id,
+            tipo_nome: exame.tipo_nome,
+            dataexame: exame.dataexame,
+            clinicaid: exame.clinicaid,
+            clinicanome: exame.clinica_nome,
+            veterinarioid: exame.veterinarioid,
+            veterinarionome: exame.veterinario_nome,
+            resultado: exame.resultado,
+            observacoes: exame.observacoes,
+            fotourl: exame.fotourl,
+            dataregisto: exame.dataregisto
+        };
+
+        await registarAuditoria(req, {
+            acao: 'exame_criado',
+            entidade: 'exame',
+            entidadeId: exame.id,
+            depois: exameResponse
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Exame criado com sucesso',
+            exame: exameResponse
+        });
+
+
+    } catch (error) {
+        console.error('Erro ao criar exame:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// POST /exames/:id/foto -> adiciona foto ao exame
+app.post('/exames/:id/foto', authenticateToken, upload.single('foto'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'Nenhuma imagem enviada' });
+        }
+
+        // Verifica se exame existe e pertence ao user
+        const exameCheck = await pool.query(`
+            SELECT e.*, a.tutorId 
+            FROM exames e
+            JOIN animais a ON e.animalId = a.id
+            WHERE e.id = $1
+    `, [id]);
+
+        if (exameCheck.rows.length === 0) {
+            fs.unlinkSync(req.file.path);
+            return res.status(404).json({ error: 'Exame não encontrado' });
+        }
+
+        if (!(await temPapelNoAnimal(userId, exameCheck.rows[0].animalid, 'cotutor'))) {
+            fs.unlinkSync(req.file.path);
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        // Cria URL da foto
+        const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://${req.get('host')}`;
+        const fotoUrl = `${baseUrl}/uploads/${req.file.filename}`;
+
+        // Atualiza exame
+        await pool.query(
+            'UPDATE exames SET fotoUrl = $1 WHERE id = $2',
+            [fotoUrl, id]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'foto_exame_adicionada',
+            entidade: 'exame',
+            entidadeId: parseInt(id),
+            antes: { fotoUrl: exameCheck.rows[0].fotourl },
+            depois: { fotoUrl }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Foto adicionada com sucesso',
+            fotoUrl: fotoUrl
+        });
+
+    } catch (error) {
+        console.error('Erro ao adicionar foto:', error);
+        if (req.file && req.file.path) {
+            try { fs.unlinkSync(req.file.path); } catch { }
+        }
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// PUT /exames/:id -> atualiza um exame existente 
+app.put('/exames/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { dataExame, clinicaId, veterinarioId, resultado, observacoes, tipo_exame_id } = req.body;
+        const userId = req.user.id;
+
+        // validacao basica
+        if (!dataExame) {
+            return res.status(400).json({
+                error: 'dataExame e obrigatoria'
+            });
+        }
+
+        // verifica se o exame existe e pertence ao utilizador
+        const exameCheck = await pool.query(`
+            SELECT e.*, a.tutorId 
+            FROM exames e
+            JOIN animais a ON e.animalId = a.id
+            WHERE e.id = $1
+        `, [parseInt(id)]);
+
+        if (exameCheck.rows.length === 0) {
+            return res.status(404).json({
+                error: 'exame nao encontrado'
+            });
+        }
+
+        const exame = exameCheck.rows[0];
+
+        // verifica permissoes (dono ou cotutor)
+        if (!(await temPapelNoAnimal(userId, exame.animalid, 'cotutor'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'exame', entidadeId: exame.id, detalhes: { operacao: 'editar' } });
+            return res.status(403).json({
+                error: 'nao autorizado a editar este exame'
+            });
+        }
+
+        // verifica se o tipo de exame existe (se foi fornecido)
+        let tipoNome = exame.tipo_exame_id;
+        if (tipo_exame_id) {
+            const tipoCheck = await pool.query(
+                'SELECT nome FROM tipos_exame WHERE id = $1',
+                [tipo_exame_id]
+            );
+            if (tipoCheck.rows.length === 0) {
+                return res.status(400).json({
+                    error: 'tipo de exame nao encontrado'
+                });
+            }
+            tipoNome = tipoCheck.rows[0].nome;
+        }
+
+        // verifica se clinica existe (se foi fornecida)
+        if (clinicaId) {
+            const clinicaCheck = await pool.query(
+                'SELECT nome FROM clinicas WHERE id = $1',
+                [clinicaId]
+            );
+            if (clinicaCheck.rows.length === 0) {
+                return res.status(400).json({
+                    error: 'clinica nao encontrada'
+                });
+            }
+        }
+
+        // verifica se veterinario existe (se foi fornecido)
+        if (veterinarioId) {
+            const clinicaIdToCheck = clinicaId || exame.clinicaid;
+            const vetCheck = await pool.query(
+                'SELECT nome FROM veterinarios WHERE id = $1 AND clinicaId = $2',
+                [veterinarioId, clinicaIdToCheck]
+            );
+            if (vetCheck.rows.length === 0) {
+                return res.status(400).json({
+                    error: 'veterinario nao encontrado ou nao pertence a esta clinica'
+                });
+            }
+        }
+
+        // valida a data do exame
+        const dataExameObj = new Date(dataExame);
+        if (isNaN(dataExameObj.getTime())) {
+            return res.status(400).json({
+                error: 'formato de data invalido'
+            });
+        }
+
+        // atualiza o exame
+        const result = await pool.query(`
+            UPDATE exames 
+            SET dataExame = $1,
+                clinicaId = COALESCE($2, clinicaId),
+                veterinarioId = COALESCE($3, veterinarioId),
+                resultado = COALESCE($4, resultado),
+                observacoes = COALESCE($5, observacoes),
+                tipo_exame_id = COALESCE($6, tipo_exame_id)
+            WHERE id = $7
+            RETURNING *,
+                (SELECT nome FROM tipos_exame WHERE id = exames.tipo_exame_id) as tipo_nome,
+                (SELECT nome FROM clinicas WHERE id = exames.clinicaId) as clinica_nome,
+                (SELECT nome FROM veterinarios WHERE id = exames.veterinarioId) as veterinario_nome
+        `, [dataExame, clinicaId, veterinarioId, resultado, observacoes, tipo_exame_id, parseInt(id)]);
+
+        const updatedExame = result.rows[0];
+
+        // mapeamento para o formato que a app espera
+        const exameResponse = {
+            id: updatedExame.id,
+            animalid: updatedExame.animalid,
+            tipo_exame_id: updatedExame.tipo_exame_id,
+            tipo_nome: updatedExame.tipo_nome,
+            dataexame: updatedExame.dataexame,
+            clinicaid: updatedExame.clinicaid,
+            clinicanome: updatedExame.clinica_nome,
+            veterinarioid: updatedExame.veterinarioid,
+            veterinarionome: updatedExame.veterinario_nome,
+            resultado: updatedExame.resultado,
+            observacoes: updatedExame.observacoes,
+            fotourl: updatedExame.fotourl,
+            dataregisto: updatedExame.dataregisto
+        };
+
+        await registarAuditoria(req, {
+            acao: 'exame_atualizado',
+            entidade: 'exame',
+            entidadeId: updatedExame.id,
+            antes: exame,
+            depois: exameResponse
+        });
+
+        console.log(`exame ${id} atualizado por utilizador ${userId}`);
+
+        // CORRECAO: enviar o objeto mapeado
+        res.status(200).json({
+            success: true,
+            message: 'exame atualizado com sucesso',
+            exame: exameResponse
+        });
+
+    } catch (error) {
+        console.error('erro ao atualizar exame:', error);
+        res.status(500).json({
+            error: 'erro no servidor',
+            details: error.message
+        });
+    }
+});
+
+// GET /animais/:animalId/exames -> obtem exames de um animal 
+app.get('/animais/:animalId/exames', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const userId = req.user.id;
+
+        // verifica permissoes - o animal pertence ou está partilhado com o utilizador
+        const animalCheck = await pool.query(
+            'SELECT id, nome FROM animais WHERE id = $1',
+            [animalId]
+        );
+        
+        if (animalCheck.rows.length === 0 || !(await temPapelNoAnimal(userId, animalId, 'leitura'))) {
+            return res.status(403).json({ 
+                error: 'nao autorizado ou animal nao encontrado' 
+            });
+        }
+
+        // query para obter exames com todos os dados relacionados
+        const result = await pool.query(`
+            SELECT 
+                e.id,
+                e.animalid,
+                e.tipo_exame_id,
+                e.dataexame,
+                e.clinicaid,
+                e.veterinarioid,
+                e.resultado,
+                e.observacoes,
+                e.fotourl,
+                e.dataregisto,
+                te.nome as tipo_nome,
+                te.descricao as tipo_descricao,
+                c.nome as clinicanome,
+                v.nome as veterinarionome
+            FROM exames e
+            LEFT JOIN tipos_exame te ON e.tipo_exame_id = te.id
+            LEFT JOIN clinicas c ON e.clinicaId = c.id
+            LEFT JOIN veterinarios v ON e.veterinarioId = v.id
+            WHERE e.animalId = $1
+            ORDER BY e.dataExame DESC, e.dataregisto DESC
+        `, [animalId]);
+
+        // mapeamento para o formato que a app espera
+        const examesFormatados = result.rows.map(exame => ({
+            id: exame.id,
+            animalid: exame.animalid,
+            tipo_exame_id: exame.tipo_exame_id,
+            tipo_nome: exame.tipo_nome,
+            tipo_descricao: exame.tipo_descricao,
+            dataexame: exame.dataexame,
+            clinicaid: exame.clinicaid,
+            clinicanome: exame.clinicanome,
+            veterinarioid: exame.veterinarioid,
+            veterinarionome: exame.veterinarionome,
+            resultado: exame.resultado,
+            observacoes: exame.observacoes,
+            fotourl: exame.fotourl,
+            dataregisto: exame.dataregisto
+        }));
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { recurso: 'exames', count: examesFormatados.length }
+        });
+
+        // CORRECAO: enviar o array mapeado
+        res.status(200).json({
+            success: true,
+            exames: examesFormatados,
+            count: examesFormatados.length
+        });
+
+    } catch (error) {
+        console.error('erro ao obter exames:', error);
+        res.status(500).json({ 
+            error: 'erro no servidor',
+            details: error.message 
+        });
+    }
+});
+
+// DELETE /exames/:id -> apaga um exame
+app.delete('/exames/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        // verifica se o exame existe e pertence ao utilizador
+        const exameCheck = await pool.query(`
+            SELECT e.*, a.tutorId, e.fotoUrl
+            FROM exames e
+            JOIN animais a ON e.animalId = a.id
+            WHERE e.id = $1
+        `, [parseInt(id)]);
+
+        if (exameCheck.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Exame não encontrado'
+            });
+        }
+
+        const exame = exameCheck.rows[0];
+
+        // verifica permissões (dono ou cotutor)
+        if (!(await temPapelNoAnimal(userId, exame.animalid, 'cotutor'))) {
+            return res.status(403).json({
+                error: 'Não autorizado a apagar este exame'
+            });
+        }
+
+        // se tiver foto, apaga o ficheiro
+        if (exame.fotourl) {
+            try {
+                const filename = exame.fotourl.split('/uploads/')[1];
+                const filePath = path.join(__dirname, 'uploads', filename);
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (fileError) {
+                console.error('Erro ao apagar ficheiro da foto:', fileError);
+            }
+        }
+
+        // apaga o exame
+        await pool.query('DELETE FROM exames WHERE id = $1', [parseInt(id)]);
+
+        await registarAuditoria(req, {
+            acao: 'exame_apagado',
+            entidade: 'exame',
+            entidadeId: exame.id,
+            antes: exame
+        });
+
+        console.log(`Exame ID ${id} apagado por utilizador ${userId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Exame apagado com sucesso'
+        });
+
+    } catch (error) {
+        console.error('Erro ao apagar exame:', error);
+        res.status(500).json({
+            error: 'Erro no servidor',
+            details: error.message
+        });
+    }
+});
+
+
+
+// ROTAS DE PRESCRIÇÕES E MEDICAÇÃO==============================================
+
+const DOSE_TOLERANCIA_MAX_HORAS = 2; // uma dose só conta como em falta depois desta margem
+const LEMBRETE_DOSE_ANTECEDENCIA_MINUTOS = 60; // o job corre de hora a hora
+const FUSO_HORARIO_CLINICA = 'Europe/Lisbon'; // horas nas mensagens (o servidor corre em UTC no Render)
+
+// data em que o tratamento termina (null se for contínuo)
+function fimPrescricao(prescricao) {
+    if (prescricao.suspensa_em) return new Date(prescricao.suspensa_em);
+    if (!prescricao.duracao_dias) return null;
+    return new Date(new Date(prescricao.inicio).getTime() + prescricao.duracao_dias * 24 * 60 * 60 * 1000);
+}
+
+// horas previstas das doses entre duas datas (inclusive), segundo o plano da prescrição
+function dosesPrevistas(prescricao, desde, ate) {
+    const inicio = new Date(prescricao.inicio).getTime();
+    const intervalo = prescricao.frequencia_horas * 60 * 60 * 1000;
+    const fim = fimPrescricao(prescricao);
+    const limite = Math.min(ate.getTime(), fim ? fim.getTime() - 1 : Infinity);
+
+    const doses = [];
+    let k = Math.max(0, Math.ceil((desde.getTime() - inicio) / intervalo));
+    for (let t = inicio + k * intervalo; t <= limite; t = inicio + (++k) * intervalo) {
+        doses.push(new Date(t));
+    }
+    return doses;
+}
+
+// calcula o estado do tratamento a partir das doses registadas
+// ativa -> a decorrer; em_falta -> há doses vencidas sem registo; terminada; suspensa
+function resumoPrescricao(prescricao, dosesRegistadas, agora = new Date()) {
+    const intervaloHoras = prescricao.frequencia_horas;
+    const toleranciaMs = Math.min(DOSE_TOLERANCIA_MAX_HORAS, intervaloHoras / 2) * 60 * 60 * 1000;
+    const fim = fimPrescricao(prescricao);
+
+    // doses do plano que já deviam ter sido dadas
+    const vencidas = dosesPrevistas(prescricao, new Date(prescricao.inicio), new Date(agora.getTime() - toleranciaMs));
+    const registadas = new Set(dosesRegistadas.map(d => new Date(d.prevista_para).getTime()));
+    const emFalta = vencidas.filter(d => !registadas.has(d.getTime()));
+    const administradas = dosesRegistadas.filter(d => !d.omitida).length;
+
+    let estado;
+    if (prescricao.suspensa_em) estado = 'suspensa';
+    else if (fim && fim <= agora) estado = 'terminada';
+    else if (emFalta.length > 0) estado = 'em_falta';
+    else estado = 'ativa';
+
+    const proxima = ['ativa', 'em_falta'].includes(estado)
+        ? dosesPrevistas(prescricao, agora, new Date(agora.getTime() + intervaloHoras * 60 * 60 * 1000))[0] || null
+        : null;
+
+    return {
+        estado,
+        fim,
+        proximaDose: proxima,
+        dosesPrevistas: vencidas.length,
+        dosesAdministradas: administradas,
+        dosesEmFalta: emFalta.length,
+        ultimaDoseEmFalta: emFalta.length > 0 ? emFalta[emFalta.length - 1] : null,
+        adesao: vencidas.length > 0 ? Math.round(((vencidas.length - emFalta.length) / vencidas.length) * 100) : null
+    };
+}
+
+// obtém prescrições com as doses registadas e o resumo calculado
+async function obterPrescricoes(where, params) {
+    const result = await pool.query(
+        `SELECT p.*, a.nome as animal_nome, a.tutorId, vet.nome as veterinario_nome,
+                COALESCE(
+                    (SELECT json_agg(json_build_object('prevista_para', d.prevista_para, 'omitida', d.omitida))
+                     FROM administracoes_dose d WHERE d.prescricao_id = p.id),
+                    '[]'
+                ) AS doses
+         FROM prescricoes p
+         JOIN animais a ON p.animal_id = a.id
+         LEFT JOIN veterinarios vet ON p.veterinario_id = vet.id
+         WHERE ${where}
+         ORDER BY p.inicio DESC`,
+        params
+    );
+
+    return result.rows.map(({ doses, ...prescricao }) => ({
+        ...prescricao,
+        ...resumoPrescricao(prescricao, doses)
+    }));
+}
+
+// acesso às prescrições: tutores pelo papel no animal, veterinários pela permissão
+async function acessoPrescricoes(req, animalId, papelMinimo) {
+    const permissao = papelMinimo === 'leitura' ? 'animais:ver_qualquer' : 'prescricoes:gerir_qualquer';
+    return temPermissao(req.user, permissao) || await temPapelNoAnimal(req.user.id, animalId, papelMinimo);
+}
+
+// envia lembretes das doses previstas para a próxima hora (corre de hora a hora)
+async function enviarLembretesDoses() {
+    try {
+        const agora = new Date();
+        const ate = new Date(agora.getTime() + LEMBRETE_DOSE_ANTECEDENCIA_MINUTOS * 60 * 1000);
+
+        // só os dados do plano (sem o histórico de doses) e sem as prescrições cuja próxima dose já foi lembrada
+        // (um lembrete posterior a agora é sempre o da próxima dose)
+        const result = await pool.query(
+            `SELECT p.id, p.animal_id, p.medicamento, p.dose, p.inicio, p.frequencia_horas, p.duracao_dias,
+                    p.suspensa_em, a.nome as animal_nome, a.tutorId
+             FROM prescricoes p
+             JOIN animais a ON p.animal_id = a.id
+             WHERE p.suspensa_em IS NULL AND p.inicio <= $1
+             AND (p.duracao_dias IS NULL OR p.inicio + make_interval(days => p.duracao_dias) > $2)
+             AND (p.ultimo_lembrete_para IS NULL OR p.ultimo_lembrete_para < $2)`,
+            [ate, agora]
+        );
+        const prescricoes = result.rows;
+
+        for (const prescricao of prescricoes) {
+            const proxima = dosesPrevistas(prescricao, agora, ate)[0];
+            if (!proxima) continue;
+
+            await avisarTutores({ id: prescricao.animal_id, tutorid: prescricao.tutorid }, {
+                assunto: `Medicação de ${prescricao.animal_nome}`,
+                texto: `Lembrete: ${prescricao.animal_nome} deve tomar ${prescricao.medicamento} (${prescricao.dose}) às ${proxima.toLocaleTimeString('pt-PT', { hour: '2-digit', minute: '2-digit', timeZone: FUSO_HORARIO_CLINICA })}.`
+            });
+
+            await pool.query(
+                'UPDATE prescricoes SET ultimo_lembrete_para = $1 WHERE id = $2',
+                [proxima, prescricao.id]
+            );
+        }
+    } catch (err) {
+        console.error('Erro ao enviar lembretes de medicação:', err);
+    }
+}
+
+// POST /animais/:animalId/prescricoes -> regista uma prescrição (veterinário ou tutor com a receita)
+app.post('/animais/:animalId/prescricoes', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { consultaId, medicamento, dose, via, frequenciaHoras, duracaoDias, inicio, instrucoes, veterinarioId } = req.body;
 
-        if (animalCheck.rows.length === 0) {
-            return res.status(404).json({ 
-                error: 'animal nao encontrado ou nao pertence ao utilizador' 
-            });
+        if (!medicamento || !dose || !frequenciaHoras) {
+            return res.status(400).json({ error: 'medicamento, dose e frequenciaHoras são obrigatórios' });
         }
 
-        const animal = animalCheck.rows[0];
-
-        // verifica se o tipo de vacina existe
-        const tipoVacinaResult = await pool.query(
-            'SELECT id, nome, descricao FROM tipos_vacina WHERE id = $1',
-            [tipo_vacina_id]
-        );
+        const frequencia = parseInt(frequenciaHoras);
+        const duracao = duracaoDias !== undefined && duracaoDias !== null ? parseInt(duracaoDias) : null;
 
-        if (tipoVacinaResult.rows.length === 0) {
-            return res.status(404).json({ 
-                error: 'tipo de vacina nao encontrado' 
-            });
+        if (isNaN(frequencia) || frequencia < 1 || frequencia > 24 * 30) {
+            return res.status(400).json({ error: 'frequenciaHoras deve ser um número de horas entre 1 e 720' });
         }
 
-        const tipoVacina = tipoVacinaResult.rows[0];
+        if (duracao !== null && (isNaN(duracao) || duracao < 1)) {
+            return res.status(400).json({ error: 'duracaoDias deve ser um número positivo (ou omitido para tratamento contínuo)' });
+        }
 
-        // valida a data agendada
-        const dataAgendadaObj = new Date(data_agendada);
-        const hoje = new Date();
+        const dataInicio = inicio ? new Date(inicio) : new Date();
+        if (isNaN(dataInicio.getTime())) {
+            return res.status(400).json({ error: 'Data de início inválida' });
+        }
 
-        if (isNaN(dataAgendadaObj.getTime())) {
-            return res.status(400).json({
-                error: 'formato de data invalido'
-            });
+        const animalCheck = await pool.query('SELECT id, estado FROM animais WHERE id = $1', [animalId]);
+        if (animalCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
         }
 
-        if (dataAgendadaObj < hoje) {
-            return res.status(400).json({
-                error: 'a data agendada nao pode ser no passado'
-            });
+        if (animalCheck.rows[0].estado !== 'ativo') {
+            return responderAnimalInativo(res, animalCheck.rows[0].estado);
         }
 
-        // se clinicaId foi fornecido, verifica se existe
-        if (clinicaId) {
-            const clinicaCheck = await pool.query(
-                'SELECT id, nome FROM clinicas WHERE id = $1',
-                [clinicaId]
-            );
-            if (clinicaCheck.rows.length === 0) {
-                return res.status(404).json({ 
-                    error: 'clinica nao encontrada' 
-                });
-            }
+        if (!(await acessoPrescricoes(req, animalId, 'cotutor'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: parseInt(animalId), detalhes: { operacao: 'criar_prescricao' } });
+            return res.status(403).json({ error: 'Não autorizado' });
         }
 
-        // se veterinarioId foi fornecido, verifica se existe
-        if (veterinarioId) {
-            const vetCheck = await pool.query(
-                'SELECT id, nome FROM veterinarios WHERE id = $1',
-                [veterinarioId]
+        // a consulta tem de ser do mesmo animal
+        if (consultaId) {
+            const consultaCheck = await pool.query(
+                'SELECT id, veterinarioId FROM consultas WHERE id = $1 AND animalId = $2',
+                [consultaId, animalId]
             );
-            if (vetCheck.rows.length === 0) {
-                return res.status(404).json({ 
-                    error: 'veterinario nao encontrado' 
-                });
+            if (consultaCheck.rows.length === 0) {
+                return res.status(400).json({ error: 'Consulta não encontrada para este animal' });
             }
         }
 
-        // insere a vacina agendada
         const result = await pool.query(
-            `INSERT INTO vacinas 
-             (animalId, tipo, tipo_vacina_id, data_agendada, clinicaId, veterinarioId, observacoes, estado, notificado)
-             VALUES($1, $2, $3, $4, $5, $6, $7, 'agendada', false)
-             RETURNING *`,
-            [animalId, tipoVacina.nome, tipo_vacina_id, data_agendada, clinicaId, veterinarioId, observacoes]
+            `INSERT INTO prescricoes
+             (animal_id, consulta_id, medicamento, dose, via, frequencia_horas, duracao_dias, inicio, instrucoes, veterinario_id, registado_por)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING id`,
+            [animalId, consultaId || null, medicamento, dose, via || null, frequencia, duracao, dataInicio,
+                instrucoes || null, veterinarioId || req.user.veterinarioId || null, req.user.id]
         );
 
-        const vacinaAgendada = result.rows[0];
+        const [prescricao] = await obterPrescricoes('p.id = $1', [result.rows[0].id]);
 
-        // log da operacao
-        console.log(`vacina agendada - id: ${vacinaAgendada.id}, animal: ${animal.nome}, data: ${data_agendada}`);
+        // alergias ou condições crónicas incompatíveis (não impede o registo)
+        const avisos = await verificarConflitosMedicos(animalId, { medicamento });
+
+        await registarAuditoria(req, {
+            acao: 'prescricao_criada',
+            entidade: 'prescricao',
+            entidadeId: prescricao.id,
+            depois: prescricao,
+            detalhes: avisos.length > 0 ? { avisos } : undefined
+        });
+
+        console.log(`Prescrição ${prescricao.id} (${medicamento}) criada para o animal ${animalId}`);
 
-        // devolve a resposta completa que a app espera
         res.status(201).json({
             success: true,
-            message: 'vacina agendada com sucesso',
-            vacina: vacinaAgendada,
-            animal: {
-                id: animal.id,
-                nome: animal.nome,
-                especie: animal.especie
-            },
-            tipo_vacina: {
-                id: tipoVacina.id,
-                nome: tipoVacina.nome,
-                descricao: tipoVacina.descricao
-            }
+            message: avisos.length > 0
+                ? 'Prescrição registada. Atenção: existem conflitos com o perfil médico do animal.'
+                : 'Prescrição registada com sucesso',
+            prescricao,
+            avisos
         });
 
     } catch (error) {
-        console.error('erro ao agendar vacina:', error);
-        res.status(500).json({ 
-            error: 'erro no servidor',
-            detalhes: error.message 
-        });
+        console.error('Erro ao criar prescrição:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// PUT /vacinas/:id -> atualiza data da vacina
-app.put('/vacinas/:id', authenticateToken, async (req, res) => {
+// GET /animais/:animalId/prescricoes?estado= -> tratamentos do animal com o estado calculado
+app.get('/animais/:animalId/prescricoes', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { tipo_vacina_id, dataAplicacao, clinicaId, veterinarioId, observacoes } = req.body;
-        const userId = req.user.id;
-
-        // verifica se a vacina existe e pertence ao utilizador
-        const vacinaCheck = await pool.query(`
-            SELECT v.*, a.tutorId 
-            FROM vacinas v
-            JOIN animais a ON v.animalId = a.id
-            WHERE v.id = $1
-            `, [parseInt(id)]);
+        const { animalId } = req.params;
+        const { estado } = req.query;
 
-        // se não encontrar a vacina
-        if (vacinaCheck.rows.length === 0) {
-            return res.status(404).json({ error: 'Vacina não encontrada' });
+        if (!(await acessoPrescricoes(req, animalId, 'leitura'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: parseInt(animalId), detalhes: { recurso: 'prescricoes' } });
+            return res.status(403).json({ error: 'Não autorizado' });
         }
 
-        // obtem a vacina
-        const vacina = vacinaCheck.rows[0];
+        let prescricoes = await obterPrescricoes('p.animal_id = $1', [animalId]);
 
-        // verifica permissões
-        if (vacina.tutorid !== userId && req.user.tipo !== 'veterinario') {
-            return res.status(403).json({
-                error: 'Não autorizado a atualizar esta vacina'
-            });
+        // o estado é calculado -> filtra depois da query
+        if (estado) {
+            prescricoes = prescricoes.filter(p => p.estado === estado);
         }
 
-        // atualiza vacina
-        const result = await pool.query(`
-        UPDATE vacinas SET tipo_vacina_id = COALESCE($1, tipo_vacina_id),
-            dataAplicacao = COALESCE($2, dataAplicacao),
-            clinicaId = COALESCE($3, clinicaId),
-            veterinarioId = COALESCE($4, veterinarioId),
-            observacoes = COALESCE($5, observacoes)
-        WHERE id = $6
-        RETURNING *
-        `, [tipo_vacina_id, dataAplicacao, clinicaId, veterinarioId, observacoes, parseInt(id)]);
-
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { recurso: 'prescricoes', count: prescricoes.length }
+        });
 
-        // responde com sucesso
         res.status(200).json({
             success: true,
-            mensagem: 'Vacina atualizada com sucesso',
-            vacina: result.rows[0]
+            count: prescricoes.length,
+            prescricoes
         });
 
-        // em caso de erro
     } catch (error) {
-        console.error('Erro ao atualizar vacina:', error);
-        res.status(500).json({
-            error: 'Erro no servidor',
-            detalhes: error.message
-        });
+        console.error('Erro ao obter prescrições:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// DELETE /vacinas/:id -> remove uma vacina agendada
-app.delete('/vacinas/:id', authenticateToken, async (req, res) => {
+// GET /prescricoes/lembretes?horas=24 -> próximas doses e doses em falta dos animais do utilizador
+// tem de ficar antes de /prescricoes/:id
+app.get('/prescricoes/lembretes', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        const userId = req.user.id;
-
-        // verifica se a vacina existe e pertence ao utilizador
-        const vacinaCheck = await pool.query(`
-            SELECT v.*, a.tutorId, a.nome as animal_nome
-            FROM vacinas v
-            JOIN animais a ON v.animalId = a.id
-            WHERE v.id = $1
-            `, [parseInt(id)]);
+        const horas = Math.min(Math.max(parseInt(req.query.horas) || 24, 1), 24 * 7);
+        const agora = new Date();
+        const ate = new Date(agora.getTime() + horas * 60 * 60 * 1000);
 
-        if (vacinaCheck.rows.length === 0) {
-            return res.status(404).json({
-                error: 'Vacina não encontrada',
-                vacina_id: id
-            });
-        }
+        const prescricoes = await obterPrescricoes(
+            `${SQL_ANIMAL_ACESSIVEL} AND p.suspensa_em IS NULL`,
+            [req.user.id]
+        );
 
-        // obtem a vacina
-        const vacina = vacinaCheck.rows[0];
+        const lembretes = [];
+        prescricoes
+            .filter(p => ['ativa', 'em_falta'].includes(p.estado))
+            .forEach(p => {
+                const base = { prescricaoId: p.id, animalId: p.animal_id, animalNome: p.animal_nome, medicamento: p.medicamento, dose: p.dose };
 
-        // verifica permissões
-        if (vacina.tutorid !== userId) {
-            return res.status(403).json({
-                error: 'Não autorizado a cancelar esta vacina',
-                detalhes: 'Apenas o tutor pode cancelar vacinas'
+                if (p.ultimaDoseEmFalta) {
+                    lembretes.push({ ...base, previstaPara: p.ultimaDoseEmFalta, emFalta: true, dosesEmFalta: p.dosesEmFalta });
+                }
+                dosesPrevistas(p, agora, ate).forEach(previstaPara => {
+                    lembretes.push({ ...base, previstaPara, emFalta: false });
+                });
             });
-        }
 
-        // apaga a vacina
-        const deleteResult = await pool.query(
-            'DELETE FROM vacinas WHERE id = $1 RETURNING id, tipo, animalId',
-            [parseInt(id)]
-        );
+        lembretes.sort((a, b) => new Date(a.previstaPara) - new Date(b.previstaPara));
 
-        console.log(`Vacina cancelada: ${vacina.tipo} para ${vacina.animal_nome}(ID: ${id}) por utilizador ${userId}`);
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'utilizador',
+            entidadeId: req.user.id,
+            detalhes: { recurso: 'lembretes_medicacao', animais: [...new Set(lembretes.map(l => l.animalId))], count: lembretes.length }
+        });
 
         res.status(200).json({
             success: true,
-            message: 'Vacina cancelada com sucesso',
-            vacina: {
-                id: deleteResult.rows[0].id,
-                tipo: deleteResult.rows[0].tipo,
-                animalId: deleteResult.rows[0].animalid
-            }
+            count: lembretes.length,
+            lembretes
         });
 
     } catch (error) {
-        console.error('Erro ao cancelar vacina:', error);
-        res.status(500).json({
-            error: 'Erro no servidor',
-            detalhes: error.message
+        console.error('Erro ao obter lembretes de medicação:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
+
+// GET /prescricoes/:id -> detalhes de uma prescrição
+app.get('/prescricoes/:id', authenticateToken, async (req, res) => {
+    try {
+        const [prescricao] = await obterPrescricoes('p.id = $1', [req.params.id]);
+
+        if (!prescricao) {
+            return res.status(404).json({ error: 'Prescrição não encontrada' });
+        }
+
+        if (!(await acessoPrescricoes(req, prescricao.animal_id, 'leitura'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'prescricao', entidadeId: prescricao.id });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'prescricao',
+            entidadeId: prescricao.id
         });
+
+        res.status(200).json(prescricao);
+
+    } catch (error) {
+        console.error('Erro ao obter prescrição:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// GET /vacinas/tipos -> obtém todos os tipos de vacinas disponíveis
-app.get('/vacinas/tipos', async (req, res) => {
+// POST /prescricoes/:id/suspender -> interrompe o tratamento antes do fim previsto
+app.post('/prescricoes/:id/suspender', authenticateToken, async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM tipos_vacina ORDER BY nome');
+        const [prescricao] = await obterPrescricoes('p.id = $1', [req.params.id]);
+
+        if (!prescricao) {
+            return res.status(404).json({ error: 'Prescrição não encontrada' });
+        }
+
+        if (!(await acessoPrescricoes(req, prescricao.animal_id, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        if (['terminada', 'suspensa'].includes(prescricao.estado)) {
+            return res.status(400).json({ error: `O tratamento já está ${prescricao.estado}` });
+        }
+
+        await pool.query('UPDATE prescricoes SET suspensa_em = NOW() WHERE id = $1', [prescricao.id]);
+
+        await registarAuditoria(req, {
+            acao: 'prescricao_suspensa',
+            entidade: 'prescricao',
+            entidadeId: prescricao.id,
+            detalhes: { motivo: req.body ? req.body.motivo : undefined }
+        });
 
         res.status(200).json({
             success: true,
-            tipos: result.rows,
-            count: result.rows.length
+            message: 'Tratamento suspenso'
         });
 
     } catch (error) {
-        console.error('Erro ao obter tipos de vacinas:', error);
+        console.error('Erro ao suspender prescrição:', error);
         res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// post /vacinas/:id/realizada -> marca vacina como realizada
-app.post('/vacinas/:id/realizada', authenticateToken, async (req, res) => {
+// POST /prescricoes/:id/doses -> regista uma dose dada (ou omitida) pelo tutor
+app.post('/prescricoes/:id/doses', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        // obtem os dados do body conforme enviado pela app
-        const { dataAplicacao, lote, veterinarioId, observacoes } = req.body;
-        const userId = req.user.id;
-
-        // verificar se a vacina existe e pertence ao utilizador
-        const vacinaCheck = await pool.query(`
-            SELECT v.*, a.tutorId, a.nome as animal_nome 
-            FROM vacinas v 
-            JOIN animais a ON v.animalId = a.id 
-            WHERE v.id = $1
-        `, [parseInt(id)]);
+        const { administradaEm, previstaPara, omitida = false, observacoes } = req.body;
+        const [prescricao] = await obterPrescricoes('p.id = $1', [req.params.id]);
 
-        if (vacinaCheck.rows.length === 0) {
-            return res.status(404).json({ 
-                error: 'vacina nao encontrada' 
-            });
+        if (!prescricao) {
+            return res.status(404).json({ error: 'Prescrição não encontrada' });
         }
 
-        const vacina = vacinaCheck.rows[0];
-
-        // verificacao de permissao - apenas o tutor pode marcar como realizada
-        if (vacina.tutorid !== userId) {
-            console.log(`tentativa nao autorizada: user ${userId} tentou marcar vacina ${id} do user ${vacina.tutorid}`);
-            return res.status(403).json({ 
-                error: 'nao autorizado' 
-            });
+        if (!(await acessoPrescricoes(req, prescricao.animal_id, 'cotutor'))) {
+            return res.status(403).json({ error: 'Não autorizado' });
         }
 
-        // verificar se a vacina ja foi realizada
-        if (vacina.estado === 'realizada') {
-            return res.status(400).json({
-                error: 'vacina ja foi marcada como realizada anteriormente'
-            });
+        if (prescricao.estado === 'suspensa') {
+            return res.status(400).json({ error: 'Este tratamento foi suspenso' });
         }
 
-        // validar a data de aplicacao se for fornecida
-        let dataAplicacaoSql = dataAplicacao;
-        if (dataAplicacao) {
-            const dataObj = new Date(dataAplicacao);
-            if (isNaN(dataObj.getTime())) {
-                return res.status(400).json({
-                    error: 'formato de data de aplicacao invalido'
-                });
-            }
+        const dataAdministracao = administradaEm ? new Date(administradaEm) : new Date();
+        if (isNaN(dataAdministracao.getTime()) || dataAdministracao > new Date()) {
+            return res.status(400).json({ error: 'Data de administração inválida' });
         }
 
-        // se veterinarioId foi fornecido, verificar se existe
-        if (veterinarioId) {
-            const vetCheck = await pool.query(
-                'SELECT id, nome FROM veterinarios WHERE id = $1',
-                [veterinarioId]
-            );
-            if (vetCheck.rows.length === 0) {
-                return res.status(404).json({
-                    error: 'veterinario nao encontrado'
-                });
-            }
+        // associa à dose do plano indicada ou à mais próxima da hora em que foi dada
+        const intervalo = prescricao.frequencia_horas * 60 * 60 * 1000;
+        const inicio = new Date(prescricao.inicio).getTime();
+        const referencia = previstaPara ? new Date(previstaPara) : dataAdministracao;
+        if (isNaN(referencia.getTime())) {
+            return res.status(400).json({ error: 'Dose prevista inválida' });
         }
+        const k = Math.max(0, Math.round((referencia.getTime() - inicio) / intervalo));
+        const dosePrevista = new Date(inicio + k * intervalo);
 
-        // preparar as observacoes, adicionando o lote se ele existir
-        let observacoesFinais = observacoes || vacina.observacoes || '';
-        
-        if (lote) {
-            // adiciona informacao do lote as observacoes
-            const prefixo = observacoesFinais ? '\n' : '';
-            observacoesFinais = `lote: ${lote}${prefixo}${observacoesFinais}`;
+        const fim = fimPrescricao(prescricao);
+        if (fim && dosePrevista >= fim) {
+            return res.status(400).json({ error: 'A dose indicada é posterior ao fim do tratamento' });
         }
 
-        // query corrigida com os parametros corretos
-        const result = await pool.query(`
-            UPDATE vacinas 
-            SET estado = 'realizada',
-                dataAplicacao = COALESCE($1, CURRENT_DATE),
-                veterinarioId = COALESCE($2, veterinarioId),
-                observacoes = $3
-            WHERE id = $4
-            RETURNING *`,
-            // parametros na ordem correta
-            [
-                dataAplicacaoSql,     // $1 - dataAplicacao
-                veterinarioId,        // $2 - veterinarioId
-                observacoesFinais,    // $3 - observacoes
-                parseInt(id)          // $4 - id
-            ]
+        const result = await pool.query(
+            `INSERT INTO administracoes_dose (prescricao_id, prevista_para, administrada_em, omitida, administrada_por, observacoes)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (prescricao_id, prevista_para) DO NOTHING
+             RETURNING *`,
+            [prescricao.id, dosePrevista, dataAdministracao, Boolean(omitida), req.user.id, observacoes || null]
         );
 
-        const vacinaAtualizada = result.rows[0];
+        if (result.rows.length === 0) {
+            return res.status(409).json({
+                error: 'Esta dose já foi registada',
+                previstaPara: dosePrevista
+            });
+        }
 
-        console.log(`vacina ${id} marcada como realizada - animal: ${vacina.animal_nome}, user: ${userId}`);
+        await registarAuditoria(req, {
+            acao: omitida ? 'dose_omitida' : 'dose_administrada',
+            entidade: 'prescricao',
+            entidadeId: prescricao.id,
+            depois: result.rows[0]
+        });
 
-        // devolver a vacina atualizada
-        res.status(200).json({
+        const [atualizada] = await obterPrescricoes('p.id = $1', [prescricao.id]);
+
+        res.status(201).json({
             success: true,
-            mensagem: 'vacina marcada como realizada com sucesso',
-            vacina: vacinaAtualizada
+            message: omitida ? 'Dose registada como omitida' : 'Dose registada com sucesso',
+            dose: result.rows[0],
+            prescricao: atualizada
         });
 
     } catch (error) {
-        console.error('erro ao marcar vacina como realizada:', error);
-        res.status(500).json({ 
-            error: 'erro no servidor', 
-            detalhes: error.message 
-        });
+        console.error('Erro ao registar dose:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
+// GET /prescricoes/:id/doses -> histórico de doses de uma prescrição
+app.get('/prescricoes/:id/doses', authenticateToken, async (req, res) => {
+    try {
+        const prescricaoResult = await pool.query(
+            'SELECT animal_id FROM prescricoes WHERE id = $1',
+            [req.params.id]
+        );
+
+        if (prescricaoResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Prescrição não encontrada' });
+        }
 
-// ROTAS DE EXAMES==============================================
+        if (!(await acessoPrescricoes(req, prescricaoResult.rows[0].animal_id, 'leitura'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'prescricao', entidadeId: parseInt(req.params.id), detalhes: { recurso: 'doses' } });
+            return res.status(403).json({ error: 'Não autorizado' });
+        }
+
+        const result = await pool.query(
+            `SELECT d.*, u.nome as administradaPorNome
+             FROM administracoes_dose d
+             LEFT JOIN users u ON d.administrada_por = u.id
+             WHERE d.prescricao_id = $1
+             ORDER BY d.prevista_para DESC`,
+            [req.params.id]
+        );
+
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'prescricao',
+            entidadeId: parseInt(req.params.id),
+            detalhes: { recurso: 'doses', count: result.rows.length }
+        });
 
-// GET /exames/tipos -> obtém todos os tipos de exame
-app.get('/exames/tipos', async (req, res) => {
-    try {
-        const result = await pool.query('SELECT * FROM tipos_exame ORDER BY nome');
         res.status(200).json({
             success: true,
-            tipos: result.rows,
-            count: result.rows.length
+            count: result.rows.length,
+            doses: result.rows
         });
+
     } catch (error) {
-        console.error('Erro ao obter tipos de exame:', error);
+        console.error('Erro ao obter doses:', error);
         res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// POST /exames -> cria novo exame
-app.post('/exames', authenticateToken, async (req, res) => {
-    try {
-        const { animalId, tipo_exame_id, dataExame, clinicaId, veterinarioId, resultado, observacoes } = req.body;
 
-        const userId = req.user.id;
 
-        if (!animalId || !tipo_exame_id || !dataExame || !clinicaId || !veterinarioId) {
-            return res.status(400).json({
-                error: 'animalId, tipo_exame_id, dataExame, clinicaId e veterinarioId são obrigatórios'
-            });
-        }
+// ROTAS DE HISTÓRICO CLÍNICO==============================================
+
+// fontes do histórico: cada uma devolve os eventos de um animal ($1) com as mesmas colunas
+// (tipo, id, data, titulo, descricao, estado, clinica, veterinario, detalhes)
+// um novo tipo de evento clínico só precisa de uma entrada aqui
+const FONTES_HISTORICO = {
+    consulta: `
+        SELECT 'consulta' AS tipo, c.id, (c.data + c.hora) AS data,
+               'Consulta' AS titulo, c.motivo AS descricao, c.estado,
+               cl.nome AS clinica, v.nome AS veterinario,
+               jsonb_build_object('clinicaId', c.clinicaId, 'veterinarioId', c.veterinarioId, 'marcadaPor', c.userId,
+                   'tipoConsultaId', c.tipo_consulta_id, 'duracaoMinutos', c.duracao_minutos) AS detalhes
+        FROM consultas c
+        LEFT JOIN clinicas cl ON c.clinicaId = cl.id
+        LEFT JOIN veterinarios v ON c.veterinarioId = v.id
+        WHERE c.animalId = $1`,
+    vacina: `
+        SELECT 'vacina', va.id, COALESCE(va.dataAplicacao::timestamp, va.data_agendada),
+               'Vacina: ' || va.tipo, va.observacoes, va.estado,
+               cl.nome, v.nome,
+               jsonb_build_object('tipoVacinaId', va.tipo_vacina_id, 'dataAgendada', va.data_agendada,
+                   'dataAplicacao', va.dataAplicacao, 'dataProxima', va.dataProxima, 'lote', va.lote)
+        FROM vacinas va
+        LEFT JOIN clinicas cl ON va.clinicaId = cl.id
+        LEFT JOIN veterinarios v ON va.veterinarioId = v.id
+        WHERE va.animalId = $1`,
+    exame: `
+        SELECT 'exame', e.id, e.dataExame::timestamp,
+               'Exame: ' || COALESCE(te.nome, 'outro'), e.resultado, 'realizado',
+               cl.nome, v.nome,
+               jsonb_build_object('tipoExameId', e.tipo_exame_id, 'observacoes', e.observacoes, 'fotoUrl', e.fotoUrl)
+        FROM exames e
+        LEFT JOIN tipos_exame te ON e.tipo_exame_id = te.id
+        LEFT JOIN clinicas cl ON e.clinicaId = cl.id
+        LEFT JOIN veterinarios v ON e.veterinarioId = v.id
+        WHERE e.animalId = $1`,
+    medicao: `
+        SELECT 'medicao', m.id, m.medido_em,
+               'Medição: ' || m.tipo, m.valor::text, 'registada',
+               NULL::text, NULL::text,
+               jsonb_build_object('tipo', m.tipo, 'valor', m.valor, 'origem', m.origem,
+                   'observacoes', m.observacoes, 'alertas', COALESCE(m.alertas, '[]'::jsonb))
+        FROM medicoes m
+        WHERE m.animal_id = $1`,
+    prescricao: `
+        SELECT 'prescricao', p.id, p.inicio,
+               'Prescrição: ' || p.medicamento, p.dose,
+               CASE
+                   WHEN p.suspensa_em IS NOT NULL THEN 'suspensa'
+                   WHEN p.duracao_dias IS NOT NULL AND p.inicio + make_interval(days => p.duracao_dias) <= NOW() THEN 'terminada'
+                   ELSE 'ativa'
+               END,
+               NULL::text, v.nome,
+               jsonb_build_object('via', p.via, 'frequenciaHoras', p.frequencia_horas, 'duracaoDias', p.duracao_dias,
+                   'instrucoes', p.instrucoes, 'consultaId', p.consulta_id, 'suspensaEm', p.suspensa_em)
+        FROM prescricoes p
+        LEFT JOIN veterinarios v ON p.veterinario_id = v.id
+        WHERE p.animal_id = $1`
+};
+
+// GET /animais/:animalId/historico -> cronologia clínica do animal (consultas, vacinas, exames, medições, prescrições)
+// filtros: tipo (um ou vários separados por vírgula), de, ate (datas, inclusive), ordem (desc|asc), pagina, limite
+app.get('/animais/:animalId/historico', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+        const { tipo, de, ate } = req.query;
+        const ordem = req.query.ordem === 'asc' ? 'ASC' : 'DESC'; // por defeito os mais recentes primeiro
+        const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+        const limite = Math.min(Math.max(parseInt(req.query.limite) || 50, 1), 200);
 
-        // verifica se animal pertence ao user
-        const animalCheck = await pool.query(
-            'SELECT id FROM animais WHERE id = $1 AND tutorId = $2',
-            [animalId, userId]
-        );
+        const animalCheck = await pool.query('SELECT id, nome FROM animais WHERE id = $1', [animalId]);
         if (animalCheck.rows.length === 0) {
-            return res.status(403).json({ error: 'Animal não encontrado ou não autorizado' });
-        }
-
-        // verifica tipo de exame
-        const tipoCheck = await pool.query(
-            'SELECT id, nome FROM tipos_exame WHERE id = $1',
-            [tipo_exame_id]
-        );
-        if (tipoCheck.rows.length === 0) {
-            return res.status(400).json({ error: 'Tipo de exame não encontrado' });
+            return res.status(404).json({ error: 'Animal não encontrado' });
         }
 
-        // verifica se clínica existe
-        const clinicaCheck = await pool.query(
-            'SELECT nome FROM clinicas WHERE id = $1',
-            [clinicaId]
-        );
-        if (clinicaCheck.rows.length === 0) {
-            return res.status(400).json({ error: 'Clínica não encontrada' });
+        if (!temPermissao(req.user, 'animais:ver_qualquer') && !(await temPapelNoAnimal(req.user.id, animalId, 'leitura'))) {
+            await registarAuditoria(req, { acao: 'acesso_negado', entidade: 'animal', entidadeId: parseInt(animalId), detalhes: { recurso: 'historico' } });
+            return res.status(403).json({ error: 'Não autorizado' });
         }
 
-        // Verifica se veterinário existe
-        const vetCheck = await pool.query(
-            'SELECT nome FROM veterinarios WHERE id = $1 AND clinicaId = $2',
-            [veterinarioId, clinicaId]
-        );
-        if (vetCheck.rows.length === 0) {
+        const tipos = tipo ? String(tipo).split(',').map(t => t.trim()).filter(Boolean) : Object.keys(FONTES_HISTORICO);
+        const tiposInvalidos = tipos.filter(t => !FONTES_HISTORICO[t]);
+        if (tiposInvalidos.length > 0) {
             return res.status(400).json({
-                error: 'Veterinário não encontrado ou não pertence a esta clínica'
+                error: `Tipo inválido: ${tiposInvalidos.join(', ')}`,
+                tiposValidos: Object.keys(FONTES_HISTORICO)
             });
         }
 
-        // insere exame
-        const result = await pool.query(`
-            INSERT INTO exames
-            (animalId, tipo_exame_id, dataExame, clinicaId, veterinarioId, resultado, observacoes)
-            VALUES($1, $2, $3, $4, $5, $6, $7) 
-            RETURNING *,
-            (SELECT nome FROM tipos_exame WHERE id = $2) as tipo_nome,
-        (SELECT nome FROM clinicas WHERE id = $4) as clinica_nome,
-    (SELECT nome FROM veterinarios WHERE id = $5) as veterinario_nome
-        `, [animalId, tipo_exame_id, dataExame, clinicaId, veterinarioId, resultado, observacoes]);
+        if ((de && isNaN(new Date(de).getTime())) || (ate && isNaN(new Date(ate).getTime()))) {
+            return res.status(400).json({ error: 'Datas inválidas (use AAAA-MM-DD)' });
+        }
 
+        // $1 animal, $2 de, $3 ate (o dia "ate" conta por inteiro)
+        const eventos = `
+            SELECT * FROM (${tipos.map(t => FONTES_HISTORICO[t]).join(' UNION ALL ')}) h
+            WHERE ($2::date IS NULL OR h.data >= $2::date)
+            AND ($3::date IS NULL OR h.data < $3::date + 1)
+        `;
+        const params = [parseInt(animalId), de || null, ate || null];
+
+        const [totalResult, result] = await Promise.all([
+            pool.query(`SELECT tipo, COUNT(*)::int AS count FROM (${eventos}) e GROUP BY tipo`, params),
+            pool.query(`
+                ${eventos}
+                ORDER BY h.data ${ordem}, h.tipo, h.id ${ordem}
+                LIMIT $4 OFFSET $5
+            `, [...params, limite, (pagina - 1) * limite])
+        ]);
 
-        const exame = result.rows[0];
-        exame.tipo_nome = tipoCheck.rows[0].nome;
+        // totais por tipo (para os filtros da app) e total geral
+        const porTipo = Object.fromEntries(tipos.map(t => [t, 0]));
+        totalResult.rows.forEach(row => { porTipo[row.tipo] = row.count; });
 
-        // renomeia campos para corresponder à aplicação
-        const exameResponse = {
-            id: exame.id,
-            animalid: exame.animalid,
-            tipo_exame_id: exame.tipo_exame_id,
-            tipo_nome: exame.tipo_nome,
-            dataexame: exame.dataexame,
-            clinicaid: exame.clinicaid,
-            clinicanome: exame.clinica_nome,
-            veterinarioid: exame.veterinarioid,
-            veterinarionome: exame.veterinario_nome,
-            resultado: exame.resultado,
-            observacoes: exame.observacoes,
-            fotourl: exame.fotourl,
-            dataregisto: exame.dataregisto
-        };
+        await registarAuditoria(req, {
+            acao: 'acesso_dados',
+            entidade: 'animal',
+            entidadeId: parseInt(animalId),
+            detalhes: { recurso: 'historico', tipos, pagina, count: result.rows.length }
+        });
 
-        res.status(201).json({
+        res.status(200).json({
             success: true,
-            message: 'Exame criado com sucesso',
-            exame: exameResponse
+            animal: animalCheck.rows[0],
+            total: Object.values(porTipo).reduce((soma, n) => soma + n, 0),
+            porTipo,
+            pagina,
+            limite,
+            count: result.rows.length,
+            eventos: result.rows.map(evento => evento.tipo === 'medicao'
+                ? { ...evento, detalhes: { ...evento.detalhes, unidade: TIPOS_MEDICAO[evento.detalhes.tipo].unidade } }
+                : evento)
         });
 
-
     } catch (error) {
-        console.error('Erro ao criar exame:', error);
+        console.error('Erro ao obter histórico:', error);
         res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// POST /exames/:id/foto -> adiciona foto ao exame
-app.post('/exames/:id/foto', authenticateToken, upload.single('foto'), async (req, res) => {
-    try {
-        const { id } = req.params;
-        const userId = req.user.id;
 
-        if (!req.file) {
-            return res.status(400).json({ error: 'Nenhuma imagem enviada' });
+
+// ROTAS DO PASSAPORTE DE SAÚDE (PDF)==============================================
+
+const COR_PASSAPORTE = '#003399'; // azul dos passaportes europeus
+const PASSAPORTE_EXAMES_MESES = 12; // exames incluídos (últimos N meses)
+
+const formatarDataPassaporte = data => data ? new Date(data).toLocaleDateString('pt-PT') : '—';
+
+// título de uma secção numerada, como no passaporte europeu
+function seccaoPassaporte(doc, numero, titulo) {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+        doc.addPage();
+    }
+
+    const x = doc.page.margins.left;
+    const y = doc.y + 10;
+    const largura = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.rect(x, y, largura, 18).fill(COR_PASSAPORTE);
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(10).text(`${numero}. ${titulo}`, x + 6, y + 5);
+    doc.fillColor('black').font('Helvetica').fontSize(9);
+    doc.x = x;
+    doc.y = y + 26;
+}
+
+// linhas "campo: valor"
+function camposPassaporte(doc, campos, opcoes = {}) {
+    campos.forEach(([rotulo, valor]) => {
+        doc.font('Helvetica-Bold').fontSize(9).text(`${rotulo}: `, { ...opcoes, continued: true })
+            .font('Helvetica').text(valor || '—', opcoes);
+    });
+}
+
+// tabela com cabeçalho repetido quando muda de página
+// colunas: [{ titulo, largura }] com a largura em fração da página
+function tabelaPassaporte(doc, colunas, linhas) {
+    const x0 = doc.page.margins.left;
+    const larguraUtil = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const larguras = colunas.map(coluna => coluna.largura * larguraUtil);
+
+    const desenharLinha = (valores, cabecalho) => {
+        doc.font(cabecalho ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        const altura = Math.max(...valores.map((valor, i) =>
+            doc.heightOfString(valor || '—', { width: larguras[i] - 6 }))) + 6;
+
+        if (!cabecalho && doc.y + altura > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            desenharLinha(colunas.map(coluna => coluna.titulo), true);
+            doc.font('Helvetica').fontSize(8);
         }
 
-        // Verifica se exame existe e pertence ao user
-        const exameCheck = await pool.query(`
-            SELECT e.*, a.tutorId 
-            FROM exames e
-            JOIN animais a ON e.animalId = a.id
-            WHERE e.id = $1
-    `, [id]);
+        const y = doc.y;
+        let x = x0;
+        valores.forEach((valor, i) => {
+            if (cabecalho) {
+                doc.rect(x, y, larguras[i], altura).fillAndStroke('#e6ebf5', '#999999');
+            } else {
+                doc.rect(x, y, larguras[i], altura).stroke('#999999');
+            }
+            doc.fillColor('black').text(valor || '—', x + 3, y + 3, { width: larguras[i] - 6 });
+            x += larguras[i];
+        });
+        doc.x = x0;
+        doc.y = y + altura;
+    };
 
-        if (exameCheck.rows.length === 0) {
-            fs.unlinkSync(req.file.path);
-            return res.status(404).json({ error: 'Exame não encontrado' });
+    desenharLinha(colunas.map(coluna => coluna.titulo), true);
+
+    if (linhas.length === 0) {
+        desenharLinha(['Sem registos', ...colunas.slice(1).map(() => '')], false);
+    }
+    linhas.forEach(linha => desenharLinha(linha, false));
+}
+
+// GET /animais/:animalId/passaporte.pdf -> passaporte de saúde do animal (vacinas aplicadas, exames recentes, microchip)
+app.get('/animais/:animalId/passaporte.pdf', authenticateToken, async (req, res) => {
+    try {
+        const { animalId } = req.params;
+
+        const animalResult = await pool.query(
+            `SELECT a.*, u.nome as tutorNome, u.morada as tutorMorada, u.telemovel as tutorTelemovel, u.email as tutorEmail
+             FROM animais a
+             JOIN users u ON a.tutorId = u.id
+             WHERE a.id = $1`,
+            [animalId]
+        );
+
+        if (animalResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Animal não encontrado' });
         }
 
-        if (exameCheck.rows[0].tutorid !== userId) {
-            fs.unlinkSync(req.file.path);
+        const animal = animalResult.rows[0];
+
+        const papel = await papelNoAnimal(req.user.id, animal.id);
+        if (!temPermissao(req.user, 'animais:ver_qualquer') && !papelPermite(papel, 'leitura')) {
             return res.status(403).json({ error: 'Não autorizado' });
         }
 
-        // Cria URL da foto
-        const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://${req.get('host')}`;
-        const fotoUrl = `${baseUrl}/uploads/${req.file.filename}`;
+        // contactos do detentor e código VetConnect só no passaporte de quem é dono do animal
+        // (co-tutores de leitura e veterinários recebem o resto do passaporte)
+        const eDono = papel === 'dono';
 
-        // Atualiza exame
-        await pool.query(
-            'UPDATE exames SET fotoUrl = $1 WHERE id = $2',
-            [fotoUrl, id]
-        );
+        const [vacinasResult, examesResult, perfil] = await Promise.all([
+            pool.query(`
+                SELECT v.*, c.nome as clinicaNome, vet.nome as veterinarioNome
+                FROM vacinas v
+                LEFT JOIN clinicas c ON v.clinicaId = c.id
+                LEFT JOIN veterinarios vet ON v.veterinarioId = vet.id
+                WHERE v.animalId = $1 AND v.estado = 'realizada'
+                ORDER BY v.dataAplicacao DESC
+            `, [animal.id]),
+            pool.query(`
+                SELECT e.*, te.nome as tipoNome, c.nome as clinicaNome, vet.nome as veterinarioNome
+                FROM exames e
+                LEFT JOIN tipos_exame te ON e.tipo_exame_id = te.id
+                LEFT JOIN clinicas c ON e.clinicaId = c.id
+                LEFT JOIN veterinarios vet ON e.veterinarioId = vet.id
+                WHERE e.animalId = $1 AND e.dataExame >= CURRENT_DATE - make_interval(months => $2)
+                ORDER BY e.dataExame DESC
+            `, [animal.id, PASSAPORTE_EXAMES_MESES]),
+            obterPerfilMedico(animal.id)
+        ]);
 
-        res.status(200).json({
-            success: true,
-            message: 'Foto adicionada com sucesso',
-            fotoUrl: fotoUrl
+        // a vacina antirrábica tem secção própria (é a exigida nas viagens)
+        const eAntirrabica = vacina => normalizarTexto(vacina.tipo).includes('raiva');
+        const linhaVacina = vacina => [
+            vacina.tipo,
+            vacina.lote,
+            formatarDataPassaporte(vacina.dataaplicacao),
+            formatarDataPassaporte(vacina.dataproxima),
+            vacina.veterinarionome,
+            vacina.clinicanome
+        ];
+        const colunasVacinas = [
+            { titulo: 'Vacina', largura: 0.22 },
+            { titulo: 'Lote', largura: 0.13 },
+            { titulo: 'Data de aplicação', largura: 0.14 },
+            { titulo: 'Válida até', largura: 0.13 },
+            { titulo: 'Veterinário', largura: 0.19 },
+            { titulo: 'Clínica', largura: 0.19 }
+        ];
+
+        await registarAuditoria(req, {
+            acao: 'passaporte_gerado',
+            entidade: 'animal',
+            entidadeId: animal.id,
+            detalhes: { dadosDetentor: eDono }
         });
 
-    } catch (error) {
-        console.error('Erro ao adicionar foto:', error);
-        if (req.file && req.file.path) {
-            try { fs.unlinkSync(req.file.path); } catch { }
-        }
-        res.status(500).json({ error: 'Erro no servidor' });
-    }
-});
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 40,
+            info: { Title: `Passaporte de saúde - ${animal.nome}`, Author: 'VetConnect' }
+        });
 
-// PUT /exames/:id -> atualiza um exame existente 
-app.put('/exames/:id', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { dataExame, clinicaId, veterinarioId, resultado, observacoes, tipo_exame_id } = req.body;
-        const userId = req.user.id;
+        doc.on('error', (pdfError) => {
+            console.error('Erro ao gerar passaporte:', pdfError);
+            res.destroy(pdfError); // os cabeçalhos já foram enviados, apenas termina a ligação
+        });
 
-        // validacao basica
-        if (!dataExame) {
-            return res.status(400).json({
-                error: 'dataExame e obrigatoria'
-            });
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="passaporte-${(eDono && animal.codigounico) || animal.id}.pdf"`);
+        doc.pipe(res);
+
+        // capa: faixa azul com o título
+        doc.rect(0, 0, doc.page.width, 70).fill(COR_PASSAPORTE);
+        doc.fillColor('white').font('Helvetica-Bold').fontSize(18).text('PASSAPORTE DE SAÚDE ANIMAL', 40, 22);
+        doc.font('Helvetica').fontSize(9).text(`VetConnect · emitido a ${formatarDataPassaporte(new Date())}`, 40, 46);
+        doc.fillColor('black');
+        doc.x = 40;
+        doc.y = 85;
+
+        seccaoPassaporte(doc, 'I', 'Detentor');
+        camposPassaporte(doc, eDono
+            ? [
+                ['Nome', animal.tutornome],
+                ['Morada', animal.tutormorada],
+                ['Telemóvel', animal.tutortelemovel],
+                ['Email', animal.tutoremail]
+            ]
+            : [
+                ['Nome', animal.tutornome],
+                ['Contactos', 'visíveis apenas no passaporte emitido pelo detentor']
+            ]);
+
+        seccaoPassaporte(doc, 'II', 'Descrição do animal');
+        const topoDescricao = doc.y;
+
+        // foto de capa à direita (a versão média é sempre JPEG; fotos antigas podem não ser suportadas)
+        const caminhoFoto = caminhoUpload(animal.fotourl);
+        let temFoto = false;
+        if (caminhoFoto && fs.existsSync(caminhoFoto)) {
+            try {
+                doc.image(caminhoFoto, doc.page.width - doc.page.margins.right - 110, topoDescricao, { fit: [110, 110] });
+                temFoto = true;
+            } catch (imagemError) {
+                console.error('Foto não incluída no passaporte:', imagemError.message);
+            }
         }
 
-        // verifica se o exame existe e pertence ao utilizador
-        const exameCheck = await pool.query(`
-            SELECT e.*, a.tutorId 
-            FROM exames e
-            JOIN animais a ON e.animalId = a.id
-            WHERE e.id = $1
-        `, [parseInt(id)]);
-
-        if (exameCheck.rows.length === 0) {
-            return res.status(404).json({
-                error: 'exame nao encontrado'
-            });
+        doc.x = doc.page.margins.left;
+        doc.y = topoDescricao;
+        camposPassaporte(doc, [
+            ['Nome', animal.nome],
+            ['Espécie', animal.especie],
+            ['Raça', animal.raca],
+            ['Data de nascimento', formatarDataPassaporte(animal.datanascimento)],
+            ['Código VetConnect', eDono ? animal.codigounico : null],
+            ['Estado', animal.estado]
+        ], { width: temFoto ? 330 : undefined });
+        if (temFoto) {
+            doc.y = Math.max(doc.y, topoDescricao + 115);
         }
 
-        const exame = exameCheck.rows[0];
+        seccaoPassaporte(doc, 'III', 'Identificação');
+        camposPassaporte(doc, [['Número do microchip', animal.numerochip]]);
+
+        seccaoPassaporte(doc, 'IV', 'Vacinação antirrábica');
+        tabelaPassaporte(doc, colunasVacinas, vacinasResult.rows.filter(eAntirrabica).map(linhaVacina));
+
+        seccaoPassaporte(doc, 'V', 'Outras vacinações');
+        tabelaPassaporte(doc, colunasVacinas, vacinasResult.rows.filter(v => !eAntirrabica(v)).map(linhaVacina));
+
+        seccaoPassaporte(doc, 'VI', `Exames clínicos (últimos ${PASSAPORTE_EXAMES_MESES} meses)`);
+        tabelaPassaporte(doc, [
+            { titulo: 'Data', largura: 0.12 },
+            { titulo: 'Exame', largura: 0.2 },
+            { titulo: 'Resultado', largura: 0.3 },
+            { titulo: 'Veterinário', largura: 0.19 },
+            { titulo: 'Clínica', largura: 0.19 }
+        ], examesResult.rows.map(exame => [
+            formatarDataPassaporte(exame.dataexame),
+            exame.tiponome,
+            exame.resultado,
+            exame.veterinarionome,
+            exame.clinicanome
+        ]));
+
+        seccaoPassaporte(doc, 'VII', 'Alergias e condições crónicas');
+        camposPassaporte(doc, [
+            ['Alergias', perfil.alergias.map(a => a.substancia).join(', ')],
+            ['Condições crónicas', perfil.condicoesCronicas.filter(c => c.estado !== 'resolvida').map(c => c.nome).join(', ')]
+        ]);
 
-        // verifica permissoes
-        if (exame.tutorid !== userId) {
-            console.log(`tentativa nao autorizada: user ${userId} tentou editar exame ${id} do user ${exame.tutorid}`);
-            return res.status(403).json({
-                error: 'nao autorizado a editar este exame'
-            });
+        doc.end();
+
+        console.log(`Passaporte gerado para animal ${animal.nome} (ID: ${animal.id})`);
+
+    } catch (error) {
+        console.error('Erro ao gerar passaporte:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Erro no servidor' });
         }
+    }
+});
 
-        // verifica se o tipo de exame existe (se foi fornecido)
-        let tipoNome = exame.tipo_exame_id;
-        if (tipo_exame_id) {
-            const tipoCheck = await pool.query(
-                'SELECT nome FROM tipos_exame WHERE id = $1',
-                [tipo_exame_id]
-            );
-            if (tipoCheck.rows.length === 0) {
-                return res.status(400).json({
-                    error: 'tipo de exame nao encontrado'
-                });
-            }
-            tipoNome = tipoCheck.rows[0].nome;
+
+
+// ROTAS DE ADMINISTRAÇÃO==============================================
+
+// POST /admin/impersonacoes -> emite um token de curta duração para atuar como um utilizador ou tipo
+app.post('/admin/impersonacoes', authenticateToken, autorizar('admin:impersonar'), async (req, res) => {
+    try {
+        const { userId, tipo, escopo = 'leitura', motivo } = req.body;
+        const minutos = parseInt(req.body.minutos) || IMPERSONACAO_MINUTOS_DEFAULT;
+
+        // não é possível encadear impersonações
+        if (req.impersonacao) {
+            return res.status(403).json({ error: 'Não é possível impersonar a partir de uma impersonação' });
         }
 
-        // verifica se clinica existe (se foi fornecida)
-        if (clinicaId) {
-            const clinicaCheck = await pool.query(
-                'SELECT nome FROM clinicas WHERE id = $1',
-                [clinicaId]
-            );
-            if (clinicaCheck.rows.length === 0) {
-                return res.status(400).json({
-                    error: 'clinica nao encontrada'
-                });
-            }
+        if (!userId && !tipo) {
+            return res.status(400).json({ error: 'Indique userId ou tipo' });
+        }
+        if (!motivo) {
+            return res.status(400).json({ error: 'O motivo é obrigatório' });
+        }
+        if (!['leitura', 'total'].includes(escopo)) {
+            return res.status(400).json({ error: 'Escopo inválido. Use leitura ou total' });
+        }
+        if (minutos < 1 || minutos > IMPERSONACAO_MINUTOS_MAX) {
+            return res.status(400).json({ error: `A duração deve estar entre 1 e ${IMPERSONACAO_MINUTOS_MAX} minutos` });
         }
 
-        // verifica se veterinario existe (se foi fornecido)
-        if (veterinarioId) {
-            const clinicaIdToCheck = clinicaId || exame.clinicaid;
-            const vetCheck = await pool.query(
-                'SELECT nome FROM veterinarios WHERE id = $1 AND clinicaId = $2',
-                [veterinarioId, clinicaIdToCheck]
+        // nunca se assume o papel de administrador
+        if (tipo && (!TIPOS_UTILIZADOR.includes(tipo) || tipo === 'admin')) {
+            return res.status(400).json({ error: 'Tipo inválido para impersonação' });
+        }
+
+        let alvo = null;
+        if (userId) {
+            const userResult = await pool.query(
+                'SELECT id, nome, email, tipo FROM users WHERE id = $1',
+                [userId]
             );
-            if (vetCheck.rows.length === 0) {
-                return res.status(400).json({
-                    error: 'veterinario nao encontrado ou nao pertence a esta clinica'
-                });
+
+            if (userResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Utilizador não encontrado' });
             }
-        }
 
-        // valida a data do exame
-        const dataExameObj = new Date(dataExame);
-        if (isNaN(dataExameObj.getTime())) {
-            return res.status(400).json({
-                error: 'formato de data invalido'
-            });
+            alvo = userResult.rows[0];
+
+            if (alvo.tipo === 'admin') {
+                return res.status(403).json({ error: 'Não é possível impersonar administradores' });
+            }
         }
 
-        // atualiza o exame
-        const result = await pool.query(`
-            UPDATE exames 
-            SET dataExame = $1,
-                clinicaId = COALESCE($2, clinicaId),
-                veterinarioId = COALESCE($3, veterinarioId),
-                resultado = COALESCE($4, resultado),
-                observacoes = COALESCE($5, observacoes),
-                tipo_exame_id = COALESCE($6, tipo_exame_id)
-            WHERE id = $7
-            RETURNING *,
-                (SELECT nome FROM tipos_exame WHERE id = exames.tipo_exame_id) as tipo_nome,
-                (SELECT nome FROM clinicas WHERE id = exames.clinicaId) as clinica_nome,
-                (SELECT nome FROM veterinarios WHERE id = exames.veterinarioId) as veterinario_nome
-        `, [dataExame, clinicaId, veterinarioId, resultado, observacoes, tipo_exame_id, parseInt(id)]);
+        const result = await pool.query(
+            `INSERT INTO impersonacoes(admin_id, user_id, tipo, escopo, motivo, expires_at)
+             VALUES($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))
+             RETURNING *`,
+            [req.user.id, alvo ? alvo.id : null, tipo || null, escopo, motivo, minutos]
+        );
 
-        const updatedExame = result.rows[0];
+        const impersonacao = result.rows[0];
 
-        // mapeamento para o formato que a app espera
-        const exameResponse = {
-            id: updatedExame.id,
-            animalid: updatedExame.animalid,
-            tipo_exame_id: updatedExame.tipo_exame_id,
-            tipo_nome: updatedExame.tipo_nome,
-            dataexame: updatedExame.dataexame,
-            clinicaid: updatedExame.clinicaid,
-            clinicanome: updatedExame.clinica_nome,
-            veterinarioid: updatedExame.veterinarioid,
-            veterinarionome: updatedExame.veterinario_nome,
-            resultado: updatedExame.resultado,
-            observacoes: updatedExame.observacoes,
-            fotourl: updatedExame.fotourl,
-            dataregisto: updatedExame.dataregisto
-        };
+        const token = jwt.sign(
+            { id: alvo ? alvo.id : req.user.id, email: alvo ? alvo.email : req.user.email, imp: impersonacao.id },
+            JWT_SECRET,
+            { expiresIn: minutos * 60 }
+        );
 
-        console.log(`exame ${id} atualizado por utilizador ${userId}`);
+        await registarAuditoria(req, {
+            acao: 'impersonacao_iniciada',
+            entidade: 'utilizador',
+            entidadeId: alvo ? alvo.id : null,
+            detalhes: { impersonacaoId: impersonacao.id, tipo: tipo || alvo.tipo, escopo, motivo, minutos }
+        });
 
-        // CORRECAO: enviar o objeto mapeado
-        res.status(200).json({
+        console.log(`Admin ${req.user.id} iniciou impersonação ${impersonacao.id} (utilizador: ${alvo ? alvo.id : '-'}, tipo: ${tipo || alvo.tipo}, escopo: ${escopo})`);
+
+        res.status(201).json({
             success: true,
-            message: 'exame atualizado com sucesso',
-            exame: exameResponse
+            message: 'Token de impersonação emitido',
+            token,
+            expiresIn: minutos * 60,
+            impersonacao
         });
 
     } catch (error) {
-        console.error('erro ao atualizar exame:', error);
-        res.status(500).json({
-            error: 'erro no servidor',
-            details: error.message
-        });
+        console.error('Erro ao iniciar impersonação:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// GET /animais/:animalId/exames -> obtem exames de um animal 
-app.get('/animais/:animalId/exames', authenticateToken, async (req, res) => {
+const AUDITORIA_EXPORTACAO_LOTE = 1000; // registos lidos de cada vez na exportação CSV
+
+// GET /admin/auditoria -> pesquisa o registo de auditoria (formato=csv para exportar)
+// filtros: actorId, acao, entidade, entidadeId, impersonacaoId, de, ate, pagina, limite
+app.get('/admin/auditoria', authenticateToken, autorizar('auditoria:consultar'), async (req, res) => {
     try {
-        const { animalId } = req.params;
-        const userId = req.user.id;
+        const { actorId, acao, entidade, entidadeId, impersonacaoId, de, ate, formato = 'json' } = req.query;
+        const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+        const limite = Math.min(Math.max(parseInt(req.query.limite) || 50, 1), 500);
 
-        // verifica permissoes - o animal pertence ao utilizador
-        const animalCheck = await pool.query(
-            'SELECT id, nome FROM animais WHERE id = $1 AND tutorId = $2',
-            [animalId, userId]
-        );
-        
-        if (animalCheck.rows.length === 0) {
-            return res.status(403).json({ 
-                error: 'nao autorizado ou animal nao encontrado' 
-            });
+        // Construir query dinâmica baseada nos filtros fornecidos
+        const condicoes = [];
+        const queryParams = [];
+        let paramCounter = 1;
+
+        // filtros por id têm de ser inteiros positivos
+        const filtrosId = { actorId, entidadeId, impersonacaoId };
+        for (const [filtro, valor] of Object.entries(filtrosId)) {
+            if (valor !== undefined && !/^\d+$/.test(String(valor))) {
+                return res.status(400).json({ error: `Filtro "${filtro}" inválido` });
+            }
         }
 
-        // query para obter exames com todos os dados relacionados
-        const result = await pool.query(`
-            SELECT 
-                e.id,
-                e.animalid,
-                e.tipo_exame_id,
-                e.dataexame,
-                e.clinicaid,
-                e.veterinarioid,
-                e.resultado,
-                e.observacoes,
-                e.fotourl,
-                e.dataregisto,
-                te.nome as tipo_nome,
-                te.descricao as tipo_descricao,
-                c.nome as clinicanome,
-                v.nome as veterinarionome
-            FROM exames e
-            LEFT JOIN tipos_exame te ON e.tipo_exame_id = te.id
-            LEFT JOIN clinicas c ON e.clinicaId = c.id
-            LEFT JOIN veterinarios v ON e.veterinarioId = v.id
-            WHERE e.animalId = $1
-            ORDER BY e.dataExame DESC, e.dataregisto DESC
-        `, [animalId]);
+        if (actorId) {
+            condicoes.push(`a.actor_id = $${paramCounter++}`);
+            queryParams.push(parseInt(actorId));
+        }
+        if (acao) {
+            condicoes.push(`a.acao = $${paramCounter++}`);
+            queryParams.push(acao);
+        }
+        if (entidade) {
+            condicoes.push(`a.entidade = $${paramCounter++}`);
+            queryParams.push(entidade);
+        }
+        if (entidadeId) {
+            condicoes.push(`a.entidade_id = $${paramCounter++}`);
+            queryParams.push(parseInt(entidadeId));
+        }
+        if (impersonacaoId) {
+            condicoes.push(`a.impersonacao_id = $${paramCounter++}`);
+            queryParams.push(parseInt(impersonacaoId));
+        }
+        if (de) {
+            if (isNaN(new Date(de).getTime())) {
+                return res.status(400).json({ error: 'Data "de" inválida' });
+            }
+            condicoes.push(`a.created_at >= $${paramCounter++}`);
+            queryParams.push(de);
+        }
+        if (ate) {
+            if (isNaN(new Date(ate).getTime())) {
+                return res.status(400).json({ error: 'Data "ate" inválida' });
+            }
+            condicoes.push(`a.created_at <= $${paramCounter++}`);
+            queryParams.push(ate);
+        }
 
-        // mapeamento para o formato que a app espera
-        const examesFormatados = result.rows.map(exame => ({
-            id: exame.id,
-            animalid: exame.animalid,
-            tipo_exame_id: exame.tipo_exame_id,
-            tipo_nome: exame.tipo_nome,
-            tipo_descricao: exame.tipo_descricao,
-            dataexame: exame.dataexame,
-            clinicaid: exame.clinicaid,
-            clinicanome: exame.clinicanome,
-            veterinarioid: exame.veterinarioid,
-            veterinarionome: exame.veterinarionome,
-            resultado: exame.resultado,
-            observacoes: exame.observacoes,
-            fotourl: exame.fotourl,
-            dataregisto: exame.dataregisto
-        }));
+        const where = condicoes.length > 0 ? `WHERE ${condicoes.join(' AND ')}` : '';
+
+        // exportação CSV -> todos os registos filtrados, sem paginação
+        // enviada por lotes para não carregar a tabela inteira em memória
+        if (formato === 'csv') {
+            const colunas = ['id', 'created_at', 'actor_id', 'actor_nome', 'actor_tipo', 'impersonacao_id', 'acao',
+                'entidade', 'entidade_id', 'antes', 'depois', 'detalhes', 'ip', 'user_agent'];
+
+            // escapa valores para CSV (aspas, vírgulas e quebras de linha)
+            // células começadas por = + - @ seriam interpretadas como fórmulas pelo Excel -> prefixo '
+            const escaparCsv = valor => {
+                if (valor === null || valor === undefined) return '';
+                let texto = valor instanceof Date
+                    ? valor.toISOString()
+                    : (typeof valor === 'object' ? JSON.stringify(valor) : String(valor));
+                if (/^[=+\-@\t\r]/.test(texto)) {
+                    texto = `'${texto}`;
+                }
+                return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+            };
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="auditoria-${new Date().toISOString().split('T')[0]}.csv"`);
+            res.status(200);
+            res.write(colunas.join(','));
+
+            // paginação por id (mais recentes primeiro) -> cada lote continua a partir do último id enviado
+            let ultimoId = null;
+            let count = 0;
+            for (;;) {
+                const lote = await pool.query(`
+                    SELECT a.*, u.nome as actor_nome
+                    FROM auditoria a
+                    LEFT JOIN users u ON a.actor_id = u.id
+                    ${where ? `${where} AND` : 'WHERE'} ($${paramCounter}::int IS NULL OR a.id < $${paramCounter})
+                    ORDER BY a.id DESC
+                    LIMIT ${AUDITORIA_EXPORTACAO_LOTE}
+                `, [...queryParams, ultimoId]);
+
+                if (lote.rows.length > 0) {
+                    res.write('\n' + lote.rows.map(row => colunas.map(coluna => escaparCsv(row[coluna])).join(',')).join('\n'));
+                    ultimoId = lote.rows[lote.rows.length - 1].id;
+                    count += lote.rows.length;
+                }
+                if (lote.rows.length < AUDITORIA_EXPORTACAO_LOTE) break;
+            }
 
-        console.log(`utilizador ${userId} acedeu a ${examesFormatados.length} exames do animal ${animalId}`);
+            await registarAuditoria(req, {
+                acao: 'auditoria_exportada',
+                detalhes: { filtros: req.query, count }
+            });
+
+            return res.end();
+        }
+
+        const [totalResult, result] = await Promise.all([
+            pool.query(`SELECT COUNT(*) FROM auditoria a ${where}`, queryParams),
+            pool.query(`
+                SELECT a.*, u.nome as actor_nome
+                FROM auditoria a
+                LEFT JOIN users u ON a.actor_id = u.id
+                ${where}
+                ORDER BY a.created_at DESC
+                LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+            `, [...queryParams, limite, (pagina - 1) * limite])
+        ]);
 
-        // CORRECAO: enviar o array mapeado
         res.status(200).json({
             success: true,
-            exames: examesFormatados,
-            count: examesFormatados.length
+            total: parseInt(totalResult.rows[0].count),
+            pagina,
+            limite,
+            count: result.rows.length,
+            registos: result.rows
         });
 
     } catch (error) {
-        console.error('erro ao obter exames:', error);
-        res.status(500).json({ 
-            error: 'erro no servidor',
-            details: error.message 
-        });
+        console.error('Erro ao consultar auditoria:', error);
+        if (res.headersSent) {
+            return res.destroy(); // exportação CSV já começada -> corta a ligação para o ficheiro não parecer completo
+        }
+        res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
-// DELETE /exames/:id -> apaga um exame
-app.delete('/exames/:id', authenticateToken, async (req, res) => {
+// GET /admin/impersonacoes -> lista as impersonações mais recentes
+app.get('/admin/impersonacoes', authenticateToken, autorizar('admin:impersonar'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const userId = req.user.id;
+        const result = await pool.query(`
+            SELECT i.*, a.nome as admin_nome, u.nome as user_nome,
+                   (i.revogada_em IS NULL AND i.expires_at > NOW()) as ativa
+            FROM impersonacoes i
+            JOIN users a ON i.admin_id = a.id
+            LEFT JOIN users u ON i.user_id = u.id
+            ORDER BY i.created_at DESC
+            LIMIT 100
+        `);
 
-        // verifica se o exame existe e pertence ao utilizador
-        const exameCheck = await pool.query(`
-            SELECT e.*, a.tutorId, e.fotoUrl
-            FROM exames e
-            JOIN animais a ON e.animalId = a.id
-            WHERE e.id = $1
-        `, [parseInt(id)]);
+        res.status(200).json({
+            success: true,
+            count: result.rows.length,
+            impersonacoes: result.rows
+        });
 
-        if (exameCheck.rows.length === 0) {
-            return res.status(404).json({
-                error: 'Exame não encontrado'
-            });
-        }
+    } catch (error) {
+        console.error('Erro ao obter impersonações:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
+    }
+});
 
-        const exame = exameCheck.rows[0];
+// DELETE /admin/impersonacoes/:id -> termina uma impersonação antes de expirar
+app.delete('/admin/impersonacoes/:id', authenticateToken, autorizar('admin:impersonar'), async (req, res) => {
+    try {
+        const { id } = req.params;
 
-        // verifica permissões
-        if (exame.tutorid !== userId) {
-            return res.status(403).json({
-                error: 'Não autorizado a apagar este exame'
-            });
-        }
+        const result = await pool.query(
+            `UPDATE impersonacoes SET revogada_em = NOW()
+             WHERE id = $1 AND revogada_em IS NULL
+             RETURNING id`,
+            [id]
+        );
 
-        // se tiver foto, apaga o ficheiro
-        if (exame.fotourl) {
-            try {
-                const filename = exame.fotourl.split('/uploads/')[1];
-                const filePath = path.join(__dirname, 'uploads', filename);
-                if (fs.existsSync(filePath)) {
-                    fs.unlinkSync(filePath);
-                }
-            } catch (fileError) {
-                console.error('Erro ao apagar ficheiro da foto:', fileError);
-            }
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Impersonação não encontrada ou já terminada' });
         }
 
-        // apaga o exame
-        await pool.query('DELETE FROM exames WHERE id = $1', [parseInt(id)]);
-
-        console.log(`Exame ID ${id} apagado por utilizador ${userId}`);
+        await registarAuditoria(req, {
+            acao: 'impersonacao_terminada',
+            detalhes: { impersonacaoId: result.rows[0].id }
+        });
 
         res.status(200).json({
             success: true,
-            message: 'Exame apagado com sucesso'
+            message: 'Impersonação terminada'
         });
 
     } catch (error) {
-        console.error('Erro ao apagar exame:', error);
-        res.status(500).json({
-            error: 'Erro no servidor',
-            details: error.message
-        });
+        console.error('Erro ao terminar impersonação:', error);
+        res.status(500).json({ error: 'Erro no servidor' });
     }
 });
 
@@ -2651,32 +10425,126 @@ app.get('/', async (req, res) => {
                 auth: {
                     criar: 'POST /utilizadores',
                     verificar: 'POST /utilizadores/verificar',
+                    reenviar_codigo: 'POST /utilizadores/verificar/reenviar',
                     criar_pin: 'POST /utilizadores/criar-pin',
                     login: 'POST /utilizadores/login',
+                    pedir_desbloqueio: 'POST /utilizadores/desbloquear/pedir',
+                    desbloquear: 'POST /utilizadores/desbloquear',
                     alterar_pin: 'POST /utilizadores/alterar-pin',
-                    logout: 'POST /utilizadores/logout'
+                    recuperar_pin: 'POST /utilizadores/recuperar-pin',
+                    confirmar_recuperacao_pin: 'POST /utilizadores/recuperar-pin/confirmar',
+                    logout: 'POST /utilizadores/logout',
+                    refresh: 'POST /utilizadores/token/refresh'
+                },
+                sessoes: {
+                    listar: 'GET /utilizadores/sessoes',
+                    terminar: 'DELETE /utilizadores/sessoes/:sessaoId',
+                    terminar_outras: 'DELETE /utilizadores/sessoes'
                 },
                 utilizadores: {
                     listar: 'GET /utilizadores',
                     obter: 'GET /utilizadores/:id',
-                    atualizar: 'PUT /utilizadores/:id'
+                    atualizar: 'PUT /utilizadores/:id',
+                    exportar_dados: 'GET /utilizadores/:id/exportar',
+                    confirmar_contacto: 'POST /utilizadores/:id/contacto/confirmar',
+                    fechar_conta: 'DELETE /utilizadores/:id',
+                    cancelar_fecho_conta: 'POST /utilizadores/:id/eliminacao/cancelar',
+                    atribuir_tipo: 'PUT /utilizadores/:id/tipo'
+                },
+                catalogo: {
+                    especies: 'GET /especies?q=',
+                    racas: 'GET /especies/:id/racas?q=',
+                    por_mapear: 'GET /especies/por-mapear (admin)',
+                    criar_especie: 'POST /especies (admin)',
+                    atualizar_especie: 'PUT /especies/:id (admin)',
+                    criar_raca: 'POST /especies/:id/racas (admin)',
+                    atualizar_raca: 'PUT /racas/:id (admin)'
                 },
                 animais: {
                     criar: 'POST /animais',
                     listar_do_tutor: 'GET /utilizadores/:userId/animais',
                     obter: 'GET /animais/:animalId',
                     atualizar: 'PUT /animais/:id',
-                    upload_foto: 'POST /animais/:animalId/foto'
+                    upload_foto: 'POST /animais/:animalId/foto',
+                    historico: 'GET /animais/:animalId/historico?tipo=&de=&ate=&ordem=&pagina=&limite=',
+                    passaporte_pdf: 'GET /animais/:animalId/passaporte.pdf',
+                    galeria_listar: 'GET /animais/:animalId/fotos',
+                    galeria_adicionar: 'POST /animais/:animalId/fotos',
+                    galeria_atualizar: 'PUT /animais/:animalId/fotos/:fotoId',
+                    galeria_definir_capa: 'PUT /animais/:animalId/fotos/:fotoId/capa',
+                    galeria_apagar: 'DELETE /animais/:animalId/fotos/:fotoId',
+                    alterar_estado: 'PUT /animais/:id/estado',
+                    arquivar: 'DELETE /animais/:id',
+                    pesquisar_chip_codigo: 'GET /animais/pesquisa?chip=&codigo=',
+                    animal_encontrado: 'POST /animais/encontrado'
+                },
+                partilha: {
+                    listar_tutores: 'GET /animais/:animalId/tutores',
+                    convidar: 'POST /animais/:animalId/convites',
+                    revogar_convite: 'DELETE /animais/:animalId/convites/:conviteId',
+                    remover_tutor: 'DELETE /animais/:animalId/tutores/:userId',
+                    alterar_papel: 'PUT /animais/:animalId/tutores/:userId',
+                    meus_convites: 'GET /convites',
+                    aceitar_convite: 'POST /convites/:id/aceitar',
+                    recusar_convite: 'POST /convites/:id/recusar'
+                },
+                alertas_perdido: {
+                    marcar_perdido: 'POST /animais/:animalId/perdido',
+                    listar_proximos: 'GET /alertas?lat=&lng=&raio=',
+                    obter: 'GET /alertas/:id',
+                    cartaz: 'GET /alertas/:id/cartaz',
+                    reportar_avistamento: 'POST /alertas/:id/avistamentos',
+                    listar_avistamentos: 'GET /alertas/:id/avistamentos',
+                    marcar_encontrado: 'POST /alertas/:id/encontrado',
+                    cancelar: 'DELETE /alertas/:id'
+                },
+                medicoes: {
+                    registar: 'POST /animais/:animalId/medicoes',
+                    listar: 'GET /animais/:animalId/medicoes?tipo=&de=&ate=',
+                    series: 'GET /animais/:animalId/medicoes/series?tipo=&agrupamento=dia|semana|mes',
+                    apagar: 'DELETE /animais/:animalId/medicoes/:id'
+                },
+                prescricoes: {
+                    criar: 'POST /animais/:animalId/prescricoes',
+                    listar: 'GET /animais/:animalId/prescricoes?estado=ativa|terminada|em_falta|suspensa',
+                    obter: 'GET /prescricoes/:id',
+                    suspender: 'POST /prescricoes/:id/suspender',
+                    registar_dose: 'POST /prescricoes/:id/doses',
+                    listar_doses: 'GET /prescricoes/:id/doses',
+                    lembretes: 'GET /prescricoes/lembretes?horas=24'
+                },
+                perfil_medico: {
+                    obter: 'GET /animais/:animalId/perfil-medico',
+                    atualizar: 'PUT /animais/:animalId/perfil-medico',
+                    adicionar_alergia: 'POST /animais/:animalId/alergias',
+                    remover_alergia: 'DELETE /animais/:animalId/alergias/:id',
+                    adicionar_condicao: 'POST /animais/:animalId/condicoes',
+                    atualizar_condicao: 'PUT /animais/:animalId/condicoes/:id',
+                    remover_condicao: 'DELETE /animais/:animalId/condicoes/:id'
+                },
+                transferencias: {
+                    iniciar: 'POST /animais/:animalId/transferencias',
+                    cancelar: 'DELETE /animais/:animalId/transferencias',
+                    minhas_pendentes: 'GET /transferencias',
+                    aceitar: 'POST /transferencias/:id/aceitar',
+                    aceitar_por_codigo: 'POST /transferencias/codigo',
+                    recusar: 'POST /transferencias/:id/recusar'
                 },
                 clinicas: {
                     listar: 'GET /clinicas'
                 },
                 veterinarios: {
                     listar: 'GET /veterinarios',
-                    listar_por_clinica: 'GET /clinicas/:clinicaId/veterinarios'
+                    listar_por_clinica: 'GET /clinicas/:clinicaId/veterinarios',
+                    horario: 'GET /veterinarios/:id/horario',
+                    definir_horario: 'PUT /veterinarios/:id/horario',
+                    adicionar_excecao: 'POST /veterinarios/:id/excecoes',
+                    apagar_excecao: 'DELETE /veterinarios/:id/excecoes/:excecaoId',
+                    disponibilidade: 'GET /veterinarios/:id/disponibilidade?de=&ate=&tipoConsultaId=&duracao='
                 },
                 consultas: {
                     marcar: 'POST /consultas',
+                    tipos: 'GET /consultas/tipos',
                     listar_do_utilizador: 'GET /consultas/user/:userId',
                     atualizar: 'PUT /consultas/:id',
                     cancelar: 'DELETE /consultas/:id'
@@ -2698,6 +10566,12 @@ app.get('/', async (req, res) => {
                     atualizar: 'PUT /exames/:id',
                     apagar: 'DELETE /exames/:id',
                     upload_foto: 'POST /exames/:id/foto'
+                },
+                admin: {
+                    auditoria: 'GET /admin/auditoria',
+                    impersonar: 'POST /admin/impersonacoes',
+                    listar_impersonacoes: 'GET /admin/impersonacoes',
+                    terminar_impersonacao: 'DELETE /admin/impersonacoes/:id'
                 }
             },
 
@@ -2724,8 +10598,18 @@ async function startServer() {
     try {
         await initDatabase(); // inicializa a base de dados
 
+        // com a migração a meio ficavam contas com tipos escolhidos no registo -> não arranca
+        await migrarTiposUtilizador();
+
+        // sem a agenda dois pedidos em simultâneo podiam ficar com o mesmo horário -> não arranca
+        await criarAgendaVeterinarios();
+
         await cleanupExpiredTokens(); // limpa tokens expirados ao iniciar
 
+        await processarEliminacoesPendentes(); // anonimiza contas cujo prazo de cancelamento terminou
+
+        await enviarLembretesDoses();
+
         app.listen(PORT, () => {
             console.log(`Servidor na porta ${PORT}`);
             console.log(`PostgreSQL: ${isRender ? 'Render' : 'Local'}`);
@@ -2776,6 +10660,20 @@ async function cleanupExpiredTokens() {
 
             console.log(`Limpeza automática: ${countToDelete} tokens expirados removidos da blacklist`);
         }
+
+        // contadores de limites de pedidos com janelas já terminadas
+        await pool.query("DELETE FROM limites_pedidos WHERE janela_inicio < NOW() - INTERVAL '1 day'");
+
+        // apaga sessões expiradas ou revogadas há mais de 30 dias (e os respetivos refresh tokens)
+        const sessoesResult = await pool.query(
+            `DELETE FROM sessoes
+             WHERE expires_at < NOW() - INTERVAL '30 days'
+             OR revogada_em < NOW() - INTERVAL '30 days'`
+        );
+
+        if (sessoesResult.rowCount > 0) {
+            console.log(`Limpeza automática: ${sessoesResult.rowCount} sessões antigas removidas`);
+        }
     } catch (err) {
         console.error('Erro na limpeza:', err);
     }
@@ -2783,4 +10681,10 @@ async function cleanupExpiredTokens() {
 
 
 // executa limpeza a cada hora (3600000 ms)
-setInterval(cleanupExpiredTokens, 3600000);
\ No newline at end of file
+setInterval(cleanupExpiredTokens, 3600000);
+
+// verifica a cada hora se há contas para anonimizar
+setInterval(processarEliminacoesPendentes, 3600000);
+
+// lembretes das doses de medicação da próxima hora
+setInterval(enviarLembretesDoses, LEMBRETE_DOSE_ANTECEDENCIA_MINUTOS * 60 * 1000);
@@ -0,0 +1,224 @@
+// marcações em simultâneo para o mesmo veterinário e horário -> só uma fica marcada
+// precisa de uma base de dados PostgreSQL de testes (o servidor cria as tabelas ao arrancar):
+//   TEST_DATABASE_URL=postgres://... npm test
+// sem TEST_DATABASE_URL os testes são ignorados, exceto em CI onde falham
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const path = require('node:path');
+const { Client } = require('pg');
+const jwt = require('jsonwebtoken');
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const PORT = process.env.TEST_PORT || 3999;
+const JWT_SECRET = 'segredo_testes_agenda';
+const PEDIDOS = 8;
+
+let servidor;
+let db;
+let token;
+const dados = {};
+
+// espera pela mensagem de arranque do servidor (ou falha se o processo terminar antes)
+function arrancarServidor() {
+    return new Promise((resolve, reject) => {
+        servidor = spawn(process.execPath, ['server.js'], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, DATABASE_URL, PORT, JWT_SECRET, TZ: 'UTC', NODE_ENV: 'test' },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        let saida = '';
+        const timer = setTimeout(() => reject(new Error(`Servidor não arrancou:\n${saida}`)), 60000);
+        const ler = (chunk) => {
+            saida += chunk;
+            if (saida.includes(`Servidor na porta ${PORT}`)) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        servidor.stdout.on('data', ler);
+        servidor.stderr.on('data', ler);
+        servidor.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Servidor terminou (código ${code}):\n${saida}`));
+        });
+    });
+}
+
+// segunda-feira daqui a pelo menos duas semanas (+ semanas) -> dentro do horário do veterinário de teste
+function diaDeTrabalho(semanas = 0) {
+    const dia = new Date();
+    dia.setUTCDate(dia.getUTCDate() + 14 + semanas * 7);
+    while (dia.getUTCDay() !== 1) dia.setUTCDate(dia.getUTCDate() + 1);
+    return dia.toISOString().split('T')[0];
+}
+
+function pedido(caminho, corpo, method = 'POST') {
+    return fetch(`http://localhost:${PORT}${caminho}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(corpo)
+    }).then(res => res.status);
+}
+
+function contar(estados, sucesso = 201) {
+    return {
+        criadas: estados.filter(s => s === sucesso).length,
+        conflitos: estados.filter(s => s === 409).length
+    };
+}
+
+// lugares ocupados na agenda do veterinário de teste que se sobrepõem a dia/hora
+async function ocupadosNaAgenda(dia, hora) {
+    const agenda = await db.query(
+        "SELECT COUNT(*)::int as total FROM agenda_veterinario WHERE veterinario_id = $1 AND periodo && tsrange($2::timestamp, $2::timestamp + interval '1 minute')",
+        [dados.veterinarioId, `${dia} ${hora}`]
+    );
+    return agenda.rows[0].total;
+}
+
+before(async () => {
+    if (!DATABASE_URL) return;
+
+    await arrancarServidor();
+
+    db = new Client({ connectionString: DATABASE_URL });
+    await db.connect();
+
+    const sufixo = Date.now();
+    const user = await db.query(
+        "INSERT INTO users (nome, email, tipo, verificado) VALUES ('Tutor Agenda', $1, 'tutor', true) RETURNING id",
+        [`agenda.${sufixo}@teste.pt`]
+    );
+    const clinica = await db.query("INSERT INTO clinicas (nome) VALUES ('Clínica Agenda') RETURNING id");
+    const vet = await db.query(
+        "INSERT INTO veterinarios (nome, clinicaId) VALUES ('Vet Agenda', $1) RETURNING id",
+        [clinica.rows[0].id]
+    );
+    await db.query(
+        "INSERT INTO horarios_veterinario (veterinario_id, dia_semana, hora_inicio, hora_fim) VALUES ($1, 1, '09:00', '13:00')",
+        [vet.rows[0].id]
+    );
+    const animal = await db.query(
+        "INSERT INTO animais (tutorId, nome, especie) VALUES ($1, 'Bobi', 'Cão') RETURNING id",
+        [user.rows[0].id]
+    );
+    const tipoVacina = await db.query("INSERT INTO tipos_vacina (nome) VALUES ('Raiva (teste)') RETURNING id");
+
+    dados.userId = user.rows[0].id;
+    dados.clinicaId = clinica.rows[0].id;
+    dados.veterinarioId = vet.rows[0].id;
+    dados.animalId = animal.rows[0].id;
+    dados.tipoVacinaId = tipoVacina.rows[0].id;
+    dados.dia = diaDeTrabalho();
+
+    token = jwt.sign({ id: dados.userId, tipo: 'tutor' }, JWT_SECRET, { expiresIn: 600 });
+});
+
+after(async () => {
+    // o servidor não termina com SIGTERM (só fecha a pool)
+    if (servidor) servidor.kill('SIGKILL');
+    if (db) {
+        if (dados.userId) {
+            await db.query('DELETE FROM vacinas WHERE animalId = $1', [dados.animalId]);
+            await db.query('DELETE FROM consultas WHERE veterinarioId = $1', [dados.veterinarioId]);
+            await db.query('DELETE FROM clinicas WHERE id = $1', [dados.clinicaId]);
+            await db.query('DELETE FROM tipos_vacina WHERE id = $1', [dados.tipoVacinaId]);
+            await db.query('DELETE FROM users WHERE id = $1', [dados.userId]);
+        }
+        await db.end();
+    }
+});
+
+const semBaseDados = !DATABASE_URL && 'defina TEST_DATABASE_URL para correr os testes da agenda';
+
+if (semBaseDados) {
+    // em CI um teste ignorado passava despercebido -> falha
+    test('base de dados de testes', { skip: !process.env.CI && semBaseDados }, () => {
+        assert.fail(semBaseDados);
+    });
+    console.warn(`Testes da agenda ignorados: ${semBaseDados}`);
+}
+
+test('POST /consultas em simultâneo para o mesmo horário', { skip: semBaseDados }, async () => {
+    const estados = await Promise.all(Array.from({ length: PEDIDOS }, () => pedido('/consultas', {
+        animalId: dados.animalId,
+        clinicaId: dados.clinicaId,
+        veterinarioId: dados.veterinarioId,
+        data: `${dados.dia}T10:00:00`
+    })));
+
+    assert.deepStrictEqual(contar(estados), { criadas: 1, conflitos: PEDIDOS - 1 }, `estados: ${estados}`);
+});
+
+test('POST /vacinas/agendar em simultâneo para o mesmo horário', { skip: semBaseDados }, async () => {
+    const estados = await Promise.all(Array.from({ length: PEDIDOS }, () => pedido('/vacinas/agendar', {
+        animalId: dados.animalId,
+        tipo_vacina_id: dados.tipoVacinaId,
+        clinicaId: dados.clinicaId,
+        veterinarioId: dados.veterinarioId,
+        data_agendada: `${dados.dia}T11:00:00`
+    })));
+
+    assert.deepStrictEqual(contar(estados), { criadas: 1, conflitos: PEDIDOS - 1 }, `estados: ${estados}`);
+});
+
+test('POST /vacinas/agendar fora do horário do veterinário', { skip: semBaseDados }, async () => {
+    // domingo às 03:00 (o veterinário de teste só tem horário à segunda de manhã)
+    const domingo = new Date(`${dados.dia}T03:00:00Z`);
+    domingo.setUTCDate(domingo.getUTCDate() - 1);
+
+    const estado = await pedido('/vacinas/agendar', {
+        animalId: dados.animalId,
+        tipo_vacina_id: dados.tipoVacinaId,
+        clinicaId: dados.clinicaId,
+        veterinarioId: dados.veterinarioId,
+        data_agendada: domingo.toISOString().replace('.000Z', '')
+    });
+
+    assert.strictEqual(estado, 400);
+});
+
+test('consultas e vacinas em simultâneo para o mesmo horário', { skip: semBaseDados }, async () => {
+    const estados = await Promise.all(Array.from({ length: PEDIDOS }, (_, i) => i % 2 === 0
+        ? pedido('/consultas', {
+            animalId: dados.animalId,
+            clinicaId: dados.clinicaId,
+            veterinarioId: dados.veterinarioId,
+            data: `${dados.dia}T12:00:00`
+        })
+        : pedido('/vacinas/agendar', {
+            animalId: dados.animalId,
+            tipo_vacina_id: dados.tipoVacinaId,
+            clinicaId: dados.clinicaId,
+            veterinarioId: dados.veterinarioId,
+            data_agendada: `${dados.dia}T12:00:00`
+        })));
+
+    assert.deepStrictEqual(contar(estados), { criadas: 1, conflitos: PEDIDOS - 1 }, `estados: ${estados}`);
+    assert.strictEqual(await ocupadosNaAgenda(dados.dia, '12:00'), 1);
+});
+
+test('PUT /consultas/:id em simultâneo para o mesmo horário', { skip: semBaseDados }, async () => {
+    // consultas em horários diferentes (09:00 a 12:00) remarcadas todas para as 12:30
+    const dia = diaDeTrabalho(1);
+    const consultas = [];
+    for (let i = 0; i < PEDIDOS - 1; i++) {
+        const hora = `${String(9 + Math.floor(i / 2)).padStart(2, '0')}:${i % 2 === 0 ? '00' : '30'}`;
+        const result = await db.query(
+            `INSERT INTO consultas (userId, animalId, clinicaId, veterinarioId, data, hora)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+            [dados.userId, dados.animalId, dados.clinicaId, dados.veterinarioId, dia, hora]
+        );
+        consultas.push(result.rows[0].id);
+    }
+
+    const estados = await Promise.all(consultas.map(id => pedido(`/consultas/${id}`, {
+        data: `${dia}T12:30:00`
+    }, 'PUT')));
+
+    assert.deepStrictEqual(contar(estados, 200), { criadas: 1, conflitos: consultas.length - 1 }, `estados: ${estados}`);
+    assert.strictEqual(await ocupadosNaAgenda(dia, '12:30'), 1);
+});